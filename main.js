@@ -1,6 +1,9 @@
-const { app, BrowserWindow, ipcMain, dialog, Menu, clipboard, systemPreferences } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, clipboard, systemPreferences, desktopCapturer, globalShortcut } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
 
 // Keep a global reference of the window object
 let mainWindow;
@@ -15,7 +18,9 @@ function createWindow() {
     webPreferences: {
       nodeIntegration: true,
       contextIsolation: false,
-      enableRemoteModule: true
+      enableRemoteModule: true,
+      // Scheduled and voice-activated recordings rely on timers that must keep running while the window is hidden
+      backgroundThrottling: false
     },
     icon: path.join(__dirname, 'assets/icon.png'),
     titleBarStyle: 'default',
@@ -32,6 +37,16 @@ function createWindow() {
     }
   });
 
+  // System audio for dual-source recording: the renderer's getDisplayMedia gets the screen with loopback audio
+  mainWindow.webContents.session.setDisplayMediaRequestHandler((request, callback) => {
+    desktopCapturer.getSources({ types: ['screen'] })
+      .then(sources => callback({ video: sources[0], audio: 'loopback' }))
+      .catch(error => {
+        console.error('Failed to get a capture source for system audio:', error);
+        callback({});
+      });
+  });
+
   // Load the app
   mainWindow.loadFile('renderer/index.html');
 
@@ -101,6 +116,13 @@ function createMenu() {
             mainWindow.webContents.send('menu-new-recording');
           }
         },
+        {
+          label: 'Import Audio or Video...',
+          accelerator: 'CmdOrCtrl+I',
+          click: () => {
+            mainWindow.webContents.send('menu-import-audio');
+          }
+        },
         {
           label: 'Save Summary',
           accelerator: 'CmdOrCtrl+S',
@@ -164,6 +186,13 @@ function createMenu() {
             mainWindow.webContents.send('menu-toggle-recording');
           }
         },
+        {
+          // F8 is handled in the renderer, so no accelerator here (it would fire twice)
+          label: 'Pause/Resume Recording',
+          click: () => {
+            mainWindow.webContents.send('menu-toggle-pause');
+          }
+        },
         {
           label: 'Stop Recording',
           accelerator: 'F10',
@@ -268,6 +297,15 @@ ipcMain.handle('save-file-binary', async (event, filePath, buffer) => {
   }
 });
 
+ipcMain.handle('read-file-binary', async (event, filePath) => {
+  try {
+    const data = fs.readFileSync(filePath);
+    return { success: true, data, modifiedAt: fs.statSync(filePath).mtime.toISOString() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('read-file', async (event, filePath) => {
   try {
     const content = fs.readFileSync(filePath, 'utf8');
@@ -277,48 +315,1660 @@ ipcMain.handle('read-file', async (event, filePath) => {
   }
 });
 
-// Clipboard operations
-ipcMain.handle('clipboard-read-text', async () => {
+// Recording library - audio files plus a JSON index in the user data directory
+const LIBRARY_INDEX_VERSION = 1;
+
+const AUDIO_EXTENSIONS = {
+  'audio/webm': '.webm',
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/aac': '.aac',
+  'audio/flac': '.flac',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm'
+};
+
+function getLibraryPaths() {
+  const root = path.join(app.getPath('userData'), 'library');
+  return {
+    root,
+    audioDir: path.join(root, 'audio'),
+    indexFile: path.join(root, 'index.json')
+  };
+}
+
+function ensureLibraryDirs() {
+  const paths = getLibraryPaths();
+  fs.mkdirSync(paths.audioDir, { recursive: true });
+  return paths;
+}
+
+// Encryption at rest - library files are sealed with AES-256-GCM under a random data key,
+// and the data key is stored wrapped with a key derived from the user's passphrase
+const ENCRYPTION_MAGIC = Buffer.from('CSAE');
+const ENCRYPTION_FILE_VERSION = 1;
+const ENCRYPTION_HEADER_SIZE = ENCRYPTION_MAGIC.length + 1 + 8 + 12 + 16;
+const ENCRYPTION_KDF = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// keys maps key id -> data key and is only populated while the library is unlocked
+const encryptionState = { loaded: false, config: null, keys: null };
+
+function getEncryptionFile() {
+  return path.join(getLibraryPaths().root, 'encryption.json');
+}
+
+function getEncryptionConfig() {
+  if (!encryptionState.loaded) {
+    const file = getEncryptionFile();
+    encryptionState.config = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    encryptionState.loaded = true;
+  }
+  return encryptionState.config;
+}
+
+function writeEncryptionConfig(config) {
+  const file = getEncryptionFile();
+  const tempFile = `${file}.tmp`;
+  ensureLibraryDirs();
+  fs.writeFileSync(tempFile, JSON.stringify(config, null, 2), 'utf8');
+  fs.renameSync(tempFile, file);
+  encryptionState.config = config;
+  encryptionState.loaded = true;
+}
+
+function validatePassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+function deriveKey(passphrase, salt, kdf = ENCRYPTION_KDF) {
+  return new Promise((resolve, reject) => {
+    const options = { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r };
+    crypto.scrypt(passphrase, salt, 32, options, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+function wrapKey(kek, keyId, dataKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', kek, iv);
+  const data = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return {
+    id: keyId,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+async function unlockKeyring(config, passphrase) {
+  const kek = await deriveKey(String(passphrase || ''), Buffer.from(config.salt, 'base64'), config.kdf);
+  const keys = new Map();
+
+  for (const wrapped of config.keys) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', kek, Buffer.from(wrapped.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(wrapped.tag, 'base64'));
+      keys.set(wrapped.id, Buffer.concat([decipher.update(Buffer.from(wrapped.data, 'base64')), decipher.final()]));
+    } catch (error) {
+      throw new Error('Incorrect passphrase');
+    }
+  }
+  return keys;
+}
+
+function createKeyring(passphrase) {
+  const salt = crypto.randomBytes(16);
+  return deriveKey(passphrase, salt).then(kek => ({
+    kek,
+    salt: salt.toString('base64'),
+    keyId: crypto.randomBytes(8).toString('hex'),
+    dataKey: crypto.randomBytes(32)
+  }));
+}
+
+function isEncryptedData(data) {
+  return data.length >= ENCRYPTION_HEADER_SIZE && data.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC);
+}
+
+// Layout: magic | version | key id (8) | iv (12) | auth tag (16) | ciphertext
+function encryptData(keyId, dataKey, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([
+    ENCRYPTION_MAGIC,
+    Buffer.from([ENCRYPTION_FILE_VERSION]),
+    Buffer.from(keyId, 'hex'),
+    iv,
+    cipher.getAuthTag(),
+    ciphertext
+  ]);
+}
+
+function decryptData(keys, data) {
+  if (!keys) {
+    throw new Error('Recording library is locked');
+  }
+
+  let offset = ENCRYPTION_MAGIC.length;
+  const version = data[offset++];
+  if (version > ENCRYPTION_FILE_VERSION) {
+    throw new Error('File was encrypted by a newer version of the app');
+  }
+
+  const keyId = data.subarray(offset, offset + 8).toString('hex');
+  const iv = data.subarray(offset + 8, offset + 20);
+  const tag = data.subarray(offset + 20, offset + 36);
+  const dataKey = keys.get(keyId);
+  if (!dataKey) {
+    throw new Error('File was encrypted with a different passphrase');
+  }
+
   try {
-    const text = clipboard.readText();
-    return { success: true, text };
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data.subarray(ENCRYPTION_HEADER_SIZE)), decipher.final()]);
+  } catch (error) {
+    throw new Error('Encrypted file is corrupted');
+  }
+}
+
+// Plaintext files are read as-is so a library can be part way through enabling or disabling encryption
+function readLibraryFile(filePath) {
+  const data = fs.readFileSync(filePath);
+  return isEncryptedData(data) ? decryptData(encryptionState.keys, data) : data;
+}
+
+// Encrypt with the active key when encryption is on, otherwise return the data unchanged
+function sealLibraryData(data) {
+  const config = getEncryptionConfig();
+  const output = Buffer.from(data);
+
+  if (!config) {
+    return output;
+  }
+  if (!encryptionState.keys || !encryptionState.keys.has(config.activeKeyId)) {
+    throw new Error('Recording library is locked');
+  }
+  return encryptData(config.activeKeyId, encryptionState.keys.get(config.activeKeyId), output);
+}
+
+function writeLibraryFile(filePath, data) {
+  const output = sealLibraryData(data);
+
+  // Write to a temp file first so a crash never leaves a half-written file
+  const tempFile = `${filePath}.tmp`;
+  fs.writeFileSync(tempFile, output);
+  fs.renameSync(tempFile, filePath);
+}
+
+// Rewrite every library file with the current settings (active key, or plaintext when disabled)
+function rewriteLibraryFiles() {
+  const paths = ensureLibraryDirs();
+  const files = [
+    ...fs.readdirSync(paths.audioDir)
+      .filter(file => !file.endsWith('.tmp'))
+      .map(file => path.join(paths.audioDir, file)),
+    ...fs.readdirSync(paths.root)
+      .filter(file => file.endsWith('.json') && file !== 'encryption.json')
+      .map(file => path.join(paths.root, file))
+  ];
+
+  files.forEach(file => writeLibraryFile(file, readLibraryFile(file)));
+  return files.length + rewriteRecordingSessions();
+}
+
+// Drop data keys that are no longer used once every file has been rewritten
+function retireOldKeys() {
+  const config = getEncryptionConfig();
+  writeEncryptionConfig({ ...config, keys: config.keys.filter(key => key.id === config.activeKeyId) });
+  encryptionState.keys = new Map([[config.activeKeyId, encryptionState.keys.get(config.activeKeyId)]]);
+}
+
+function requireEncryptionConfig() {
+  const config = getEncryptionConfig();
+  if (!config) {
+    throw new Error('Encryption is not enabled');
+  }
+  return config;
+}
+
+ipcMain.handle('encryption-status', async () => {
+  try {
+    const config = getEncryptionConfig();
+    return { success: true, enabled: !!config, unlocked: !config || !!encryptionState.keys };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('clipboard-write-text', async (event, text) => {
+ipcMain.handle('encryption-unlock', async (event, passphrase) => {
   try {
-    clipboard.writeText(text);
+    const config = requireEncryptionConfig();
+    encryptionState.keys = await unlockKeyring(config, passphrase);
+
+    // A previous passphrase change was interrupted - finish re-encrypting with the new key
+    if (config.keys.length > 1) {
+      rewriteLibraryFiles();
+      retireOldKeys();
+    }
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-// Check microphone permissions (macOS specific)
-ipcMain.handle('check-microphone-permission', async () => {
-  if (process.platform === 'darwin') {
-    try {
-      const microphoneAccess = systemPreferences.getMediaAccessStatus('microphone');
-      console.log('Microphone access status:', microphoneAccess);
-      
-      if (microphoneAccess === 'not-determined') {
-        const granted = await systemPreferences.askForMediaAccess('microphone');
-        return { success: true, status: granted ? 'granted' : 'denied', requested: true };
-      }
-      
-      return { success: true, status: microphoneAccess, requested: false };
-    } catch (error) {
-      return { success: false, error: error.message };
+ipcMain.handle('encryption-enable', async (event, passphrase) => {
+  try {
+    if (getEncryptionConfig()) {
+      throw new Error('Encryption is already enabled');
     }
-  } else {
-    return { success: true, status: 'granted', requested: false };
+    validatePassphrase(passphrase);
+
+    const keyring = await createKeyring(passphrase);
+
+    // Save the wrapped key before sealing any file so an interrupted run can still be unlocked
+    writeEncryptionConfig({
+      version: 1,
+      kdf: ENCRYPTION_KDF,
+      salt: keyring.salt,
+      activeKeyId: keyring.keyId,
+      keys: [wrapKey(keyring.kek, keyring.keyId, keyring.dataKey)],
+      createdAt: new Date().toISOString()
+    });
+    encryptionState.keys = new Map([[keyring.keyId, keyring.dataKey]]);
+
+    const files = rewriteLibraryFiles();
+    return { success: true, files };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 });
 
-// App event handlers
-app.whenReady().then(createWindow);
+ipcMain.handle('encryption-change-passphrase', async (event, currentPassphrase, newPassphrase) => {
+  try {
+    const config = requireEncryptionConfig();
+    const oldKeys = await unlockKeyring(config, currentPassphrase);
+    validatePassphrase(newPassphrase);
+
+    const keyring = await createKeyring(newPassphrase);
+
+    // Old data keys stay in the keyring (under the new passphrase) until every file is re-encrypted
+    writeEncryptionConfig({
+      ...config,
+      kdf: ENCRYPTION_KDF,
+      salt: keyring.salt,
+      activeKeyId: keyring.keyId,
+      keys: [
+        ...[...oldKeys].map(([keyId, dataKey]) => wrapKey(keyring.kek, keyId, dataKey)),
+        wrapKey(keyring.kek, keyring.keyId, keyring.dataKey)
+      ],
+      updatedAt: new Date().toISOString()
+    });
+    encryptionState.keys = new Map([...oldKeys, [keyring.keyId, keyring.dataKey]]);
+
+    const files = rewriteLibraryFiles();
+    retireOldKeys();
+    return { success: true, files };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('encryption-disable', async (event, passphrase) => {
+  const config = getEncryptionConfig();
+  try {
+    if (!config) {
+      throw new Error('Encryption is not enabled');
+    }
+    encryptionState.keys = await unlockKeyring(config, passphrase);
+
+    // Files are written in plaintext while no config is active; the key file goes last
+    encryptionState.config = null;
+    const files = rewriteLibraryFiles();
+    fs.unlinkSync(getEncryptionFile());
+    encryptionState.keys = null;
+    return { success: true, files };
+  } catch (error) {
+    if (fs.existsSync(getEncryptionFile())) {
+      encryptionState.config = config;
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+function readLibraryIndex() {
+  const { indexFile } = ensureLibraryDirs();
+  if (!fs.existsSync(indexFile)) {
+    return { version: LIBRARY_INDEX_VERSION, items: [] };
+  }
+
+  const index = JSON.parse(readLibraryFile(indexFile).toString('utf8'));
+  if (!Array.isArray(index.items)) {
+    throw new Error('Recording library index is corrupted');
+  }
+  return index;
+}
+
+function writeLibraryIndex(index) {
+  const { indexFile } = ensureLibraryDirs();
+  writeLibraryFile(indexFile, JSON.stringify({ ...index, version: LIBRARY_INDEX_VERSION }, null, 2));
+}
+
+function findLibraryItemIndex(items, itemId) {
+  return items.findIndex(item => item.id === itemId || item.filename === itemId);
+}
+
+function getAudioFileName(itemId, mimeType) {
+  const baseType = (mimeType || '').split(';')[0].trim().toLowerCase();
+  const extension = AUDIO_EXTENSIONS[baseType] || '.bin';
+  return `${String(itemId).replace(/[^a-zA-Z0-9_-]/g, '_')}${extension}`;
+}
+
+function writeLibraryAudio(itemId, mimeType, data) {
+  const { audioDir } = ensureLibraryDirs();
+  const audioFile = getAudioFileName(itemId, mimeType);
+  const buffer = Buffer.from(data);
+  writeLibraryFile(path.join(audioDir, audioFile), buffer);
+  return { audioFile, audioType: mimeType, audioSize: buffer.length };
+}
+
+// The recorded audio plus any processed copies kept beside it (e.g. a noise-reduced version)
+function getItemAudioFiles(item) {
+  if (!item) return [];
+  const variants = Object.values(item.audioVariants || {}).map(variant => variant.audioFile);
+  return [item.audioFile, ...variants].filter(Boolean).map(file => path.basename(file));
+}
+
+function removeLibraryAudio(item) {
+  const { audioDir } = getLibraryPaths();
+  getItemAudioFiles(item).forEach(audioFile => {
+    const audioPath = path.join(audioDir, audioFile);
+    if (fs.existsSync(audioPath)) {
+      fs.unlinkSync(audioPath);
+    }
+  });
+}
+
+// Strip in-memory audio fields so only metadata ends up in the index
+function toIndexEntry(item) {
+  const { blob, blobData, ...entry } = item;
+  return entry;
+}
+
+ipcMain.handle('library-list', async () => {
+  try {
+    const index = readLibraryIndex();
+    return { success: true, items: index.items };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('library-add-item', async (event, item, audioData, mimeType) => {
+  try {
+    const index = readLibraryIndex();
+    const entry = toIndexEntry(item);
+
+    if (findLibraryItemIndex(index.items, entry.id) !== -1) {
+      throw new Error(`Recording ${entry.id} already exists in the library`);
+    }
+
+    if (audioData) {
+      Object.assign(entry, writeLibraryAudio(entry.id, mimeType, audioData));
+    }
+
+    index.items.unshift(entry);
+    writeLibraryIndex(index);
+    return { success: true, item: entry };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('library-update-item', async (event, item) => {
+  try {
+    const index = readLibraryIndex();
+    const position = findLibraryItemIndex(index.items, item.id || item.filename);
+
+    if (position === -1) {
+      throw new Error('Recording not found in library');
+    }
+
+    // Audio file references are owned by the library and cannot be overwritten here
+    const existing = index.items[position];
+    index.items[position] = {
+      ...toIndexEntry(item),
+      audioFile: existing.audioFile,
+      audioType: existing.audioType,
+      audioSize: existing.audioSize,
+      audioVariants: existing.audioVariants
+    };
+    writeLibraryIndex(index);
+    return { success: true, item: index.items[position] };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('library-read-audio', async (event, itemId, variantName = null) => {
+  try {
+    const index = readLibraryIndex();
+    const item = index.items[findLibraryItemIndex(index.items, itemId)];
+    const source = variantName ? item && item.audioVariants && item.audioVariants[variantName] : item;
+
+    if (!source || !source.audioFile) {
+      throw new Error('Recording audio not available');
+    }
+
+    const { audioDir } = getLibraryPaths();
+    const data = readLibraryFile(path.join(audioDir, path.basename(source.audioFile)));
+    return { success: true, data, mimeType: source.audioType || 'audio/webm' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('library-delete-item', async (event, itemId) => {
+  try {
+    const index = readLibraryIndex();
+    const position = findLibraryItemIndex(index.items, itemId);
+
+    if (position === -1) {
+      throw new Error('Recording not found in library');
+    }
+
+    const [removed] = index.items.splice(position, 1);
+    removeLibraryAudio(removed);
+    writeLibraryIndex(index);
+    return { success: true, item: removed };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Store a processed copy of a recording's audio next to the original, replacing any earlier copy of that kind
+ipcMain.handle('library-write-audio-variant', async (event, itemId, variantName, audioData, mimeType) => {
+  try {
+    const index = readLibraryIndex();
+    const position = findLibraryItemIndex(index.items, itemId);
+
+    if (position === -1) {
+      throw new Error('Recording not found in library');
+    }
+
+    const item = index.items[position];
+    const previous = item.audioVariants && item.audioVariants[variantName];
+    const variant = writeLibraryAudio(`${item.id}_${variantName}`, mimeType, audioData);
+    if (previous && previous.audioFile !== variant.audioFile) {
+      removeLibraryAudio({ audioFile: previous.audioFile });
+    }
+
+    index.items[position] = { ...item, audioVariants: { ...item.audioVariants, [variantName]: variant } };
+    writeLibraryIndex(index);
+    return { success: true, item: index.items[position] };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('library-remove-audio-variant', async (event, itemId, variantName) => {
+  try {
+    const index = readLibraryIndex();
+    const position = findLibraryItemIndex(index.items, itemId);
+
+    if (position === -1) {
+      throw new Error('Recording not found in library');
+    }
+
+    const { [variantName]: removed, ...audioVariants } = index.items[position].audioVariants || {};
+    removeLibraryAudio(removed);
+    index.items[position] = { ...index.items[position], audioVariants };
+    writeLibraryIndex(index);
+    return { success: true, item: index.items[position] };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete only the audio file, keeping the recording's transcript and analyses
+ipcMain.handle('library-remove-audio', async (event, itemId) => {
+  try {
+    const index = readLibraryIndex();
+    const position = findLibraryItemIndex(index.items, itemId);
+
+    if (position === -1) {
+      throw new Error('Recording not found in library');
+    }
+
+    const { audioFile, audioType, audioSize, audioVariants, ...entry } = index.items[position];
+    removeLibraryAudio({ audioFile, audioVariants });
+    index.items[position] = { ...entry, audioRemovedAt: new Date().toISOString() };
+    writeLibraryIndex(index);
+    return { success: true, item: index.items[position], freedBytes: audioSize || 0 };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('library-clear', async () => {
+  try {
+    const index = readLibraryIndex();
+    index.items.forEach(removeLibraryAudio);
+    writeLibraryIndex({ items: [] });
+    return { success: true, removed: index.items.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Auxiliary JSON data stored alongside the library (search index, etc.)
+const RESERVED_LIBRARY_DATA = ['index', 'encryption'];
+
+function getLibraryDataFile(name) {
+  const { root } = ensureLibraryDirs();
+  const baseName = path.basename(String(name));
+  if (RESERVED_LIBRARY_DATA.includes(baseName)) {
+    throw new Error(`"${baseName}" is reserved by the recording library`);
+  }
+  return path.join(root, `${baseName}.json`);
+}
+
+ipcMain.handle('library-read-data', async (event, name) => {
+  try {
+    const dataFile = getLibraryDataFile(name);
+    if (!fs.existsSync(dataFile)) {
+      return { success: true, data: null };
+    }
+    return { success: true, data: JSON.parse(readLibraryFile(dataFile).toString('utf8')) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('library-write-data', async (event, name, data) => {
+  try {
+    writeLibraryFile(getLibraryDataFile(name), JSON.stringify(data));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Import legacy localStorage history entries (audio stored as base64 data URLs)
+ipcMain.handle('library-migrate', async (event, legacyItems) => {
+  try {
+    const index = readLibraryIndex();
+    let migrated = 0;
+    let skipped = 0;
+    // Entries with nothing to identify them by are handed back so the renderer can keep them
+    const unmigrated = [];
+
+    for (const legacyItem of legacyItems || []) {
+      const itemId = legacyItem && (legacyItem.id || legacyItem.filename);
+      if (!itemId) {
+        unmigrated.push(legacyItem);
+        continue;
+      }
+      if (findLibraryItemIndex(index.items, itemId) !== -1) {
+        skipped++;
+        continue;
+      }
+
+      const entry = toIndexEntry({ ...legacyItem, id: itemId });
+      const match = typeof legacyItem.blobData === 'string'
+        ? legacyItem.blobData.match(/^data:([^;,]+)[^,]*;base64,(.*)$/)
+        : null;
+
+      if (match) {
+        Object.assign(entry, writeLibraryAudio(itemId, match[1], Buffer.from(match[2], 'base64')));
+      }
+
+      index.items.push(entry);
+      migrated++;
+    }
+
+    // Keep newest first, matching the order recordings are added in
+    index.items.sort((a, b) => new Date(b.timestamp || b.createdAt || 0) - new Date(a.timestamp || a.createdAt || 0));
+    writeLibraryIndex(index);
+    return { success: true, migrated, skipped, unmigrated };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Library backups - a gzipped tar archive with a manifest of SHA-256 checksums
+const BACKUP_FORMAT = 'call-summary-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_FILE_PREFIX = 'call-summary-backup-';
+const BACKUP_EXTENSION = '.csbackup';
+const BACKUP_SKIPPED_DATA = ['search-index.json']; // Rebuilt automatically after a restore
+
+// Extracted archives waiting for the user to choose merge or replace
+const pendingRestores = new Map();
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+function createTarHeader(name, size) {
+  let entryName = name;
+  let prefix = '';
+
+  // ustar splits long paths into a 155 byte prefix and a 100 byte name
+  if (Buffer.byteLength(entryName) > 100) {
+    const split = entryName.lastIndexOf('/', 155);
+    prefix = entryName.slice(0, split);
+    entryName = entryName.slice(split + 1);
+    if (split === -1 || Buffer.byteLength(entryName) > 100) {
+      throw new Error(`File name too long for backup archive: ${name}`);
+    }
+  }
+
+  const header = Buffer.alloc(512);
+  const writeOctal = (value, offset, length) => {
+    header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+  };
+
+  header.write(entryName, 0, 100, 'utf8');
+  writeOctal(0o644, 100, 8);
+  writeOctal(0, 108, 8);
+  writeOctal(0, 116, 8);
+  writeOctal(size, 124, 12);
+  writeOctal(Math.floor(Date.now() / 1000), 136, 12);
+  header.write('        ', 148, 8, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
+
+function parseTarHeader(header) {
+  const readString = (offset, length) => {
+    const field = header.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? length : end).toString('utf8');
+  };
+
+  const storedChecksum = parseInt(readString(148, 8).trim(), 8);
+  const checksum = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 32 : byte), 0);
+  if (storedChecksum !== checksum) {
+    throw new Error('Backup archive is corrupted (bad entry header)');
+  }
+
+  const type = readString(156, 1);
+  if (type !== '0' && type !== '') {
+    throw new Error('Backup archive contains unsupported entries');
+  }
+
+  const name = readString(0, 100);
+  const prefix = readString(345, 155);
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: parseInt(readString(124, 12).trim(), 8)
+  };
+}
+
+// Archive paths are untrusted input - keep every entry inside the extraction directory
+function resolveBackupPath(rootDir, name) {
+  if (!name || path.isAbsolute(name) || name.split(/[\\/]/).includes('..')) {
+    throw new Error(`Backup archive contains an invalid path: ${name}`);
+  }
+
+  const target = path.resolve(rootDir, name);
+  if (!target.startsWith(path.resolve(rootDir) + path.sep)) {
+    throw new Error(`Backup archive contains an invalid path: ${name}`);
+  }
+  return target;
+}
+
+async function writeBackupArchive(filePath, entries) {
+  const tempFile = `${filePath}.tmp`;
+  const gzip = zlib.createGzip();
+  const output = fs.createWriteStream(tempFile);
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+    gzip.on('error', reject);
+  });
+  gzip.pipe(output);
+
+  const write = (chunk) => new Promise(resolve => {
+    if (gzip.write(chunk)) {
+      resolve();
+    } else {
+      gzip.once('drain', resolve);
+    }
+  });
+
+  try {
+    for (const entry of entries) {
+      await write(createTarHeader(entry.name, entry.size));
+
+      if (entry.data) {
+        await write(entry.data);
+      } else {
+        for await (const chunk of fs.createReadStream(entry.source)) {
+          await write(chunk);
+        }
+      }
+
+      const padding = (512 - (entry.size % 512)) % 512;
+      if (padding > 0) {
+        await write(Buffer.alloc(padding));
+      }
+    }
+
+    // Two empty blocks mark the end of a tar archive
+    await write(Buffer.alloc(1024));
+    gzip.end();
+    await finished;
+
+    // Only replace an existing backup once the new one is complete
+    fs.renameSync(tempFile, filePath);
+  } catch (error) {
+    gzip.destroy();
+    output.destroy();
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+async function extractBackupArchive(filePath, targetDir) {
+  const names = [];
+  let buffer = Buffer.alloc(0);
+  let current = null;
+
+  const input = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+  try {
+    for await (const chunk of input) {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (true) {
+        if (current) {
+          const take = Math.min(current.remaining, buffer.length);
+          fs.writeSync(current.fd, buffer, 0, take);
+          buffer = buffer.subarray(take);
+          current.remaining -= take;
+          if (current.remaining > 0) break;
+
+          if (current.fd !== null) {
+            fs.closeSync(current.fd);
+            current.fd = null;
+          }
+
+          const skip = Math.min(current.padding, buffer.length);
+          buffer = buffer.subarray(skip);
+          current.padding -= skip;
+          if (current.padding > 0) break;
+          current = null;
+        }
+
+        if (buffer.length < 512) break;
+
+        const header = buffer.subarray(0, 512);
+        buffer = buffer.subarray(512);
+        if (header.every(byte => byte === 0)) {
+          return names;
+        }
+
+        const entry = parseTarHeader(header);
+        const target = resolveBackupPath(targetDir, entry.name);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        current = {
+          fd: fs.openSync(target, 'w'),
+          remaining: entry.size,
+          padding: (512 - (entry.size % 512)) % 512
+        };
+        names.push(entry.name);
+      }
+    }
+  } finally {
+    if (current && current.fd !== null) {
+      fs.closeSync(current.fd);
+    }
+  }
+
+  throw new Error('Backup archive is truncated');
+}
+
+async function verifyBackupFiles(stagingDir, manifest, names) {
+  const problems = [];
+  const listed = new Set(manifest.files.map(file => file.path));
+
+  for (const file of manifest.files) {
+    const filePath = resolveBackupPath(stagingDir, file.path);
+    if (!fs.existsSync(filePath)) {
+      problems.push(`${file.path} is missing`);
+    } else if (fs.statSync(filePath).size !== file.size || await sha256File(filePath) !== file.sha256) {
+      problems.push(`${file.path} does not match its checksum`);
+    }
+  }
+
+  names
+    .filter(name => name !== 'manifest.json' && !listed.has(name))
+    .forEach(name => problems.push(`${name} is not listed in the manifest`));
+
+  return problems;
+}
+
+// restore: { stagingDir, keys } - keys decrypt files from an encrypted library
+function readStagedFile(restore, relativePath) {
+  const data = fs.readFileSync(path.join(restore.stagingDir, relativePath));
+  return isEncryptedData(data) ? decryptData(restore.keys, data) : data;
+}
+
+// Drop references to audio the backup does not contain, collecting the missing file names
+function withoutMissingAudio(restore, entry, missingAudio) {
+  const isArchived = (audioFile) => audioFile && fs.existsSync(path.join(restore.stagingDir, 'library', 'audio', path.basename(audioFile)));
+  const restored = { ...entry };
+
+  if (restored.audioFile && !isArchived(restored.audioFile)) {
+    missingAudio.push(path.basename(restored.audioFile));
+    delete restored.audioFile;
+    delete restored.audioType;
+    delete restored.audioSize;
+  }
+  if (restored.audioVariants) {
+    restored.audioVariants = Object.fromEntries(Object.entries(restored.audioVariants).filter(([, variant]) => {
+      if (isArchived(variant.audioFile)) return true;
+      if (variant.audioFile) missingAudio.push(path.basename(variant.audioFile));
+      return false;
+    }));
+    if (Object.keys(restored.audioVariants).length === 0) {
+      delete restored.audioVariants;
+    }
+  }
+  return restored;
+}
+
+function readStagedJson(restore, relativePath) {
+  const filePath = path.join(restore.stagingDir, relativePath);
+  return fs.existsSync(filePath) ? JSON.parse(readStagedFile(restore, relativePath).toString('utf8')) : null;
+}
+
+function readStagedJsonDir(restore, relativeDir, exclude = []) {
+  const dir = path.join(restore.stagingDir, relativeDir);
+  if (!fs.existsSync(dir)) return {};
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && !exclude.includes(file))
+    .reduce((data, file) => {
+      data[path.basename(file, '.json')] = readStagedJson(restore, path.join(relativeDir, file));
+      return data;
+    }, {});
+}
+
+// Encrypted backups can be read with the current keys if they came from this library
+function canDecryptStagedBackup(backupEncryption) {
+  return !!encryptionState.keys && backupEncryption.keys.every(key => encryptionState.keys.has(key.id));
+}
+
+function discardPendingRestore(restoreId) {
+  const restore = pendingRestores.get(restoreId);
+  if (restore) {
+    fs.rmSync(restore.stagingDir, { recursive: true, force: true });
+    pendingRestores.delete(restoreId);
+  }
+}
+
+// options: { appData: { name: value } saved as app/<name>.json, textFiles: { fileName: text } }
+ipcMain.handle('backup-create', async (event, filePath, options = {}) => {
+  try {
+    const paths = ensureLibraryDirs();
+    const index = readLibraryIndex();
+    const entries = [];
+    const addData = (name, data) => {
+      const buffer = Buffer.from(data);
+      entries.push({ name, data: buffer, size: buffer.length, sha256: sha256(buffer) });
+    };
+
+    // Library files are archived as stored, so an encrypted library stays encrypted in its backups
+    if (fs.existsSync(paths.indexFile)) {
+      addData('library/index.json', fs.readFileSync(paths.indexFile));
+    }
+
+    // Audio missing from disk cannot be archived; restore leaves it out of the recordings that listed it
+    let audioFiles = 0;
+    const missingAudio = [];
+    for (const item of index.items) {
+      for (const audioFile of getItemAudioFiles(item)) {
+        const source = path.join(paths.audioDir, audioFile);
+        if (!fs.existsSync(source)) {
+          missingAudio.push(audioFile);
+          continue;
+        }
+
+        entries.push({
+          name: `library/audio/${audioFile}`,
+          source,
+          size: fs.statSync(source).size,
+          sha256: await sha256File(source)
+        });
+        audioFiles++;
+      }
+    }
+
+    fs.readdirSync(paths.root)
+      .filter(file => file.endsWith('.json') && file !== 'index.json' && !BACKUP_SKIPPED_DATA.includes(file))
+      .forEach(file => addData(`library/${file}`, fs.readFileSync(path.join(paths.root, file))));
+
+    Object.entries(options.appData || {}).forEach(([name, value]) => {
+      addData(`app/${path.basename(name)}.json`, JSON.stringify(value, null, 2));
+    });
+
+    // Plain text exports would leak transcripts from an encrypted library
+    const encrypted = !!getEncryptionConfig();
+    if (!encrypted) {
+      Object.entries(options.textFiles || {}).forEach(([name, text]) => {
+        addData(path.basename(name), text);
+      });
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      appVersion: app.getVersion(),
+      encrypted,
+      counts: { recordings: index.items.length, audioFiles, ...(options.counts || {}) },
+      missingAudio,
+      files: entries.map(entry => ({ path: entry.name, size: entry.size, sha256: entry.sha256 }))
+    };
+    const manifestData = Buffer.from(JSON.stringify(manifest, null, 2));
+    entries.unshift({ name: 'manifest.json', data: manifestData, size: manifestData.length });
+
+    await writeBackupArchive(filePath, entries);
+    return {
+      success: true,
+      filePath,
+      size: fs.statSync(filePath).size,
+      createdAt: manifest.createdAt,
+      counts: manifest.counts,
+      missingAudio
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Extract and verify a backup; it is kept staged until restored or discarded
+ipcMain.handle('backup-inspect', async (event, filePath) => {
+  let stagingDir = null;
+  try {
+    stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-summary-restore-'));
+    const names = await extractBackupArchive(filePath, stagingDir);
+
+    const manifest = readStagedJson({ stagingDir }, 'manifest.json');
+    if (!manifest || manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+      throw new Error('This file is not a Call Summary AI backup');
+    }
+    if (manifest.version > BACKUP_VERSION) {
+      throw new Error('This backup was created by a newer version of the app');
+    }
+
+    const problems = await verifyBackupFiles(stagingDir, manifest, names);
+    if (problems.length > 0) {
+      throw new Error(`Backup failed the integrity check: ${problems.slice(0, 3).join('; ')}${problems.length > 3 ? ` (and ${problems.length - 3} more)` : ''}`);
+    }
+
+    const restoreId = path.basename(stagingDir);
+    const encryption = readStagedJson({ stagingDir }, 'library/encryption.json');
+    const keys = encryption && canDecryptStagedBackup(encryption) ? encryptionState.keys : null;
+    pendingRestores.set(restoreId, { stagingDir, encryption, keys });
+    return {
+      success: true,
+      restoreId,
+      createdAt: manifest.createdAt,
+      appVersion: manifest.appVersion,
+      counts: manifest.counts,
+      needsPassphrase: !!encryption && !keys
+    };
+  } catch (error) {
+    if (stagingDir) {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+// Unlock an encrypted backup made with a passphrase other than the current one
+ipcMain.handle('backup-unlock', async (event, restoreId, passphrase) => {
+  try {
+    const restore = pendingRestores.get(restoreId);
+    if (!restore || !restore.encryption) {
+      throw new Error('Restore session expired. Please select the backup again.');
+    }
+
+    restore.keys = await unlockKeyring(restore.encryption, passphrase);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// mode 'merge' adds recordings that are not in the library yet; 'replace' discards the current library first
+ipcMain.handle('backup-restore', async (event, restoreId, mode) => {
+  try {
+    const restore = pendingRestores.get(restoreId);
+    if (!restore) {
+      throw new Error('Restore session expired. Please select the backup again.');
+    }
+    if (restore.encryption && !restore.keys) {
+      throw new Error('Enter the passphrase for this backup first');
+    }
+
+    // Restored files are re-written with this library's own encryption settings
+    const paths = ensureLibraryDirs();
+    const backupIndex = readStagedJson(restore, 'library/index.json') || { items: [] };
+    const libraryData = readStagedJsonDir(restore, 'library', ['index.json', 'encryption.json']);
+    const current = readLibraryIndex();
+    const items = mode === 'replace' ? [] : current.items;
+
+    // Stage every restored file beside its target first, so a restore that fails part way leaves the library as it was
+    const staged = [];
+    const stage = (filePath, data) => {
+      const stagedFile = `${filePath}.restore.tmp`;
+      fs.writeFileSync(stagedFile, sealLibraryData(data));
+      staged.push({ stagedFile, filePath });
+    };
+
+    let added = 0;
+    let skipped = 0;
+    const missingAudio = [];
+    try {
+      if (mode === 'replace') {
+        Object.entries(libraryData).forEach(([name, data]) => stage(getLibraryDataFile(name), JSON.stringify(data)));
+      }
+
+      for (const backupEntry of backupIndex.items) {
+        if (findLibraryItemIndex(items, backupEntry.id || backupEntry.filename) !== -1) {
+          skipped++;
+          continue;
+        }
+
+        const entry = withoutMissingAudio(restore, backupEntry, missingAudio);
+        for (const audioFile of getItemAudioFiles(entry)) {
+          stage(path.join(paths.audioDir, audioFile), readStagedFile(restore, path.join('library', 'audio', audioFile)));
+        }
+
+        items.push(entry);
+        added++;
+      }
+
+      items.sort((a, b) => new Date(b.timestamp || b.createdAt || 0) - new Date(a.timestamp || a.createdAt || 0));
+      stage(paths.indexFile, JSON.stringify({ items, version: LIBRARY_INDEX_VERSION }, null, 2));
+    } catch (error) {
+      staged.forEach(({ stagedFile }) => fs.rmSync(stagedFile, { force: true }));
+      throw error;
+    }
+
+    // Swap the staged files in. The index is staged last, so it never lists audio that is not in place yet
+    staged.forEach(({ stagedFile, filePath }) => fs.renameSync(stagedFile, filePath));
+
+    // Only then remove what the replaced library had and the backup did not
+    if (mode === 'replace') {
+      const restoredFiles = new Set(staged.map(({ filePath }) => filePath));
+      const previousFiles = [
+        ...current.items.flatMap(item => getItemAudioFiles(item).map(audioFile => path.join(paths.audioDir, audioFile))),
+        ...fs.readdirSync(paths.root)
+          .filter(file => file.endsWith('.json') && file !== 'index.json' && file !== 'encryption.json')
+          .map(file => path.join(paths.root, file))
+      ];
+      previousFiles
+        .filter(filePath => !restoredFiles.has(filePath) && fs.existsSync(filePath))
+        .forEach(filePath => fs.unlinkSync(filePath));
+    }
+
+    const appData = readStagedJsonDir(restore, 'app');
+    discardPendingRestore(restoreId);
+    return { success: true, added, skipped, missingAudio, appData, libraryData };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backup-discard', async (event, restoreId) => {
+  try {
+    discardPendingRestore(restoreId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete the oldest scheduled backups in a folder, keeping the newest `keep`
+ipcMain.handle('backup-prune', async (event, folder, keep) => {
+  try {
+    const backups = fs.readdirSync(folder)
+      .filter(file => file.startsWith(BACKUP_FILE_PREFIX) && file.endsWith(BACKUP_EXTENSION))
+      .map(file => ({ file, mtime: fs.statSync(path.join(folder, file)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+
+    const removed = backups.slice(Math.max(1, keep));
+    removed.forEach(backup => fs.unlinkSync(path.join(folder, backup.file)));
+    return { success: true, removed: removed.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Watched folders - new audio files are handed to the renderer for import, each one exactly once
+const WATCH_EXTENSIONS = ['.mp3', '.m4a', '.aac', '.ogg', '.opus', '.webm', '.wav', '.flac', '.mp4'];
+const WATCH_DEFAULT_POLL_SECONDS = 15;
+
+const watchState = {
+  started: false,
+  config: null,
+  ledger: null,
+  timer: null,
+  scanning: false,
+  pending: new Map(), // filePath -> { size, mtimeMs } seen on the previous scan
+  inFlight: new Set(), // files sent to the renderer and not yet acknowledged
+  status: {}
+};
+
+function getWatchPaths() {
+  const root = app.getPath('userData');
+  return {
+    configFile: path.join(root, 'watch-folders.json'),
+    ledgerFile: path.join(root, 'watch-ledger.json')
+  };
+}
+
+function readJsonFile(filePath, fallback) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+}
+
+function writeJsonFile(filePath, data) {
+  const tempFile = `${filePath}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tempFile, filePath);
+}
+
+function getWatchConfig() {
+  if (!watchState.config) {
+    watchState.config = readJsonFile(getWatchPaths().configFile, { folders: [], pollSeconds: WATCH_DEFAULT_POLL_SECONDS });
+  }
+  return watchState.config;
+}
+
+// Processed-file ledger keyed by path, size and modification time, so a file is never imported twice
+// but a new recording saved under an old filename still is
+const WATCH_LEDGER_VERSION = 2;
+
+function getWatchLedgerKey(filePath, size, modifiedAt) {
+  return `${filePath}|${size}|${modifiedAt}`;
+}
+
+function getWatchLedger() {
+  if (!watchState.ledger) {
+    const ledger = readJsonFile(getWatchPaths().ledgerFile, { version: WATCH_LEDGER_VERSION, files: {} });
+    if (ledger.version < WATCH_LEDGER_VERSION) {
+      // Version 1 was keyed by path alone
+      ledger.files = Object.fromEntries(Object.entries(ledger.files).map(([filePath, file]) =>
+        [getWatchLedgerKey(filePath, file.size, file.modifiedAt), { ...file, filePath }]));
+      ledger.version = WATCH_LEDGER_VERSION;
+    }
+    watchState.ledger = ledger;
+  }
+  return watchState.ledger;
+}
+
+function isWatchFolderAvailable(folderPath) {
+  return fs.existsSync(folderPath) && fs.statSync(folderPath).isDirectory();
+}
+
+// A folder that is missing (an unmounted drive, a disconnected share) is kept and marked unavailable
+function sanitizeWatchConfig(config) {
+  const folders = (config && Array.isArray(config.folders) ? config.folders : []).map(folder => {
+    if (!folder.path) {
+      throw new Error('Watched folder has no path');
+    }
+
+    return {
+      id: folder.id || crypto.randomBytes(6).toString('hex'),
+      path: path.resolve(folder.path),
+      available: isWatchFolderAvailable(folder.path),
+      enabled: folder.enabled !== false,
+      transcribe: !!folder.transcribe,
+      templateId: folder.templateId || null
+    };
+  });
+
+  const pollSeconds = Number(config && config.pollSeconds) || WATCH_DEFAULT_POLL_SECONDS;
+  return { folders, pollSeconds: Math.min(3600, Math.max(5, pollSeconds)) };
+}
+
+function sendWatchStatus(folder, state, message) {
+  const files = Object.values(getWatchLedger().files).filter(file => file.folderId === folder.id);
+  watchState.status[folder.id] = {
+    folderId: folder.id,
+    state,
+    message: message || '',
+    lastScanAt: new Date().toISOString(),
+    imported: files.filter(file => file.status === 'imported').length,
+    failed: files.filter(file => file.status === 'failed').length,
+    inProgress: [...watchState.inFlight].filter(filePath => path.dirname(filePath) === folder.path).length
+  };
+
+  if (mainWindow) {
+    mainWindow.webContents.send('watch-folder-status', watchState.status[folder.id]);
+  }
+}
+
+async function scanWatchedFolder(folder) {
+  const ledger = getWatchLedger();
+  const entries = await fs.promises.readdir(folder.path, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (!entry.isFile() || !WATCH_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+
+    const filePath = path.join(folder.path, entry.name);
+    if (watchState.inFlight.has(filePath)) continue;
+
+    const stats = await fs.promises.stat(filePath);
+    if (ledger.files[getWatchLedgerKey(filePath, stats.size, stats.mtime.toISOString())]) continue;
+
+    // Wait until the size is unchanged between two scans - the softphone may still be writing the file
+    const previous = watchState.pending.get(filePath);
+    if (!previous || previous.size !== stats.size || previous.mtimeMs !== stats.mtimeMs || stats.size === 0) {
+      watchState.pending.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs });
+      continue;
+    }
+
+    watchState.pending.delete(filePath);
+    watchState.inFlight.add(filePath);
+    mainWindow.webContents.send('watch-folder-file', {
+      folderId: folder.id,
+      filePath,
+      name: entry.name,
+      size: stats.size,
+      modifiedAt: stats.mtime.toISOString(),
+      transcribe: folder.transcribe,
+      templateId: folder.templateId
+    });
+  }
+}
+
+async function scanWatchedFolders() {
+  if (watchState.scanning || !mainWindow) return;
+
+  watchState.scanning = true;
+  try {
+    for (const folder of getWatchConfig().folders.filter(folder => folder.enabled)) {
+      if (!isWatchFolderAvailable(folder.path)) {
+        sendWatchStatus(folder, 'unavailable', 'Folder not found');
+        continue;
+      }
+      try {
+        await scanWatchedFolder(folder);
+        sendWatchStatus(folder, 'watching');
+      } catch (error) {
+        // Network mounts come and go; keep polling and report the problem
+        sendWatchStatus(folder, 'error', error.message);
+      }
+    }
+  } finally {
+    watchState.scanning = false;
+  }
+}
+
+function restartWatching() {
+  clearInterval(watchState.timer);
+  watchState.timer = null;
+  watchState.pending.clear();
+
+  const config = getWatchConfig();
+  if (watchState.started && config.folders.some(folder => folder.enabled)) {
+    watchState.timer = setInterval(scanWatchedFolders, config.pollSeconds * 1000);
+    scanWatchedFolders();
+  }
+}
+
+ipcMain.handle('watch-folders-get', async () => {
+  try {
+    const config = getWatchConfig();
+    const folders = config.folders.map(folder => ({ ...folder, available: isWatchFolderAvailable(folder.path) }));
+    return { success: true, config: { ...config, folders }, status: Object.values(watchState.status) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('watch-folders-save', async (event, config) => {
+  try {
+    const sanitized = sanitizeWatchConfig(config);
+    writeJsonFile(getWatchPaths().configFile, sanitized);
+    watchState.config = sanitized;
+    restartWatching();
+    return { success: true, config: sanitized };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Called by the renderer once the library is ready to accept recordings
+ipcMain.handle('watch-folders-start', async () => {
+  try {
+    // Files sent to a previous renderer instance were never acknowledged
+    watchState.inFlight.clear();
+    watchState.started = true;
+    restartWatching();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// result: { success, recordingId, error } - recorded in the ledger so the file is not picked up again
+ipcMain.handle('watch-folder-complete', async (event, fileInfo, result) => {
+  try {
+    const ledger = getWatchLedger();
+    ledger.files[getWatchLedgerKey(fileInfo.filePath, fileInfo.size, fileInfo.modifiedAt)] = {
+      filePath: fileInfo.filePath,
+      folderId: fileInfo.folderId,
+      size: fileInfo.size,
+      modifiedAt: fileInfo.modifiedAt,
+      status: result.success ? 'imported' : 'failed',
+      recordingId: result.recordingId || null,
+      error: result.error || null,
+      processedAt: new Date().toISOString()
+    };
+    writeJsonFile(getWatchPaths().ledgerFile, ledger);
+    watchState.inFlight.delete(fileInfo.filePath);
+
+    const folder = getWatchConfig().folders.find(candidate => candidate.id === fileInfo.folderId);
+    if (folder) {
+      sendWatchStatus(folder, 'watching');
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Forget failed files in a folder so the next scan tries them again
+ipcMain.handle('watch-folders-retry-failed', async (event, folderId) => {
+  try {
+    const ledger = getWatchLedger();
+    const failed = Object.keys(ledger.files)
+      .filter(key => ledger.files[key].folderId === folderId && ledger.files[key].status === 'failed');
+
+    failed.forEach(key => delete ledger.files[key]);
+    writeJsonFile(getWatchPaths().ledgerFile, ledger);
+    return { success: true, removed: failed.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Crash-safe recording - chunks are appended to a session file on disk as they are recorded,
+// so a crash or sleep during a call leaves a session that can be recovered on the next launch
+const RECORDING_SESSION_PATTERN = /^session_\d+$/;
+
+function getRecordingSessionsDir() {
+  const dir = path.join(app.getPath('userData'), 'recording-sessions');
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function getRecordingSessionPaths(sessionId) {
+  if (!RECORDING_SESSION_PATTERN.test(sessionId)) {
+    throw new Error('Invalid recording session');
+  }
+
+  const dir = path.join(getRecordingSessionsDir(), sessionId);
+  return {
+    dir,
+    infoFile: path.join(dir, 'session.json'),
+    audioFile: path.join(dir, 'audio.chunks')
+  };
+}
+
+// Each chunk is a record: length (4 bytes) | data, sealed like any library file when encryption is on.
+// A file cut off mid-write by a crash is still readable up to its last complete record
+function encodeSessionChunk(data) {
+  const payload = sealLibraryData(data);
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(payload.length);
+  return Buffer.concat([header, payload]);
+}
+
+function readSessionAudio(audioFile) {
+  const data = fs.existsSync(audioFile) ? fs.readFileSync(audioFile) : Buffer.alloc(0);
+  const chunks = [];
+
+  let offset = 0;
+  while (offset + 4 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    if (offset + 4 + length > data.length) break;
+
+    const payload = data.subarray(offset + 4, offset + 4 + length);
+    chunks.push(isEncryptedData(payload) ? decryptData(encryptionState.keys, payload) : payload);
+    offset += 4 + length;
+  }
+
+  return Buffer.concat(chunks);
+}
+
+// Marker notes are call content, so they are sealed like library files when encryption is on;
+// the rest of session.json stays readable so sessions can be listed while the library is locked
+function writeSessionInfo(filePath, info) {
+  const { markers, sealedMarkers, ...rest } = info;
+  if (markers && getEncryptionConfig()) {
+    rest.sealedMarkers = sealLibraryData(JSON.stringify(markers)).toString('base64');
+  } else if (markers) {
+    rest.markers = markers;
+  }
+  writeJsonFile(filePath, rest);
+}
+
+function readSessionInfo(filePath, fallback) {
+  const { sealedMarkers, ...info } = readJsonFile(filePath, fallback);
+  if (sealedMarkers) {
+    const data = Buffer.from(sealedMarkers, 'base64');
+    info.markers = JSON.parse((isEncryptedData(data) ? decryptData(encryptionState.keys, data) : data).toString('utf8'));
+  }
+  return info;
+}
+
+function listRecordingSessionIds() {
+  return fs.readdirSync(getRecordingSessionsDir()).filter(name => RECORDING_SESSION_PATTERN.test(name));
+}
+
+// Re-encode session audio as one record and reseal markers after encryption is enabled, disabled or re-keyed
+function rewriteRecordingSessions() {
+  const sessionIds = listRecordingSessionIds();
+
+  sessionIds.forEach(sessionId => {
+    const { infoFile, audioFile } = getRecordingSessionPaths(sessionId);
+    if (fs.existsSync(infoFile)) {
+      writeSessionInfo(infoFile, readSessionInfo(infoFile, {}));
+    }
+    if (!fs.existsSync(audioFile)) return;
+
+    const tempFile = `${audioFile}.tmp`;
+    fs.writeFileSync(tempFile, encodeSessionChunk(readSessionAudio(audioFile)));
+    fs.renameSync(tempFile, audioFile);
+  });
+  return sessionIds.length;
+}
+
+ipcMain.handle('recording-session-start', async (event, info = {}) => {
+  try {
+    const sessionId = `session_${Date.now()}`;
+    const paths = getRecordingSessionPaths(sessionId);
+    const now = new Date().toISOString();
+
+    fs.mkdirSync(paths.dir, { recursive: true });
+    writeSessionInfo(paths.infoFile, { ...info, id: sessionId, startedAt: now, updatedAt: now });
+    return { success: true, sessionId };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recording-session-append', async (event, sessionId, data) => {
+  try {
+    const paths = getRecordingSessionPaths(sessionId);
+    fs.appendFileSync(paths.audioFile, encodeSessionChunk(data));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recording-session-update', async (event, sessionId, info) => {
+  try {
+    const paths = getRecordingSessionPaths(sessionId);
+    const existing = readSessionInfo(paths.infoFile, {});
+    writeSessionInfo(paths.infoFile, { ...existing, ...info, id: sessionId, updatedAt: new Date().toISOString() });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Marker hotkeys are global so they work while the call app has focus, and only held while recording
+const MARKER_SHORTCUTS = {
+  'CommandOrControl+Alt+1': 'important',
+  'CommandOrControl+Alt+2': 'action-item',
+  'CommandOrControl+Alt+3': 'follow-up'
+};
+
+ipcMain.handle('recording-markers-shortcuts', async (event, enabled) => {
+  try {
+    const unavailable = [];
+    Object.entries(MARKER_SHORTCUTS).forEach(([accelerator, type]) => {
+      if (!enabled) {
+        globalShortcut.unregister(accelerator);
+      } else if (!globalShortcut.isRegistered(accelerator)) {
+        const registered = globalShortcut.register(accelerator, () => {
+          if (mainWindow) {
+            mainWindow.webContents.send('recording-marker-shortcut', type);
+          }
+        });
+        if (!registered) unavailable.push(accelerator);
+      }
+    });
+    if (unavailable.length > 0) {
+      return { success: false, error: `Shortcut already in use by another app: ${unavailable.join(', ')}` };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Sessions left on disk are recordings that were never saved to history or discarded
+ipcMain.handle('recording-sessions-list', async () => {
+  try {
+    const sessions = listRecordingSessionIds().map(sessionId => {
+      const paths = getRecordingSessionPaths(sessionId);
+      const { sealedMarkers, ...info } = readJsonFile(paths.infoFile, { id: sessionId });
+      const stats = fs.existsSync(paths.audioFile) ? fs.statSync(paths.audioFile) : null;
+      return {
+        ...info,
+        id: sessionId,
+        size: stats ? stats.size : 0,
+        lastWrittenAt: stats ? stats.mtime.toISOString() : info.updatedAt || null
+      };
+    });
+    return { success: true, sessions };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recording-session-read', async (event, sessionId) => {
+  try {
+    const paths = getRecordingSessionPaths(sessionId);
+    return {
+      success: true,
+      info: readSessionInfo(paths.infoFile, { id: sessionId }),
+      data: readSessionAudio(paths.audioFile)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recording-session-discard', async (event, sessionId) => {
+  try {
+    fs.rmSync(getRecordingSessionPaths(sessionId).dir, { recursive: true, force: true });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Clipboard operations
+ipcMain.handle('clipboard-read-text', async () => {
+  try {
+    const text = clipboard.readText();
+    return { success: true, text };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('clipboard-write-text', async (event, text) => {
+  try {
+    clipboard.writeText(text);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Check microphone permissions (macOS specific)
+ipcMain.handle('check-microphone-permission', async () => {
+  if (process.platform === 'darwin') {
+    try {
+      const microphoneAccess = systemPreferences.getMediaAccessStatus('microphone');
+      console.log('Microphone access status:', microphoneAccess);
+      
+      if (microphoneAccess === 'not-determined') {
+        const granted = await systemPreferences.askForMediaAccess('microphone');
+        return { success: true, status: granted ? 'granted' : 'denied', requested: true };
+      }
+      
+      return { success: true, status: microphoneAccess, requested: false };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  } else {
+    return { success: true, status: 'granted', requested: false };
+  }
+});
+
+// App event handlers
+app.whenReady().then(createWindow);
+
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
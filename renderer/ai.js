@@ -386,12 +386,12 @@ Please be concise but comprehensive, focusing on actionable information.`;
     }
 
     // Legacy method for backward compatibility - delegates to TranscriptionService
-    async transcribeWithWhisper(audioBlob, apiKey, language = 'auto') {
+    async transcribeWithWhisper(audioBlob, apiKey, language = 'auto', channelLayout = null) {
         if (!window.TranscriptionService) {
             throw new Error('TranscriptionService not available. Please ensure transcription-service.js is loaded.');
         }
         
-        const config = { apiKey, language };
+        const config = { apiKey, language, channelLayout };
         const transcriptionService = new window.TranscriptionService();
         return await transcriptionService.transcribeWithOpenAIWhisper(audioBlob, config);
     }
@@ -6,13 +6,14 @@ class AnalysisResultsManager {
     constructor() {
         this.currentResults = [];
         this.resultsHistory = [];
-        this.storageKey = 'analysisResultsHistory';
+        this.storageKey = 'analysisResultsHistory'; // Legacy localStorage key
+        this.libraryStorageName = 'analysis-results';
         this.maxHistoryItems = 100;
         this.init();
     }
 
     init() {
-        this.loadResultsHistory();
+        this.ready = this.loadResultsHistory();
         this.setupEventListeners();
     }
 
@@ -655,29 +656,33 @@ class AnalysisResultsManager {
     }
 
     /**
-     * Load results history from storage
+     * Load results history from the recording library, moving any legacy localStorage copy into it
      */
-    loadResultsHistory() {
+    async loadResultsHistory() {
         try {
-            const saved = localStorage.getItem(this.storageKey);
-            if (saved) {
-                this.resultsHistory = JSON.parse(saved);
+            await window.recordingLibrary.ready;
+            const saved = await window.recordingLibrary.readData(this.libraryStorageName);
+            const legacy = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+
+            // Results added while loading are newer than anything on disk
+            this.resultsHistory = [...this.resultsHistory, ...(saved ? saved.history : []), ...legacy]
+                .slice(0, this.maxHistoryItems);
+
+            if (legacy.length > 0) {
+                await window.recordingLibrary.writeData(this.libraryStorageName, { version: 1, history: this.resultsHistory });
+                localStorage.removeItem(this.storageKey);
             }
         } catch (error) {
             console.error('Error loading results history:', error);
-            this.resultsHistory = [];
         }
     }
 
     /**
-     * Save results history to storage
+     * Save results history to the recording library
      */
     saveResultsHistory() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.resultsHistory));
-        } catch (error) {
-            console.error('Error saving results history:', error);
-        }
+        window.recordingLibrary.writeData(this.libraryStorageName, { version: 1, history: this.resultsHistory })
+            .catch(error => console.error('Error saving results history:', error));
     }
 
     /**
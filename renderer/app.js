@@ -3,12 +3,19 @@ const { ipcRenderer } = require('electron');
 class CallSummaryApp {
     constructor() {
         this.isRecording = false;
+        this.isPaused = false;
         this.recordingStartTime = null;
+        this.recordingStoppedAt = null;
+        this.pauseStartedAt = null;
+        this.pausedDuration = 0;
+        this.recordingPauses = [];
+        this.recordingChunkMs = 5000;
         this.timerInterval = null;
         this.mediaRecorder = null;
         this.audioChunks = [];
         this.currentConfig = this.loadConfig();
         this.audioManager = new AudioManager();
+        this.audioEncoder = new RecordingEncoder(this.audioManager);
         this.deviceTestInProgress = false;
         this.transcriptManager = new TranscriptManager();
         this.isProcessingAudio = false;
@@ -84,6 +91,14 @@ class CallSummaryApp {
             this.toggleRecording();
         });
 
+        document.getElementById('pauseButton').addEventListener('click', () => {
+            this.togglePause();
+        });
+
+        if (window.uiManager) {
+            window.uiManager.registerShortcut('F8', () => this.togglePause(), 'Pause or resume recording');
+        }
+
         document.getElementById('refreshDevices').addEventListener('click', async () => {
             const refreshBtn = document.getElementById('refreshDevices');
             const originalText = refreshBtn.innerHTML;
@@ -580,6 +595,10 @@ Debug Information:
             this.resetConfiguration();
         });
 
+        this.setupPreprocessingSettings();
+        this.setupAudioEncodingSettings();
+        window.playbackVisualization.render(this.getVisualizationConfig().playbackMode);
+
         // History controls
         document.getElementById('exportHistory').addEventListener('click', () => {
             this.exportHistory();
@@ -605,6 +624,10 @@ Debug Information:
             }
         });
 
+        ipcRenderer.on('menu-toggle-pause', () => {
+            this.togglePause();
+        });
+
 
 
         ipcRenderer.on('menu-test-api', () => {
@@ -682,6 +705,7 @@ Debug Information:
             // Populate device selects
             this.populateDeviceSelect('inputDevice', deviceResult.input);
             this.populateDeviceSelect('outputDevice', deviceResult.output);
+            this.populateSecondSourceSelect(deviceResult.fallback ? [] : deviceResult.input);
             
             // Show appropriate notification
             if (deviceResult.fallback) {
@@ -703,6 +727,9 @@ Debug Information:
             
         } finally {
             this.setDeviceLoadingState(false);
+            // Rebuilding the device lists resets them, so show the selected preset's devices again
+            window.recordingPresets.render();
+            window.recordingPresets.applyDevices();
         }
     }
 
@@ -878,6 +905,34 @@ Debug Information:
         }
     }
 
+    /**
+     * Second source choices: none, system audio, or another input device such as a loopback device
+     */
+    populateSecondSourceSelect(devices) {
+        const select = document.getElementById('secondSource');
+        const previous = select.value;
+
+        select.innerHTML = `
+            <option value="">None (microphone only)</option>
+            <option value="system">System audio (what you hear)</option>
+        `;
+        if (devices.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'Input devices';
+            devices.forEach((device, index) => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `Input ${index + 1}`;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        }
+
+        if ([...select.options].some(option => option.value === previous)) {
+            select.value = previous;
+        }
+    }
+
     populateDeviceSelect(selectId, devices) {
         const select = document.getElementById(selectId);
         select.innerHTML = '';
@@ -933,7 +988,11 @@ Debug Information:
         }
     }
 
-    async startRecording() {
+    /**
+     * options.deviceId/secondSource override the devices selected in Audio Controls, options.presetId the
+     * selected preset, and options.trigger describes what started a recording automatically (see RecordingScheduler)
+     */
+    async startRecording(options = {}) {
         // Prevent starting if already recording or processing
         if (this.isRecording || this.isProcessingAudio) {
             console.warn('Cannot start recording: already recording or processing audio');
@@ -941,18 +1000,36 @@ Debug Information:
         }
         
         try {
+            // A recording started by hand takes the device, so voice activation stops listening
+            if (!options.trigger) {
+                window.recordingScheduler.disarm();
+            }
+
             // Ensure complete cleanup before starting new recording
             await this.cleanupRecordingSession();
+            if (this.currentRecording) {
+                // An unsaved preview is dropped by starting over, so its crash-recovery copy goes too
+                await window.recordingRecovery.finishSession();
+            }
             this.closeRecordingPreview();
             this.currentRecording = null;
             
-            const inputDeviceId = document.getElementById('inputDevice').value;
+            const inputDeviceId = options.deviceId !== undefined ? options.deviceId : document.getElementById('inputDevice').value;
+            const secondSource = options.secondSource !== undefined ? options.secondSource : document.getElementById('secondSource').value;
+            if (secondSource && secondSource === inputDeviceId) {
+                throw new Error('Choose a second source other than the microphone');
+            }
             
-            // Use AudioManager's enhanced stream creation
-            const stream = await this.audioManager.createRecordingStream(inputDeviceId, {
-                sampleRate: 44100,
-                channels: 1
-            });
+            // Use AudioManager's enhanced stream creation; a second source is recorded on its own channel
+            const presets = window.recordingPresets;
+            const preset = options.presetId !== undefined ? presets.get(options.presetId) : presets.getSelected();
+            const streamOptions = presets.getStreamOptions(preset);
+            const stream = secondSource
+                ? await this.audioManager.createDualSourceStream(inputDeviceId, secondSource, streamOptions)
+                : await this.audioManager.createRecordingStream(inputDeviceId, streamOptions);
+            this.channelLayout = secondSource ? this.getChannelLayout(secondSource) : null;
+            this.recordingTrigger = options.trigger || null;
+            this.recordingPreset = preset;
             
             this.mediaRecorder = new MediaRecorder(stream);
             this.audioChunks = [];
@@ -960,6 +1037,7 @@ Debug Information:
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
                     this.audioChunks.push(event.data);
+                    window.recordingRecovery.appendChunk(event.data);
                 }
             };
 
@@ -975,11 +1053,24 @@ Debug Information:
                     await this.cleanupRecordingSession();
                     this.showNotification('Recording failed to save: ' + error.message, 'error');
                 }
+                await window.recordingScheduler.recordingReady();
             };
 
-            this.mediaRecorder.start();
+            await window.recordingRecovery.startSession({
+                mimeType: this.mediaRecorder.mimeType,
+                deviceLabel: this.getRecordingDeviceInfo().deviceLabel
+            });
+
+            // Emit chunks periodically so they reach disk while recording, not only at the end
+            this.mediaRecorder.start(this.recordingChunkMs);
             this.isRecording = true;
+            this.isPaused = false;
             this.recordingStartTime = Date.now();
+            this.recordingStoppedAt = null;
+            this.pauseStartedAt = null;
+            this.pausedDuration = 0;
+            this.recordingPauses = [];
+            window.recordingMarkers.start();
 
             // Start real-time visualization and level monitoring
             this.startRecordingVisualization();
@@ -997,8 +1088,17 @@ Debug Information:
 
     stopRecording() {
         if (this.mediaRecorder && this.isRecording) {
+            const now = Date.now();
+            if (this.isPaused) {
+                this.endPause(now);
+            }
+            this.recordingStoppedAt = now;
+            window.recordingRecovery.updateSession({ timeline: this.getRecordingTimeline() });
+
             this.mediaRecorder.stop();
             this.mediaRecorder.stream.getTracks().forEach(track => track.stop());
+            this.audioManager.releaseSourceStreams();
+            window.recordingMarkers.stop();
             
             this.isRecording = false;
             this.stopTimer();
@@ -1010,12 +1110,103 @@ Debug Information:
         }
     }
 
+    togglePause() {
+        if (!this.isRecording) return;
+
+        if (this.isPaused) {
+            this.resumeRecording();
+        } else {
+            this.pauseRecording();
+        }
+    }
+
+    /**
+     * Stop capturing without ending the recording; the paused time is left out of the audio
+     */
+    pauseRecording() {
+        if (!this.isRecording || this.isPaused || !this.mediaRecorder || this.mediaRecorder.state !== 'recording') {
+            return;
+        }
+
+        this.mediaRecorder.pause();
+        this.isPaused = true;
+        this.pauseStartedAt = Date.now();
+        this.audioManager.pauseVisualization();
+        this.updateRecordingUI();
+
+        this.showNotification('Recording paused', 'info');
+    }
+
+    resumeRecording() {
+        if (!this.isRecording || !this.isPaused || !this.mediaRecorder || this.mediaRecorder.state !== 'paused') {
+            return;
+        }
+
+        this.mediaRecorder.resume();
+        this.endPause(Date.now());
+        window.recordingRecovery.updateSession({ timeline: this.getRecordingTimeline() });
+        this.audioManager.resumeVisualization();
+        this.updateRecordingUI();
+
+        this.showNotification('Recording resumed', 'info');
+    }
+
+    endPause(endedAt) {
+        this.recordingPauses.push({
+            // Position in the recorded audio where the gap falls
+            offset: this.getRecordingElapsed() / 1000,
+            startedAt: new Date(this.pauseStartedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            duration: (endedAt - this.pauseStartedAt) / 1000
+        });
+        this.pausedDuration += endedAt - this.pauseStartedAt;
+        this.pauseStartedAt = null;
+        this.isPaused = false;
+    }
+
+    /**
+     * Milliseconds of audio captured: time since the start, minus pauses, frozen while paused or stopped
+     */
+    getRecordingElapsed() {
+        if (!this.recordingStartTime) return 0;
+
+        const end = this.pauseStartedAt || this.recordingStoppedAt || Date.now();
+        return end - this.recordingStartTime - this.pausedDuration;
+    }
+
+    /**
+     * Wall-clock start and end of the recording plus its pauses. A transcript time t seconds into
+     * the audio happened at startedAt + t + the durations of all pauses whose offset is <= t
+     */
+    getRecordingTimeline() {
+        if (!this.recordingStartTime) return null;
+
+        return {
+            startedAt: new Date(this.recordingStartTime).toISOString(),
+            stoppedAt: this.recordingStoppedAt ? new Date(this.recordingStoppedAt).toISOString() : null,
+            pausedDuration: this.pausedDuration / 1000,
+            pauses: this.recordingPauses.map(pause => ({ ...pause }))
+        };
+    }
+
     updateRecordingUI() {
         const recordButton = document.getElementById('recordButton');
+        const pauseButton = document.getElementById('pauseButton');
+        const timerElement = document.getElementById('recordingTimer');
         const statusIndicator = document.getElementById('statusIndicator');
         const statusDot = statusIndicator.querySelector('.status-dot');
         const statusText = statusIndicator.querySelector('.status-text');
 
+        pauseButton.style.display = this.isRecording ? '' : 'none';
+        pauseButton.setAttribute('aria-pressed', String(this.isPaused));
+        pauseButton.innerHTML = this.isPaused
+            ? '<i class="fas fa-play" aria-hidden="true"></i><span>Resume</span><span class="keyboard-hint">F8</span>'
+            : '<i class="fas fa-pause" aria-hidden="true"></i><span>Pause</span><span class="keyboard-hint">F8</span>';
+        if (timerElement) {
+            timerElement.classList.toggle('paused', this.isPaused);
+        }
+        statusDot.classList.toggle('paused', this.isPaused);
+
         if (this.isRecording) {
             recordButton.innerHTML = '<i class="fas fa-stop"></i><span>Stop Recording</span>';
             recordButton.classList.add('recording');
@@ -1023,7 +1214,7 @@ Debug Information:
             recordButton.classList.add('btn-danger');
             
             statusDot.classList.add('recording');
-            statusText.textContent = 'Recording...';
+            statusText.textContent = this.isPaused ? 'Paused' : 'Recording...';
         } else {
             recordButton.innerHTML = '<i class="fas fa-play"></i><span>Start Recording</span>';
             recordButton.classList.remove('recording');
@@ -1037,8 +1228,7 @@ Debug Information:
 
     startTimer() {
         this.timerInterval = setInterval(() => {
-            const elapsed = Date.now() - this.recordingStartTime;
-            this.updateTimerDisplay(elapsed);
+            this.updateTimerDisplay(this.getRecordingElapsed());
         }, 100); // Update every 100ms for smoother display
     }
 
@@ -1072,18 +1262,23 @@ Debug Information:
         // Create visualization canvas if it doesn't exist
         this.createVisualizationCanvas();
         
-        // Start waveform visualization
+        // Start the visualization picked in the mode selector
         const canvas = document.getElementById('liveWaveformCanvas');
         if (canvas && this.audioManager.analyser) {
             this.audioManager.startVisualization(canvas, {
-                type: 'frequency',
+                type: this.getVisualizationConfig().liveMode,
                 colorScheme: 'blue',
                 backgroundColor: '#f8fafc',
-                smoothing: 0.8
+                smoothing: 0.8,
+                clipCanvas: document.getElementById('liveClipCanvas')
             });
         }
     }
 
+    getVisualizationConfig() {
+        return { liveMode: 'frequency', playbackMode: 'off', ...this.currentConfig.visualization };
+    }
+
     createVisualizationCanvas() {
         // Check if canvas already exists
         if (document.getElementById('liveWaveformCanvas')) return;
@@ -1096,18 +1291,43 @@ Debug Information:
         const canvasContainer = document.createElement('div');
         canvasContainer.className = 'live-visualization';
         canvasContainer.innerHTML = `
-            <label>Live Audio:</label>
+            <div class="visualization-header">
+                <label for="liveVisualizationMode">Live Audio:</label>
+                <select id="liveVisualizationMode" class="form-control" title="Visualization mode">
+                    <option value="frequency">Frequency bars</option>
+                    <option value="waveform">Waveform</option>
+                    <option value="spectrogram">Spectrogram</option>
+                    <option value="channels">Channel meters</option>
+                    <option value="level">Level meter</option>
+                </select>
+            </div>
             <canvas id="liveWaveformCanvas" width="300" height="60"></canvas>
+            <div class="clip-history">
+                <span>Clipping</span>
+                <canvas id="liveClipCanvas" width="300" height="8" role="img" aria-label="Clipping history"></canvas>
+            </div>
         `;
 
         // Insert after audio level meter
         audioLevelContainer.parentNode.insertBefore(canvasContainer, audioLevelContainer.nextSibling);
+
+        const modeSelect = document.getElementById('liveVisualizationMode');
+        modeSelect.value = this.getVisualizationConfig().liveMode;
+        modeSelect.addEventListener('change', () => {
+            this.currentConfig.visualization = { ...this.getVisualizationConfig(), liveMode: modeSelect.value };
+            this.saveConfig();
+            // Switch straight away while recording; the clipping history carries on
+            if (this.audioManager.isAnalyzing) {
+                this.startRecordingVisualization();
+            }
+        });
     }
 
     startAudioLevelMonitoring() {
+        // The level meter worklet reports about every 50ms
         this.audioManager.startLevelMonitoring((levels) => {
             this.updateAudioLevelDisplay(levels);
-        }, 50); // Update every 50ms
+        });
     }
 
     updateAudioLevelDisplay(levels) {
@@ -1135,6 +1355,29 @@ Debug Information:
         if (levelText) {
             levelText.textContent = `${percentage}%`;
         }
+
+        this.updateChannelLevelDisplay(levels.channels);
+    }
+
+    /**
+     * Separate meters for the microphone and the second source of a dual-source recording
+     */
+    updateChannelLevelDisplay(channels) {
+        const container = document.getElementById('channelLevels');
+        if (!container) return;
+
+        container.style.display = channels ? '' : 'none';
+        if (!channels) return;
+
+        channels.forEach((channel, index) => {
+            const bar = container.querySelector(`[data-channel-level="${index}"]`);
+            if (!bar) return;
+
+            const percentage = Math.round(channel.level * 100);
+            bar.style.width = `${percentage}%`;
+            bar.setAttribute('aria-valuenow', percentage);
+            bar.classList.toggle('level-bar-hot', channel.peak > 0.95);
+        });
     }
 
     updatePeakIndicator(peak) {
@@ -1174,6 +1417,7 @@ Debug Information:
         if (levelBar) {
             levelBar.style.width = '0%';
         }
+        this.updateChannelLevelDisplay(null);
         
         // Remove live visualization canvas
         const liveCanvas = document.getElementById('liveWaveformCanvas');
@@ -1217,7 +1461,6 @@ Debug Information:
             // Create initial audio blob with proper MIME type
             const rawBlob = new Blob(this.audioChunks, { type: 'audio/webm;codecs=opus' });
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `call_recording_${timestamp}.webm`;
 
             console.log('Created raw audio blob:', {
                 size: rawBlob.size,
@@ -1236,11 +1479,35 @@ Debug Information:
             // Process and optimize audio
             console.log('Starting audio processing...');
             const processedAudio = await this.processRecordingAudio(rawBlob);
+            const filename = `call_recording_${timestamp}.${this.audioEncoder.getExtension(processedAudio.blob)}`;
             console.log('Audio processing completed successfully');
             
             // Collect comprehensive metadata
             console.log('Starting metadata collection...');
             const metadata = await this.collectRecordingMetadata(processedAudio.blob, timestamp);
+            if (processedAudio.preprocessing) {
+                metadata.preprocessing = processedAudio.preprocessing;
+                if (processedAudio.preprocessing.sampleRate) {
+                    metadata.audioSettings = {
+                        sampleRate: processedAudio.preprocessing.sampleRate,
+                        channels: processedAudio.preprocessing.channels
+                    };
+                }
+            }
+            if (this.channelLayout) {
+                metadata.channelLayout = this.channelLayout;
+            }
+            if (this.recordingTrigger) {
+                metadata.trigger = this.recordingTrigger;
+            }
+            if (this.recordingPreset) {
+                metadata.preset = window.recordingPresets.describeForRecording(this.recordingPreset);
+                metadata.tags = [...this.recordingPreset.tags];
+            }
+            const markers = window.recordingMarkers.getMarkers();
+            if (markers.length > 0) {
+                metadata.markers = markers;
+            }
             console.log('Metadata collection completed successfully');
             
             // Store recording data for preview
@@ -1249,8 +1516,8 @@ Debug Information:
                 filename: filename,
                 timestamp: timestamp,
                 duration: this.getRecordingDuration(),
-                sampleRate: 44100,
-                channels: 1,
+                sampleRate: metadata.audioSettings.sampleRate,
+                channels: metadata.audioSettings.channels,
                 size: processedAudio.blob.size,
                 originalSize: rawBlob.size,
                 quality: processedAudio.quality,
@@ -1321,24 +1588,18 @@ Debug Information:
                 throw new Error('Audio manager not initialized');
             }
             
-            // Ensure we have a proper WAV blob
-            let processedBlob = audioBlob;
-            
-            // Skip WAV conversion entirely - WebM/Opus is perfect for AI transcription
-            // Most transcription services (Whisper, etc.) accept WebM/Opus directly
-            console.log('Using original audio format for transcription compatibility:', {
-                originalSize: audioBlob.size,
-                type: audioBlob.type,
-                format: 'WebM/Opus (transcription-ready)'
-            });
-            
-            processedBlob = audioBlob;
-            
-            const quality = await this.analyzeAudioQuality(processedBlob);
+            // Quality is judged on the recording as captured, before preprocessing and the save profile change it
+            const quality = await this.analyzeAudioQuality(audioBlob);
+            // The "original" profile stores the recording exactly as captured; settings show preprocessing as off for it
+            const preprocessed = this.isPreprocessingAvailable()
+                ? await this.preprocessRecordingAudio(audioBlob)
+                : { blob: audioBlob, preprocessing: null };
+            const processedBlob = await this.optimizeAudioFile(audioBlob, preprocessed.blob, quality);
             
             return {
                 blob: processedBlob,
                 quality: quality,
+                preprocessing: preprocessed.preprocessing,
                 compressionRatio: audioBlob.size > 0 ? processedBlob.size / audioBlob.size : 1
             };
             
@@ -1359,17 +1620,28 @@ Debug Information:
     async analyzeAudioQuality(audioBlob) {
         try {
             const audioInfo = await this.audioManager.getAudioInfo(audioBlob);
+
+            let audioBuffer = null;
+            let decodeError = null;
+            try {
+                audioBuffer = await this.audioManager.decodeAudioBlob(audioBlob);
+            } catch (error) {
+                decodeError = error;
+            }
+
+            // <audio> reports an Infinity duration for MediaRecorder WebM, so take it from the decoded samples
+            const duration = audioBuffer ? audioBuffer.duration : (isFinite(audioInfo.duration) ? audioInfo.duration : 0);
             const quality = {
                 score: 'good',
                 issues: [],
                 recommendations: [],
-                duration: audioInfo.duration,
+                duration,
                 fileSize: audioBlob.size,
-                estimatedBitrate: (audioBlob.size * 8) / audioInfo.duration
+                estimatedBitrate: duration > 0 ? (audioBlob.size * 8) / duration : 0
             };
 
             // Check duration
-            if (audioInfo.duration < 5) {
+            if (duration > 0 && duration < 5) {
                 quality.issues.push('Very short recording (< 5 seconds)');
                 quality.recommendations.push('Consider longer recordings for better transcription accuracy');
             }
@@ -1382,11 +1654,25 @@ Debug Information:
                 quality.score = 'warning';
             }
 
-            // Check estimated bitrate
-            if (quality.estimatedBitrate < 64000) {
-                quality.issues.push('Low audio quality detected');
-                quality.recommendations.push('Use higher sample rate for better quality');
-                quality.score = 'poor';
+            // Check the decoded samples
+            if (audioBuffer) {
+                const activity = this.audioManager.detectVoiceActivity(audioBuffer);
+                const signal = this.audioManager.analyzeSignal(audioBuffer, activity);
+                quality.speechRatio = activity.speechRatio;
+                quality.speechDuration = activity.speechDuration;
+                quality.levels = {
+                    peakDb: signal.peakDb,
+                    rmsDb: signal.rmsDb,
+                    noiseFloorDb: signal.noiseFloorDb,
+                    snrDb: signal.snrDb,
+                    clippingPercent: signal.clippingPercent
+                };
+                quality.timeline = signal.events;
+
+                this.applySignalChecks(quality, activity, signal);
+            } else {
+                console.warn('Sample analysis failed:', decodeError);
+                quality.issues.push('Could not analyze the audio samples');
             }
 
             return quality;
@@ -1401,10 +1687,186 @@ Debug Information:
         }
     }
 
-    async optimizeAudioFile(audioBlob, quality) {
-        // For now, return original blob
-        // In future, could implement compression based on quality analysis
-        return audioBlob;
+    /**
+     * Turn sample measurements into issues and recommendations; the worst check decides the score
+     */
+    applySignalChecks(quality, activity, signal) {
+        const severity = { good: 0, warning: 1, poor: 2 };
+        const flag = (score, issue, recommendation) => {
+            quality.issues.push(issue);
+            if (recommendation && !quality.recommendations.includes(recommendation)) {
+                quality.recommendations.push(recommendation);
+            }
+            if (severity[score] > severity[quality.score]) {
+                quality.score = score;
+            }
+        };
+        const countOf = (type) => signal.events.filter(event => event.type === type).length;
+
+        if (activity.regions.length === 0) {
+            flag('poor', 'No speech detected', 'Check that the right microphone was selected and is not muted');
+            return;
+        }
+
+        if (signal.clippingPercent > 0.01) {
+            flag(signal.clippingPercent > 1 ? 'poor' : 'warning',
+                `Clipping in ${signal.clippingPercent.toFixed(2)}% of samples (${countOf('clipping')} places)`,
+                'Lower the microphone input level or sit further from the microphone; clipped speech cannot be repaired');
+        }
+
+        if (signal.peakDb < -20) {
+            flag('warning', `Very quiet recording (peaks at ${Math.round(signal.peakDb)} dBFS)`,
+                'Raise the microphone input level, or keep loudness normalization on in Settings');
+        }
+
+        if (signal.snrDb !== null && signal.snrDb < 15) {
+            flag(signal.snrDb < 10 ? 'poor' : 'warning',
+                `High background noise (speech is ${Math.round(signal.snrDb)} dB above the noise floor of ${Math.round(signal.noiseFloorDb)} dBFS)`,
+                'Use a headset microphone, move away from fans and traffic, or record in a quieter room');
+        }
+
+        const dropouts = countOf('dropout');
+        if (dropouts > 0) {
+            flag('warning', `${dropouts} dropout${dropouts === 1 ? '' : 's'} where the audio cut out`,
+                'Close other apps using audio, and prefer a wired headset over Bluetooth');
+        }
+
+        const silences = signal.events.filter(event => event.type === 'silence');
+        if (silences.length > 0) {
+            const total = silences.reduce((sum, event) => sum + event.end - event.start, 0);
+            flag('good', `${silences.length} silent stretch${silences.length === 1 ? '' : 'es'} of 30 seconds or more (${this.formatDuration(total * 1000)} in total)`,
+                this.getPreprocessingConfig().silenceMode === 'off'
+                    ? 'Turn on silence trimming in Settings to avoid paying to transcribe silence'
+                    : null);
+        }
+    }
+
+    /**
+     * Run the speech preprocessing steps enabled in settings. Returns { blob, preprocessing } where
+     * preprocessing records the steps applied and the resulting format, or null if nothing was enabled
+     */
+    async preprocessRecordingAudio(audioBlob) {
+        const settings = this.getPreprocessingConfig();
+        if (this.channelLayout) {
+            // Dual-source recordings keep each source on its own channel
+            settings.downmix = false;
+        }
+        if (!settings.resample && !settings.downmix && !settings.highPass && !settings.normalize) {
+            return { blob: audioBlob, preprocessing: null };
+        }
+
+        try {
+            let steps = [];
+            const wavBlob = await this.audioManager.processAudioBuffer(await audioBlob.arrayBuffer(), {
+                decodeTimeoutMs: 60000,
+                preprocessing: settings,
+                onPreprocessed: (applied) => { steps = applied; }
+            });
+            const audioInfo = await this.audioManager.getWavInfo(wavBlob);
+
+            console.log('Audio preprocessed:', steps);
+            return {
+                blob: wavBlob,
+                preprocessing: { steps, sampleRate: audioInfo.sampleRate, channels: audioInfo.channels }
+            };
+        } catch (error) {
+            console.warn('Audio preprocessing failed, keeping original:', error);
+            return { blob: audioBlob, preprocessing: { steps: [], error: error.message } };
+        }
+    }
+
+    getPreprocessingConfig() {
+        return { ...this.audioManager.getDefaultPreprocessing(), ...this.currentConfig.audioPreprocessing };
+    }
+
+    setupPreprocessingSettings() {
+        const container = document.getElementById('preprocessingSettings');
+        container.addEventListener('change', (e) => {
+            const field = e.target.dataset.preprocessField;
+            if (!field) return;
+
+            let value = e.target.value;
+            if (e.target.type === 'checkbox') {
+                value = e.target.checked;
+            } else if (e.target.type === 'number') {
+                value = parseFloat(e.target.value);
+            }
+            if (Number.isNaN(value)) {
+                value = this.audioManager.getDefaultPreprocessing()[field];
+                e.target.value = value;
+            }
+            this.currentConfig.audioPreprocessing = { ...this.getPreprocessingConfig(), [field]: value };
+            this.saveConfig();
+        });
+    }
+
+    /**
+     * Re-encode the (possibly preprocessed) audio with the save profile and record on quality.compression
+     * how the stored file compares to the captured recording. Falls back to the unencoded audio if encoding fails
+     */
+    async optimizeAudioFile(capturedBlob, audioBlob, quality) {
+        const profileId = this.getAudioEncodingConfig().saveProfile;
+        const profile = this.audioEncoder.getProfile(profileId);
+
+        let storedBlob = audioBlob;
+        let outcome;
+        try {
+            const result = await this.audioEncoder.encode(audioBlob, profileId, { keepChannels: !!this.channelLayout });
+            storedBlob = result.blob;
+            outcome = { skipped: result.skipped };
+        } catch (error) {
+            console.warn('Audio encoding failed, keeping unencoded audio:', error);
+            outcome = { error: error.message };
+        }
+
+        quality.compression = {
+            profile: profile.label,
+            originalSize: capturedBlob.size,
+            encodedSize: storedBlob.size,
+            savedAsRecorded: storedBlob === capturedBlob,
+            ...outcome
+        };
+        console.log('Audio encoded for saving:', quality.compression);
+        return storedBlob;
+    }
+
+    getAudioEncodingConfig() {
+        const defaults = { saveProfile: this.audioEncoder.defaultProfile, uploadProfile: this.audioEncoder.defaultProfile };
+        return { ...defaults, ...this.currentConfig.audioEncoding };
+    }
+
+    setupAudioEncodingSettings() {
+        const options = Object.entries(this.audioEncoder.profiles).map(([id, profile]) =>
+            `<option value="${id}" title="${profile.description}">${profile.label}</option>`
+        ).join('');
+
+        const config = this.getAudioEncodingConfig();
+        [['audioSaveProfile', 'saveProfile'], ['audioUploadProfile', 'uploadProfile']].forEach(([elementId, key]) => {
+            const select = document.getElementById(elementId);
+            select.innerHTML = options;
+            select.value = config[key];
+            select.addEventListener('change', () => {
+                this.currentConfig.audioEncoding = { ...this.getAudioEncodingConfig(), [key]: select.value };
+                this.saveConfig();
+                this.updatePreprocessingAvailability();
+            });
+        });
+        this.updatePreprocessingAvailability();
+    }
+
+    /**
+     * Save-time preprocessing would change the audio, which the "original" save profile promises to keep as recorded
+     */
+    isPreprocessingAvailable() {
+        return !this.audioEncoder.keepsOriginal(this.getAudioEncodingConfig().saveProfile);
+    }
+
+    updatePreprocessingAvailability() {
+        const available = this.isPreprocessingAvailable();
+        document.querySelectorAll('#preprocessingSettings [data-preprocess-stage="save"]').forEach(input => {
+            input.disabled = !available;
+        });
+        document.getElementById('preprocessingOriginalNote').hidden = available;
     }
 
     async collectRecordingMetadata(audioBlob, timestamp) {
@@ -1417,7 +1879,9 @@ Debug Information:
                 sampleRate: 44100,
                 channels: 1
             },
+            timeline: this.getRecordingTimeline(),
             tags: [],
+            folder: '',
             participants: [],
             notes: '',
             category: 'general',
@@ -1439,6 +1903,36 @@ Debug Information:
         return metadata;
     }
 
+    /**
+     * Which source went to which channel, so transcripts can later tell "me" from "them"
+     */
+    getChannelLayout(secondSource) {
+        const labelOf = (select) => {
+            const option = select.options[select.selectedIndex];
+            return option ? option.textContent.trim() : 'Unknown';
+        };
+
+        return {
+            mode: 'dual-source',
+            channels: [
+                {
+                    channel: 0,
+                    role: 'me',
+                    source: 'microphone',
+                    deviceId: document.getElementById('inputDevice').value || null,
+                    label: labelOf(document.getElementById('inputDevice'))
+                },
+                {
+                    channel: 1,
+                    role: 'them',
+                    source: secondSource === 'system' ? 'system' : 'device',
+                    deviceId: secondSource === 'system' ? null : secondSource,
+                    label: labelOf(document.getElementById('secondSource'))
+                }
+            ]
+        };
+    }
+
     getRecordingDeviceInfo() {
         const inputDevice = document.getElementById('inputDevice');
         const selectedOption = inputDevice.options[inputDevice.selectedIndex];
@@ -1453,7 +1947,7 @@ Debug Information:
     getRecordingDuration() {
         if (!this.recordingStartTime) return '00:00';
         
-        const duration = Date.now() - this.recordingStartTime;
+        const duration = this.getRecordingElapsed();
         const minutes = Math.floor(duration / 60000);
         const seconds = Math.floor((duration % 60000) / 1000);
         
@@ -1564,33 +2058,7 @@ Debug Information:
         
         console.log('Text input handlers setup complete for', textInputs.length, 'inputs');
         console.log('Electron clipboard API should be available via IPC');
-        
-        // Migrate existing recordings if needed
-        this.migrateExistingRecordings();
-    }
 
-    migrateExistingRecordings() {
-        try {
-            const history = JSON.parse(localStorage.getItem('callHistory') || '[]');
-            let needsMigration = false;
-            
-            history.forEach(item => {
-                // Check if item has a blob object that got stringified incorrectly
-                if (item.blob && typeof item.blob === 'object' && !item.blobData) {
-                    // This blob is likely corrupted from JSON.stringify
-                    console.warn('Found corrupted blob data for recording:', item.name);
-                    delete item.blob; // Remove the corrupted blob
-                    needsMigration = true;
-                }
-            });
-            
-            if (needsMigration) {
-                localStorage.setItem('callHistory', JSON.stringify(history));
-                console.log('Migrated existing recordings');
-            }
-        } catch (error) {
-            console.error('Failed to migrate existing recordings:', error);
-        }
     }
 
     showRecordingPreview() {
@@ -1645,6 +2113,13 @@ Debug Information:
             return;
         }
         
+        if (window.noiseReduction) {
+            window.noiseReduction.reset(this.currentRecording);
+        }
+        if (window.recordingEditor) {
+            window.recordingEditor.reset(this.currentRecording);
+        }
+        
         // Populate basic recording info
         document.getElementById('previewDuration').textContent = this.currentRecording.duration;
         document.getElementById('previewFileSize').textContent = this.formatFileSize(this.currentRecording.size);
@@ -1663,9 +2138,6 @@ Debug Information:
         // Set up filename editing with validation
         this.setupFilenameEditing();
         
-        // Set up waveform visualization
-        this.setupWaveformVisualization(audio);
-        
         // Set up cleanup on page unload
         this.setupPageUnloadCleanup();
         
@@ -1836,6 +2308,40 @@ Debug Information:
         }
     }
 
+    switchPreviewAudio(blob) {
+        this.switchPlayerAudio(document.getElementById('previewAudio'), blob, 'preview-audio');
+    }
+
+    /**
+     * Swap a player's audio (e.g. for an A/B comparison), keeping the position and play state
+     */
+    switchPlayerAudio(audio, blob, identifier) {
+        const oldUrl = audio.src && audio.src.startsWith('blob:') ? audio.src : null;
+        const position = audio.currentTime;
+        const wasPlaying = !audio.paused;
+
+        const audioUrl = this.createManagedBlobUrl(blob, identifier);
+        // The preview player guards its source against being replaced
+        if (identifier === 'preview-audio') {
+            this.setupAudioPlayerEvents(audio, audioUrl, blob);
+        }
+        audio.src = audioUrl;
+        audio.load();
+        audio.addEventListener('loadedmetadata', () => {
+            audio.currentTime = Math.min(position, audio.duration || position);
+            if (wasPlaying) {
+                audio.play().catch(error => console.warn('Could not resume preview playback:', error));
+            }
+        }, { once: true });
+
+        if (oldUrl) {
+            URL.revokeObjectURL(oldUrl);
+            if (this.activeBlobUrls) {
+                this.activeBlobUrls.delete(oldUrl);
+            }
+        }
+    }
+
     // Get blob from URL for recovery purposes
     getBlobFromUrl(url) {
         if (this.blobUrlMap && this.blobUrlMap.has(url)) {
@@ -2195,17 +2701,6 @@ Debug Information:
             
             this.showNotification(errorMessage, 'error');
         });
-
-        // Update waveform progress during playback
-        audio.addEventListener('timeupdate', () => {
-            try {
-                if (audio && audio.readyState >= 1) { // HAVE_METADATA or higher
-                    this.updateWaveformProgress(audio.currentTime, audio.duration);
-                }
-            } catch (error) {
-                console.error('Error updating waveform progress:', error);
-            }
-        });
     }
 
     displayQualityInfo(quality) {
@@ -2215,6 +2710,13 @@ Debug Information:
             qualitySection = document.createElement('div');
             qualitySection.id = 'qualityInfo';
             qualitySection.className = 'quality-info-section';
+            qualitySection.addEventListener('click', (e) => {
+                const event = e.target.closest('[data-seek]');
+                const audio = document.getElementById('previewAudio');
+                if (event && audio) {
+                    audio.currentTime = parseFloat(event.dataset.seek);
+                }
+            });
             
             // Insert after preview details
             const previewDetails = document.querySelector('.preview-details');
@@ -2260,10 +2762,85 @@ Debug Information:
                         <span>Estimated Bitrate: ${Math.round(quality.estimatedBitrate / 1000)} kbps</span>
                     </div>
                 ` : ''}
+                ${quality.speechRatio !== undefined ? `
+                    <div class="quality-stats">
+                        <span>Speech: ${Math.round(quality.speechRatio * 100)}% (${this.formatDuration(quality.speechDuration * 1000)} of ${this.formatDuration(quality.duration * 1000)})</span>
+                    </div>
+                ` : ''}
+                ${quality.levels ? `
+                    <div class="quality-stats">
+                        <span>Peak ${this.formatDecibels(quality.levels.peakDb)}</span>
+                        <span>RMS ${this.formatDecibels(quality.levels.rmsDb)}</span>
+                        <span>Noise floor ${this.formatDecibels(quality.levels.noiseFloorDb)}</span>
+                        ${quality.levels.snrDb !== null ? `<span>SNR ${Math.round(quality.levels.snrDb)} dB</span>` : ''}
+                        <span>Clipping ${quality.levels.clippingPercent.toFixed(2)}%</span>
+                    </div>
+                ` : ''}
+                ${quality.timeline && quality.timeline.length > 0 ? this.renderQualityTimeline(quality) : ''}
+                ${quality.compression ? `
+                    <div class="quality-stats quality-compression">
+                        <span>${this.describeCompression(quality.compression)}</span>
+                    </div>
+                ` : ''}
             </div>
         `;
     }
 
+    formatDecibels(value) {
+        return Number.isFinite(value) ? `${Math.round(value)} dBFS` : '-&infin; dBFS';
+    }
+
+    /**
+     * One track per issue type with each event placed along the recording; clicking an event seeks the preview
+     */
+    renderQualityTimeline(quality) {
+        const labels = { clipping: 'Clipping', dropout: 'Dropouts', silence: 'Long silence' };
+        const duration = quality.duration || 1;
+
+        return `
+            <div class="quality-timeline">
+                ${Object.entries(labels).map(([type, label]) => {
+                    const events = quality.timeline.filter(event => event.type === type);
+                    if (events.length === 0) return '';
+
+                    return `
+                        <div class="quality-timeline-row">
+                            <span class="quality-timeline-label">${label}</span>
+                            <div class="quality-timeline-track">
+                                ${events.map(event => {
+                                    const time = this.formatDuration(event.start * 1000);
+                                    const detail = type === 'clipping' ? ` (${event.count} samples)` : '';
+                                    return `<button type="button" class="quality-timeline-event ${type}" data-seek="${event.start}"
+                                                style="left: ${(event.start / duration) * 100}%; width: ${((event.end - event.start) / duration) * 100}%;"
+                                                title="${label} at ${time}${detail}" aria-label="${label} at ${time}"></button>`;
+                                }).join('')}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    describeCompression(compression) {
+        const reason = compression.error
+            ? `${compression.profile} failed: ${compression.error}`
+            : compression.skipped && compression.skipped.toLowerCase();
+        // Recordings saved before savedAsRecorded was tracked only fell back to the captured audio
+        const asRecorded = compression.savedAsRecorded !== undefined ? compression.savedAsRecorded : !!reason;
+        if (asRecorded) {
+            return `Saved as recorded, ${this.formatFileSize(compression.originalSize)}${reason ? ` (${reason})` : ''}`;
+        }
+
+        const sizes = `${this.formatFileSize(compression.originalSize)} &rarr; ${this.formatFileSize(compression.encodedSize)}`;
+        if (reason) {
+            return `Saved as preprocessed WAV, ${sizes} (${reason})`;
+        }
+
+        const change = Math.round((1 - compression.encodedSize / compression.originalSize) * 100);
+        return `${compression.profile}: ${sizes} (${Math.abs(change)}% ${change >= 0 ? 'smaller' : 'larger'})`;
+    }
+
     displayRecordingMetadata(metadata) {
         // Create or update metadata section
         let metadataSection = document.getElementById('metadataInfo');
@@ -2300,6 +2877,14 @@ Debug Information:
                         <label>Platform:</label>
                         <span>${metadata.platform}</span>
                     </div>
+                    ${metadata.preprocessing ? `
+                        <div class="metadata-item">
+                            <label>Processing:</label>
+                            <span>${metadata.preprocessing.error
+                                ? `Skipped (${metadata.preprocessing.error})`
+                                : this.audioManager.describePreprocessing(metadata.preprocessing.steps)}</span>
+                        </div>
+                    ` : ''}
                     ${metadata.technicalInfo ? `
                         <div class="metadata-item">
                             <label>Actual Duration:</label>
@@ -2308,13 +2893,14 @@ Debug Information:
                     ` : ''}
                 </div>
                 
+                <div class="metadata-folder">
+                    <label>Folder:</label>
+                    <div id="recordingFolderPicker"></div>
+                </div>
+                
                 <div class="metadata-tags">
                     <label>Tags:</label>
-                    <div class="tag-input-container">
-                        <input type="text" id="recordingTags" class="form-control" 
-                               placeholder="Add tags (comma separated)..." 
-                               value="${metadata.tags ? metadata.tags.join(', ') : ''}">
-                    </div>
+                    <div class="tag-input-container" id="recordingTagEditor"></div>
                 </div>
                 
                 <div class="metadata-notes">
@@ -2340,6 +2926,47 @@ Debug Information:
 
         // Set up metadata change listeners
         this.setupMetadataChangeListeners();
+        this.setupOrganizationControls(
+            document.getElementById('recordingFolderPicker'),
+            document.getElementById('recordingTagEditor'),
+            metadata,
+            () => { metadata.lastModified = new Date().toISOString(); }
+        );
+    }
+
+    async setupOrganizationControls(folderContainer, tagContainer, metadata, onChange) {
+        const organizer = window.libraryOrganizer;
+        if (!organizer || !folderContainer || !tagContainer) return;
+
+        await organizer.ready;
+        const items = await window.recordingLibrary.getItems().catch(() => []);
+        const suggestions = organizer.getTagCounts(items).map(entry => entry.tag);
+
+        organizer.renderFolderPicker(folderContainer, metadata.folder || '', (folder) => {
+            metadata.folder = folder;
+            onChange();
+        }, items);
+
+        organizer.renderTagEditor(tagContainer, metadata.tags || [], (tags) => {
+            metadata.tags = tags;
+            onChange();
+        }, suggestions);
+    }
+
+    setupDetailOrganization(recording) {
+        if (!recording.metadata) {
+            recording.metadata = { tags: [], folder: '' };
+        }
+
+        this.setupOrganizationControls(
+            document.getElementById('detailFolderPicker'),
+            document.getElementById('detailTagEditor'),
+            recording.metadata,
+            () => {
+                recording.metadata.lastModified = new Date().toISOString();
+                this.updateRecordingInHistory(recording);
+            }
+        );
     }
 
     setupFilenameEditing() {
@@ -2440,7 +3067,7 @@ Debug Information:
 
     setupMetadataChangeListeners() {
         // Update metadata when fields change
-        ['recordingTags', 'recordingNotes', 'recordingCategory'].forEach(id => {
+        ['recordingNotes', 'recordingCategory'].forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 element.addEventListener('change', () => {
@@ -2453,14 +3080,9 @@ Debug Information:
     updateRecordingMetadata() {
         if (!this.currentRecording || !this.currentRecording.metadata) return;
 
-        const tagsElement = document.getElementById('recordingTags');
+        // Tags and folder are kept up to date by the organization controls
         const notesElement = document.getElementById('recordingNotes');
         const categoryElement = document.getElementById('recordingCategory');
-
-        if (tagsElement) {
-            const tags = tagsElement.value.split(',').map(tag => tag.trim()).filter(tag => tag);
-            this.currentRecording.metadata.tags = tags;
-        }
         
         if (notesElement) {
             this.currentRecording.metadata.notes = notesElement.value;
@@ -2473,21 +3095,6 @@ Debug Information:
         this.currentRecording.metadata.lastModified = new Date().toISOString();
     }
 
-    updateWaveformProgress(currentTime, duration) {
-        const canvas = document.getElementById('waveformCanvas');
-        if (!canvas || !duration || duration === 0 || isNaN(duration)) return;
-        
-        if (!currentTime || isNaN(currentTime)) return;
-
-        const progress = currentTime / duration;
-        const progressWidth = canvas.width * progress;
-        
-        // Add progress indicator (simple overlay)
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = 'rgba(37, 99, 235, 0.3)';
-        ctx.fillRect(0, 0, progressWidth, canvas.height);
-    }
-
     async closeRecordingPreview() {
         const previewSection = document.getElementById('recordingPreviewSection');
         const audio = document.getElementById('previewAudio');
@@ -2567,6 +3174,7 @@ Debug Information:
         if (this.audioManager) {
             await this.audioManager.cleanup();
         }
+        window.recordingMarkers.stop();
         
         // Remove any live visualization canvas that might still exist
         const liveCanvas = document.getElementById('liveWaveformCanvas');
@@ -2576,6 +3184,8 @@ Debug Information:
         
         // Reset recording state
         this.isRecording = false;
+        this.isPaused = false;
+        this.pauseStartedAt = null;
         this.recordingStartTime = null;
         this.audioChunks = [];
         this.isProcessingAudio = false;
@@ -2606,6 +3216,7 @@ Debug Information:
         if (confirm('Are you sure you want to discard this recording? This action cannot be undone.')) {
             this.closeRecordingPreview();
             this.currentRecording = null;
+            window.recordingRecovery.finishSession();
             this.showNotification('Recording discarded', 'info');
             
             // Scroll back to recording controls
@@ -2631,6 +3242,18 @@ Debug Information:
         // Update metadata with current form values
         this.updateRecordingMetadata();
 
+        // Re-encode audio edited in the preview; split points save it as several recordings
+        let parts = null;
+        if (window.recordingEditor) {
+            try {
+                parts = await window.recordingEditor.exportParts();
+            } catch (error) {
+                console.error('Failed to prepare edited audio:', error);
+                this.showNotification(`Failed to save edited audio: ${error.message}`, 'error');
+                return;
+            }
+        }
+
         // Create enhanced recording entry for history
         const permanentId = `recording_${Date.now()}`;
         const now = new Date();
@@ -2648,13 +3271,25 @@ Debug Information:
             channels: this.currentRecording.channels,
             blob: this.currentRecording.blob,
             transcription: this.currentRecording.transcription || null,
+            transcriptVersions: this.currentRecording.transcriptVersions || [],
+            analysis: this.currentRecording.analysis || {},
             interactions: [],
             // Enhanced metadata
             metadata: this.currentRecording.metadata || {},
             quality: this.currentRecording.quality || {},
             deviceInfo: this.currentRecording.deviceInfo || {},
+            noiseReduction: this.currentRecording.noiseReduction || null,
             version: '1.2' // Track data format version
         };
+        const entries = parts ? this.createEditedEntries(recordingEntry, parts) : [recordingEntry];
+
+        // The preview's waveform peaks are cached with each saved item so it never has to be decoded for them again
+        const entryPeaks = parts ? parts.map(part => part.peaks) : [window.recordingEditor && window.recordingEditor.peaks];
+        entries.forEach((entry, index) => {
+            if (entryPeaks[index]) {
+                entry.waveformThumbnail = window.waveformPeaks.createThumbnail(entryPeaks[index]);
+            }
+        });
 
         // Transfer Q&A conversation from temporary ID to permanent ID
         if (this.currentRecordingId && this.currentRecordingId !== permanentId) {
@@ -2671,13 +3306,31 @@ Debug Information:
         this.lastRecordingBlob = this.currentRecording.blob;
         this.lastRecordingFilename = customFilename;
 
-        // Add to history
+        // Add to history. Parts saved before a failure are remembered so a retry does not save them twice
         try {
-            await this.addToHistory(recordingEntry);
+            const savedParts = this.currentRecording.savedParts || 0;
+            for (let i = savedParts; i < entries.length; i++) {
+                await this.addToHistory(entries[i]);
+                this.currentRecording.savedParts = i + 1;
+                if (entryPeaks[i]) {
+                    await window.waveformPeaks.save(entries[i], entryPeaks[i]);
+                }
+            }
+            if (this.currentRecording.denoisedBlob && entries.length === 1) {
+                // The recording itself is saved by now, so a failure here must not offer to save it again
+                await window.recordingLibrary.saveAudioVariant(permanentId, 'denoised', this.currentRecording.denoisedBlob)
+                    .catch(error => {
+                        console.error('Failed to save noise-reduced audio:', error);
+                        this.showNotification(`Noise-reduced audio was not saved: ${error.message}`, 'warning');
+                    });
+            }
+            await window.recordingRecovery.finishSession();
             
             // Close modal and show success
             this.closeRecordingPreview();
-            this.showNotification(`Recording "${customFilename}" saved to history`, 'success');
+            this.showNotification(entries.length > 1
+                ? `Recording "${customFilename}" saved to history as ${entries.length} recordings`
+                : `Recording "${customFilename}" saved to history`, 'success');
         } catch (error) {
             console.error('Failed to save recording to history:', error);
             this.showNotification(`Failed to save recording: ${error.message}`, 'error');
@@ -2688,6 +3341,47 @@ Debug Information:
         this.currentRecording = null;
     }
 
+    /**
+     * History entries for audio edited in the preview: one per part, each with its own re-encoded file
+     */
+    createEditedEntries(recordingEntry, parts) {
+        const baseId = parseInt(recordingEntry.id.replace('recording_', ''), 10);
+        const baseFilename = recordingEntry.filename.replace(/\.[^.]+$/, '');
+        const originalDuration = window.recordingEditor.sourceBuffer.duration;
+
+        return parts.map((part, index) => {
+            const extension = this.audioEncoder.getExtension(part.blob);
+            const entry = {
+                ...recordingEntry,
+                id: `recording_${baseId + index}`,
+                duration: this.formatDuration(part.duration * 1000),
+                size: part.blob.size,
+                blob: part.blob,
+                metadata: {
+                    ...recordingEntry.metadata,
+                    markers: part.markers.length > 0 ? part.markers : undefined,
+                    edit: { originalDuration, part: index + 1, parts: parts.length, start: part.start, end: part.end }
+                }
+            };
+
+            if (parts.length === 1) {
+                entry.filename = `${baseFilename}.${extension}`;
+                return entry;
+            }
+
+            // A transcript or noise-reduced copy covers the whole edited recording, not a single part
+            return {
+                ...entry,
+                name: `${recordingEntry.name} (Part ${index + 1} of ${parts.length})`,
+                filename: `${baseFilename}_part${index + 1}.${extension}`,
+                transcription: null,
+                transcriptVersions: [],
+                analysis: {},
+                noiseReduction: null
+            };
+        });
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         
@@ -2711,78 +3405,10 @@ Debug Information:
         }
     }
 
-    setupWaveformVisualization(audioElement) {
-        const canvas = document.getElementById('waveformCanvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Set canvas size
-        canvas.width = 400;
-        canvas.height = 60;
-        
-        // Clear canvas
-        ctx.fillStyle = '#1e293b';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        // Create a simple waveform visualization
-        audioElement.addEventListener('loadeddata', () => {
-            this.drawStaticWaveform(ctx, canvas.width, canvas.height);
-        });
-        
-        // Update progress during playback
-        audioElement.addEventListener('timeupdate', () => {
-            try {
-                if (audioElement && audioElement.readyState >= 1) { // HAVE_METADATA or higher
-                    this.updateWaveformProgress(ctx, canvas.width, canvas.height, audioElement);
-                }
-            } catch (error) {
-                console.error('Error updating waveform progress:', error);
-            }
-        });
-    }
-
-    drawStaticWaveform(ctx, width, height) {
-        // Draw a simple static waveform representation
-        ctx.fillStyle = '#475569';
-        
-        const barWidth = 3;
-        const barGap = 1;
-        const numBars = Math.floor(width / (barWidth + barGap));
-        
-        for (let i = 0; i < numBars; i++) {
-            const barHeight = Math.random() * height * 0.8 + height * 0.1;
-            const x = i * (barWidth + barGap);
-            const y = (height - barHeight) / 2;
-            
-            ctx.fillRect(x, y, barWidth, barHeight);
-        }
-    }
-
-    updateWaveformProgress(ctx, width, height, audioElement) {
-        // Add comprehensive null checks
-        if (!audioElement || !audioElement.duration || audioElement.duration === 0 || isNaN(audioElement.duration)) {
-            return;
-        }
-        
-        if (!audioElement.currentTime || isNaN(audioElement.currentTime)) {
-            return;
-        }
-        
-        const progress = audioElement.currentTime / audioElement.duration;
-        const progressWidth = width * progress;
-        
-        // Redraw the waveform
-        ctx.fillStyle = '#1e293b';
-        ctx.fillRect(0, 0, width, height);
-        
-        // Draw static waveform
-        this.drawStaticWaveform(ctx, width, height);
-        
-        // Draw progress overlay
-        ctx.fillStyle = '#2563eb';
-        ctx.fillRect(0, 0, progressWidth, height);
-        ctx.globalCompositeOperation = 'source-atop';
-        this.drawStaticWaveform(ctx, progressWidth, height);
-        ctx.globalCompositeOperation = 'source-over';
+    drawStaticWaveform(ctx, width, height, peaks, progress = 0) {
+        // Draw the recording's real amplitude; played audio is highlighted up to progress (in seconds)
+        if (!peaks) return;
+        window.waveformPeaks.draw(ctx, peaks, { width, height, progress });
     }
 
     resetTranscriptionUI() {
@@ -2815,9 +3441,10 @@ Debug Information:
             return;
         }
 
-        // Validate configuration using TranscriptionService
+        // Validate configuration using TranscriptionService; a preset can choose its own provider and language
+        const transcriptionConfig = this.getTranscriptionConfig(this.currentRecording);
         const transcriptionService = new TranscriptionService();
-        const validation = transcriptionService.validateConfig(this.currentConfig);
+        const validation = transcriptionService.validateConfig(transcriptionConfig);
         
         if (!validation.isValid) {
             this.showNotification('Configuration error: ' + validation.errors.join(', '), 'error');
@@ -2842,16 +3469,20 @@ Debug Information:
         try {
             // Perform transcription using new service
             const result = await transcriptionService.transcribeAudio(
-                this.currentRecording.blob, 
-                this.currentConfig, 
+                this.currentRecording.noiseReduction && this.currentRecording.noiseReduction.useForTranscription
+                    ? this.currentRecording.denoisedBlob
+                    : this.currentRecording.blob,
+                transcriptionConfig, 
                 progressCallback
             );
             
-            // Store transcript in current recording with full metadata
+            // Store transcript in current recording with full metadata, keeping any previous one as a version
+            this.transcriptManager.captureCurrentVersion(this.currentRecording);
             this.currentRecording.transcription = {
                 text: result.text,
                 confidence: result.confidence,
                 speakerDiarization: result.speakerDiarization,
+                silenceTrim: result.silenceTrim,
                 processingTime: result.processingTime,
                 provider: result.provider,
                 timestamp: new Date().toISOString(),
@@ -2861,6 +3492,7 @@ Debug Information:
 
             // Show result
             this.showTranscriptionResult(result.text);
+            await window.recordingPresets.runTemplates(this.currentRecording, result.text);
             
         } catch (error) {
             console.error('Transcription failed:', error);
@@ -2868,6 +3500,37 @@ Debug Information:
         }
     }
 
+    /**
+     * The app config with the transcription settings of the preset a recording was made with applied.
+     * provider picks a provider other than the preset's or the default one (e.g. from bulk re-transcribe)
+     */
+    getTranscriptionConfig(recording, provider = null) {
+        const metadata = (recording && recording.metadata) || {};
+        const overrides = metadata.preset && metadata.preset.transcription;
+        const transcription = this.currentConfig.transcription || {};
+        const chosenProvider = provider || (overrides && overrides.provider) || transcription.provider;
+        const presetApplies = !!overrides && overrides.provider === chosenProvider;
+        if (!chosenProvider || (!presetApplies && !metadata.channelLayout && chosenProvider === transcription.provider)) {
+            return this.currentConfig;
+        }
+
+        const providerConfig = { ...transcription[chosenProvider] };
+        if (presetApplies && overrides.language) {
+            providerConfig.language = overrides.language;
+        }
+        if (presetApplies && typeof overrides.enableDiarization === 'boolean') {
+            providerConfig.enableDiarization = overrides.enableDiarization;
+        }
+        // Dual-source recordings keep their separate channels when re-encoded for upload
+        if (metadata.channelLayout) {
+            providerConfig.channelLayout = metadata.channelLayout;
+        }
+        return {
+            ...this.currentConfig,
+            transcription: { ...transcription, provider: chosenProvider, [chosenProvider]: providerConfig }
+        };
+    }
+
     validateTranscriptionConfig(provider, config) {
         switch (provider) {
             case 'azure-batch':
@@ -2938,7 +3601,7 @@ Debug Information:
             case 'azure-batch':
                 return await this.transcribeWithAzureBatch(audioBlob, config);
             case 'openai-whisper':
-                return await aiService.transcribeWithWhisper(audioBlob, config.apiKey, config.language);
+                return await aiService.transcribeWithWhisper(audioBlob, config.apiKey, config.language, config.channelLayout);
             case 'azure-whisper':
                 return await aiService.transcribeWithAzureWhisper(audioBlob, config);
             default:
@@ -3101,8 +3764,9 @@ This sample text demonstrates how the transcription would appear in the interfac
         // Update transcript in manager
         this.transcriptManager.updateTranscript(textarea.value);
         
-        // Save to current recording
+        // Save to current recording, keeping the previous text as a version
         if (this.currentRecording && this.currentRecording.transcription) {
+            this.transcriptManager.addVersion(this.currentRecording, textarea.value);
             const updatedTranscript = this.transcriptManager.getCurrentTranscript();
             Object.assign(this.currentRecording.transcription, updatedTranscript);
             this.currentRecording.transcription.edited = true;
@@ -3435,6 +4099,7 @@ This sample text demonstrates how the transcription would appear in the interfac
         // Set default filename
         const timestamp = new Date().toISOString().split('T')[0];
         document.getElementById('exportFilename').value = `transcript_${timestamp}`;
+        document.getElementById('includeVersionInfo').checked = this.shouldExportTranscriptVersion();
     }
 
     closeExportModal() {
@@ -3478,6 +4143,7 @@ This sample text demonstrates how the transcription would appear in the interfac
         const includeSpeakers = document.getElementById('includeSpeakers').checked;
         const includeTimestamps = document.getElementById('includeTimestamps').checked;
         const includeMetadata = document.getElementById('includeMetadata').checked;
+        const includeVersion = document.getElementById('includeVersionInfo').checked;
         const filename = document.getElementById('exportFilename').value.trim();
 
         if (!filename) {
@@ -3485,12 +4151,15 @@ This sample text demonstrates how the transcription would appear in the interfac
             return;
         }
 
+        this.setTranscriptExportVersion(includeVersion);
+
         try {
             const exportData = await this.transcriptManager.exportTranscript(format, {
                 includeSpeakers,
                 includeTimestamps,
                 includeMetadata,
-                filename
+                filename,
+                recordingInfo: this.getRecordingExportInfo(this.currentRecording)
             });
 
             // Create download
@@ -3555,7 +4224,8 @@ This sample text demonstrates how the transcription would appear in the interfac
             });
 
             if (!result.canceled) {
-                const saveResult = await ipcRenderer.invoke('save-file', result.filePath, transcript);
+                const content = this.buildTranscriptExportHeader(this.currentRecording) + transcript;
+                const saveResult = await ipcRenderer.invoke('save-file', result.filePath, content);
                 if (saveResult.success) {
                     this.showNotification('Transcript exported successfully', 'success');
                 } else {
@@ -3597,8 +4267,8 @@ This sample text demonstrates how the transcription would appear in the interfac
         document.getElementById('detailQuality').textContent = 
             `${recording.sampleRate ? recording.sampleRate / 1000 + ' kHz' : 'Unknown'}, ${recording.channels === 1 ? 'Mono' : recording.channels === 2 ? 'Stereo' : 'Unknown'}`;
         
-        // Set up audio player
-        this.setupDetailAudioPlayer(recording);
+        // Set up audio player (audio is loaded from the library in the background)
+        this.detailAudioReady = this.setupDetailAudioPlayer(recording);
         
         // Clear any existing Q&A conversation display
         const conversation = document.getElementById('detailQaConversation');
@@ -3606,6 +4276,9 @@ This sample text demonstrates how the transcription would appear in the interfac
             conversation.innerHTML = '';
         }
         
+        // Set up folder and tags
+        this.setupDetailOrganization(recording);
+        
         // Set up transcription section
         this.setupDetailTranscription(recording);
         
@@ -3613,21 +4286,20 @@ This sample text demonstrates how the transcription would appear in the interfac
         modal.classList.add('active');
     }
 
-    setupDetailAudioPlayer(recording) {
+    async setupDetailAudioPlayer(recording) {
         const audio = document.getElementById('detailAudio');
         const playPauseBtn = document.getElementById('detailPlayPause');
         const currentTimeSpan = document.getElementById('detailCurrentTime');
         const totalTimeSpan = document.getElementById('detailTotalTime');
         
-        // Get blob from stored data
-        let blob = recording.blob;
-        if (!blob && recording.blobData) {
-            blob = this.base64ToBlob(recording.blobData);
-        }
+        // Load audio from the library on demand
+        const blob = await this.loadRecordingAudio(recording);
+        window.detailNoiseReduction.reset(recording, blob);
         
         if (blob) {
             const audioUrl = this.createManagedBlobUrl(blob, 'detail-audio');
             audio.src = audioUrl;
+            window.waveformPeaks.showDetail(recording, blob);
             
             // Update time displays
             audio.addEventListener('loadedmetadata', () => {
@@ -3734,6 +4406,7 @@ This sample text demonstrates how the transcription would appear in the interfac
             }
             audio.removeAttribute('src');
         }
+        window.waveformPeaks.clearDetail();
         
         // Hide modal
         modal.classList.remove('active');
@@ -3752,15 +4425,17 @@ This sample text demonstrates how the transcription would appear in the interfac
     }
 
     async startDetailTranscription() {
-        if (!this.currentDetailRecording || (!this.currentDetailRecording.blob && !this.currentDetailRecording.blobData)) {
+        if (!this.currentDetailRecording || !window.recordingLibrary.hasAudio(this.currentDetailRecording)) {
             this.showNotification('No audio available for transcription', 'error');
             return;
         }
 
-        // Get blob from stored data
-        let blob = this.currentDetailRecording.blob;
-        if (!blob && this.currentDetailRecording.blobData) {
-            blob = this.base64ToBlob(this.currentDetailRecording.blobData);
+        // Load audio from the library (the noise-reduced copy if the recording is set to use it)
+        let blob = null;
+        try {
+            blob = await window.recordingLibrary.loadTranscriptionAudio(this.currentDetailRecording);
+        } catch (error) {
+            console.error('Failed to load recording audio:', error);
         }
 
         if (!blob) {
@@ -3769,8 +4444,9 @@ This sample text demonstrates how the transcription would appear in the interfac
         }
 
         // Check transcription configuration
-        const transcriptionProvider = this.currentConfig.transcription.provider;
-        const providerConfig = this.currentConfig.transcription[transcriptionProvider];
+        const transcriptionConfig = this.getTranscriptionConfig(this.currentDetailRecording).transcription;
+        const transcriptionProvider = transcriptionConfig.provider;
+        const providerConfig = transcriptionConfig[transcriptionProvider];
         
         if (!this.validateTranscriptionConfig(transcriptionProvider, providerConfig)) {
             this.showNotification('Please configure transcription settings in AI Settings', 'warning');
@@ -3800,9 +4476,11 @@ This sample text demonstrates how the transcription would appear in the interfac
             // Extract text from result (handle both string and object responses)
             const transcript = typeof transcriptResult === 'string' ? transcriptResult : transcriptResult.text;
             
-            // Update recording with transcription
+            // Update recording with transcription, keeping the previous transcript as a version
+            this.transcriptManager.captureCurrentVersion(this.currentDetailRecording);
             this.currentDetailRecording.transcription = {
                 text: transcript,
+                silenceTrim: transcriptResult?.silenceTrim || null,
                 provider: transcriptionProvider,
                 timestamp: new Date().toISOString(),
                 status: 'completed'
@@ -3813,6 +4491,10 @@ This sample text demonstrates how the transcription would appear in the interfac
 
             // Show result
             this.showDetailTranscriptionResult(transcript);
+
+            if (await window.recordingPresets.runTemplates(this.currentDetailRecording, transcript) > 0) {
+                this.updateRecordingInHistory(this.currentDetailRecording);
+            }
             
         } catch (error) {
             console.error('Detail transcription failed:', error);
@@ -3894,6 +4576,7 @@ This sample text demonstrates how the transcription would appear in the interfac
         
         // Update recording status
         if (this.currentDetailRecording) {
+            this.transcriptManager.captureCurrentVersion(this.currentDetailRecording);
             this.currentDetailRecording.transcription = {
                 status: 'failed',
                 error: errorMessage,
@@ -3908,6 +4591,7 @@ This sample text demonstrates how the transcription would appear in the interfac
     retryDetailTranscription() {
         // Reset transcription state
         if (this.currentDetailRecording && this.currentDetailRecording.transcription) {
+            this.transcriptManager.captureCurrentVersion(this.currentDetailRecording);
             delete this.currentDetailRecording.transcription;
             this.updateRecordingInHistory(this.currentDetailRecording);
         }
@@ -3934,6 +4618,7 @@ This sample text demonstrates how the transcription would appear in the interfac
             
             // Update stored transcript
             if (this.currentDetailRecording && this.currentDetailRecording.transcription) {
+                this.transcriptManager.addVersion(this.currentDetailRecording, textarea.value);
                 this.currentDetailRecording.transcription.text = textarea.value;
                 this.currentDetailRecording.transcription.edited = true;
                 this.currentDetailRecording.transcription.editTimestamp = new Date().toISOString();
@@ -3985,7 +4670,8 @@ This sample text demonstrates how the transcription would appear in the interfac
             });
 
             if (!result.canceled) {
-                const saveResult = await ipcRenderer.invoke('save-file', result.filePath, transcript);
+                const content = this.buildTranscriptExportHeader(this.currentDetailRecording) + transcript;
+                const saveResult = await ipcRenderer.invoke('save-file', result.filePath, content);
                 if (saveResult.success) {
                     this.showNotification('Transcript exported successfully', 'success');
                 } else {
@@ -3998,30 +4684,63 @@ This sample text demonstrates how the transcription would appear in the interfac
         }
     }
 
+    getRecordingExportInfo(recording) {
+        if (!recording) return null;
+
+        return {
+            name: recording.name || recording.filename || '',
+            date: recording.date || recording.metadata?.recordingDate || '',
+            folder: recording.metadata?.folder || '',
+            tags: recording.metadata?.tags || [],
+            markers: recording.metadata?.markers || [],
+            version: this.shouldExportTranscriptVersion() ? this.transcriptManager.getCurrentVersion(recording) : null
+        };
+    }
+
+    buildTranscriptExportHeader(recording) {
+        const info = this.getRecordingExportInfo(recording);
+        if (!info || (!info.folder && info.tags.length === 0 && info.markers.length === 0 && !info.version)) return '';
+
+        let header = '='.repeat(50) + '\n';
+        header += `Recording: ${info.name}\n`;
+        if (info.date) header += `Date: ${info.date}\n`;
+        if (info.folder) header += `Folder: ${info.folder}\n`;
+        if (info.tags.length > 0) header += `Tags: ${info.tags.join(', ')}\n`;
+        if (info.version) header += `Transcript: ${this.transcriptManager.describeVersion(info.version)}\n`;
+        if (info.markers.length > 0) header += `Markers:\n${window.recordingMarkers.formatList(info.markers)}\n`;
+        header += '='.repeat(50) + '\n\n';
+        return header;
+    }
+
+    shouldExportTranscriptVersion() {
+        return !!this.currentConfig.transcriptExport?.includeVersion;
+    }
+
+    setTranscriptExportVersion(includeVersion) {
+        this.currentConfig.transcriptExport = { ...this.currentConfig.transcriptExport, includeVersion };
+        this.saveConfig();
+    }
+
     async updateRecordingInHistory(updatedRecording) {
-        let history = JSON.parse(localStorage.getItem('callHistory') || '[]');
-        const index = history.findIndex(h => h.id === updatedRecording.id || h.filename === updatedRecording.filename);
-        
-        if (index !== -1) {
-            // Convert blob to base64 if needed
-            if (updatedRecording.blob && !updatedRecording.blobData) {
-                try {
-                    updatedRecording.blobData = await this.blobToBase64(updatedRecording.blob);
-                    delete updatedRecording.blob;
-                } catch (error) {
-                    console.error('Failed to convert blob to base64:', error);
-                }
-            }
-            
-            history[index] = updatedRecording;
-            localStorage.setItem('callHistory', JSON.stringify(history));
+        try {
+            await window.recordingLibrary.updateItem(updatedRecording);
             this.updateHistoryUI();
+        } catch (error) {
+            console.error('Failed to update recording in library:', error);
         }
     }
 
-    viewHistoryItem(itemId) {
-        const history = JSON.parse(localStorage.getItem('callHistory') || '[]');
-        const item = history.find(h => h.id === itemId || h.filename === itemId);
+    async loadRecordingAudio(recording) {
+        try {
+            return await window.recordingLibrary.loadAudio(recording);
+        } catch (error) {
+            console.error('Failed to load recording audio:', error);
+            return null;
+        }
+    }
+
+    async viewHistoryItem(itemId) {
+        const item = await window.recordingLibrary.getItem(itemId);
         
         if (!item) {
             this.showNotification('Recording not found', 'error');
@@ -4034,11 +4753,82 @@ This sample text demonstrates how the transcription would appear in the interfac
         this.showRecordingDetail(item);
     }
 
-    playRecording(itemId) {
-        const history = JSON.parse(localStorage.getItem('callHistory') || '[]');
-        const item = history.find(h => h.id === itemId || h.filename === itemId);
+    async openSearchResult(itemId, result) {
+        await this.viewHistoryItem(itemId);
+        if (!this.currentDetailRecording || !result) return;
+
+        switch (result.field) {
+            case 'transcript':
+                this.highlightDetailTranscriptMatch(result.textOffset, result.matchLength);
+                if (result.time !== null && result.time !== undefined) {
+                    await this.seekDetailAudio(result.time);
+                }
+                break;
+            case 'analysis':
+                this.showDetailAnalysis(result.analysisKey);
+                break;
+            case 'qa':
+                this.highlightDetailQAMessage(result.messageIndex);
+                break;
+        }
+    }
+
+    async seekDetailAudio(seconds) {
+        await this.detailAudioReady;
+
+        const audio = document.getElementById('detailAudio');
+        if (!audio || !audio.src) return;
+
+        const seek = () => {
+            const duration = isFinite(audio.duration) ? audio.duration : seconds;
+            audio.currentTime = Math.max(0, Math.min(seconds, duration));
+        };
+
+        if (audio.readyState >= 1) {
+            seek();
+        } else {
+            audio.addEventListener('loadedmetadata', seek, { once: true });
+        }
+    }
+
+    highlightDetailTranscriptMatch(offset, length) {
+        const textarea = document.getElementById('detailTranscriptText');
+        if (!textarea || offset === null || offset === undefined || !textarea.value) return;
+
+        textarea.closest('.detail-section')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        textarea.focus();
+        textarea.setSelectionRange(offset, offset + (length || 0));
+
+        // Approximate scroll so the selected match is visible
+        const ratio = offset / textarea.value.length;
+        textarea.scrollTop = Math.max(0, ratio * textarea.scrollHeight - textarea.clientHeight / 2);
+    }
+
+    showDetailAnalysis(analysisKey) {
+        const analysis = this.currentDetailRecording?.analysis?.[analysisKey];
+        if (!analysis) return;
+
+        const analysisResults = document.getElementById('detailAnalysisResults');
+        document.getElementById('detailResultsTitle').textContent = analysis.templateName || 'Analysis';
+        document.getElementById('detailResultsText').textContent = analysis.result || '';
+        analysisResults.style.display = 'block';
+        analysisResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    highlightDetailQAMessage(messageIndex) {
+        const conversation = document.getElementById('detailQaConversation');
+        const message = conversation?.querySelectorAll('.qa-message')[messageIndex];
+        if (!message) return;
+
+        message.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        message.classList.add('search-highlight');
+        setTimeout(() => message.classList.remove('search-highlight'), 3000);
+    }
+
+    async playRecording(itemId) {
+        const item = await window.recordingLibrary.getItem(itemId);
         
-        if (!item || (!item.blob && !item.blobData)) {
+        if (!window.recordingLibrary.hasAudio(item)) {
             this.showNotification('Recording audio not available', 'error');
             return;
         }
@@ -4067,11 +4857,8 @@ This sample text demonstrates how the transcription would appear in the interfac
         // Stop any currently playing audio
         this.stopCurrentAudio();
 
-        // Get blob from stored data
-        let blob = item.blob;
-        if (!blob && item.blobData) {
-            blob = this.base64ToBlob(item.blobData);
-        }
+        // Load audio from the library only when playback is requested
+        const blob = await this.loadRecordingAudio(item);
 
         if (!blob) {
             this.showNotification('Failed to load audio data', 'error');
@@ -4248,7 +5035,8 @@ This sample text demonstrates how the transcription would appear in the interfac
                 transcript: transcript,
                 date: new Date().toLocaleDateString(),
                 duration: this.currentRecording?.duration || 'Unknown',
-                filename: this.currentRecording?.filename || 'Unknown'
+                filename: this.currentRecording?.filename || 'Unknown',
+                markers: window.recordingMarkers.getTemplateValue(this.currentRecording)
             });
 
             // Get AI response
@@ -4570,7 +5358,8 @@ This sample text demonstrates how the transcription would appear in the interfac
             transcript: 'This is a sample transcript for preview purposes...',
             date: new Date().toLocaleDateString(),
             duration: '05:30',
-            filename: 'sample_recording.wav'
+            filename: 'sample_recording.wav',
+            markers: '[02:15] Important - budget deadline\n[07:40] Action item - send the revised plan'
         };
         
         const processedPrompt = this.processTemplateVariables(prompt, sampleVariables);
@@ -4578,7 +5367,7 @@ This sample text demonstrates how the transcription would appear in the interfac
         alert(`Template Preview:\n\n${processedPrompt}`);
     }
 
-    deleteHistoryItem(itemId) {
+    async deleteHistoryItem(itemId) {
         // Use the new history manager if available
         if (window.historyManager) {
             window.historyManager.deleteHistoryItem(itemId);
@@ -4590,29 +5379,14 @@ This sample text demonstrates how the transcription would appear in the interfac
             return;
         }
 
-        let history = JSON.parse(localStorage.getItem('callHistory') || '[]');
-        const itemIndex = history.findIndex(h => h.id === itemId || h.filename === itemId);
-        
-        if (itemIndex === -1) {
+        try {
+            const item = await window.recordingLibrary.deleteItem(itemId);
+            this.updateHistoryUI();
+            this.showNotification(`Recording "${item.name || item.filename}" deleted`, 'success');
+        } catch (error) {
+            console.error('Failed to delete recording:', error);
             this.showNotification('Recording not found', 'error');
-            return;
         }
-
-        const item = history[itemIndex];
-        
-        // Clean up blob URL if it exists
-        if (item.blob) {
-            // Note: We can't revoke the blob URL here as it might be in use
-            // In a real app, we'd handle this with proper file management
-        }
-
-        // Remove from history
-        history.splice(itemIndex, 1);
-        localStorage.setItem('callHistory', JSON.stringify(history));
-        
-        // Update UI
-        this.updateHistoryUI();
-        this.showNotification(`Recording "${item.name || item.filename}" deleted`, 'success');
     }
 
     async testMicrophone() {
@@ -4845,6 +5619,21 @@ This sample text demonstrates how the transcription would appear in the interfac
                 this.toggleCustomModelInput('deepseek', 'custom');
             }
             
+            const preprocessing = this.getPreprocessingConfig();
+            document.querySelectorAll('#preprocessingSettings [data-preprocess-field]').forEach(input => {
+                const field = input.dataset.preprocessField;
+                if (input.type === 'checkbox') {
+                    input.checked = !!preprocessing[field];
+                } else {
+                    input.value = preprocessing[field];
+                }
+            });
+            
+            const audioEncoding = this.getAudioEncodingConfig();
+            document.getElementById('audioSaveProfile').value = audioEncoding.saveProfile;
+            document.getElementById('audioUploadProfile').value = audioEncoding.uploadProfile;
+            this.updatePreprocessingAvailability();
+            
             console.log('Configuration loaded to UI successfully');
         } catch (error) {
             console.error('Error loading configuration to UI:', error);
@@ -4999,7 +5788,8 @@ This sample text demonstrates how the transcription would appear in the interfac
             });
 
             if (!result.canceled) {
-                const configJson = JSON.stringify(this.currentConfig, null, 2);
+                // Same settings a backup holds: API keys stay on this machine
+                const configJson = JSON.stringify(window.backupManager.stripSecrets(this.currentConfig), null, 2);
                 const saveResult = await ipcRenderer.invoke('save-file', result.filePath, configJson);
                 if (saveResult.success) {
                     this.showNotification('Configuration exported successfully', 'success');
@@ -5159,41 +5949,19 @@ This sample text demonstrates how the transcription would appear in the interfac
 
     async addToHistory(item) {
         try {
-            let history = JSON.parse(localStorage.getItem('callHistory') || '[]');
+            await window.recordingLibrary.addItem(item);
             
-            // Convert blob to base64 for storage
-            if (item.blob) {
-                try {
-                    item.blobData = await this.blobToBase64(item.blob);
-                    delete item.blob; // Remove the blob object before storing
-                } catch (error) {
-                    console.error('Failed to convert blob to base64:', error);
-                    throw new Error('Failed to process audio data for storage');
-                }
-            }
-            
-            history.unshift(item);
-            
-            // Keep only last 50 items
-            if (history.length > 50) {
-                history = history.slice(0, 50);
-            }
-            
-            try {
-                localStorage.setItem('callHistory', JSON.stringify(history));
-            } catch (storageError) {
-                console.error('Failed to save to localStorage:', storageError);
-                if (storageError.name === 'QuotaExceededError') {
-                    throw new Error('Storage quota exceeded. Please clear some history items.');
-                } else {
-                    throw new Error('Failed to save recording to history');
-                }
+            // Apply the configured retention rules (by default, keep the 50 most recent recordings)
+            if (window.retentionManager) {
+                await window.retentionManager.enforce('new-recording').catch(error => {
+                    console.error('Retention rules failed after saving recording:', error);
+                });
             }
             
             this.updateHistoryUI();
         } catch (error) {
             console.error('Error adding to history:', error);
-            throw error; // Re-throw to be handled by caller
+            throw new Error(`Failed to save recording to library: ${error.message}`);
         }
     }
 
@@ -5225,14 +5993,14 @@ This sample text demonstrates how the transcription would appear in the interfac
         }
     }
 
-    updateHistoryUI() {
+    async updateHistoryUI() {
         // Use the new history manager if available
         if (window.historyManager) {
             window.historyManager.refresh();
         } else {
             // Fallback to old implementation
             const historyList = document.getElementById('historyList');
-            const history = JSON.parse(localStorage.getItem('callHistory') || '[]');
+            const history = await window.recordingLibrary.getItems().catch(() => []);
 
             if (history.length === 0) {
                 historyList.innerHTML = `
@@ -5275,8 +6043,7 @@ This sample text demonstrates how the transcription would appear in the interfac
 
     async exportAudioFile(itemId) {
         try {
-            const history = JSON.parse(localStorage.getItem('callHistory') || '[]');
-            const item = history.find(h => h.id === itemId || h.filename === itemId);
+            const item = await window.recordingLibrary.getItem(itemId);
             
             if (!item) {
                 this.showNotification('Recording not found', 'error');
@@ -5284,10 +6051,7 @@ This sample text demonstrates how the transcription would appear in the interfac
             }
 
             // Get the audio blob
-            let blob = item.blob;
-            if (!blob && item.blobData) {
-                blob = this.base64ToBlob(item.blobData);
-            }
+            const blob = await this.loadRecordingAudio(item);
 
             if (!blob) {
                 this.showNotification('Audio data not available for this recording', 'error');
@@ -5353,7 +6117,7 @@ This sample text demonstrates how the transcription would appear in the interfac
 
     async exportAllAudioFiles() {
         try {
-            const history = JSON.parse(localStorage.getItem('callHistory') || '[]');
+            const history = await window.recordingLibrary.getItems();
             
             if (history.length === 0) {
                 this.showNotification('No recordings to export', 'warning');
@@ -5361,7 +6125,7 @@ This sample text demonstrates how the transcription would appear in the interfac
             }
 
             // Filter recordings that have audio data
-            const recordingsWithAudio = history.filter(item => item.blob || item.blobData);
+            const recordingsWithAudio = history.filter(item => window.recordingLibrary.hasAudio(item));
             
             if (recordingsWithAudio.length === 0) {
                 this.showNotification('No audio data available in recordings', 'warning');
@@ -5388,10 +6152,7 @@ This sample text demonstrates how the transcription would appear in the interfac
             for (const item of recordingsWithAudio) {
                 try {
                     // Get the audio blob
-                    let blob = item.blob;
-                    if (!blob && item.blobData) {
-                        blob = this.base64ToBlob(item.blobData);
-                    }
+                    const blob = await this.loadRecordingAudio(item);
 
                     if (!blob) {
                         console.warn(`No audio data for recording: ${item.name || item.filename}`);
@@ -5451,30 +6212,43 @@ This sample text demonstrates how the transcription would appear in the interfac
         }
     }
 
-    exportHistory() {
-        const history = JSON.parse(localStorage.getItem('callHistory') || '[]');
+    async exportHistory() {
+        const history = await window.recordingLibrary.getItems();
         if (history.length === 0) {
             this.showNotification('No history to export', 'warning');
             return;
         }
 
-        // Create CSV content
-        const csvContent = [
-            'Date,Filename,Duration,Has Summary',
-            ...history.map(item => 
-                `"${item.date}","${item.filename}","${item.duration}","${item.summary ? 'Yes' : 'No'}"`
-            )
-        ].join('\n');
-
         // Save CSV file
-        this.saveTextFile(csvContent, 'call_history.csv');
+        this.saveTextFile(this.buildHistoryCsv(history), 'call_history.csv');
+    }
+
+    // Also written into library backups as a human-readable summary
+    buildHistoryCsv(history) {
+        const csvValue = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        return [
+            'Date,Filename,Duration,Has Summary,Folder,Tags',
+            ...history.map(item => [
+                item.date,
+                item.filename,
+                item.duration,
+                item.summary || (item.analysis && Object.keys(item.analysis).length > 0) ? 'Yes' : 'No',
+                item.metadata?.folder || '',
+                (item.metadata?.tags || []).join('; ')
+            ].map(csvValue).join(','))
+        ].join('\n');
     }
 
-    clearHistory() {
+    async clearHistory() {
         if (confirm('Are you sure you want to clear all call history?')) {
-            localStorage.removeItem('callHistory');
-            this.updateHistoryUI();
-            this.showNotification('History cleared', 'success');
+            try {
+                await window.recordingLibrary.clear();
+                this.updateHistoryUI();
+                this.showNotification('History cleared', 'success');
+            } catch (error) {
+                console.error('Failed to clear history:', error);
+                this.showNotification('Failed to clear history', 'error');
+            }
         }
     }
 
@@ -6083,46 +6857,23 @@ This sample text demonstrates how the transcription would appear in the interfac
                 transcript: transcriptText,
                 date: new Date().toLocaleDateString(),
                 duration: this.currentRecording?.duration || 'Unknown',
-                filename: this.currentRecording?.filename || 'Unknown'
+                filename: this.currentRecording?.filename || 'Unknown',
+                markers: window.recordingMarkers.getTemplateValue(this.currentRecording)
             };
             
             progressFill.style.width = '30%';
             analysisStatus.textContent = 'Processing template...';
             
-            let result;
-            
-            // Use new template processor if available
-            if (this.templateProcessor) {
-                const config = this.currentConfig;
-                const processResult = await this.templateProcessor.processTemplate(template, variables, config);
-                
-                if (processResult.success) {
-                    result = {
-                        success: true,
-                        result: processResult.result,
-                        template: template.name,
-                        provider: processResult.provider,
-                        processedAt: processResult.processedAt
-                    };
-                } else {
-                    throw new Error(processResult.error);
-                }
-            } else {
-                // Fallback to old method
-                const prompt = this.substituteTemplateVariables(template.prompt, variables);
-                const aiResult = await this.callAIService(prompt);
-                result = {
-                    success: true,
-                    result: aiResult,
-                    template: template.name,
-                    provider: this.currentConfig.summarization?.provider || 'unknown',
-                    processedAt: new Date().toISOString()
-                };
-            }
+            const result = await this.runTemplateAnalysis(template, variables);
             
             progressFill.style.width = '100%';
             analysisStatus.textContent = 'Analysis complete!';
             
+            // Keep the result with the recording so it is saved to history
+            if (this.currentRecording) {
+                this.storeAnalysisResult(this.currentRecording, template, result);
+            }
+            
             // Show results using new results manager
             setTimeout(() => {
                 clearInterval(updateTimer);
@@ -6145,6 +6896,54 @@ This sample text demonstrates how the transcription would appear in the interfac
         }
     }
 
+    async runTemplateAnalysis(template, variables) {
+        let result;
+
+        // Use new template processor if available
+        if (this.templateProcessor) {
+            const config = this.currentConfig;
+            const processResult = await this.templateProcessor.processTemplate(template, variables, config);
+            
+            if (processResult.success) {
+                result = {
+                    success: true,
+                    result: processResult.result,
+                    template: template.name,
+                    provider: processResult.provider,
+                    processedAt: processResult.processedAt
+                };
+            } else {
+                throw new Error(processResult.error);
+            }
+        } else {
+            // Fallback to old method
+            const prompt = this.substituteTemplateVariables(template.prompt, variables);
+            const aiResult = await this.callAIService(prompt);
+            result = {
+                success: true,
+                result: aiResult,
+                template: template.name,
+                provider: this.currentConfig.summarization?.provider || 'unknown',
+                processedAt: new Date().toISOString()
+            };
+        }
+
+        return result;
+    }
+
+    storeAnalysisResult(recording, template, result) {
+        recording.analysis = {
+            ...(recording.analysis || {}),
+            [template.id]: {
+                templateId: template.id,
+                templateName: template.name,
+                result: result.result,
+                provider: result.provider,
+                processedAt: result.processedAt
+            }
+        };
+    }
+
     substituteTemplateVariables(prompt, variables) {
         let result = prompt;
         Object.keys(variables).forEach(key => {
@@ -6374,7 +7173,8 @@ This sample text demonstrates how the transcription would appear in the interfac
             transcript: '[Sample transcript content would appear here...]',
             date: new Date().toLocaleDateString(),
             duration: '05:30',
-            filename: 'sample_recording.wav'
+            filename: 'sample_recording.wav',
+            markers: '[02:15] Important - budget deadline\n[07:40] Action item - send the revised plan'
         });
         
         alert('Template Preview:\n\n' + preview);
@@ -6460,12 +7260,12 @@ This sample text demonstrates how the transcription would appear in the interfac
     // Q&A System
     initializeQASystem() {
         this.qaConversation = []; // For main recording flow
-        this.qaConversations = this.loadQAConversations(); // Per-recording conversations
+        this.qaConversations = {}; // Per-recording conversations, loaded from the library
         this.currentRecordingId = null; // Track current recording for Q&A
         this.setupQAEventListeners();
         
-        // Clean up old conversations
-        this.cleanupOldConversations();
+        // Clean up old conversations once they are loaded
+        this.loadQAConversations().then(() => this.cleanupOldConversations());
     }
 
     setupQAEventListeners() {
@@ -6793,7 +7593,8 @@ Please provide a helpful and accurate answer based only on the information in th
                 transcript: transcriptText,
                 date: new Date().toLocaleDateString(),
                 duration: this.currentDetailRecording?.duration || 'Unknown',
-                filename: this.currentDetailRecording?.filename || 'Unknown'
+                filename: this.currentDetailRecording?.filename || 'Unknown',
+                markers: window.recordingMarkers.getTemplateValue(this.currentDetailRecording)
             });
             
             progressFill.style.width = '30%';
@@ -6805,6 +7606,16 @@ Please provide a helpful and accurate answer based only on the information in th
             progressFill.style.width = '100%';
             analysisStatus.textContent = 'Analysis complete!';
             
+            // Persist the result with the recording
+            if (this.currentDetailRecording) {
+                this.storeAnalysisResult(this.currentDetailRecording, template, {
+                    result,
+                    provider: this.currentConfig.summarization?.provider || 'unknown',
+                    processedAt: new Date().toISOString()
+                });
+                await this.updateRecordingInHistory(this.currentDetailRecording);
+            }
+            
             // Show results
             setTimeout(() => {
                 clearInterval(updateTimer);
@@ -7037,22 +7848,20 @@ Please provide a helpful and accurate answer based only on the information in th
     }
 
     // Q&A Conversation Management
-    loadQAConversations() {
+    async loadQAConversations() {
         try {
-            const saved = localStorage.getItem('qaConversations');
-            return saved ? JSON.parse(saved) : {};
+            const saved = await window.recordingLibrary.getConversations();
+            // Keep anything asked while the library was still loading
+            this.qaConversations = Object.assign(saved, this.qaConversations);
         } catch (error) {
             console.error('Error loading Q&A conversations:', error);
-            return {};
         }
     }
 
     saveQAConversations() {
-        try {
-            localStorage.setItem('qaConversations', JSON.stringify(this.qaConversations));
-        } catch (error) {
+        window.recordingLibrary.saveConversations(this.qaConversations).catch(error => {
             console.error('Error saving Q&A conversations:', error);
-        }
+        });
     }
 
     getRecordingConversation(recordingId) {
@@ -7073,11 +7882,22 @@ Please provide a helpful and accurate answer based only on the information in th
         if (!recordingId) return;
         this.qaConversations[recordingId] = conversation;
         this.saveQAConversations();
+
+        if (window.searchIndex) {
+            window.searchIndex.indexConversation(recordingId, conversation);
+        }
     }
 
-    cleanupOldConversations() {
+    async cleanupOldConversations() {
         // Get current recording IDs from history
-        const history = JSON.parse(localStorage.getItem('callHistory') || '[]');
+        let history;
+        try {
+            history = await window.recordingLibrary.getItems();
+        } catch (error) {
+            // Never prune conversations when the library could not be read
+            console.error('Skipping conversation cleanup:', error);
+            return;
+        }
         const validIds = new Set(history.map(recording => recording.id));
         
         // Remove conversations for recordings that no longer exist
@@ -0,0 +1,865 @@
+/**
+ * Audio Worker - Decoding, resampling, filtering, loudness normalization, WAV and Opus encoding and waveform
+ * peaks for AudioManager.runAudioJob, in a dedicated worker so long recordings do not freeze the window.
+ * Web Audio is not available in workers: WAV is read directly and Ogg or WebM Opus is decoded with WebCodecs,
+ * while other formats (MP3, M4A, ...) are decoded by the page and arrive here as samples
+ */
+class AudioWorkerJobs {
+    constructor(scope) {
+        this.scope = scope;
+        this.crcTable = null;
+        this.lastProgress = -1;
+
+        scope.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    async handleMessage(job) {
+        try {
+            const { result, transfer } = await this.run(job);
+            this.scope.postMessage({ type: 'result', result }, transfer);
+        } catch (error) {
+            this.scope.postMessage({ type: 'error', error: error.message || String(error), decodeFailed: !!error.decodeFailed });
+        }
+    }
+
+    // Progress messages are limited to whole percent changes so a long loop does not flood the page
+    report(progress, message) {
+        const value = Math.min(100, Math.round(progress));
+        if (value === this.lastProgress) return;
+
+        this.lastProgress = value;
+        this.scope.postMessage({ type: 'progress', progress: value, message });
+    }
+
+    // Map a stage's own 0-1 progress onto its share of the whole job
+    stage(from, to, message) {
+        return (fraction) => this.report(from + (to - from) * fraction, message);
+    }
+
+    /**
+     * job: { source: { data, format } or { channels, sampleRate }, sampleRate, channels, maxChannels,
+     * highPassFrequency, targetLufs, outputs: { samples, wav, opus: { bitrate }, peaks: { peaksPerSecond, minimumLevelPeaks } } }
+     * Returns { result: { sampleRate, length, duration, steps, samples, wav, opus, peaks }, transfer }
+     */
+    async run(job) {
+        const outputs = job.outputs || {};
+        const steps = [];
+
+        let audio = { channels: job.source.channels, sampleRate: job.source.sampleRate };
+        if (job.source.data) {
+            try {
+                audio = await this.decode(job.source.data, job.source.format, this.stage(0, 30, 'Decoding audio'));
+            } catch (error) {
+                // The page falls back to decodeAudioData
+                error.decodeFailed = true;
+                throw error;
+            }
+        }
+        if (!audio.channels.length || !audio.channels[0].length) {
+            throw new Error('The audio contains no samples');
+        }
+
+        const sampleRate = job.sampleRate || audio.sampleRate;
+        const channelCount = Math.min(job.channels || audio.channels.length, job.maxChannels || Infinity);
+
+        if (sampleRate !== audio.sampleRate) {
+            steps.push({ step: 'resample', from: audio.sampleRate, to: sampleRate });
+        }
+        if (channelCount < audio.channels.length) {
+            steps.push({ step: 'downmix', from: audio.channels.length, to: channelCount });
+        }
+
+        // Mix first so there are fewer channels to resample
+        let channels = this.mix(audio.channels, channelCount);
+        if (sampleRate !== audio.sampleRate) {
+            const progress = this.stage(30, 55, 'Resampling');
+            channels = channels.map((data, channel) => this.resample(data, audio.sampleRate, sampleRate,
+                (fraction) => progress((channel + fraction) / channels.length)));
+        }
+        audio = null;
+
+        if (job.highPassFrequency) {
+            channels.forEach(data => this.highPass(data, sampleRate, job.highPassFrequency));
+            steps.push({ step: 'highPass', frequency: job.highPassFrequency });
+        }
+        if (job.targetLufs !== undefined && job.targetLufs !== null) {
+            this.report(60, 'Normalizing loudness');
+            const normalization = this.normalizeLoudness(channels, sampleRate, job.targetLufs);
+            if (normalization) {
+                steps.push({ step: 'normalize', ...normalization });
+            }
+        }
+
+        const length = channels[0].length;
+        const result = { sampleRate, length, duration: length / sampleRate, steps };
+        const transfer = [];
+
+        if (outputs.peaks) {
+            this.report(65, 'Computing waveform');
+            result.peaks = this.computePeaks(channels, sampleRate, outputs.peaks);
+            result.peaks.levels.forEach(level => transfer.push(level.data.buffer));
+        }
+        if (outputs.wav) {
+            result.wav = this.encodeWav(channels, sampleRate, this.stage(70, 100, 'Writing WAV'));
+            transfer.push(result.wav);
+        }
+        if (outputs.opus) {
+            result.opus = await this.encodeOpus(channels, sampleRate, outputs.opus.bitrate, this.stage(70, 100, 'Encoding Opus'));
+            transfer.push(result.opus);
+        }
+        if (outputs.samples) {
+            result.samples = channels;
+            channels.forEach(data => transfer.push(data.buffer));
+        }
+
+        this.report(100, 'Done');
+        return { result, transfer };
+    }
+
+    async decode(data, format, progress) {
+        const bytes = new Uint8Array(data);
+        switch (format) {
+            case 'wav':
+                return this.decodeWav(bytes, progress);
+            case 'ogg': {
+                const ogg = this.parseOgg(bytes);
+                return this.decodeOpus(ogg.packets[0], ogg.packets.slice(2), ogg.granule, progress);
+            }
+            case 'webm': {
+                const webm = this.parseWebm(bytes);
+                return this.decodeOpus(webm.head, webm.packets, null, progress);
+            }
+            default:
+                throw new Error(`Cannot decode ${format || 'unknown'} audio in the worker`);
+        }
+    }
+
+    /**
+     * 8, 16, 24 and 32-bit PCM and 32-bit float WAV
+     */
+    decodeWav(bytes, progress) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let format = null;
+        let offset = 12;
+
+        while (offset + 8 <= bytes.length) {
+            const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+            const size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+
+            if (id === 'fmt ') {
+                format = {
+                    audioFormat: view.getUint16(body, true),
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    bitsPerSample: view.getUint16(body + 14, true)
+                };
+                // WAVE_FORMAT_EXTENSIBLE keeps the real format at the start of the sub-format GUID
+                if (format.audioFormat === 0xFFFE && size >= 26) {
+                    format.audioFormat = view.getUint16(body + 24, true);
+                }
+            } else if (id === 'data' && format) {
+                // Recordings cut short may declare more data than the file holds
+                const end = Math.min(bytes.length, body + size);
+                return this.readPcm(view, body, end, format, progress);
+            }
+            offset = body + size + (size % 2);
+        }
+        throw new Error('Invalid WAV file');
+    }
+
+    readPcm(view, start, end, format, progress) {
+        const { audioFormat, channels: channelCount, sampleRate, bitsPerSample } = format;
+        const bytesPerSample = bitsPerSample / 8;
+        const isFloat = audioFormat === 3 && bitsPerSample === 32;
+        if (!isFloat && (audioFormat !== 1 || ![8, 16, 24, 32].includes(bitsPerSample))) {
+            throw new Error(`Unsupported WAV format ${audioFormat} (${bitsPerSample}-bit)`);
+        }
+
+        const frameSize = bytesPerSample * channelCount;
+        const length = Math.floor((end - start) / frameSize);
+        const channels = Array.from({ length: channelCount }, () => new Float32Array(length));
+        const read = isFloat ? (at) => view.getFloat32(at, true)
+            : bitsPerSample === 8 ? (at) => (view.getUint8(at) - 128) / 128
+            : bitsPerSample === 16 ? (at) => view.getInt16(at, true) / 32768
+            : bitsPerSample === 24 ? (at) => ((view.getInt8(at + 2) << 16) | view.getUint16(at, true)) / 8388608
+            : (at) => view.getInt32(at, true) / 2147483648;
+
+        for (let i = 0; i < length; i++) {
+            const frame = start + i * frameSize;
+            for (let channel = 0; channel < channelCount; channel++) {
+                channels[channel][i] = read(frame + channel * bytesPerSample);
+            }
+            if ((i & 0xFFFFF) === 0) progress(i / length);
+        }
+        return { channels, sampleRate };
+    }
+
+    /**
+     * Packets of the first logical stream and the last granule position. Only single-stream files
+     * (as written by RecordingEncoder) are expected
+     */
+    parseOgg(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const packets = [];
+        let pending = [];
+        let granule = null;
+        let offset = 0;
+
+        while (offset + 27 <= bytes.length) {
+            if (view.getUint32(offset) !== 0x4F676753) { // "OggS"
+                throw new Error('Invalid Ogg page');
+            }
+
+            const low = view.getUint32(offset + 6, true);
+            const high = view.getUint32(offset + 10, true);
+            // All ones means no packet ends on this page
+            if (low !== 0xFFFFFFFF || high !== 0xFFFFFFFF) {
+                granule = high * 0x100000000 + low;
+            }
+
+            const segmentCount = bytes[offset + 26];
+            let body = offset + 27 + segmentCount;
+            for (let segment = 0; segment < segmentCount; segment++) {
+                const size = bytes[offset + 27 + segment];
+                pending.push(bytes.subarray(body, body + size));
+                body += size;
+                if (size < 255) {
+                    packets.push(this.concat(pending));
+                    pending = [];
+                }
+            }
+            offset = body;
+        }
+
+        if (packets.length < 2 || String.fromCharCode(...packets[0].subarray(0, 8)) !== 'OpusHead') {
+            throw new Error('Only Ogg Opus audio can be decoded');
+        }
+        return { packets, granule };
+    }
+
+    /**
+     * Frames of the first Opus track in a WebM file, such as MediaRecorder writes. Live recordings leave the
+     * segment and cluster sizes unknown, so master elements are entered rather than skipped by size
+     */
+    parseWebm(bytes) {
+        const ids = {
+            segment: 0x18538067, tracks: 0x1654AE6B, trackEntry: 0xAE, trackNumber: 0xD7, codecId: 0x86,
+            codecPrivate: 0x63A2, audio: 0xE1, channels: 0x9F, cluster: 0x1F43B675, blockGroup: 0xA0,
+            simpleBlock: 0xA3, block: 0xA1
+        };
+        const masters = new Set([ids.segment, ids.tracks, ids.trackEntry, ids.audio, ids.cluster, ids.blockGroup]);
+        const tracks = [];
+        const blocks = [];
+        let track = null;
+        let offset = 0;
+
+        // Skip the EBML header
+        const header = this.readVint(bytes, 0, true);
+        const headerSize = this.readVint(bytes, header.length);
+        offset = header.length + headerSize.length + headerSize.value;
+
+        while (offset < bytes.length) {
+            const id = this.readVint(bytes, offset, true);
+            const size = this.readVint(bytes, offset + id.length);
+            const start = offset + id.length + size.length;
+
+            if (masters.has(id.value)) {
+                if (id.value === ids.trackEntry) {
+                    track = {};
+                    tracks.push(track);
+                }
+                offset = start;
+                continue;
+            }
+            if (size.unknown || start + size.value > bytes.length) break;
+
+            const data = bytes.subarray(start, start + size.value);
+            if (id.value === ids.trackNumber && track) {
+                track.number = this.readUint(data);
+            } else if (id.value === ids.codecId && track) {
+                track.codec = String.fromCharCode(...data);
+            } else if (id.value === ids.codecPrivate && track) {
+                track.codecPrivate = data.slice();
+            } else if (id.value === ids.channels && track) {
+                track.channels = this.readUint(data);
+            } else if (id.value === ids.simpleBlock || id.value === ids.block) {
+                blocks.push(data);
+            }
+            offset = start + size.value;
+        }
+
+        const opus = tracks.find(candidate => candidate.codec === 'A_OPUS');
+        if (!opus) {
+            throw new Error('Only WebM Opus audio can be decoded');
+        }
+
+        const packets = [];
+        blocks.forEach(block => {
+            const number = this.readVint(block, 0);
+            if (number.value !== opus.number) return;
+            // Laced blocks hold several frames; MediaRecorder does not write them
+            if (block[number.length + 2] & 0x06) {
+                throw new Error('Laced WebM blocks are not supported');
+            }
+            packets.push(block.subarray(number.length + 3));
+        });
+
+        return { head: opus.codecPrivate || this.createOpusHead(opus.channels || 1), packets };
+    }
+
+    readVint(bytes, offset, keepMarker = false) {
+        const first = bytes[offset];
+        let length = 1;
+        let mask = 0x80;
+        while (length <= 8 && !(first & mask)) {
+            length++;
+            mask >>= 1;
+        }
+        if (length > 8) {
+            throw new Error('Invalid WebM element');
+        }
+
+        let value = keepMarker ? first : first & (mask - 1);
+        let unknown = (first & (mask - 1)) === mask - 1;
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + bytes[offset + i];
+            unknown = unknown && bytes[offset + i] === 0xFF;
+        }
+        return { value, length, unknown };
+    }
+
+    readUint(data) {
+        return data.reduce((value, byte) => value * 256 + byte, 0);
+    }
+
+    createOpusHead(channels, preSkip = 0, inputSampleRate = 48000) {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set([...'OpusHead'].map(char => char.charCodeAt(0)));
+        head[8] = 1;
+        head[9] = channels;
+        view.setUint16(10, preSkip, true);
+        view.setUint32(12, inputSampleRate, true);
+        return head;
+    }
+
+    /**
+     * Decode Opus packets with WebCodecs, dropping the encoder's pre-skip and, for Ogg, the padding
+     * after the last granule position
+     */
+    async decodeOpus(head, packets, granule, progress) {
+        if (typeof AudioDecoder !== 'function') {
+            throw new Error('Opus decoding is not supported in this version of the app');
+        }
+
+        const channelCount = head[9];
+        const preSkip = head[10] | (head[11] << 8);
+        const planes = Array.from({ length: channelCount }, () => []);
+        let sampleRate = 48000;
+        let decoderError = null;
+
+        const decoder = new AudioDecoder({
+            output: (audioData) => {
+                sampleRate = audioData.sampleRate;
+                for (let channel = 0; channel < channelCount; channel++) {
+                    const plane = new Float32Array(audioData.numberOfFrames);
+                    audioData.copyTo(plane, { planeIndex: Math.min(channel, audioData.numberOfChannels - 1), format: 'f32-planar' });
+                    planes[channel].push(plane);
+                }
+                audioData.close();
+            },
+            error: (error) => { decoderError = error; }
+        });
+        decoder.configure({ codec: 'opus', sampleRate: 48000, numberOfChannels: channelCount, description: head });
+
+        // Timestamps only need to increase; the output is assembled in order
+        packets.forEach((packet, index) => {
+            decoder.decode(new EncodedAudioChunk({ type: 'key', timestamp: index * 20000, data: packet }));
+        });
+        while (decoder.decodeQueueSize > 0 && !decoderError) {
+            progress(1 - decoder.decodeQueueSize / packets.length);
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        await decoder.flush();
+        decoder.close();
+        if (decoderError) {
+            throw decoderError;
+        }
+
+        const decoded = planes[0].reduce((sum, plane) => sum + plane.length, 0);
+        const scale = sampleRate / 48000;
+        const expected = granule !== null ? Math.round((granule - preSkip) * scale) : decoded - Math.round(preSkip * scale);
+        const skip = Math.max(0, Math.min(Math.round(preSkip * scale), decoded - expected));
+        const length = Math.max(0, Math.min(decoded - skip, expected));
+
+        const channels = planes.map(list => this.concat(list, Float32Array).subarray(skip, skip + length).slice());
+        return { channels, sampleRate };
+    }
+
+    concat(parts, Type = Uint8Array) {
+        if (parts.length === 1) return parts[0];
+
+        const joined = new Type(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            joined.set(part, offset);
+            offset += part.length;
+        });
+        return joined;
+    }
+
+    /**
+     * Downmix by averaging channels; fewer wanted channels keep the first ones, more repeat the last
+     */
+    mix(channels, count) {
+        if (count === channels.length) return channels;
+        if (count === 1) {
+            const mono = new Float32Array(channels[0].length);
+            channels.forEach(data => {
+                for (let i = 0; i < data.length; i++) {
+                    mono[i] += data[i] / channels.length;
+                }
+            });
+            return [mono];
+        }
+        return Array.from({ length: count }, (_, channel) =>
+            channel < channels.length ? channels[channel] : channels[channels.length - 1].slice());
+    }
+
+    /**
+     * Band-limited resampling with a Blackman-windowed sinc, 16 zero crossings wide. When downsampling the
+     * cutoff moves to just below the new Nyquist frequency so speech does not alias
+     */
+    resample(input, fromRate, toRate, progress) {
+        const ratio = toRate / fromRate;
+        const cutoff = Math.min(1, ratio) * 0.95;
+        const zeroCrossings = 8;
+        const resolution = 256;
+        const table = new Float32Array(zeroCrossings * resolution + 2);
+        for (let i = 0; i < table.length; i++) {
+            const x = i / resolution;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const window = x >= zeroCrossings ? 0
+                : 0.42 + 0.5 * Math.cos(Math.PI * x / zeroCrossings) + 0.08 * Math.cos(2 * Math.PI * x / zeroCrossings);
+            table[i] = sinc * window;
+        }
+
+        const halfWidth = zeroCrossings / cutoff;
+        const output = new Float32Array(Math.ceil(input.length * ratio));
+        for (let n = 0; n < output.length; n++) {
+            const center = n / ratio;
+            const from = Math.max(0, Math.ceil(center - halfWidth));
+            const to = Math.min(input.length - 1, Math.floor(center + halfWidth));
+            let sum = 0;
+            let weight = 0;
+            for (let k = from; k <= to; k++) {
+                const position = Math.abs(k - center) * cutoff * resolution;
+                const index = position | 0;
+                const w = table[index] + (table[index + 1] - table[index]) * (position - index);
+                sum += input[k] * w;
+                weight += w;
+            }
+            output[n] = weight > 0 ? sum / weight : 0;
+            if ((n & 0x3FFFF) === 0) progress(n / output.length);
+        }
+        return output;
+    }
+
+    // Second-order Butterworth high-pass, applied in place
+    highPass(data, sampleRate, frequency) {
+        const w0 = 2 * Math.PI * frequency / sampleRate;
+        const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+        const cos = Math.cos(w0);
+        const a0 = 1 + alpha;
+        const b = [(1 + cos) / 2 / a0, -(1 + cos) / a0, (1 + cos) / 2 / a0];
+        const a = [1, -2 * cos / a0, (1 - alpha) / a0];
+        this.biquad(data, b, a, data);
+    }
+
+    biquad(input, b, a, output = new Float32Array(input.length)) {
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        for (let i = 0; i < input.length; i++) {
+            const x = input[i];
+            const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+            output[i] = y;
+        }
+        return output;
+    }
+
+    /**
+     * Apply gain in place so integrated loudness reaches targetLufs, without pushing peaks above -1 dBFS
+     * Returns null for silent audio, where there is nothing to measure
+     */
+    normalizeLoudness(channels, sampleRate, targetLufs) {
+        const measuredLufs = this.measureLoudness(channels, sampleRate);
+        if (measuredLufs === null) {
+            return null;
+        }
+
+        let peak = 0;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                const sample = Math.abs(data[i]);
+                if (sample > peak) peak = sample;
+            }
+        });
+
+        // Cap the boost so a nearly silent recording does not turn background hiss into the loudest thing in it
+        const wantedGainDb = Math.min(targetLufs - measuredLufs, 24);
+        const peakLimitDb = peak > 0 ? 20 * Math.log10(0.891 / peak) : wantedGainDb;
+        const gainDb = Math.min(wantedGainDb, peakLimitDb);
+        const gain = Math.pow(10, gainDb / 20);
+
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= gain;
+            }
+        });
+
+        return {
+            targetLufs,
+            measuredLufs: Math.round(measuredLufs * 10) / 10,
+            gainDb: Math.round(gainDb * 10) / 10,
+            limitedByPeak: peakLimitDb < wantedGainDb
+        };
+    }
+
+    /**
+     * Integrated loudness in LUFS per ITU-R BS.1770: K-weighting, 400 ms blocks with 75% overlap,
+     * an absolute gate at -70 LUFS and a relative gate 10 LU below the ungated level
+     */
+    measureLoudness(channels, sampleRate) {
+        const length = channels[0].length;
+        const blockSize = Math.round(sampleRate * 0.4);
+        const hopSize = Math.round(sampleRate * 0.1);
+        if (length < blockSize) {
+            return null;
+        }
+
+        // Sum of K-weighted squares per 100 ms hop, added across channels
+        const hopCount = Math.floor(length / hopSize);
+        const hopEnergy = new Float64Array(hopCount);
+        channels.forEach(data => {
+            const weighted = this.applyKWeighting(data, sampleRate);
+            for (let hop = 0; hop < hopCount; hop++) {
+                let sum = 0;
+                for (let i = hop * hopSize; i < (hop + 1) * hopSize; i++) {
+                    sum += weighted[i] * weighted[i];
+                }
+                hopEnergy[hop] += sum;
+            }
+        });
+
+        const blocks = [];
+        for (let hop = 0; hop + 4 <= hopCount; hop++) {
+            const meanSquare = (hopEnergy[hop] + hopEnergy[hop + 1] + hopEnergy[hop + 2] + hopEnergy[hop + 3]) / (hopSize * 4);
+            blocks.push(meanSquare);
+        }
+
+        const toLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+        const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const audible = blocks.filter(meanSquare => meanSquare > 0 && toLufs(meanSquare) > -70);
+        if (audible.length === 0) {
+            return null;
+        }
+
+        const relativeGate = toLufs(average(audible)) - 10;
+        const gated = audible.filter(meanSquare => toLufs(meanSquare) > relativeGate);
+        return toLufs(average(gated));
+    }
+
+    // The BS.1770 pre-filter (high shelf) and RLB high-pass, with coefficients derived for any sample rate
+    applyKWeighting(samples, sampleRate) {
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelved = this.biquad(samples, [
+            (Vh + Vb * K / Q + K * K) / a0,
+            2 * (K * K - Vh) / a0,
+            (Vh - Vb * K / Q + K * K) / a0
+        ], [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]);
+
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        return this.biquad(shelved, [1, -2, 1], [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0], shelved);
+    }
+
+    /**
+     * 16-bit PCM WAV, interleaved
+     */
+    encodeWav(channels, sampleRate, progress) {
+        const numberOfChannels = channels.length;
+        const frames = channels[0].length;
+        const length = frames * numberOfChannels * 2;
+        const buffer = new ArrayBuffer(44 + length);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, string) => {
+            for (let i = 0; i < string.length; i++) {
+                view.setUint8(offset + i, string.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');                          // ChunkID
+        view.setUint32(4, 36 + length, true);            // ChunkSize
+        writeString(8, 'WAVE');                          // Format
+        writeString(12, 'fmt ');                         // Subchunk1ID
+        view.setUint32(16, 16, true);                    // Subchunk1Size (PCM = 16)
+        view.setUint16(20, 1, true);                     // AudioFormat (PCM = 1)
+        view.setUint16(22, numberOfChannels, true);      // NumChannels
+        view.setUint32(24, sampleRate, true);            // SampleRate
+        view.setUint32(28, sampleRate * numberOfChannels * 2, true); // ByteRate
+        view.setUint16(32, numberOfChannels * 2, true);  // BlockAlign
+        view.setUint16(34, 16, true);                    // BitsPerSample
+        writeString(36, 'data');                         // Subchunk2ID
+        view.setUint32(40, length, true);                // Subchunk2Size
+
+        const samples = new Int16Array(buffer, 44);
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                samples[i * numberOfChannels + channel] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+            }
+            if ((i & 0xFFFFF) === 0) progress(i / frames);
+        }
+        return buffer;
+    }
+
+    /**
+     * Encode with WebCodecs and wrap the packets in an Ogg Opus file (RFC 7845)
+     */
+    async encodeOpus(channels, sampleRate, bitrate, progress) {
+        if (typeof AudioEncoder !== 'function') {
+            throw new Error('Opus encoding is not supported in this version of the app');
+        }
+
+        const config = {
+            codec: 'opus',
+            sampleRate,
+            numberOfChannels: channels.length,
+            bitrate: bitrate * channels.length,
+            opus: { application: 'voip', signal: 'voice' }
+        };
+        const support = await AudioEncoder.isConfigSupported(config);
+        if (!support.supported) {
+            throw new Error(`Opus encoding at ${sampleRate} Hz is not supported`);
+        }
+
+        const packets = [];
+        let preSkip = 312;
+        let encoderError = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                packets.push({ data, duration: chunk.duration });
+
+                const description = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+                if (description) {
+                    preSkip = this.readPreSkip(description, preSkip);
+                }
+            },
+            error: (error) => { encoderError = error; }
+        });
+        encoder.configure(config);
+
+        // Feed 20 ms frames of planar float samples
+        const length = channels[0].length;
+        const frameSize = Math.round(sampleRate / 50);
+        for (let offset = 0; offset < length; offset += frameSize) {
+            const frames = Math.min(frameSize, length - offset);
+            const planar = new Float32Array(frames * channels.length);
+            channels.forEach((data, channel) => planar.set(data.subarray(offset, offset + frames), channel * frames));
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels.length,
+                timestamp: Math.round(offset * 1000000 / sampleRate),
+                data: planar
+            });
+            encoder.encode(audioData);
+            audioData.close();
+
+            // Let the encoder drain so a long recording does not queue every frame in memory at once
+            if (encoder.encodeQueueSize > 100) {
+                progress(offset / length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        await encoder.flush();
+        encoder.close();
+        if (encoderError) {
+            throw encoderError;
+        }
+
+        // Granule positions count 48 kHz samples whatever the input rate
+        const totalSamples = Math.round(length / sampleRate * 48000);
+        const pages = this.buildOggOpus(packets, channels.length, sampleRate, preSkip, totalSamples);
+        return this.concat(pages).buffer;
+    }
+
+    // An OpusHead identification header keeps the pre-skip in bytes 10-11
+    readPreSkip(description, fallback) {
+        const bytes = description instanceof ArrayBuffer
+            ? new Uint8Array(description)
+            : new Uint8Array(description.buffer, description.byteOffset, description.byteLength);
+        const magic = String.fromCharCode(...bytes.subarray(0, 8));
+        return magic === 'OpusHead' && bytes.length >= 12 ? bytes[10] | (bytes[11] << 8) : fallback;
+    }
+
+    buildOggOpus(packets, channels, inputSampleRate, preSkip, totalSamples) {
+        const serial = Math.floor(Math.random() * 0xFFFFFFFF);
+        const pages = [];
+        let sequence = 0;
+
+        pages.push(this.createOggPage([this.createOpusHead(channels, preSkip, inputSampleRate)], 0, serial, sequence++, 0x02));
+
+        const vendor = new TextEncoder().encode('Call Summary AI');
+        const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+        tags.set([...'OpusTags'].map(char => char.charCodeAt(0)));
+        new DataView(tags.buffer).setUint32(8, vendor.length, true);
+        tags.set(vendor, 12);
+        pages.push(this.createOggPage([tags], 0, serial, sequence++, 0));
+
+        // Group packets into pages of up to ~1 second to keep container overhead low; a page holds at most 255 segments
+        let granule = preSkip;
+        let group = [];
+        let segmentCount = 0;
+        packets.forEach((packet, index) => {
+            const segments = Math.floor(packet.data.length / 255) + 1;
+            if (group.length === 50 || segmentCount + segments > 255) {
+                pages.push(this.createOggPage(group, granule, serial, sequence++, 0));
+                group = [];
+                segmentCount = 0;
+            }
+
+            group.push(packet.data);
+            segmentCount += segments;
+            granule += Math.round(packet.duration * 48000 / 1000000);
+
+            // The last page's granule position trims the encoder's padding from the end
+            if (index === packets.length - 1) {
+                pages.push(this.createOggPage(group, preSkip + totalSamples, serial, sequence++, 0x04));
+            }
+        });
+
+        return pages;
+    }
+
+    createOggPage(packets, granule, serial, sequence, headerType) {
+        const segments = [];
+        packets.forEach(packet => {
+            let remaining = packet.length;
+            while (remaining >= 255) {
+                segments.push(255);
+                remaining -= 255;
+            }
+            segments.push(remaining);
+        });
+
+        const bodyLength = packets.reduce((sum, packet) => sum + packet.length, 0);
+        const page = new Uint8Array(27 + segments.length + bodyLength);
+        const view = new DataView(page.buffer);
+
+        page.set([0x4F, 0x67, 0x67, 0x53]); // "OggS"
+        page[5] = headerType;
+        view.setUint32(6, granule % 0x100000000, true);
+        view.setUint32(10, Math.floor(granule / 0x100000000), true);
+        view.setUint32(14, serial, true);
+        view.setUint32(18, sequence, true);
+        page[26] = segments.length;
+        page.set(segments, 27);
+
+        let offset = 27 + segments.length;
+        packets.forEach(packet => {
+            page.set(packet, offset);
+            offset += packet.length;
+        });
+
+        view.setUint32(22, this.oggChecksum(page), true);
+        return page;
+    }
+
+    // CRC-32 with polynomial 0x04C11DB7, unreflected, as required by the Ogg spec
+    oggChecksum(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let crc = i << 24;
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+                }
+                this.crcTable[i] = crc >>> 0;
+            }
+        }
+
+        let crc = 0;
+        for (let i = 0; i < data.length; i++) {
+            crc = ((crc << 8) ^ this.crcTable[((crc >>> 24) ^ data[i]) & 0xFF]) >>> 0;
+        }
+        return crc;
+    }
+
+    /**
+     * { duration, levels: [{ peaksPerSecond, data }] } where data interleaves min and max as Int8 values,
+     * finest level first; each further level halves the resolution
+     */
+    computePeaks(channels, sampleRate, { peaksPerSecond, minimumLevelPeaks }) {
+        const length = channels[0].length;
+        const samplesPerPeak = sampleRate / peaksPerSecond;
+        const count = Math.max(1, Math.ceil(length / samplesPerPeak));
+        const base = new Int8Array(count * 2);
+
+        for (let peak = 0; peak < count; peak++) {
+            const from = Math.floor(peak * samplesPerPeak);
+            const to = Math.min(length, Math.floor((peak + 1) * samplesPerPeak));
+            let min = 0;
+            let max = 0;
+            channels.forEach(data => {
+                for (let i = from; i < to; i++) {
+                    if (data[i] < min) min = data[i];
+                    if (data[i] > max) max = data[i];
+                }
+            });
+            base[peak * 2] = Math.max(-127, Math.round(min * 127));
+            base[peak * 2 + 1] = Math.min(127, Math.round(max * 127));
+        }
+
+        const levels = [{ peaksPerSecond, data: base }];
+        let level = levels[0];
+        while (level.data.length / 2 > minimumLevelPeaks) {
+            const previous = level.data;
+            const data = new Int8Array(Math.ceil(previous.length / 4) * 2);
+            for (let peak = 0; peak < data.length / 2; peak++) {
+                const a = peak * 4;
+                const hasPair = a + 2 < previous.length;
+                data[peak * 2] = hasPair ? Math.min(previous[a], previous[a + 2]) : previous[a];
+                data[peak * 2 + 1] = hasPair ? Math.max(previous[a + 1], previous[a + 3]) : previous[a + 1];
+            }
+            level = { peaksPerSecond: level.peaksPerSecond / 2, data };
+            levels.push(level);
+        }
+
+        return { duration: length / sampleRate, levels };
+    }
+}
+
+// Only start when loaded as a worker
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    new AudioWorkerJobs(self);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioWorkerJobs;
+}
@@ -6,9 +6,25 @@ class AudioManager {
         this.analyser = null;
         this.dataArray = null;
         this.isAnalyzing = false;
+        this.isVisualizationPaused = false;
         this.permissionStatus = 'unknown';
         this.deviceCache = null;
         this.deviceChangeListeners = [];
+        this.sourceStreams = [];
+        this.levelMeter = null;
+        this.levelMeterReady = null;
+        this.meterLevels = null;
+        this.meterModules = new WeakMap();
+        this.channelMeter = null;
+        this.channelLevels = null;
+        this.levelCallback = null;
+        this.visualizationSessions = new Map();
+        this.inputClipHistory = null;
+        this.clipLevel = 0.99;
+        this.playbackContext = null;
+        this.playbackGraphs = new WeakMap();
+        this.audioJobs = new Map();
+        this.audioJobNoticeDelayMs = 1000;
         this.fallbackDevices = [
             { deviceId: 'default', label: 'Default Microphone', kind: 'audioinput' },
             { deviceId: 'communications', label: 'Communications Device', kind: 'audioinput' }
@@ -30,6 +46,16 @@ class AudioManager {
             
             const bufferLength = this.analyser.frequencyBinCount;
             this.dataArray = new Uint8Array(bufferLength);
+
+            const context = this.audioContext;
+            this.levelMeter = null;
+            this.meterLevels = null;
+            // Up to two channels, so a stereo input is metered per side while mono stays mono
+            this.levelMeterReady = this.createLevelMeter(context, 2, (levels) => this.handleMeterLevels(levels), 'clamped-max')
+                .then(meter => {
+                    if (this.audioContext === context) this.levelMeter = meter;
+                })
+                .catch(error => console.warn('Level meter is not available:', error));
             
             return true;
         } catch (error) {
@@ -262,9 +288,9 @@ class AudioManager {
                 deviceId: deviceId ? { exact: deviceId } : undefined,
                 sampleRate: options.sampleRate || 44100,
                 channelCount: options.channels || 2,
-                echoCancellation: true,
-                noiseSuppression: true,
-                autoGainControl: true
+                echoCancellation: options.echoCancellation !== false,
+                noiseSuppression: options.noiseSuppression !== false,
+                autoGainControl: options.autoGainControl !== false
             }
         };
 
@@ -281,11 +307,13 @@ class AudioManager {
                 await this.audioContext.resume();
             }
             
-            // Connect to analyser for visualization
+            // Connect to analyser for visualization and to the level meter
             if (this.audioContext && this.analyser && this.audioContext.state === 'running') {
                 try {
+                    await this.levelMeterReady;
                     const source = this.audioContext.createMediaStreamSource(stream);
                     source.connect(this.analyser);
+                    if (this.levelMeter) source.connect(this.levelMeter);
                     console.log('Audio stream connected to analyser for visualization');
                 } catch (connectionError) {
                     console.warn('Failed to connect stream to analyser:', connectionError);
@@ -300,6 +328,101 @@ class AudioManager {
         }
     }
 
+    /**
+     * Record the microphone and a second source (system audio or another input device) as one stereo stream:
+     * the microphone on channel 0 and the second source on channel 1, metered per channel.
+     * The source streams are kept so releaseSourceStreams can stop them when recording ends
+     */
+    async createDualSourceStream(deviceId, secondSource, options = {}) {
+        const microphone = await this.createRecordingStream(deviceId, { ...options, channels: 1 });
+
+        let other;
+        try {
+            other = secondSource === 'system'
+                ? await this.captureSystemAudio()
+                : await navigator.mediaDevices.getUserMedia({
+                    audio: {
+                        deviceId: { exact: secondSource },
+                        sampleRate: options.sampleRate || 44100,
+                        // The other side's audio is already processed by their call app
+                        echoCancellation: false,
+                        noiseSuppression: false,
+                        autoGainControl: false
+                    }
+                });
+        } catch (error) {
+            microphone.getTracks().forEach(track => track.stop());
+            console.error('Error capturing second audio source:', error);
+            throw new Error('Failed to access second audio source: ' + error.message);
+        }
+
+        const context = this.audioContext;
+        const merger = context.createChannelMerger(2);
+        const destination = context.createMediaStreamDestination();
+        destination.channelCount = 2;
+
+        [microphone, other].forEach((stream, channel) => {
+            const source = context.createMediaStreamSource(stream);
+            const mono = context.createGain();
+            mono.channelCount = 1;
+            mono.channelCountMode = 'explicit';
+            mono.channelInterpretation = 'speakers';
+            source.connect(mono);
+            mono.connect(merger, 0, channel);
+
+            // The microphone already feeds the shared analyser and meter; add the other side to them
+            if (channel === 1 && this.analyser) {
+                mono.connect(this.analyser);
+                if (this.levelMeter) mono.connect(this.levelMeter);
+            }
+        });
+        merger.connect(destination);
+
+        try {
+            this.channelMeter = await this.createLevelMeter(context, 2, (levels) => {
+                this.channelLevels = levels;
+                if (this.isAnalyzing && !this.isVisualizationPaused) this.recordClipping(this.inputClipHistory, levels);
+            });
+            merger.connect(this.channelMeter);
+        } catch (error) {
+            console.warn('Per-channel level meter is not available:', error);
+        }
+
+        this.sourceStreams = [microphone, other];
+        return destination.stream;
+    }
+
+    /**
+     * System audio ("what you hear") through screen capture loopback; the main process picks the screen
+     * and the video track is dropped straight away
+     */
+    async captureSystemAudio() {
+        if (!navigator.mediaDevices.getDisplayMedia) {
+            throw new Error('System audio capture is not supported');
+        }
+
+        const stream = await navigator.mediaDevices.getDisplayMedia({ audio: true, video: true });
+        stream.getVideoTracks().forEach(track => {
+            track.stop();
+            stream.removeTrack(track);
+        });
+        if (stream.getAudioTracks().length === 0) {
+            throw new Error('System audio capture is not supported on this platform; choose a loopback input device instead');
+        }
+        return stream;
+    }
+
+    releaseSourceStreams() {
+        this.sourceStreams.forEach(stream => stream.getTracks().forEach(track => track.stop()));
+        this.sourceStreams = [];
+        if (this.channelMeter) {
+            this.channelMeter.disconnect();
+            this.channelMeter.port.close();
+        }
+        this.channelMeter = null;
+        this.channelLevels = null;
+    }
+
     startVisualization(canvas, options = {}) {
         if (!this.analyser || !canvas) return;
 
@@ -310,44 +433,98 @@ class AudioManager {
             });
         }
 
+        // Switching modes keeps the clipping history; a new session starts a fresh one
+        if (!this.isAnalyzing) {
+            this.inputClipHistory = this.createClipHistory();
+        }
+        this.isAnalyzing = true;
+
+        this.runVisualization(canvas, {
+            id: 'input',
+            analyser: this.analyser,
+            sampleRate: this.audioContext.sampleRate,
+            getLevels: () => this.getInputLevels(),
+            clipHistory: this.inputClipHistory,
+            isActive: () => this.isAnalyzing,
+            // Leave the last frame on screen while the recording is paused
+            isPaused: () => this.isVisualizationPaused
+        }, options);
+    }
+
+    /**
+     * Draw one of the visualization types ('waveform', 'frequency', 'level', 'spectrogram' or 'channels') for a
+     * source ({ id, analyser, sampleRate, getLevels, clipHistory, isActive, isPaused }) until it stops being
+     * active or another visualization of the same source starts. options.clipCanvas also draws the clipping history
+     */
+    runVisualization(canvas, source, options = {}) {
         const ctx = canvas.getContext('2d');
         const width = canvas.width;
         const height = canvas.height;
         
         // Visualization options
-        const visualizationType = options.type || 'waveform'; // 'waveform', 'frequency', 'level'
+        const visualizationType = options.type || 'waveform'; // 'waveform', 'frequency', 'level', 'spectrogram', 'channels'
         const colorScheme = options.colorScheme || 'blue';
         const smoothing = options.smoothing !== undefined ? options.smoothing : 0.8;
-        
-        this.analyser.smoothingTimeConstant = smoothing;
-        this.isAnalyzing = true;
+        const backgroundColor = options.backgroundColor || '#1e293b';
+        const analyser = source.analyser;
+
+        // The spectrogram needs finer frequency bins to show mains hum at 50/60 Hz
+        analyser.fftSize = visualizationType === 'spectrogram' ? 2048 : 256;
+        analyser.smoothingTimeConstant = visualizationType === 'spectrogram' ? 0 : smoothing;
+        const data = new Uint8Array(analyser.frequencyBinCount);
 
         // Store previous frame data for smoother animation
-        let previousData = new Array(this.dataArray.length).fill(0);
+        const previousData = new Array(data.length).fill(0);
+        const state = { lastColumnAt: 0, oneSided: null };
 
-        const draw = () => {
-            if (!this.isAnalyzing) return;
+        const session = (this.visualizationSessions.get(source.id) || 0) + 1;
+        this.visualizationSessions.set(source.id, session);
+
+        if (options.clear !== false) {
+            ctx.fillStyle = visualizationType === 'spectrogram' ? this.getSpectrogramColor(0) : backgroundColor;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        const draw = (now) => {
+            if (!source.isActive() || this.visualizationSessions.get(source.id) !== session) return;
 
             requestAnimationFrame(draw);
 
+            if (source.isPaused()) return;
+
+            if (options.clipCanvas) {
+                this.drawClipHistory(options.clipCanvas, source.clipHistory);
+            }
+
+            // The spectrogram scrolls at a fixed speed rather than once per animation frame
+            if (visualizationType === 'spectrogram') {
+                if (now - state.lastColumnAt >= (options.columnMs || 50)) {
+                    state.lastColumnAt = now;
+                    this.drawSpectrogram(ctx, width, height, analyser, data, source.sampleRate);
+                }
+                return;
+            }
+
             // Clear canvas
-            ctx.fillStyle = options.backgroundColor || '#1e293b';
+            ctx.fillStyle = backgroundColor;
             ctx.fillRect(0, 0, width, height);
 
             if (visualizationType === 'waveform') {
-                this.drawWaveform(ctx, width, height, previousData, colorScheme);
+                this.drawWaveform(ctx, width, height, analyser, data, previousData, colorScheme);
             } else if (visualizationType === 'frequency') {
-                this.drawFrequencyBars(ctx, width, height, previousData, colorScheme);
+                this.drawFrequencyBars(ctx, width, height, analyser, data, previousData, colorScheme);
             } else if (visualizationType === 'level') {
-                this.drawLevelMeter(ctx, width, height, colorScheme);
+                this.drawLevelMeter(ctx, width, height, source.getLevels().level);
+            } else if (visualizationType === 'channels') {
+                this.drawChannelMeters(ctx, width, height, source.getLevels(), state, now);
             }
         };
 
-        draw();
+        draw(performance.now());
     }
 
-    drawWaveform(ctx, width, height, previousData, colorScheme) {
-        this.analyser.getByteTimeDomainData(this.dataArray);
+    drawWaveform(ctx, width, height, analyser, data, previousData, colorScheme) {
+        analyser.getByteTimeDomainData(data);
         
         // Create gradient
         const gradient = this.createGradient(ctx, width, height, colorScheme);
@@ -356,12 +533,12 @@ class AudioManager {
         ctx.lineWidth = 2;
         ctx.beginPath();
 
-        const sliceWidth = width / this.dataArray.length;
+        const sliceWidth = width / data.length;
         let x = 0;
 
-        for (let i = 0; i < this.dataArray.length; i++) {
+        for (let i = 0; i < data.length; i++) {
             // Smooth the data
-            const currentValue = this.dataArray[i] / 128.0;
+            const currentValue = data[i] / 128.0;
             const smoothedValue = previousData[i] * 0.7 + currentValue * 0.3;
             previousData[i] = smoothedValue;
             
@@ -379,17 +556,16 @@ class AudioManager {
         ctx.stroke();
     }
 
-    drawFrequencyBars(ctx, width, height, previousData, colorScheme) {
-        this.analyser.getByteFrequencyData(this.dataArray);
+    drawFrequencyBars(ctx, width, height, analyser, data, previousData, colorScheme) {
+        analyser.getByteFrequencyData(data);
 
-        const barWidth = width / this.dataArray.length * 2.5;
-        const gradient = this.createGradient(ctx, width, height, colorScheme);
+        const barWidth = width / data.length * 2.5;
         
         let x = 0;
 
-        for (let i = 0; i < this.dataArray.length; i++) {
+        for (let i = 0; i < data.length; i++) {
             // Smooth the data
-            const currentValue = this.dataArray[i];
+            const currentValue = data[i];
             const smoothedValue = previousData[i] * 0.8 + currentValue * 0.2;
             previousData[i] = smoothedValue;
             
@@ -415,9 +591,7 @@ class AudioManager {
         }
     }
 
-    drawLevelMeter(ctx, width, height, colorScheme) {
-        const level = this.calculateAudioLevel();
-        
+    drawLevelMeter(ctx, width, height, level) {
         // Draw background
         ctx.fillStyle = '#374151';
         ctx.fillRect(0, 0, width, height);
@@ -447,6 +621,149 @@ class AudioManager {
         ctx.fillText(`${Math.round(level * 100)}%`, width / 2, height / 2 + 4);
     }
 
+    /**
+     * Scroll the spectrogram left by one column and paint the newest spectrum at the right edge. Frequencies
+     * run on a log scale from 20 Hz at the bottom to the Nyquist frequency at the top, so hum gets its own rows
+     */
+    drawSpectrogram(ctx, width, height, analyser, data, sampleRate) {
+        analyser.getByteFrequencyData(data);
+        ctx.drawImage(ctx.canvas, 1, 0, width - 1, height, 0, 0, width - 1, height);
+
+        const minFrequency = 20;
+        const maxFrequency = sampleRate / 2;
+        const binWidth = maxFrequency / data.length;
+        const column = ctx.createImageData(1, height);
+
+        for (let y = 0; y < height; y++) {
+            const frequency = minFrequency * Math.pow(maxFrequency / minFrequency, (height - 1 - y) / Math.max(1, height - 1));
+            const bin = Math.min(data.length - 1, Math.round(frequency / binWidth));
+            const color = this.getSpectrogramPalette()[data[bin]];
+            column.data.set(color, y * 4);
+        }
+        ctx.putImageData(column, width - 1, 0);
+    }
+
+    // 256 RGBA colors from dark navy (quiet) through purple, red and amber to pale yellow (loud)
+    getSpectrogramPalette() {
+        if (!this.spectrogramPalette) {
+            const stops = [[0, [15, 23, 42]], [64, [76, 29, 149]], [128, [190, 24, 93]], [192, [245, 158, 11]], [255, [254, 249, 195]]];
+            this.spectrogramPalette = Array.from({ length: 256 }, (_, value) => {
+                const upper = stops.findIndex(([position]) => position >= value);
+                const [toPosition, to] = stops[upper];
+                const [fromPosition, from] = stops[Math.max(0, upper - 1)];
+                const t = toPosition === fromPosition ? 0 : (value - fromPosition) / (toPosition - fromPosition);
+                return [...from.map((channel, i) => Math.round(channel + (to[i] - channel) * t)), 255];
+            });
+        }
+        return this.spectrogramPalette;
+    }
+
+    getSpectrogramColor(value) {
+        const [r, g, b] = this.getSpectrogramPalette()[value];
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    /**
+     * One meter per channel with its peak mark. A channel that stays silent while the other has sound is flagged,
+     * since that usually means a one-sided recording (a muted call app or a mono source panned to one side)
+     */
+    drawChannelMeters(ctx, width, height, levels, state, now) {
+        const { channels, labels } = levels;
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'middle';
+
+        if (channels.length === 0) {
+            ctx.fillStyle = '#94a3b8';
+            ctx.textAlign = 'center';
+            ctx.fillText('No input', width / 2, height / 2);
+            return;
+        }
+
+        const labelWidth = 40;
+        const rowHeight = height / channels.length;
+        channels.forEach((channel, index) => {
+            const y = index * rowHeight + 3;
+            const barHeight = rowHeight - 6;
+            const barWidth = width - labelWidth - 4;
+
+            ctx.fillStyle = '#64748b';
+            ctx.textAlign = 'left';
+            ctx.fillText(labels[index] || `Ch ${index + 1}`, 4, y + barHeight / 2);
+
+            ctx.fillStyle = '#374151';
+            ctx.fillRect(labelWidth, y, barWidth, barHeight);
+            ctx.fillStyle = channel.level < 0.3 ? '#10b981' : channel.level < 0.7 ? '#f59e0b' : '#ef4444';
+            ctx.fillRect(labelWidth, y, barWidth * channel.level, barHeight);
+
+            ctx.fillStyle = channel.peak >= this.clipLevel ? '#dc2626' : '#f8fafc';
+            ctx.fillRect(labelWidth + barWidth * this.toMeterLevel(channel.peak) - 1, y, 2, barHeight);
+        });
+
+        if (channels.length !== 2) return;
+
+        const quiet = channels.findIndex(channel => channel.level < 0.15);
+        const oneSided = quiet !== -1 && channels[1 - quiet].level > 0.4 ? quiet : null;
+        if (oneSided === null) {
+            state.oneSided = null;
+        } else if (!state.oneSided || state.oneSided.channel !== oneSided) {
+            state.oneSided = { channel: oneSided, since: now };
+        } else if (now - state.oneSided.since >= 3000) {
+            ctx.fillStyle = '#f59e0b';
+            ctx.textAlign = 'right';
+            ctx.fillText(`${labels[oneSided]} is silent`, width - 8, oneSided * rowHeight + rowHeight / 2);
+        }
+    }
+
+    /**
+     * Peak level per second for a whole recording or playback, so clipping early in a call stays visible
+     */
+    createClipHistory() {
+        return { seconds: [], current: 0, reports: 0, clippedSeconds: 0 };
+    }
+
+    // Meter reports arrive about every 50 ms; twenty of them make one second of history
+    recordClipping(history, levels) {
+        if (!history) return;
+
+        history.current = Math.max(history.current, levels.peak);
+        if (++history.reports < 20) return;
+
+        history.seconds.push(history.current);
+        if (history.current >= this.clipLevel) history.clippedSeconds++;
+        history.current = 0;
+        history.reports = 0;
+    }
+
+    /**
+     * The clipping history squeezed into the strip: green where levels were fine, amber close to full scale and
+     * red where the audio clipped
+     */
+    drawClipHistory(canvas, history) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.fillStyle = '#e2e8f0';
+        ctx.fillRect(0, 0, width, height);
+        if (!history) return;
+
+        const seconds = history.reports > 0 ? [...history.seconds, history.current] : history.seconds;
+        const columns = Math.min(width, seconds.length);
+        const columnWidth = width / Math.max(1, columns);
+        for (let column = 0; column < columns; column++) {
+            const from = Math.floor(column * seconds.length / columns);
+            const to = Math.max(from + 1, Math.floor((column + 1) * seconds.length / columns));
+            const peak = Math.max(...seconds.slice(from, to));
+
+            ctx.fillStyle = peak >= this.clipLevel ? '#dc2626' : peak >= 0.9 ? '#f59e0b' : peak > 0.001 ? '#10b981' : '#cbd5e1';
+            ctx.fillRect(Math.floor(column * columnWidth), 0, Math.ceil(columnWidth), height);
+        }
+
+        const summary = history.clippedSeconds > 0
+            ? `Clipped in ${history.clippedSeconds} second${history.clippedSeconds === 1 ? '' : 's'}`
+            : 'No clipping';
+        canvas.title = summary;
+        canvas.setAttribute('aria-label', `Clipping history: ${summary}`);
+    }
+
     createGradient(ctx, width, height, colorScheme) {
         const gradient = ctx.createLinearGradient(0, 0, 0, height);
         
@@ -482,257 +799,961 @@ class AudioManager {
 
     stopVisualization() {
         this.isAnalyzing = false;
+        this.isVisualizationPaused = false;
+    }
+
+    /**
+     * Visualize an <audio> element while it plays. The element is routed through a shared playback context once
+     * (a media element can only have one source node) and keeps its own analyser, level meter and clipping history
+     */
+    async startPlaybackVisualization(audioElement, canvas, options = {}) {
+        if (!audioElement || !canvas) return;
+
+        const graph = await this.getPlaybackGraph(audioElement);
+        if (this.playbackContext.state === 'suspended') {
+            await this.playbackContext.resume();
+        }
+
+        graph.active = true;
+        this.runVisualization(canvas, {
+            id: graph.id,
+            analyser: graph.analyser,
+            sampleRate: this.playbackContext.sampleRate,
+            getLevels: () => {
+                const meter = graph.levels || { level: 0, channels: [] };
+                return { level: meter.level, labels: this.getChannelLabels(meter.channels), channels: meter.channels };
+            },
+            clipHistory: graph.clipHistory,
+            isActive: () => graph.active,
+            isPaused: () => audioElement.paused
+        }, options);
+    }
+
+    stopPlaybackVisualization(audioElement) {
+        const graph = audioElement && this.playbackGraphs.get(audioElement);
+        if (graph) graph.active = false;
+    }
+
+    async getPlaybackGraph(audioElement) {
+        if (!this.playbackContext || this.playbackContext.state === 'closed') {
+            this.playbackContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.playbackGraphs = new WeakMap();
+        }
+        if (this.playbackGraphs.has(audioElement)) {
+            return this.playbackGraphs.get(audioElement);
+        }
+
+        const context = this.playbackContext;
+        const graph = {
+            id: `playback-${audioElement.id}`,
+            analyser: context.createAnalyser(),
+            levels: null,
+            clipHistory: this.createClipHistory(),
+            active: false
+        };
+        this.playbackGraphs.set(audioElement, graph);
+
+        const source = context.createMediaElementSource(audioElement);
+        source.connect(context.destination);
+        source.connect(graph.analyser);
+
+        // Once routed through the context the element is silent while the context is suspended
+        audioElement.addEventListener('play', () => {
+            if (context.state === 'suspended') context.resume().catch(() => {});
+        });
+        audioElement.addEventListener('loadstart', () => {
+            Object.assign(graph.clipHistory, this.createClipHistory());
+        });
+
+        try {
+            const meter = await this.createLevelMeter(context, 2, (levels) => {
+                graph.levels = levels;
+                if (!audioElement.paused) this.recordClipping(graph.clipHistory, levels);
+            }, 'clamped-max');
+            source.connect(meter);
+        } catch (error) {
+            console.warn('Playback level meter is not available:', error);
+        }
+        return graph;
+    }
+
+    /**
+     * Freeze the visualization and level callbacks without tearing them down
+     */
+    pauseVisualization() {
+        this.isVisualizationPaused = true;
+    }
+
+    resumeVisualization() {
+        this.isVisualizationPaused = false;
     }
 
     async convertBlobToWav(blob) {
-        return new Promise((resolve, reject) => {
-            // Validate input blob
-            if (!blob || blob.size === 0) {
-                reject(new Error('Invalid or empty blob provided'));
-                return;
+        // Validate input blob
+        if (!blob || blob.size === 0) {
+            throw new Error('Invalid or empty blob provided');
+        }
+
+        console.log('Converting blob to WAV:', {
+            size: blob.size,
+            type: blob.type
+        });
+
+        try {
+            const result = await this.runAudioJob(blob, { outputs: { wav: true } }, { description: 'Converting audio to WAV' });
+            const wavBlob = new Blob([result.wav], { type: 'audio/wav' });
+            console.log('WAV conversion completed:', {
+                originalSize: blob.size,
+                wavSize: wavBlob.size,
+                type: wavBlob.type
+            });
+            return wavBlob;
+        } catch (error) {
+            console.error('Audio buffer processing failed:', error);
+            throw new Error('Audio processing failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Decode encoded audio and write it as WAV, optionally preprocessed for speech recognition
+     * (options.preprocessing, with the applied steps passed to options.onPreprocessed)
+     */
+    async processAudioBuffer(arrayBuffer, options = {}) {
+        try {
+            // Validate arrayBuffer
+            if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+                throw new Error('Invalid or empty arrayBuffer for decoding');
             }
 
-            console.log('Converting blob to WAV:', {
-                size: blob.size,
-                type: blob.type
+            const job = options.preprocessing ? this.getPreprocessingJob(options.preprocessing) : {};
+            const result = await this.runAudioJob(arrayBuffer, { ...job, outputs: { wav: true } }, {
+                description: options.preprocessing ? 'Preparing audio for transcription' : 'Converting audio to WAV',
+                decodeTimeoutMs: options.decodeTimeoutMs || 5000,
+                // Decode at full rate in the page too, so resampling shows up in the preprocessing steps
+                decodeSampleRate: 48000
             });
 
-            const reader = new FileReader();
-            
-            // Add timeout to prevent hanging
-            const timeout = setTimeout(() => {
-                reject(new Error('WAV conversion timed out after 30 seconds'));
-            }, 30000);
-            
-            reader.onload = () => {
-                clearTimeout(timeout);
-                try {
-                    const arrayBuffer = reader.result;
-                    console.log('FileReader completed, arrayBuffer info:', {
-                        byteLength: arrayBuffer ? arrayBuffer.byteLength : 'null',
-                        constructor: arrayBuffer ? arrayBuffer.constructor.name : 'null'
-                    });
-                    
-                    if (!arrayBuffer || arrayBuffer.byteLength === 0) {
-                        reject(new Error('Failed to read blob data'));
-                        return;
-                    }
-                    
-                    this.processAudioBuffer(arrayBuffer)
-                        .then(wavBlob => {
-                            console.log('WAV conversion completed:', {
-                                originalSize: blob.size,
-                                wavSize: wavBlob.size,
-                                type: wavBlob.type
-                            });
-                            resolve(wavBlob);
-                        })
-                        .catch(error => {
-                            console.error('Audio buffer processing failed:', error);
-                            reject(new Error('Audio processing failed: ' + error.message));
-                        });
-                } catch (error) {
-                    console.error('Blob processing error:', error);
-                    reject(new Error('Failed to process blob: ' + error.message));
+            if (options.preprocessing && options.onPreprocessed) {
+                options.onPreprocessed(result.steps);
+            }
+            return new Blob([result.wav], { type: 'audio/wav' });
+        } catch (error) {
+            console.error('Error processing audio buffer:', error);
+            throw new Error('Failed to process audio data: ' + error.message);
+        }
+    }
+
+    getDefaultPreprocessing() {
+        return {
+            resample: true,
+            sampleRate: 16000,
+            downmix: true,
+            highPass: true,
+            highPassFrequency: 80,
+            normalize: true,
+            targetLufs: -16,
+            silenceMode: 'off',
+            maxSilence: 2
+        };
+    }
+
+    /**
+     * Speech recognition preprocessing as audio worker job settings: resample, downmix to mono,
+     * high-pass filter and normalize loudness
+     */
+    getPreprocessingJob(settings = {}) {
+        const config = { ...this.getDefaultPreprocessing(), ...settings };
+        return {
+            sampleRate: config.resample ? config.sampleRate : undefined,
+            channels: config.downmix ? 1 : undefined,
+            highPassFrequency: config.highPass ? config.highPassFrequency : undefined,
+            targetLufs: config.normalize ? config.targetLufs : undefined
+        };
+    }
+
+    describePreprocessing(steps) {
+        if (!steps || steps.length === 0) {
+            return 'None';
+        }
+
+        return steps.map(step => {
+            switch (step.step) {
+                case 'resample':
+                    return `Resampled ${step.from / 1000} → ${step.to / 1000} kHz`;
+                case 'downmix':
+                    return `Downmixed ${step.from} → ${step.to} channel`;
+                case 'highPass':
+                    return `High-pass at ${step.frequency} Hz`;
+                case 'normalize':
+                    return `Normalized ${step.measuredLufs} → ${Math.round((step.measuredLufs + step.gainDb) * 10) / 10} LUFS` +
+                        (step.limitedByPeak ? ' (limited by peaks)' : '');
+                default:
+                    return step.step;
+            }
+        }).join(', ');
+    }
+
+    /**
+     * Decode a blob on the audio worker, resampled to sampleRate, without touching the live audio context
+     */
+    async decodeAudioBlob(blob, sampleRate = 16000) {
+        const result = await this.runAudioJob(blob, { sampleRate, outputs: { samples: true } }, { description: 'Decoding audio' });
+        return this.toAudioBuffer(result);
+    }
+
+    /**
+     * Run decoding, resampling, filtering, loudness normalization, WAV or Opus encoding and waveform peaks on
+     * a worker (audio-worker.js), one per job, so long recordings do not freeze the window. source is a Blob,
+     * ArrayBuffer or AudioBuffer; formats the worker cannot decode are decoded here with decodeAudioData and
+     * handed over as samples. With options.description the job is tracked in ProgressManager, and a progress
+     * notification appears once it has run for a second
+     */
+    async runAudioJob(source, job = {}, options = {}) {
+        const operationId = `audio_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const tracked = !!(options.description && window.progressManager);
+        let shown = false;
+        let noticeTimer = null;
+
+        if (tracked) {
+            progressManager.startOperation(operationId, 'audio', options.description);
+            noticeTimer = setTimeout(() => {
+                shown = true;
+                progressManager.showProgressNotification(operationId);
+            }, this.audioJobNoticeDelayMs);
+        }
+
+        const onProgress = (progress, message) => {
+            if (!tracked) return;
+            progressManager.updateProgress(operationId, 'processing', progress, message);
+            if (shown) progressManager.showProgressNotification(operationId);
+        };
+
+        try {
+            const prepared = await this.prepareAudioJobSource(source, job, options);
+            let result;
+            try {
+                result = await this.postAudioJob(operationId, { ...job, source: prepared.source }, prepared.transfer, onProgress);
+            } catch (error) {
+                if (!error.decodeFailed || !prepared.reload) throw error;
+
+                console.warn('Audio worker could not decode this audio, decoding it here instead:', error.message);
+                const decoded = await this.decodeInPage(await prepared.reload(), job, options);
+                result = await this.postAudioJob(operationId, { ...job, source: decoded.source }, decoded.transfer, onProgress);
+            }
+
+            if (tracked) {
+                clearTimeout(noticeTimer);
+                progressManager.updateProgress(operationId, 'completed', 100, 'Done');
+                if (shown) progressManager.showProgressNotification(operationId);
+            }
+            return result;
+        } catch (error) {
+            if (tracked) {
+                clearTimeout(noticeTimer);
+                // A cancelled job is marked by ProgressManager itself
+                if (!error.cancelled) {
+                    progressManager.failOperation(operationId, error, false);
+                    if (shown) progressManager.showProgressNotification(operationId);
                 }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Encoded audio the worker can decode itself is passed on as bytes, with a way to read it again should
+     * decoding fail there; anything else is decoded here first
+     */
+    async prepareAudioJobSource(source, job, options) {
+        if (source instanceof AudioBuffer) {
+            const channels = Array.from({ length: source.numberOfChannels }, (_, channel) => {
+                const data = new Float32Array(source.length);
+                source.copyFromChannel(data, channel);
+                return data;
+            });
+            return { source: { channels, sampleRate: source.sampleRate }, transfer: channels.map(data => data.buffer) };
+        }
+
+        const isBlob = source instanceof Blob;
+        const header = new Uint8Array(isBlob ? await source.slice(0, 64).arrayBuffer() : source.slice(0, 64));
+        const format = this.detectAudioFormat(header);
+        const workerCanDecode = format === 'wav' || ((format === 'ogg' || format === 'webm') && typeof window.AudioDecoder === 'function');
+        const reload = isBlob ? () => source.arrayBuffer() : () => source.slice(0);
+
+        if (!workerCanDecode) {
+            return this.decodeInPage(await reload(), job, options);
+        }
+
+        // A Blob is read into a fresh buffer that can be moved to the worker; a caller's ArrayBuffer is copied
+        const data = isBlob ? await source.arrayBuffer() : source;
+        return { source: { data, format }, transfer: isBlob ? [data] : [], reload };
+    }
+
+    detectAudioFormat(header) {
+        const text = (from, to) => String.fromCharCode(...header.subarray(from, to));
+        if (text(0, 4) === 'RIFF' && text(8, 12) === 'WAVE') return 'wav';
+        if (text(0, 4) === 'OggS' && text(28, 36) === 'OpusHead') return 'ogg';
+        if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) return 'webm';
+        return null;
+    }
+
+    /**
+     * decodeAudioData for formats the worker cannot read. The browser decodes off the main thread; only
+     * copying the samples out happens here
+     */
+    async decodeInPage(arrayBuffer, job, options) {
+        const sampleRate = options.decodeSampleRate || job.sampleRate || 48000;
+        const context = new OfflineAudioContext(1, 1, sampleRate);
+        const decoding = context.decodeAudioData(arrayBuffer);
+
+        // Add timeout to decodeAudioData to prevent hanging
+        let timeout = null;
+        const timedOut = new Promise((_, reject) => {
+            if (options.decodeTimeoutMs) {
+                timeout = setTimeout(() => {
+                    reject(new Error(`Audio decoding timed out after ${options.decodeTimeoutMs / 1000} seconds`));
+                }, options.decodeTimeoutMs);
+            }
+        });
+
+        try {
+            const audioBuffer = await Promise.race([decoding, timedOut]);
+            return this.prepareAudioJobSource(audioBuffer, job, options);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    postAudioJob(operationId, job, transfer, onProgress) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('audio-worker.js');
+            const finish = () => {
+                worker.terminate();
+                this.audioJobs.delete(operationId);
             };
-            
-            reader.onerror = (error) => {
-                clearTimeout(timeout);
-                console.error('FileReader error:', error);
-                reject(new Error('Failed to read blob data'));
+
+            this.audioJobs.set(operationId, {
+                cancel: () => {
+                    finish();
+                    reject(Object.assign(new Error('Audio processing was cancelled'), { cancelled: true }));
+                }
+            });
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.type === 'progress') {
+                    onProgress(message.progress, message.message);
+                } else if (message.type === 'result') {
+                    finish();
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(Object.assign(new Error(message.error), { decodeFailed: message.decodeFailed }));
+                }
             };
-            
-            reader.onabort = () => {
-                clearTimeout(timeout);
-                reject(new Error('Blob reading was aborted'));
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+                reject(new Error(event.message || 'Audio worker failed'));
             };
-            
-            try {
-                reader.readAsArrayBuffer(blob);
-            } catch (error) {
-                clearTimeout(timeout);
-                reject(new Error('Failed to start reading blob: ' + error.message));
-            }
+
+            worker.postMessage(job, transfer);
         });
     }
 
-    async processAudioBuffer(arrayBuffer) {
-        // Always create a fresh AudioContext for processing to avoid state issues
-        let processingContext = null;
-        
-        try {
-            console.log('Creating new AudioContext for processing...');
-            
-            // Add retry logic for AudioContext creation
-            let retries = 3;
-            while (retries > 0) {
-                try {
-                    processingContext = new (window.AudioContext || window.webkitAudioContext)();
-                    console.log('AudioContext created successfully, state:', processingContext.state);
-                    break;
-                } catch (contextError) {
-                    console.warn(`AudioContext creation failed, retries left: ${retries - 1}`, contextError);
-                    retries--;
-                    if (retries === 0) throw contextError;
-                    // Wait a bit before retrying
-                    await new Promise(resolve => setTimeout(resolve, 200));
+    /**
+     * Stop a running audio job; called by ProgressManager when the user cancels it
+     */
+    cancelAudioJob(operationId) {
+        const job = this.audioJobs.get(operationId);
+        if (!job) {
+            return { success: false, message: 'Audio job has already finished' };
+        }
+
+        job.cancel();
+        return { success: true, message: 'Audio processing cancelled' };
+    }
+
+    /**
+     * An AudioBuffer from the samples returned by an audio worker job
+     */
+    toAudioBuffer(result) {
+        const audioBuffer = new AudioBuffer({
+            length: result.length,
+            numberOfChannels: result.samples.length,
+            sampleRate: result.sampleRate
+        });
+        result.samples.forEach((data, channel) => audioBuffer.copyToChannel(data, channel));
+        return audioBuffer;
+    }
+
+    /**
+     * Energy-based voice activity detection over 30 ms frames. The threshold adapts to the recording's
+     * noise floor, short pauses inside speech are bridged and each region is padded so word edges survive trimming.
+     * Returns { regions: [{ start, end }], speechDuration, duration, speechRatio } with times in seconds
+     */
+    detectVoiceActivity(audioBuffer, options = {}) {
+        const frameSeconds = options.frameSeconds || 0.03;
+        const bridgeSeconds = options.bridgeSeconds || 0.3;
+        const minSpeechSeconds = options.minSpeechSeconds || 0.2;
+        const padSeconds = options.padSeconds || 0.2;
+
+        const frameSize = Math.max(1, Math.round(audioBuffer.sampleRate * frameSeconds));
+        const frameCount = Math.floor(audioBuffer.length / frameSize);
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+        const levels = new Float32Array(frameCount);
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            let sum = 0;
+            channels.forEach(data => {
+                for (let i = frame * frameSize; i < (frame + 1) * frameSize; i++) {
+                    sum += data[i] * data[i];
                 }
-            }
-            
-            // Ensure context is running
-            if (processingContext.state === 'suspended') {
-                console.log('Resuming suspended AudioContext...');
-                await processingContext.resume();
-            }
-            
-            console.log('Decoding audio data...');
-            console.log('ArrayBuffer info:', {
-                byteLength: arrayBuffer.byteLength,
-                constructor: arrayBuffer.constructor.name
             });
-            
-            // Validate arrayBuffer
-            if (!arrayBuffer || arrayBuffer.byteLength === 0) {
-                throw new Error('Invalid or empty arrayBuffer for decoding');
+            levels[frame] = 10 * Math.log10(sum / (frameSize * channels.length) + 1e-10);
+        }
+
+        // The quietest tenth of the recording approximates its noise floor
+        const sorted = Array.from(levels).sort((a, b) => a - b);
+        const noiseFloor = sorted.length > 0 ? sorted[Math.floor(sorted.length * 0.1)] : -100;
+        const threshold = Math.max(noiseFloor + 10, -50);
+
+        const regions = [];
+        let current = null;
+        for (let frame = 0; frame < frameCount; frame++) {
+            if (levels[frame] <= threshold) continue;
+
+            const start = frame * frameSeconds;
+            const end = start + frameSeconds;
+            if (current && start - current.end <= bridgeSeconds) {
+                current.end = end;
+            } else {
+                current = { start, end };
+                regions.push(current);
             }
-            
-            // Add timeout to decodeAudioData to prevent hanging
-            const decodePromise = processingContext.decodeAudioData(arrayBuffer.slice()); // Create a copy
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => {
-                    console.error('Audio decoding timed out, forcing rejection');
-                    reject(new Error('Audio decoding timed out after 5 seconds'));
-                }, 5000); // Reduced timeout
+        }
+
+        const duration = audioBuffer.duration;
+        const padded = [];
+        regions
+            .filter(region => region.end - region.start >= minSpeechSeconds)
+            .forEach(region => {
+                const start = Math.max(0, region.start - padSeconds);
+                const end = Math.min(duration, region.end + padSeconds);
+                const previous = padded[padded.length - 1];
+                if (previous && start <= previous.end) {
+                    previous.end = end;
+                } else {
+                    padded.push({ start, end });
+                }
             });
-            
-            let audioBuffer;
-            try {
-                audioBuffer = await Promise.race([decodePromise, timeoutPromise]);
-            } catch (timeoutError) {
-                console.error('Decode timeout caught, attempting cleanup:', timeoutError);
-                // Force close the context and throw
-                if (processingContext && processingContext.state !== 'closed') {
-                    try {
-                        await processingContext.close();
-                    } catch (closeError) {
-                        console.warn('Failed to close context after timeout:', closeError);
+
+        const speechDuration = padded.reduce((sum, region) => sum + region.end - region.start, 0);
+        return {
+            regions: padded,
+            speechDuration,
+            duration,
+            speechRatio: duration > 0 ? speechDuration / duration : 0,
+            noiseFloor,
+            levels,
+            frameSeconds
+        };
+    }
+
+    /**
+     * Measure the decoded samples for quality checks, using the frame levels and speech regions from
+     * detectVoiceActivity. Returns levels in dBFS plus a timeline of events
+     * ({ type: 'clipping' | 'dropout' | 'silence', start, end, count }) with times in seconds
+     */
+    analyzeSignal(audioBuffer, activity, options = {}) {
+        const clipThreshold = options.clipThreshold || 0.98;
+        const longSilenceSeconds = options.longSilenceSeconds || 30;
+        const sampleRate = audioBuffer.sampleRate;
+        const toDb = (value) => value > 0 ? 20 * Math.log10(value) : -Infinity;
+        const events = [];
+
+        let peak = 0;
+        let sumSquares = 0;
+        let clippedSamples = 0;
+        let clipEvent = null;
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+        for (let i = 0; i < audioBuffer.length; i++) {
+            for (const data of channels) {
+                const sample = Math.abs(data[i]);
+                sumSquares += sample * sample;
+                if (sample > peak) peak = sample;
+                if (sample < clipThreshold) continue;
+
+                // Clipped samples less than half a second apart belong to the same event
+                clippedSamples++;
+                const time = i / sampleRate;
+                if (clipEvent && time - clipEvent.end < 0.5) {
+                    clipEvent.end = time;
+                    clipEvent.count++;
+                } else {
+                    clipEvent = { type: 'clipping', start: time, end: time, count: 1 };
+                    events.push(clipEvent);
+                }
+            }
+        }
+
+        const totalSamples = audioBuffer.length * audioBuffer.numberOfChannels;
+
+        // Average speech frames as power, not as decibels
+        let speechPower = 0;
+        let speechFrames = 0;
+        activity.regions.forEach(region => {
+            const first = Math.floor(region.start / activity.frameSeconds);
+            const last = Math.min(activity.levels.length, Math.ceil(region.end / activity.frameSeconds));
+            for (let frame = first; frame < last; frame++) {
+                speechPower += Math.pow(10, activity.levels[frame] / 10);
+                speechFrames++;
+            }
+        });
+        const speechLevelDb = speechFrames > 0 ? 10 * Math.log10(speechPower / speechFrames) : null;
+
+        // Runs of digital silence in a recording that otherwise has background noise mean samples were lost.
+        // Runs over a second are a muted input rather than a dropout
+        if (activity.noiseFloor > -80) {
+            const data = channels[0];
+            const minRun = Math.round(sampleRate * 0.02);
+            const maxRun = sampleRate;
+            let runStart = -1;
+            for (let i = 0; i <= data.length; i++) {
+                if (i < data.length && Math.abs(data[i]) < 1e-5) {
+                    if (runStart < 0) runStart = i;
+                    continue;
+                }
+                if (runStart >= 0 && i - runStart >= minRun && i - runStart <= maxRun) {
+                    events.push({ type: 'dropout', start: runStart / sampleRate, end: i / sampleRate, count: 1 });
+                }
+                runStart = -1;
+            }
+        }
+
+        let cursor = 0;
+        [...activity.regions, { start: audioBuffer.duration, end: audioBuffer.duration }].forEach(region => {
+            if (region.start - cursor >= longSilenceSeconds) {
+                events.push({ type: 'silence', start: cursor, end: region.start, count: 1 });
+            }
+            cursor = region.end;
+        });
+
+        events.sort((a, b) => a.start - b.start);
+        return {
+            peakDb: toDb(peak),
+            rmsDb: toDb(Math.sqrt(sumSquares / Math.max(1, totalSamples))),
+            noiseFloorDb: activity.noiseFloor,
+            speechLevelDb,
+            snrDb: speechLevelDb === null ? null : speechLevelDb - activity.noiseFloor,
+            clippedSamples,
+            clippingPercent: totalSamples > 0 ? (clippedSamples / totalSamples) * 100 : 0,
+            events
+        };
+    }
+
+    /**
+     * Pick a stretch of background noise for reduceNoise: up to two seconds of the longest pause between speech,
+     * or the quietest second of the recording when nobody ever pauses. Returns { start, end } in seconds
+     */
+    findNoiseProfile(activity) {
+        let best = null;
+        let cursor = 0;
+        [...activity.regions, { start: activity.duration, end: activity.duration }].forEach(region => {
+            const gap = region.start - cursor;
+            if (gap >= 0.25 && (!best || gap > best.end - best.start)) {
+                best = { start: cursor, end: region.start };
+            }
+            cursor = region.end;
+        });
+        if (best) {
+            return { start: best.start, end: Math.min(best.end, best.start + 2) };
+        }
+
+        const windowFrames = Math.max(1, Math.round(1 / activity.frameSeconds));
+        let quietest = 0;
+        let quietestSum = Infinity;
+        let sum = 0;
+        for (let frame = 0; frame < activity.levels.length; frame++) {
+            sum += activity.levels[frame];
+            if (frame >= windowFrames) sum -= activity.levels[frame - windowFrames];
+            if (frame >= windowFrames - 1 && sum < quietestSum) {
+                quietestSum = sum;
+                quietest = frame - windowFrames + 1;
+            }
+        }
+        const start = quietest * activity.frameSeconds;
+        return { start, end: Math.min(activity.duration, start + windowFrames * activity.frameSeconds) };
+    }
+
+    /**
+     * Spectral gating noise reduction: the average spectrum of the profile segment is subtracted from every
+     * frame. strength (0-1) sets both how hard the noise is subtracted and how far gated bins may drop (up to 24 dB).
+     * Returns a new AudioBuffer; the input is left untouched
+     */
+    async reduceNoise(audioBuffer, options = {}) {
+        const strength = Math.min(1, Math.max(0, options.strength === undefined ? 0.5 : options.strength));
+        const profile = options.profile;
+        const sampleRate = audioBuffer.sampleRate;
+        const fftSize = sampleRate > 24000 ? 1024 : 512;
+        const hop = fftSize / 2;
+        const bins = fftSize / 2 + 1;
+        const fft = this.createFft(fftSize);
+
+        // Square-root Hann on analysis and synthesis sums to one at 50% overlap
+        const window = new Float32Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            window[i] = Math.sqrt(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / fftSize));
+        }
+
+        const overSubtraction = 1 + 2 * strength;
+        const gainFloor = Math.pow(10, (-24 * strength) / 20);
+        const output = new AudioBuffer({ length: audioBuffer.length, numberOfChannels: audioBuffer.numberOfChannels, sampleRate });
+        const re = new Float32Array(fftSize);
+        const im = new Float32Array(fftSize);
+
+        const loadFrame = (input, start) => {
+            for (let i = 0; i < fftSize; i++) {
+                const index = start + i;
+                re[i] = index >= 0 && index < input.length ? input[index] * window[i] : 0;
+                im[i] = 0;
+            }
+            fft.forward(re, im);
+        };
+
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const input = audioBuffer.getChannelData(channel);
+            const result = output.getChannelData(channel);
+
+            const noise = new Float32Array(bins);
+            const profileStart = Math.floor(profile.start * sampleRate);
+            const profileEnd = Math.min(input.length, Math.floor(profile.end * sampleRate));
+            let profileFrames = 0;
+            for (let start = profileStart; start + fftSize <= profileEnd; start += hop) {
+                loadFrame(input, start);
+                for (let bin = 0; bin < bins; bin++) {
+                    noise[bin] += Math.hypot(re[bin], im[bin]);
+                }
+                profileFrames++;
+            }
+            if (profileFrames === 0) {
+                throw new Error('The noise sample is too short');
+            }
+            noise.forEach((value, bin) => { noise[bin] = value / profileFrames; });
+
+            // Gains are smoothed over time to avoid the warbling "musical noise" of raw spectral subtraction
+            const previousGain = new Float32Array(bins).fill(1);
+            let frameCount = 0;
+            for (let start = -hop; start < input.length; start += hop) {
+                loadFrame(input, start);
+                for (let bin = 0; bin < bins; bin++) {
+                    const magnitude = Math.hypot(re[bin], im[bin]) + 1e-12;
+                    const target = Math.max(gainFloor, 1 - (overSubtraction * noise[bin]) / magnitude);
+                    const gain = target > previousGain[bin] ? target : 0.6 * previousGain[bin] + 0.4 * target;
+                    previousGain[bin] = gain;
+
+                    re[bin] *= gain;
+                    im[bin] *= gain;
+                    if (bin > 0 && bin < fftSize / 2) {
+                        re[fftSize - bin] = re[bin];
+                        im[fftSize - bin] = -im[bin];
                     }
                 }
-                throw timeoutError;
+
+                fft.inverse(re, im);
+                for (let i = 0; i < fftSize; i++) {
+                    const index = start + i;
+                    if (index >= 0 && index < result.length) {
+                        result[index] += re[i] * window[i];
+                    }
+                }
+
+                // Yield now and then so a long recording does not freeze the window
+                if (++frameCount % 2000 === 0) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
             }
-            console.log('Audio data decoded successfully, creating WAV...');
-            
-            const wavBlob = this.audioBufferToWav(audioBuffer);
-            
-            // Clean up the processing context
-            if (processingContext && processingContext.state !== 'closed') {
-                console.log('Closing processing AudioContext...');
-                await processingContext.close();
-                console.log('Processing AudioContext closed');
+        }
+
+        return output;
+    }
+
+    /**
+     * In-place radix-2 FFT for a power-of-two size; inverse includes the 1/size scaling
+     */
+    createFft(size) {
+        const levels = Math.log2(size);
+        const reversed = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let value = 0;
+            for (let bit = 0; bit < levels; bit++) {
+                value = (value << 1) | ((i >> bit) & 1);
             }
-            
-            return wavBlob;
-        } catch (error) {
-            console.error('Error processing audio buffer:', error);
-            
-            // Clean up on error
-            if (processingContext && processingContext.state !== 'closed') {
-                try {
-                    console.log('Cleaning up AudioContext after error...');
-                    await processingContext.close();
-                } catch (closeError) {
-                    console.warn('Failed to close audio context:', closeError);
+            reversed[i] = value;
+        }
+
+        const cos = new Float32Array(size / 2);
+        const sin = new Float32Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            cos[i] = Math.cos((2 * Math.PI * i) / size);
+            sin[i] = Math.sin((2 * Math.PI * i) / size);
+        }
+
+        const transform = (re, im, inverse) => {
+            for (let i = 0; i < size; i++) {
+                const j = reversed[i];
+                if (j > i) {
+                    [re[i], re[j]] = [re[j], re[i]];
+                    [im[i], im[j]] = [im[j], im[i]];
                 }
             }
-            
-            throw new Error('Failed to process audio data: ' + error.message);
+
+            const direction = inverse ? 1 : -1;
+            for (let length = 2; length <= size; length *= 2) {
+                const half = length / 2;
+                const step = size / length;
+                for (let start = 0; start < size; start += length) {
+                    for (let k = 0; k < half; k++) {
+                        const wr = cos[k * step];
+                        const wi = direction * sin[k * step];
+                        const a = start + k;
+                        const b = a + half;
+                        const tr = re[b] * wr - im[b] * wi;
+                        const ti = re[b] * wi + im[b] * wr;
+                        re[b] = re[a] - tr;
+                        im[b] = im[a] - ti;
+                        re[a] += tr;
+                        im[a] += ti;
+                    }
+                }
+            }
+
+            if (inverse) {
+                for (let i = 0; i < size; i++) {
+                    re[i] /= size;
+                    im[i] /= size;
+                }
+            }
+        };
+
+        return {
+            forward: (re, im) => transform(re, im, false),
+            inverse: (re, im) => transform(re, im, true)
+        };
+    }
+
+    /**
+     * Shorten silences longer than maxSilence seconds: 'compress' keeps maxSilence of each, 'cut' removes them.
+     * Returns { audioBuffer, offsetMap, removedSeconds }; offsetMap entries { trimmedStart, originalStart, duration }
+     * let toOriginalTime translate times in the trimmed audio back to the original
+     */
+    trimSilence(audioBuffer, regions, options = {}) {
+        const mode = options.mode || 'compress';
+        const maxSilence = options.maxSilence || 2;
+        const duration = audioBuffer.duration;
+
+        // Spans of the original to keep, in order
+        const kept = [];
+        let cursor = 0;
+        const keepGap = (gapStart, gapEnd, edge) => {
+            const gap = gapEnd - gapStart;
+            if (gap <= maxSilence) {
+                kept.push({ start: gapStart, end: gapEnd });
+            } else if (mode === 'compress') {
+                // Keep the silence nearest the speech so the pause still sounds natural
+                const half = maxSilence / 2;
+                if (edge !== 'leading') kept.push({ start: gapStart, end: gapStart + half });
+                if (edge !== 'trailing') kept.push({ start: gapEnd - half, end: gapEnd });
+            }
+        };
+
+        regions.forEach((region, index) => {
+            keepGap(cursor, region.start, index === 0 ? 'leading' : 'inner');
+            kept.push({ start: region.start, end: region.end });
+            cursor = region.end;
+        });
+        keepGap(cursor, duration, 'trailing');
+
+        // Merge adjacent spans so the map only has an entry per cut
+        const spans = [];
+        kept.filter(span => span.end > span.start).forEach(span => {
+            const previous = spans[spans.length - 1];
+            if (previous && span.start - previous.end < 1e-6) {
+                previous.end = span.end;
+            } else {
+                spans.push({ ...span });
+            }
+        });
+
+        const sampleRate = audioBuffer.sampleRate;
+        const ranges = spans.map(span => ({
+            from: Math.round(span.start * sampleRate),
+            to: Math.min(audioBuffer.length, Math.round(span.end * sampleRate))
+        }));
+        const length = Math.max(1, ranges.reduce((sum, range) => sum + range.to - range.from, 0));
+        const trimmed = new AudioBuffer({ length, numberOfChannels: audioBuffer.numberOfChannels, sampleRate });
+
+        const offsetMap = [];
+        let written = 0;
+        ranges.forEach(range => {
+            for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+                trimmed.getChannelData(channel).set(audioBuffer.getChannelData(channel).subarray(range.from, range.to), written);
+            }
+            offsetMap.push({
+                trimmedStart: written / sampleRate,
+                originalStart: range.from / sampleRate,
+                duration: (range.to - range.from) / sampleRate
+            });
+            written += range.to - range.from;
+        });
+
+        return {
+            audioBuffer: trimmed,
+            offsetMap,
+            removedSeconds: Math.max(0, duration - written / sampleRate)
+        };
+    }
+
+    toOriginalTime(offsetMap, seconds) {
+        if (!offsetMap || offsetMap.length === 0) return seconds;
+
+        let entry = offsetMap[0];
+        for (const candidate of offsetMap) {
+            if (candidate.trimmedStart > seconds) break;
+            entry = candidate;
         }
+        return entry.originalStart + Math.min(Math.max(0, seconds - entry.trimmedStart), entry.duration);
     }
 
-    audioBufferToWav(audioBuffer) {
+    /**
+     * Detect speech in a blob and shorten its long silences, returning a WAV blob plus the offset map
+     * Returns null when there is no silence worth removing
+     */
+    async trimSilenceFromBlob(blob, options = {}) {
+        const audioBuffer = await this.decodeAudioBlob(blob, options.sampleRate || 16000);
+        const activity = this.detectVoiceActivity(audioBuffer);
+        if (activity.regions.length === 0) {
+            return null;
+        }
+
+        const result = this.trimSilence(audioBuffer, activity.regions, options);
+        if (result.removedSeconds < 1) {
+            return null;
+        }
+
+        return {
+            blob: await this.audioBufferToWav(result.audioBuffer),
+            silenceTrim: {
+                mode: options.mode || 'compress',
+                originalDuration: audioBuffer.duration,
+                removedSeconds: Math.round(result.removedSeconds * 10) / 10,
+                speechRatio: activity.speechRatio,
+                offsetMap: result.offsetMap
+            }
+        };
+    }
+
+    /**
+     * 16-bit PCM WAV, written on the audio worker
+     */
+    async audioBufferToWav(audioBuffer) {
         try {
-            const numberOfChannels = audioBuffer.numberOfChannels;
-            const sampleRate = audioBuffer.sampleRate;
-            const length = audioBuffer.length * numberOfChannels * 2;
-            
             console.log('Creating WAV from audio buffer:', {
-                channels: numberOfChannels,
-                sampleRate: sampleRate,
+                channels: audioBuffer.numberOfChannels,
+                sampleRate: audioBuffer.sampleRate,
                 length: audioBuffer.length,
                 duration: audioBuffer.duration
             });
-            
-            // Create WAV file buffer
-            const buffer = new ArrayBuffer(44 + length);
-            const view = new DataView(buffer);
-            
-            // Helper function to write strings to buffer
-            const writeString = (offset, string) => {
-                for (let i = 0; i < string.length; i++) {
-                    view.setUint8(offset + i, string.charCodeAt(i));
-                }
-            };
-            
-            // WAV file header
-            writeString(0, 'RIFF');                          // ChunkID
-            view.setUint32(4, 36 + length, true);            // ChunkSize
-            writeString(8, 'WAVE');                          // Format
-            writeString(12, 'fmt ');                         // Subchunk1ID
-            view.setUint32(16, 16, true);                    // Subchunk1Size (PCM = 16)
-            view.setUint16(20, 1, true);                     // AudioFormat (PCM = 1)
-            view.setUint16(22, numberOfChannels, true);      // NumChannels
-            view.setUint32(24, sampleRate, true);            // SampleRate
-            view.setUint32(28, sampleRate * numberOfChannels * 2, true); // ByteRate
-            view.setUint16(32, numberOfChannels * 2, true);  // BlockAlign
-            view.setUint16(34, 16, true);                    // BitsPerSample
-            writeString(36, 'data');                         // Subchunk2ID
-            view.setUint32(40, length, true);                // Subchunk2Size
-            
-            // Convert and write audio data
-            let offset = 44;
-            for (let i = 0; i < audioBuffer.length; i++) {
-                for (let channel = 0; channel < numberOfChannels; channel++) {
-                    // Get sample and clamp to valid range
-                    let sample = audioBuffer.getChannelData(channel)[i];
-                    sample = Math.max(-1, Math.min(1, sample));
-                    
-                    // Convert to 16-bit PCM
-                    const pcmSample = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-                    view.setInt16(offset, pcmSample, true);
-                    offset += 2;
-                }
-            }
-            
-            const wavBlob = new Blob([buffer], { type: 'audio/wav' });
-            
-            console.log('WAV creation successful:', {
-                bufferSize: buffer.byteLength,
-                blobSize: wavBlob.size,
-                type: wavBlob.type
-            });
-            
-            return wavBlob;
-            
+
+            const result = await this.runAudioJob(audioBuffer, { outputs: { wav: true } }, { description: 'Writing WAV audio' });
+            return new Blob([result.wav], { type: 'audio/wav' });
         } catch (error) {
             console.error('Error creating WAV from audio buffer:', error);
             throw new Error('Failed to create WAV file: ' + error.message);
         }
     }
 
-    calculateAudioLevel() {
-        if (!this.audioContext || !this.analyser) return 0;
+    /**
+     * An AudioWorkletNode (level-meter-worklet.js) reporting RMS and peak for each of channelCount channels
+     * about 20 times a second. Its output is silent; it is connected only so the node keeps processing.
+     * With channelCountMode 'clamped-max' it meters as many channels as its input has, up to channelCount
+     */
+    async createLevelMeter(context, channelCount, onLevels, channelCountMode = 'explicit') {
+        if (!this.meterModules.has(context)) {
+            this.meterModules.set(context, context.audioWorklet.addModule('level-meter-worklet.js'));
+        }
+        await this.meterModules.get(context);
+
+        const meter = new AudioWorkletNode(context, 'level-meter', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            channelCount,
+            channelCountMode,
+            channelInterpretation: channelCount === 1 || channelCountMode !== 'explicit' ? 'speakers' : 'discrete',
+            processorOptions: { intervalSeconds: 0.05 }
+        });
+        meter.port.onmessage = (e) => onLevels(this.toMeterLevels(e.data));
+        meter.connect(context.destination);
+        return meter;
+    }
 
-        this.analyser.getByteFrequencyData(this.dataArray);
-        
-        // Calculate RMS (Root Mean Square) for more accurate level
-        let sum = 0;
-        for (let i = 0; i < this.dataArray.length; i++) {
-            sum += this.dataArray[i] * this.dataArray[i];
+    /**
+     * Meter readings on a 0-1 scale that follows loudness: -60 dBFS and below read 0, full scale reads 1.
+     * Peaks stay linear so clipping shows near 1
+     */
+    toMeterLevels({ rms, peak }) {
+        const channels = rms.map((value, channel) => ({ level: this.toMeterLevel(value), peak: Math.min(1, peak[channel]) }));
+
+        return {
+            level: channels.reduce((max, channel) => Math.max(max, channel.level), 0),
+            peak: channels.reduce((max, channel) => Math.max(max, channel.peak), 0),
+            channels
+        };
+    }
+
+    toMeterLevel(value) {
+        return value > 0 ? Math.max(0, Math.min(1, (20 * Math.log10(value) + 60) / 60)) : 0;
+    }
+
+    handleMeterLevels(levels) {
+        this.meterLevels = levels;
+        if (!this.isAnalyzing || this.isVisualizationPaused) return;
+
+        // Dual-source recordings track clipping on the recorded channels instead of the mixed input
+        if (!this.channelMeter) this.recordClipping(this.inputClipHistory, levels);
+        if (this.levelCallback) {
+            this.levelCallback(this.getDetailedAudioLevels());
         }
-        
-        const rms = Math.sqrt(sum / this.dataArray.length);
-        return Math.min(rms / 255, 1.0); // Normalize to 0-1 and clamp
+    }
+
+    /**
+     * Overall input level plus one labelled reading per channel: Me and Them for dual-source recordings,
+     * L and R for a stereo input
+     */
+    getInputLevels() {
+        const meter = this.meterLevels || { level: 0, peak: 0, channels: [] };
+        if (this.channelMeter) {
+            return {
+                level: meter.level,
+                labels: ['Me', 'Them'],
+                channels: this.channelLevels ? this.channelLevels.channels : [{ level: 0, peak: 0 }, { level: 0, peak: 0 }]
+            };
+        }
+        return {
+            level: meter.level,
+            labels: this.getChannelLabels(meter.channels),
+            channels: meter.channels
+        };
+    }
+
+    getChannelLabels(channels) {
+        return channels.length === 2 ? ['L', 'R'] : ['Mono'];
+    }
+
+    calculateAudioLevel() {
+        if (!this.audioContext || !this.meterLevels) return 0;
+        return this.meterLevels.level;
     }
 
     getDetailedAudioLevels() {
@@ -741,44 +1762,30 @@ class AudioManager {
         }
 
         this.analyser.getByteFrequencyData(this.dataArray);
-        
-        // Calculate overall level (RMS)
-        let sum = 0;
-        let peak = 0;
-        
-        for (let i = 0; i < this.dataArray.length; i++) {
-            const value = this.dataArray[i];
-            sum += value * value;
-            peak = Math.max(peak, value);
-        }
-        
-        const rms = Math.sqrt(sum / this.dataArray.length);
-        
-        return {
-            level: Math.min(rms / 255, 1.0),
-            peak: Math.min(peak / 255, 1.0),
+        const meter = this.meterLevels || { level: 0, peak: 0 };
+
+        const levels = {
+            level: meter.level,
+            peak: meter.peak,
             frequency: Array.from(this.dataArray).map(v => v / 255)
         };
-    }
 
-    startLevelMonitoring(callback, interval = 50) {
-        if (this.levelMonitoringInterval) {
-            clearInterval(this.levelMonitoringInterval);
+        // Dual-source recordings also report each channel on its own
+        if (this.channelMeter) {
+            levels.channels = this.channelLevels ? this.channelLevels.channels : [{ level: 0, peak: 0 }, { level: 0, peak: 0 }];
         }
+        return levels;
+    }
 
-        this.levelMonitoringInterval = setInterval(() => {
-            if (this.isAnalyzing && callback) {
-                const levels = this.getDetailedAudioLevels();
-                callback(levels);
-            }
-        }, interval);
+    /**
+     * Call back with getDetailedAudioLevels whenever the level meter reports, while visualizing and not paused
+     */
+    startLevelMonitoring(callback) {
+        this.levelCallback = callback;
     }
 
     stopLevelMonitoring() {
-        if (this.levelMonitoringInterval) {
-            clearInterval(this.levelMonitoringInterval);
-            this.levelMonitoringInterval = null;
-        }
+        this.levelCallback = null;
     }
 
     async testAudioDevice(deviceId, options = {}) {
@@ -838,64 +1845,33 @@ class AudioManager {
     }
 
     async performAudioLevelTest(stream, duration) {
-        return new Promise((resolve) => {
-            // Initialize audio context for level testing
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const analyser = audioContext.createAnalyser();
-            const source = audioContext.createMediaStreamSource(stream);
-            
-            analyser.fftSize = 256;
-            source.connect(analyser);
-            
-            const bufferLength = analyser.frequencyBinCount;
-            const dataArray = new Uint8Array(bufferLength);
-            
-            const levels = [];
-            let maxLevel = 0;
-            let totalLevel = 0;
-            let sampleCount = 0;
-            
-            const sampleInterval = 100; // Sample every 100ms
-            const samples = Math.floor(duration / sampleInterval);
-            
-            const sampleAudio = () => {
-                analyser.getByteFrequencyData(dataArray);
-                
-                // Calculate RMS level
-                let sum = 0;
-                for (let i = 0; i < bufferLength; i++) {
-                    sum += dataArray[i] * dataArray[i];
-                }
-                const rms = Math.sqrt(sum / bufferLength);
-                const normalizedLevel = rms / 255;
-                
-                levels.push(normalizedLevel);
-                totalLevel += normalizedLevel;
-                maxLevel = Math.max(maxLevel, normalizedLevel);
-                sampleCount++;
-                
-                if (sampleCount < samples) {
-                    setTimeout(sampleAudio, sampleInterval);
-                } else {
-                    // Test complete
-                    audioContext.close();
-                    
-                    const averageLevel = totalLevel / sampleCount;
-                    const hasAudio = maxLevel > 0.01; // Threshold for detecting audio
-                    
-                    resolve({
-                        audioLevels: levels,
-                        averageLevel: averageLevel,
-                        maxLevel: maxLevel,
-                        hasAudio: hasAudio,
-                        sampleCount: sampleCount
-                    });
-                }
-            };
-            
-            // Start sampling
-            setTimeout(sampleAudio, sampleInterval);
-        });
+        // Initialize audio context for level testing
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const levels = [];
+
+        try {
+            if (audioContext.state === 'suspended') {
+                await audioContext.resume();
+            }
+
+            const meter = await this.createLevelMeter(audioContext, 1, (reading) => levels.push(reading.level));
+            audioContext.createMediaStreamSource(stream).connect(meter);
+            await new Promise(resolve => setTimeout(resolve, duration));
+        } finally {
+            audioContext.close();
+        }
+
+        const maxLevel = levels.reduce((max, level) => Math.max(max, level), 0);
+        const averageLevel = levels.length > 0 ? levels.reduce((sum, level) => sum + level, 0) / levels.length : 0;
+
+        return {
+            audioLevels: levels,
+            averageLevel: averageLevel,
+            maxLevel: maxLevel,
+            // Sound above -45 dBFS: louder than the hiss of an open microphone in a quiet room
+            hasAudio: maxLevel > this.toMeterLevel(Math.pow(10, -45 / 20)),
+            sampleCount: levels.length
+        };
     }
 
     async validateDeviceCapabilities(deviceId) {
@@ -970,6 +1946,22 @@ class AudioManager {
         return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Read channels, sample rate and duration from the header of a WAV blob made by audioBufferToWav
+     */
+    async getWavInfo(wavBlob) {
+        const view = new DataView(await wavBlob.slice(0, 44).arrayBuffer());
+        const channels = view.getUint16(22, true);
+        const sampleRate = view.getUint32(24, true);
+        const dataLength = view.getUint32(40, true);
+
+        return {
+            channels,
+            sampleRate,
+            duration: dataLength / (sampleRate * channels * 2)
+        };
+    }
+
     async getAudioInfo(blob) {
         return new Promise((resolve) => {
             const audio = new Audio();
@@ -986,6 +1978,7 @@ class AudioManager {
 
     async cleanup() {
         this.stopVisualization();
+        this.releaseSourceStreams();
         
         if (this.audioContext && this.audioContext.state !== 'closed') {
             try {
@@ -1000,6 +1993,9 @@ class AudioManager {
         this.audioContext = null;
         this.analyser = null;
         this.dataArray = null;
+        this.levelMeter = null;
+        this.levelMeterReady = null;
+        this.meterLevels = null;
         
         // Add a small delay to ensure cleanup completes
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -0,0 +1,506 @@
+/**
+ * Backup Manager - Single-file backups of the whole library and app data
+ * Archives hold recordings, transcripts, analyses, Q&A conversations, templates and non-secret settings
+ */
+class BackupManager {
+    constructor(library) {
+        this.ipc = require('electron').ipcRenderer;
+        this.library = library;
+        this.scheduleStorageKey = 'backupSchedule';
+        this.filePrefix = 'call-summary-backup-';
+        this.fileExtension = '.csbackup';
+        // Config fields holding credentials; everything else (models, maxTokens, ...) is a setting
+        this.secretFields = ['apiKey', 'speechKey'];
+        this.checkIntervalMs = 15 * 60 * 1000;
+        this.schedule = this.loadSchedule();
+        this.backupInProgress = false;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadScheduleToUI();
+
+        // Give the app a minute to settle before the first scheduled check
+        setTimeout(() => this.runScheduledBackup(), 60 * 1000);
+        setInterval(() => this.runScheduledBackup(), this.checkIntervalMs);
+    }
+
+    setupEventListeners() {
+        const bindings = {
+            backupNow: () => this.backupNow(),
+            restoreBackup: () => this.restoreFromFile(),
+            chooseBackupFolder: () => this.chooseScheduleFolder()
+        };
+        Object.entries(bindings).forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', handler);
+            }
+        });
+
+        ['backupScheduleEnabled', 'backupScheduleInterval', 'backupScheduleKeep'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('change', () => this.saveScheduleFromUI());
+            }
+        });
+    }
+
+    /**
+     * Scheduled backup settings are per machine, so they live outside the app config
+     */
+    loadSchedule() {
+        const defaults = { enabled: false, folder: '', intervalHours: 24, keep: 7, lastBackupAt: null, lastError: null };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(this.scheduleStorageKey) || '{}') };
+        } catch (error) {
+            console.error('Error loading backup schedule:', error);
+            return defaults;
+        }
+    }
+
+    saveSchedule() {
+        localStorage.setItem(this.scheduleStorageKey, JSON.stringify(this.schedule));
+        this.loadScheduleToUI();
+    }
+
+    loadScheduleToUI() {
+        const enabled = document.getElementById('backupScheduleEnabled');
+        const folder = document.getElementById('backupScheduleFolder');
+        const interval = document.getElementById('backupScheduleInterval');
+        const keep = document.getElementById('backupScheduleKeep');
+        const status = document.getElementById('backupScheduleStatus');
+
+        if (enabled) enabled.checked = this.schedule.enabled;
+        if (folder) folder.value = this.schedule.folder;
+        if (interval) interval.value = String(this.schedule.intervalHours);
+        if (keep) keep.value = String(this.schedule.keep);
+
+        if (status) {
+            if (this.schedule.lastError) {
+                status.textContent = `Last scheduled backup failed: ${this.schedule.lastError}`;
+            } else if (this.schedule.lastBackupAt) {
+                status.textContent = `Last scheduled backup: ${new Date(this.schedule.lastBackupAt).toLocaleString()}`;
+            } else {
+                status.textContent = 'No scheduled backup has run yet';
+            }
+        }
+    }
+
+    saveScheduleFromUI() {
+        const enabled = document.getElementById('backupScheduleEnabled');
+        const interval = document.getElementById('backupScheduleInterval');
+        const keep = document.getElementById('backupScheduleKeep');
+
+        this.schedule.enabled = !!(enabled && enabled.checked);
+        this.schedule.intervalHours = parseInt(interval?.value, 10) || 24;
+        this.schedule.keep = Math.max(1, parseInt(keep?.value, 10) || 7);
+
+        if (this.schedule.enabled && !this.schedule.folder) {
+            this.schedule.enabled = false;
+            window.app.showNotification('Choose a backup folder before enabling scheduled backups', 'warning');
+        }
+
+        this.saveSchedule();
+    }
+
+    async chooseScheduleFolder() {
+        const result = await this.ipc.invoke('open-folder-dialog', {
+            title: 'Select folder for scheduled backups'
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            this.schedule.folder = result.filePaths[0];
+            this.saveSchedule();
+        }
+    }
+
+    /**
+     * Back up to the scheduled folder if the interval has elapsed
+     */
+    async runScheduledBackup() {
+        const { enabled, folder, intervalHours, lastBackupAt } = this.schedule;
+        if (!enabled || !folder || this.backupInProgress) return;
+
+        const due = !lastBackupAt || Date.now() - new Date(lastBackupAt).getTime() >= intervalHours * 60 * 60 * 1000;
+        if (!due) return;
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const result = await this.createBackup(`${folder}/${this.filePrefix}${stamp}${this.fileExtension}`);
+
+        if (result.success) {
+            this.schedule.lastBackupAt = result.createdAt;
+            this.schedule.lastError = null;
+
+            const pruneResult = await this.ipc.invoke('backup-prune', folder, this.schedule.keep);
+            if (!pruneResult.success) {
+                console.warn('Failed to remove old backups:', pruneResult.error);
+            }
+        } else {
+            // Record the failure and try again at the next check
+            this.schedule.lastError = result.error;
+            console.error('Scheduled backup failed:', result.error);
+        }
+        this.saveSchedule();
+    }
+
+    /**
+     * Ask for a location and write a backup there
+     */
+    async backupNow() {
+        const timestamp = new Date().toISOString().split('T')[0];
+        const dialogResult = await this.ipc.invoke('save-file-dialog', {
+            title: 'Back Up Library',
+            defaultPath: `${this.filePrefix}${timestamp}${this.fileExtension}`,
+            filters: [
+                { name: 'Call Summary Backups', extensions: [this.fileExtension.slice(1)] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+        if (dialogResult.canceled) return;
+
+        window.app.showNotification('Creating backup...', 'info');
+        const result = await this.createBackup(dialogResult.filePath);
+
+        if (result.success) {
+            window.app.showNotification(`Backed up ${result.counts.recordings} recording(s) (${window.app.formatFileSize(result.size)})`, 'success');
+            if (result.missingAudio.length > 0) {
+                window.app.showNotification(`${result.missingAudio.length} audio file(s) were missing from the library and are not in the backup`, 'warning');
+            }
+        } else {
+            window.app.showNotification(`Backup failed: ${result.error}`, 'error');
+        }
+    }
+
+    async createBackup(filePath) {
+        if (this.backupInProgress) {
+            return { success: false, error: 'Another backup is already running' };
+        }
+
+        this.backupInProgress = true;
+        try {
+            const items = await this.library.getItems();
+            const conversations = await this.library.getConversations();
+            const appData = this.collectAppData();
+            const historyCsv = window.app ? window.app.buildHistoryCsv(items) : '';
+
+            return await this.ipc.invoke('backup-create', filePath, {
+                appData,
+                textFiles: { 'history.csv': historyCsv },
+                counts: {
+                    conversations: Object.keys(conversations).length,
+                    templates: this.countTemplates(appData.templates)
+                }
+            });
+        } catch (error) {
+            return { success: false, error: error.message };
+        } finally {
+            this.backupInProgress = false;
+        }
+    }
+
+    /**
+     * Gather the app data that lives in localStorage (conversations are stored in the library)
+     */
+    collectAppData() {
+        const readJson = (key, fallback) => {
+            try {
+                const saved = localStorage.getItem(key);
+                return saved ? JSON.parse(saved) : fallback;
+            } catch (error) {
+                console.warn(`Skipping unreadable ${key} in backup:`, error);
+                return fallback;
+            }
+        };
+
+        return {
+            templates: window.templateManager ? window.templateManager.getAllTemplates() : readJson('promptTemplates', {}),
+            config: this.stripSecrets(window.app ? window.app.currentConfig : readJson('callSummaryConfig', {})),
+            preferences: { theme: localStorage.getItem('app-theme') || 'auto' }
+        };
+    }
+
+    /**
+     * Copy a config object without API keys or other credentials
+     */
+    stripSecrets(value) {
+        if (Array.isArray(value)) {
+            return value.map(entry => this.stripSecrets(entry));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !this.secretFields.includes(key))
+            .map(([key, entry]) => [key, this.stripSecrets(entry)]));
+    }
+
+    countTemplates(templates) {
+        if (Array.isArray(templates)) return templates.length;
+        return Object.values(templates || {}).reduce((count, list) => count + (Array.isArray(list) ? list.length : 0), 0);
+    }
+
+    /**
+     * Pick a backup, verify it, then restore it with merge or replace
+     */
+    async restoreFromFile() {
+        const dialogResult = await this.ipc.invoke('open-file-dialog', {
+            title: 'Restore Backup',
+            properties: ['openFile'],
+            filters: [
+                { name: 'Call Summary Backups', extensions: [this.fileExtension.slice(1)] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+        if (dialogResult.canceled || dialogResult.filePaths.length === 0) return;
+
+        window.app.showNotification('Verifying backup...', 'info');
+        const inspection = await this.ipc.invoke('backup-inspect', dialogResult.filePaths[0]);
+        if (!inspection.success) {
+            window.app.showNotification(`Cannot restore backup: ${inspection.error}`, 'error');
+            return;
+        }
+
+        if (inspection.needsPassphrase && !await this.unlockBackup(inspection)) {
+            await this.ipc.invoke('backup-discard', inspection.restoreId);
+            return;
+        }
+
+        const mode = await this.chooseRestoreMode(inspection);
+        if (!mode) {
+            await this.ipc.invoke('backup-discard', inspection.restoreId);
+            return;
+        }
+
+        const result = await this.ipc.invoke('backup-restore', inspection.restoreId, mode);
+        if (!result.success) {
+            window.app.showNotification(`Restore failed: ${result.error}`, 'error');
+            return;
+        }
+
+        try {
+            await this.applyRestoredData(result, mode);
+            window.app.showNotification(
+                `Restored ${result.added} recording(s)${result.skipped > 0 ? `, ${result.skipped} already in the library` : ''}`,
+                'success'
+            );
+            if (result.missingAudio.length > 0) {
+                console.warn('Audio missing from backup:', result.missingAudio);
+                window.app.showNotification(`${result.missingAudio.length} audio file(s) were not in the backup; those recordings were restored without them`, 'warning');
+            }
+        } catch (error) {
+            console.error('Failed to apply restored app data:', error);
+            window.app.showNotification(`Recordings restored, but some settings could not be applied: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Ask for the passphrase of a backup taken from an encrypted library
+     */
+    unlockBackup(inspection) {
+        return new Promise(resolve => {
+            const modal = window.uiManager.showModal('Encrypted Backup', `
+                <form class="backup-unlock-form">
+                    <p>This backup was made from an encrypted library. Enter the passphrase that was in use when it was created.</p>
+                    <input type="password" class="form-control" name="passphrase" autocomplete="off" aria-label="Backup passphrase" required>
+                    <p class="backup-unlock-error" role="alert"></p>
+                    <div class="backup-restore-actions">
+                        <button type="button" class="btn btn-outline" data-action="cancel">Cancel</button>
+                        <button type="submit" class="btn btn-primary">Unlock</button>
+                    </div>
+                </form>
+            `);
+
+            const form = modal.querySelector('form');
+            const input = form.querySelector('input[name="passphrase"]');
+            const error = form.querySelector('.backup-unlock-error');
+            let settled = false;
+            const settle = (unlocked) => {
+                if (settled) return;
+                settled = true;
+                window.uiManager.closeModal(modal);
+                resolve(unlocked);
+            };
+
+            input.focus();
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                error.textContent = '';
+                const result = await this.ipc.invoke('backup-unlock', inspection.restoreId, input.value);
+                if (result.success) {
+                    settle(true);
+                } else {
+                    error.textContent = result.error;
+                    input.select();
+                }
+            });
+            modal.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="cancel"]') || e.target === modal || e.target.closest('.modal-close')) {
+                    settle(false);
+                }
+            });
+        });
+    }
+
+    chooseRestoreMode(inspection) {
+        const counts = inspection.counts || {};
+
+        return new Promise(resolve => {
+            const modal = window.uiManager.showModal('Restore Backup', `
+                <div class="backup-restore-summary">
+                    <p><i class="fas fa-check-circle" aria-hidden="true"></i> Backup verified</p>
+                    <ul>
+                        <li>Created: ${new Date(inspection.createdAt).toLocaleString()}</li>
+                        <li>Recordings: ${counts.recordings || 0} (${counts.audioFiles || 0} with audio)</li>
+                        <li>Q&amp;A conversations: ${counts.conversations || 0}</li>
+                        <li>Templates: ${counts.templates || 0}</li>
+                    </ul>
+                    <p><strong>Merge</strong> adds recordings and templates that are not already here and keeps your current settings.
+                       <strong>Replace</strong> deletes the current library first and restores the backup's settings.
+                       API keys are never stored in backups and are left as they are.</p>
+                    <div class="backup-restore-actions">
+                        <button class="btn btn-outline" data-mode="">Cancel</button>
+                        <button class="btn btn-secondary" data-mode="merge">Merge</button>
+                        <button class="btn btn-primary" data-mode="replace">Replace</button>
+                    </div>
+                </div>
+            `);
+
+            let settled = false;
+            const settle = (mode) => {
+                if (settled) return;
+                settled = true;
+                window.uiManager.closeModal(modal);
+                resolve(mode);
+            };
+
+            modal.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-mode]');
+                if (button) {
+                    const mode = button.dataset.mode;
+                    if (mode === 'replace' && !confirm('Replace will delete every recording currently in the library. Continue?')) {
+                        return;
+                    }
+                    settle(mode || null);
+                } else if (e.target === modal || e.target.closest('.modal-close')) {
+                    settle(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Write restored localStorage data back and reload everything that caches it
+     */
+    async applyRestoredData(result, mode) {
+        const appData = result.appData || {};
+        const replace = mode === 'replace';
+
+        await this.library.reload();
+
+        // Older backups kept conversations with the localStorage data
+        const restoredConversations = result.libraryData?.['qa-conversations'] || appData['qa-conversations'];
+        if (restoredConversations) {
+            const current = replace ? {} : await this.library.getConversations();
+            await this.library.saveConversations({ ...restoredConversations, ...current });
+        }
+        if (window.app) {
+            window.app.qaConversations = await this.library.getConversations();
+        }
+
+        if (appData.templates) {
+            this.restoreTemplates(appData.templates, replace);
+        }
+
+        if (appData.config && window.app) {
+            window.app.currentConfig = this.mergeConfig(window.app.currentConfig, appData.config, replace);
+            window.app.saveConfig();
+            window.app.loadConfigToUI();
+        }
+
+        if (replace && appData.preferences?.theme && window.uiManager) {
+            window.uiManager.setTheme(appData.preferences.theme);
+        }
+
+        const organizer = window.libraryOrganizer;
+        if (organizer) {
+            if (replace) {
+                organizer.folders = [];
+            }
+            organizer.ready = organizer.loadFolders();
+            const backupFolders = result.libraryData?.folders?.folders || [];
+            if (!replace) {
+                for (const folder of backupFolders) {
+                    await organizer.createFolder(folder).catch(error => console.warn('Skipping restored folder:', error));
+                }
+            }
+            await organizer.ready;
+        }
+
+        if (window.searchIndex) {
+            await window.searchIndex.rebuild();
+        }
+        if (window.historyManager) {
+            await window.historyManager.refresh();
+        }
+    }
+
+    restoreTemplates(backupTemplates, replace) {
+        const manager = window.templateManager;
+        const current = manager ? manager.getAllTemplates() : {};
+        let templates = backupTemplates;
+
+        if (!replace && !Array.isArray(backupTemplates)) {
+            templates = { ...current };
+            Object.entries(backupTemplates).forEach(([category, list]) => {
+                const existing = templates[category] || [];
+                const existingIds = new Set(existing.map(template => template.id));
+                templates[category] = [...existing, ...(list || []).filter(template => !existingIds.has(template.id))];
+            });
+        }
+
+        if (manager) {
+            manager.templates = templates;
+            manager.saveTemplates();
+        } else {
+            localStorage.setItem('promptTemplates', JSON.stringify(templates));
+        }
+
+        if (window.app) {
+            window.app.templates = manager ? manager.getAllTemplates() : templates;
+        }
+    }
+
+    /**
+     * Merge restored settings into the current config; secrets in the current config are always kept
+     * With overwrite false only settings missing from the current config are filled in
+     */
+    mergeConfig(current, restored, overwrite) {
+        const merged = { ...current };
+
+        Object.entries(restored || {}).forEach(([key, value]) => {
+            if (this.secretFields.includes(key)) return;
+
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                merged[key] = this.mergeConfig(current?.[key] || {}, value, overwrite);
+            } else if (overwrite || merged[key] === undefined) {
+                merged[key] = value;
+            }
+        });
+
+        return merged;
+    }
+}
+
+// Initialize backup manager
+if (typeof window !== 'undefined') {
+    window.backupManager = new BackupManager(window.recordingLibrary);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupManager;
+}
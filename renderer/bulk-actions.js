@@ -0,0 +1,438 @@
+/**
+ * Bulk Actions - Operations applied to several recordings at once
+ * Each action runs as a single ProgressManager operation that can be cancelled between items
+ */
+class BulkActions {
+    constructor(library, organizer) {
+        this.ipc = require('electron').ipcRenderer;
+        this.library = library;
+        this.organizer = organizer;
+        this.transcriptionProviders = {
+            'azure-batch': 'Azure Speech Batch',
+            'openai-whisper': 'OpenAI Whisper',
+            'azure-whisper': 'Azure OpenAI Whisper'
+        };
+    }
+
+    /**
+     * Run a worker over each recording, reporting progress through ProgressManager
+     * Returns { processed, failed, skipped, cancelled }
+     */
+    async run(type, description, itemIds, worker) {
+        const operationId = `bulk_${type}_${Date.now()}`;
+        const summary = { processed: 0, failed: 0, skipped: 0, cancelled: false };
+        const total = itemIds.length;
+
+        progressManager.startOperation(operationId, 'bulk', description);
+        progressManager.showProgressNotification(operationId);
+
+        for (let i = 0; i < total; i++) {
+            if (progressManager.getOperationStatus(operationId)?.status === 'cancelled') {
+                summary.cancelled = true;
+                break;
+            }
+
+            const item = await this.library.getItem(itemIds[i]);
+            const name = item ? (item.name || item.filename) : itemIds[i];
+            progressManager.updateProgress(operationId, 'processing', (i / total) * 100, `${name} (${i + 1} of ${total})`);
+            progressManager.showProgressNotification(operationId);
+
+            if (!item) {
+                summary.skipped++;
+                continue;
+            }
+
+            try {
+                const outcome = await worker(item);
+                if (outcome === false) {
+                    summary.skipped++;
+                } else {
+                    summary.processed++;
+                }
+            } catch (error) {
+                console.error(`Bulk ${type} failed for ${name}:`, error);
+                summary.failed++;
+            }
+        }
+
+        // The user may have cancelled while the last item was in flight
+        if (progressManager.getOperationStatus(operationId)?.status === 'cancelled') {
+            summary.cancelled = true;
+        }
+
+        if (!summary.cancelled) {
+            if (summary.processed === 0 && summary.failed > 0) {
+                progressManager.failOperation(operationId, new Error(`${summary.failed} of ${total} recordings failed`), false);
+            } else {
+                progressManager.updateProgress(operationId, 'completed', 100, this.describeSummary(summary));
+            }
+            progressManager.showProgressNotification(operationId);
+        }
+
+        if (window.historyManager) {
+            await window.historyManager.refresh();
+        }
+
+        return summary;
+    }
+
+    describeSummary(summary) {
+        const parts = [`${summary.processed} done`];
+        if (summary.skipped > 0) parts.push(`${summary.skipped} skipped`);
+        if (summary.failed > 0) parts.push(`${summary.failed} failed`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Show a form in a modal and resolve with the modal on submit, or null if dismissed
+     * onOpen(modal) can mount extra controls before the user interacts
+     */
+    showDialog(title, content, submitLabel, onOpen = null) {
+        return new Promise(resolve => {
+            const modal = window.uiManager.showModal(title, `
+                <form class="bulk-dialog">
+                    ${content}
+                    <div class="bulk-dialog-actions">
+                        <button type="button" class="btn btn-outline" data-action="cancel">Cancel</button>
+                        <button type="submit" class="btn btn-primary">${submitLabel}</button>
+                    </div>
+                </form>
+            `);
+
+            if (onOpen) onOpen(modal);
+
+            let settled = false;
+            const settle = (value) => {
+                if (settled) return;
+                settled = true;
+                resolve(value);
+            };
+
+            modal.querySelector('.bulk-dialog').addEventListener('submit', (e) => {
+                e.preventDefault();
+                settle(modal);
+            });
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('.modal-close, [data-action="cancel"]')) {
+                    window.uiManager.closeModal(modal);
+                    settle(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Delete recordings and their audio files
+     */
+    async deleteItems(itemIds) {
+        if (!confirm(`Delete ${itemIds.length} recording(s)? This action cannot be undone.`)) {
+            return null;
+        }
+
+        return this.run('delete', `Deleting ${itemIds.length} recordings`, itemIds, async (item) => {
+            await this.library.deleteItem(item.id);
+        });
+    }
+
+    /**
+     * Add and remove tags across recordings
+     */
+    async tagItems(itemIds) {
+        await this.organizer.ready;
+        const items = await this.library.getItems();
+        const suggestions = this.organizer.getTagCounts(items).map(entry => entry.tag);
+
+        let addEditor;
+        let removeEditor;
+        const modal = await this.showDialog(`Tag ${itemIds.length} Recording(s)`, `
+            <div class="form-group">
+                <label>Add tags</label>
+                <div id="bulkAddTags"></div>
+            </div>
+            <div class="form-group">
+                <label>Remove tags</label>
+                <div id="bulkRemoveTags"></div>
+            </div>
+        `, 'Apply', (dialog) => {
+            addEditor = this.organizer.renderTagEditor(dialog.querySelector('#bulkAddTags'), [], () => {}, suggestions);
+            removeEditor = this.organizer.renderTagEditor(dialog.querySelector('#bulkRemoveTags'), [], () => {}, suggestions);
+        });
+        if (!modal) return null;
+
+        const addTags = addEditor.getTags();
+        const removeTags = removeEditor.getTags();
+        window.uiManager.closeModal(modal);
+
+        if (addTags.length === 0 && removeTags.length === 0) {
+            return null;
+        }
+
+        return this.run('tag', `Tagging ${itemIds.length} recordings`, itemIds, async (item) => {
+            await this.organizer.applyTags([item.id], addTags, removeTags);
+        });
+    }
+
+    /**
+     * Move recordings into a folder
+     */
+    async moveItems(itemIds) {
+        await this.organizer.ready;
+        const items = await this.library.getItems();
+
+        let folder = '';
+        const modal = await this.showDialog(`Move ${itemIds.length} Recording(s)`, `
+            <div class="form-group">
+                <label>Folder</label>
+                <div id="bulkFolderPicker"></div>
+            </div>
+        `, 'Move', (dialog) => {
+            this.organizer.renderFolderPicker(dialog.querySelector('#bulkFolderPicker'), '', (selected) => {
+                folder = selected;
+            }, items);
+        });
+        if (!modal) return null;
+        window.uiManager.closeModal(modal);
+
+        return this.run('move', `Moving ${itemIds.length} recordings`, itemIds, async (item) => {
+            await this.organizer.moveItems([item.id], folder);
+        });
+    }
+
+    /**
+     * Export audio, transcripts and analyses into a folder
+     */
+    async exportItems(itemIds) {
+        const modal = await this.showDialog(`Export ${itemIds.length} Recording(s)`, `
+            <div class="form-group">
+                <label><input type="checkbox" name="audio" checked> Audio (WAV)</label>
+                <label><input type="checkbox" name="transcript" checked> Transcripts (TXT)</label>
+                <label><input type="checkbox" name="analysis" checked> Analyses (TXT)</label>
+            </div>
+        `, 'Choose Folder...');
+        if (!modal) return null;
+
+        const form = modal.querySelector('.bulk-dialog');
+        const include = {
+            audio: form.elements.audio.checked,
+            transcript: form.elements.transcript.checked,
+            analysis: form.elements.analysis.checked
+        };
+        window.uiManager.closeModal(modal);
+
+        if (!include.audio && !include.transcript && !include.analysis) {
+            return null;
+        }
+
+        const result = await this.ipc.invoke('open-folder-dialog', {
+            title: 'Select folder to export recordings',
+            properties: ['openDirectory', 'createDirectory']
+        });
+        if (result.canceled) return null;
+
+        const exportFolder = result.filePaths[0];
+        const summary = await this.run('export', `Exporting ${itemIds.length} recordings`, itemIds, async (item) => {
+            return this.exportItem(item, exportFolder, include);
+        });
+
+        window.uiManager.showSuccess(`Exported ${summary.processed} recording(s) to ${exportFolder}`);
+        return summary;
+    }
+
+    /**
+     * Write the selected parts of one recording; returns false when there was nothing to export
+     */
+    async exportItem(item, exportFolder, include) {
+        const app = window.app;
+        const baseName = `${app.sanitizeFilename(item.name || item.filename || 'recording')}_${(item.date || '').replace(/[^0-9]/g, '') || item.id}`;
+        let written = 0;
+
+        if (include.audio && this.library.hasAudio(item)) {
+            const blob = await this.library.loadAudio(item);
+            let audioBlob = blob;
+            if (blob.type !== 'audio/wav') {
+                try {
+                    audioBlob = await app.audioManager.convertBlobToWav(blob);
+                } catch (conversionError) {
+                    console.warn('WAV conversion failed, using original format:', conversionError);
+                }
+            }
+
+            // A recording that could not be converted keeps its own format and the extension it is stored with
+            const extension = audioBlob === blob && item.audioFile
+                ? item.audioFile.split('.').pop()
+                : app.audioEncoder.getExtension(audioBlob);
+            const buffer = Buffer.from(await audioBlob.arrayBuffer());
+            await this.saveFile('save-file-binary', `${exportFolder}/${baseName}.${extension}`, buffer);
+            written++;
+        }
+
+        const transcript = window.historyManager ? window.historyManager.getTranscriptText(item) : '';
+        if (include.transcript && transcript.trim()) {
+            const content = app.buildTranscriptExportHeader(item) + transcript;
+            await this.saveFile('save-file', `${exportFolder}/${baseName}_transcript.txt`, content);
+            written++;
+        }
+
+        const analyses = Object.values(item.analysis || {}).filter(entry => entry && entry.result);
+        if (include.analysis && analyses.length > 0) {
+            const content = analyses.map(entry => {
+                const title = entry.templateName || 'Analysis';
+                return `${title}\n${'='.repeat(title.length)}\n\n${entry.result}`;
+            }).join('\n\n\n');
+            await this.saveFile('save-file', `${exportFolder}/${baseName}_analysis.txt`, content);
+            written++;
+        }
+
+        return written > 0;
+    }
+
+    async saveFile(channel, filePath, content) {
+        const result = await this.ipc.invoke(channel, filePath, content);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    /**
+     * Transcribe recordings again with a chosen provider
+     */
+    async retranscribeItems(itemIds) {
+        const app = window.app;
+        const config = app.currentConfig.transcription || {};
+
+        const options = Object.entries(this.transcriptionProviders).map(([provider, label]) => {
+            const configured = app.validateTranscriptionConfig(provider, config[provider] || {});
+            return `
+                <option value="${provider}" ${provider === config.provider ? 'selected' : ''} ${configured ? '' : 'disabled'}>
+                    ${label}${configured ? '' : ' (not configured)'}
+                </option>
+            `;
+        }).join('');
+
+        const modal = await this.showDialog(`Re-transcribe ${itemIds.length} Recording(s)`, `
+            <div class="form-group">
+                <label for="bulkTranscriptionProvider">Provider</label>
+                <select id="bulkTranscriptionProvider" name="provider" class="form-control">${options}</select>
+                <small class="form-help">Existing transcripts are replaced.</small>
+            </div>
+        `, 'Re-transcribe');
+        if (!modal) return null;
+
+        const provider = modal.querySelector('.bulk-dialog').elements.provider.value;
+        window.uiManager.closeModal(modal);
+
+        if (!app.validateTranscriptionConfig(provider, config[provider] || {})) {
+            window.uiManager.showError('Please configure transcription settings in AI Settings');
+            return null;
+        }
+
+        return this.run('transcription', `Re-transcribing ${itemIds.length} recordings`, itemIds,
+            item => this.transcribeItem(item, provider));
+    }
+
+    /**
+     * Transcribe one recording with the given provider and save the transcript
+     * Returns the updated item, or false when the recording has no audio
+     */
+    async transcribeItem(item, provider) {
+        if (!this.library.hasAudio(item)) return false;
+
+        // The preset a recording was made with may set the language for its provider
+        const config = window.app.getTranscriptionConfig(item, provider).transcription || {};
+        const blob = await this.library.loadTranscriptionAudio(item);
+        const transcriptResult = await window.app.performTranscription(blob, provider, config[provider]);
+        const text = typeof transcriptResult === 'string' ? transcriptResult : transcriptResult.text;
+
+        // The transcript being replaced stays in the version history
+        const updated = { ...item };
+        window.app.transcriptManager.captureCurrentVersion(updated);
+        updated.transcription = {
+            text,
+            speakerDiarization: transcriptResult?.speakerDiarization,
+            silenceTrim: transcriptResult?.silenceTrim,
+            provider,
+            timestamp: new Date().toISOString(),
+            status: 'completed'
+        };
+        return this.library.updateItem(updated);
+    }
+
+    /**
+     * Run one analysis template over every transcribed recording
+     */
+    async runTemplate(itemIds) {
+        const app = window.app;
+        const groups = this.getTemplateGroups(app.templates);
+
+        const options = Object.entries(groups).map(([category, templates]) => `
+            <optgroup label="${window.uiManager.escapeHtml(category.charAt(0).toUpperCase() + category.slice(1))}">
+                ${templates.map(template => `<option value="${window.uiManager.escapeHtml(template.id)}">${window.uiManager.escapeHtml(template.name)}</option>`).join('')}
+            </optgroup>
+        `).join('');
+
+        const modal = await this.showDialog(`Run Template on ${itemIds.length} Recording(s)`, `
+            <div class="form-group">
+                <label for="bulkTemplate">Template</label>
+                <select id="bulkTemplate" name="template" class="form-control">${options}</select>
+                <small class="form-help">Recordings without a transcript are skipped.</small>
+            </div>
+        `, 'Run');
+        if (!modal) return null;
+
+        const templateId = modal.querySelector('.bulk-dialog').elements.template.value;
+        window.uiManager.closeModal(modal);
+
+        const template = Object.values(groups).flat().find(t => t.id === templateId);
+        if (!template) return null;
+
+        return this.run('analysis', `Running "${template.name}" on ${itemIds.length} recordings`, itemIds,
+            item => this.runTemplateOnItem(item, template));
+    }
+
+    /**
+     * Run a template over one recording's transcript and save the analysis
+     * Returns the updated item, or false when the recording has no transcript
+     */
+    async runTemplateOnItem(item, template) {
+        const transcript = window.historyManager ? window.historyManager.getTranscriptText(item) : '';
+        if (!transcript.trim()) return false;
+
+        const result = await window.app.runTemplateAnalysis(template, {
+            transcript,
+            date: item.date || new Date().toLocaleDateString(),
+            duration: item.duration || 'Unknown',
+            filename: item.filename || 'Unknown',
+            markers: window.recordingMarkers.getTemplateValue(item)
+        });
+
+        const updated = { ...item };
+        window.app.storeAnalysisResult(updated, template, result);
+        return this.library.updateItem(updated);
+    }
+
+    /**
+     * Group templates by category (the fallback template list is a flat array)
+     */
+    getTemplateGroups(templates) {
+        if (!Array.isArray(templates)) {
+            return Object.fromEntries(Object.entries(templates || {}).filter(([, list]) => list && list.length > 0));
+        }
+
+        return templates.reduce((groups, template) => {
+            const category = template.category || 'custom';
+            (groups[category] = groups[category] || []).push(template);
+            return groups;
+        }, {});
+    }
+}
+
+// Initialize bulk actions
+if (typeof window !== 'undefined') {
+    window.bulkActions = new BulkActions(window.recordingLibrary, window.libraryOrganizer);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BulkActions;
+}
@@ -0,0 +1,291 @@
+/**
+ * File Importer - Brings existing audio and video files (Zoom, Teams, phone systems) into the library
+ * Files are decoded through AudioManager to validate them and read their audio properties
+ */
+class FileImporter {
+    constructor() {
+        this.ipc = require('electron').ipcRenderer;
+        // Long recordings can take a while to decode, unlike the short live-recording case
+        this.decodeTimeoutMs = 120000;
+        this.mimeTypes = {
+            mp3: 'audio/mpeg',
+            m4a: 'audio/mp4',
+            aac: 'audio/aac',
+            ogg: 'audio/ogg',
+            opus: 'audio/ogg',
+            webm: 'audio/webm',
+            wav: 'audio/wav',
+            flac: 'audio/flac',
+            mp4: 'video/mp4'
+        };
+        this.importing = false;
+        this.lastIdTime = 0;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const importButton = document.getElementById('importAudioButton');
+        if (importButton) {
+            importButton.addEventListener('click', () => this.importFromDialog());
+        }
+
+        this.ipc.on('menu-import-audio', () => this.importFromDialog());
+        this.setupDropZone();
+    }
+
+    /**
+     * Accept files dropped anywhere on the window
+     */
+    setupDropZone() {
+        const overlay = document.getElementById('importDropOverlay');
+        let dragDepth = 0;
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+        document.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            if (overlay) overlay.classList.add('active');
+        });
+
+        document.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0 && overlay) overlay.classList.remove('active');
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            if (overlay) overlay.classList.remove('active');
+
+            const sources = Array.from(e.dataTransfer.files).map(file => ({
+                name: file.name,
+                path: file.path || null,
+                lastModified: file.lastModified ? new Date(file.lastModified).toISOString() : null,
+                read: () => file.arrayBuffer()
+            }));
+            this.importFiles(sources);
+        });
+    }
+
+    async importFromDialog() {
+        const extensions = Object.keys(this.mimeTypes);
+        const result = await this.ipc.invoke('open-file-dialog', {
+            title: 'Import Audio or Video',
+            properties: ['openFile', 'multiSelections'],
+            filters: [
+                { name: 'Audio and Video', extensions },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+        if (result.canceled || result.filePaths.length === 0) return;
+
+        const sources = result.filePaths.map(filePath => {
+            const source = { name: filePath.split(/[\\/]/).pop(), path: filePath, lastModified: null };
+            source.read = async () => {
+                const file = await this.readFileFromDisk(filePath);
+                source.lastModified = file.modifiedAt;
+                return file.data;
+            };
+            return source;
+        });
+        await this.importFiles(sources);
+    }
+
+    async readFileFromDisk(filePath) {
+        const result = await this.ipc.invoke('read-file-binary', filePath);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const data = result.data;
+        return {
+            data: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+            modifiedAt: result.modifiedAt
+        };
+    }
+
+    getExtension(fileName) {
+        const match = /\.([^.]+)$/.exec(fileName || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Import each source as a history item, reporting progress through ProgressManager
+     * source: { name, path, lastModified, read() -> ArrayBuffer }
+     */
+    async importFiles(sources) {
+        if (this.importing) {
+            window.app.showNotification('An import is already running', 'warning');
+            return [];
+        }
+
+        const supported = sources.filter(source => this.mimeTypes[this.getExtension(source.name)]);
+        const unsupported = sources.length - supported.length;
+        if (supported.length === 0) {
+            window.app.showNotification('No supported audio or video files to import (mp3, m4a, ogg, webm, mp4, wav, flac)', 'warning');
+            return [];
+        }
+
+        this.importing = true;
+        const operationId = `import_${Date.now()}`;
+        const imported = [];
+        const failures = [];
+
+        progressManager.startOperation(operationId, 'import', `Importing ${supported.length} file(s)`);
+        progressManager.showProgressNotification(operationId);
+
+        try {
+            for (let i = 0; i < supported.length; i++) {
+                if (progressManager.getOperationStatus(operationId)?.status === 'cancelled') break;
+
+                const source = supported[i];
+                progressManager.updateProgress(operationId, 'processing', (i / supported.length) * 100,
+                    `${source.name} (${i + 1} of ${supported.length})`);
+                progressManager.showProgressNotification(operationId);
+
+                try {
+                    imported.push(await this.importFile(source));
+                } catch (error) {
+                    console.error(`Failed to import ${source.name}:`, error);
+                    failures.push(`${source.name}: ${error.message}`);
+                }
+            }
+
+            if (progressManager.getOperationStatus(operationId)?.status !== 'cancelled') {
+                if (imported.length === 0) {
+                    progressManager.failOperation(operationId, new Error(failures[0] || 'Import failed'), false);
+                } else {
+                    progressManager.updateProgress(operationId, 'completed', 100, `${imported.length} imported`);
+                }
+                progressManager.showProgressNotification(operationId);
+            }
+        } finally {
+            this.importing = false;
+        }
+
+        if (failures.length > 0 || unsupported > 0) {
+            const skipped = unsupported > 0 ? ` ${unsupported} unsupported file(s) skipped.` : '';
+            window.app.showNotification(`${failures.length} file(s) could not be imported.${skipped}`, 'warning');
+        }
+
+        await this.openImported(imported);
+        return imported;
+    }
+
+    /**
+     * Decode one file and save it as a normal history item
+     * extraMetadata is merged into the item's metadata (e.g. which watched folder it came from)
+     */
+    async importFile(source, extraMetadata = {}) {
+        const extension = this.getExtension(source.name);
+        const mimeType = this.mimeTypes[extension];
+        const arrayBuffer = await source.read();
+
+        if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+            throw new Error('File is empty');
+        }
+
+        // Decoding proves the file has a playable audio track and gives its real duration
+        const audioManager = window.app.audioManager;
+        const wavBlob = await audioManager.processAudioBuffer(arrayBuffer, { decodeTimeoutMs: this.decodeTimeoutMs });
+        const audioInfo = await audioManager.getWavInfo(wavBlob);
+        const blob = new Blob([arrayBuffer], { type: mimeType });
+
+        const now = new Date();
+        const name = source.name.replace(/\.[^.]+$/, '');
+        const entry = {
+            id: this.createRecordingId(),
+            name,
+            filename: source.name,
+            date: now.toLocaleString(),
+            timestamp: now.toISOString(),
+            createdAt: now.toISOString(),
+            duration: window.app.formatDuration((audioInfo.duration || 0) * 1000),
+            size: blob.size,
+            originalSize: blob.size,
+            sampleRate: audioInfo.sampleRate,
+            channels: audioInfo.channels,
+            blob,
+            transcription: null,
+            analysis: {},
+            interactions: [],
+            metadata: {
+                recordingDate: source.lastModified || now.toISOString(),
+                source: 'import',
+                importedAt: now.toISOString(),
+                originalPath: source.path,
+                audioSettings: {
+                    sampleRate: audioInfo.sampleRate,
+                    channels: audioInfo.channels
+                },
+                technicalInfo: {
+                    actualDuration: audioInfo.duration,
+                    fileType: mimeType,
+                    fileSize: blob.size
+                },
+                tags: [],
+                folder: '',
+                participants: [],
+                notes: '',
+                category: 'general',
+                priority: 'normal',
+                ...extraMetadata
+            },
+            quality: {},
+            deviceInfo: { deviceLabel: 'Imported file' },
+            version: '1.2'
+        };
+
+        await window.app.addToHistory(entry);
+        return entry;
+    }
+
+    /**
+     * A single import opens straight into the detail view so it can be transcribed like a new recording;
+     * several are selected in history so the bulk bar can transcribe them together
+     */
+    async openImported(imported) {
+        if (imported.length === 0) return;
+
+        if (imported.length === 1) {
+            window.app.showNotification(`Imported "${imported[0].name}"`, 'success');
+            await window.app.viewHistoryItem(imported[0].id);
+            return;
+        }
+
+        window.app.showNotification(`Imported ${imported.length} files. Use Re-transcribe in the selection bar to transcribe them.`, 'success');
+        if (window.uiManager) {
+            window.uiManager.switchTab('history');
+        }
+        if (window.historyManager) {
+            await window.historyManager.refresh();
+            window.historyManager.selectItems(imported.map(item => item.id));
+        }
+    }
+
+    // Ids double as audio file names, so two imports in the same millisecond must not collide
+    createRecordingId() {
+        this.lastIdTime = Math.max(Date.now(), this.lastIdTime + 1);
+        return `recording_${this.lastIdTime}`;
+    }
+}
+
+// Initialize file importer
+if (typeof window !== 'undefined') {
+    window.fileImporter = new FileImporter();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileImporter;
+}
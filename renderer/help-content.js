@@ -46,6 +46,7 @@ window.helpContent = {
                         <li>Click the "Start Recording" button or press F9</li>
                         <li>Speak clearly into your microphone</li>
                         <li>Monitor the audio levels to ensure good quality</li>
+                        <li>Press F8 to pause for a side conversation, and F8 again to resume</li>
                         <li>Press F9 again or click "Stop" when finished</li>
                     </ol>
                 `,
@@ -82,7 +83,11 @@ window.helpContent = {
                 title: 'Recording Controls',
                 shortcuts: [
                     { key: 'F9', description: 'Start/Stop recording' },
+                    { key: 'F8', description: 'Pause/Resume recording' },
                     { key: 'F10', description: 'Force stop recording' },
+                    { key: 'Ctrl+Alt+1', description: 'Mark as important (works from other apps while recording)' },
+                    { key: 'Ctrl+Alt+2', description: 'Mark an action item' },
+                    { key: 'Ctrl+Alt+3', description: 'Mark for follow up' },
                     { key: 'Ctrl+R', description: 'Refresh audio devices' }
                 ]
             },
@@ -9,8 +9,14 @@ class HistoryManager {
         this.sortBy = 'date';
         this.sortOrder = 'desc';
         this.filterBy = 'all';
+        this.folderFilter = '__all__'; // '__all__', '' for unfiled, or a folder path
+        this.tagFilter = '';
         this.allItems = [];
         this.filteredItems = [];
+        this.searchResults = null; // Map of recording id -> full-text search result
+        this.searchToken = 0;
+        this.selectedIds = new Set();
+        this.selectionAnchor = null; // Last clicked item, start of shift-click ranges
         
         this.init();
     }
@@ -26,9 +32,7 @@ class HistoryManager {
         const searchInput = document.getElementById('historySearch');
         if (searchInput) {
             searchInput.addEventListener('input', this.debounce((e) => {
-                this.searchQuery = e.target.value.toLowerCase();
-                this.currentPage = 1;
-                this.filterAndDisplayHistory();
+                this.search(e.target.value);
             }, 300));
         }
 
@@ -62,6 +66,36 @@ class HistoryManager {
             });
         }
 
+        // Folder and tag filters
+        const folderFilterSelect = document.getElementById('historyFolderFilter');
+        if (folderFilterSelect) {
+            folderFilterSelect.addEventListener('change', (e) => {
+                this.folderFilter = e.target.value;
+                this.currentPage = 1;
+                this.filterAndDisplayHistory();
+            });
+        }
+
+        const tagFilterSelect = document.getElementById('historyTagFilter');
+        if (tagFilterSelect) {
+            tagFilterSelect.addEventListener('change', (e) => {
+                this.tagFilter = e.target.value;
+                this.currentPage = 1;
+                this.filterAndDisplayHistory();
+            });
+        }
+
+        const manageFoldersBtn = document.getElementById('manageFolders');
+        if (manageFoldersBtn && window.libraryOrganizer) {
+            manageFoldersBtn.addEventListener('click', () => {
+                window.libraryOrganizer.showFolderManager();
+            });
+        }
+
+        if (window.libraryOrganizer) {
+            window.libraryOrganizer.addEventListener('changed', () => this.refresh());
+        }
+
         // Items per page
         const itemsPerPageSelect = document.getElementById('itemsPerPage');
         if (itemsPerPageSelect) {
@@ -72,8 +106,42 @@ class HistoryManager {
             });
         }
 
-        // Pagination buttons
+        // Bulk selection toolbar
+        const selectAll = document.getElementById('historySelectAll');
+        if (selectAll) {
+            selectAll.addEventListener('change', (e) => {
+                this.selectAll(e.target.checked);
+            });
+        }
+
+        const bulkBar = document.getElementById('historyBulkBar');
+        if (bulkBar) {
+            bulkBar.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-bulk-action]');
+                if (button) {
+                    this.runBulkAction(button.dataset.bulkAction);
+                }
+            });
+        }
+
+        // Pagination buttons, selection checkboxes and tag/folder chips
         document.addEventListener('click', (e) => {
+            const checkbox = e.target.closest('.history-item-select');
+            if (checkbox && checkbox.closest('#historyList')) {
+                this.toggleSelection(checkbox.dataset.selectId, checkbox.checked, e.shiftKey);
+                return;
+            }
+
+            const chip = e.target.closest('[data-filter-tag], [data-filter-folder]');
+            if (chip && chip.closest('#historyList')) {
+                if (chip.dataset.filterTag !== undefined) {
+                    this.setTagFilter(chip.dataset.filterTag);
+                } else {
+                    this.setFolderFilter(chip.dataset.filterFolder);
+                }
+                return;
+            }
+
             if (e.target.matches('.pagination-btn')) {
                 const page = parseInt(e.target.dataset.page);
                 if (page && page !== this.currentPage) {
@@ -95,31 +163,80 @@ class HistoryManager {
         });
     }
 
-    loadHistory() {
+    async loadHistory() {
         try {
-            const historyData = localStorage.getItem('callHistory') || '[]';
-            this.allItems = JSON.parse(historyData);
-            
-            // Ensure allItems is an array
-            if (!Array.isArray(this.allItems)) {
-                console.warn('Invalid history data format, resetting to empty array');
-                this.allItems = [];
-                localStorage.setItem('callHistory', '[]');
-            }
-            
+            this.allItems = await window.recordingLibrary.getItems();
+            this.pruneSelection();
+            await this.updateOrganizationFilters();
+            await this.runSearch();
             this.filterAndDisplayHistory();
         } catch (error) {
-            console.error('Error loading history from localStorage:', error);
+            console.error('Error loading history from recording library:', error);
             this.allItems = [];
             
             if (window.uiManager) {
-                window.uiManager.showError('Error loading call history. The data may be corrupted.');
+                window.uiManager.showError('Error loading call history. The library may be corrupted.');
             }
             
             this.filterAndDisplayHistory();
         }
     }
 
+    /**
+     * Refresh folder and tag filter options from the library
+     */
+    async updateOrganizationFilters() {
+        const organizer = window.libraryOrganizer;
+        if (!organizer) return;
+        await organizer.ready;
+
+        const folderSelect = document.getElementById('historyFolderFilter');
+        if (folderSelect) {
+            const folders = organizer.getFolders(this.allItems);
+            if (this.folderFilter !== '__all__' && this.folderFilter !== '' && !folders.includes(this.folderFilter)) {
+                this.folderFilter = '__all__';
+            }
+            folderSelect.innerHTML = organizer.buildFolderOptions(folders, this.folderFilter, { includeAll: true });
+        }
+
+        const tagSelect = document.getElementById('historyTagFilter');
+        if (tagSelect) {
+            const tagCounts = organizer.getTagCounts(this.allItems);
+            if (this.tagFilter && !tagCounts.some(entry => entry.tag.toLowerCase() === this.tagFilter.toLowerCase())) {
+                this.tagFilter = '';
+            }
+            tagSelect.innerHTML = `<option value="">All Tags</option>` + tagCounts.map(entry => `
+                <option value="${this.escapeAttribute(entry.tag)}" ${entry.tag.toLowerCase() === this.tagFilter.toLowerCase() ? 'selected' : ''}>
+                    ${this.escapeHtml(entry.tag)} (${entry.count})
+                </option>
+            `).join('');
+        }
+    }
+
+    /**
+     * Query the full-text index for the current search
+     */
+    async runSearch() {
+        const token = ++this.searchToken;
+        
+        if (!this.searchQuery || !window.searchIndex) {
+            this.searchResults = null;
+            return;
+        }
+        
+        try {
+            const results = await window.searchIndex.search(this.searchQuery);
+            
+            // Ignore results from a query the user has already replaced
+            if (token === this.searchToken) {
+                this.searchResults = new Map(results.map(result => [result.recordingId, result]));
+            }
+        } catch (error) {
+            console.error('Full-text search failed:', error);
+            this.searchResults = null;
+        }
+    }
+
     filterAndDisplayHistory() {
         try {
             // Apply search filter
@@ -127,15 +244,20 @@ class HistoryManager {
                 if (!this.searchQuery) return true;
                 
                 try {
+                    if (this.searchResults && this.searchResults.has(item.id)) {
+                        return true;
+                    }
+                    
+                    // Fall back to matching metadata that is not part of the full-text index
                     const searchableText = [
                         item.name || item.filename || '',
                         item.date || '',
-                        (item.transcription && typeof item.transcription === 'string') ? item.transcription : '',
+                        this.searchResults ? '' : this.getTranscriptText(item),
                         item.duration || '',
                         this.formatFileSize(item.size || 0)
                     ].join(' ').toLowerCase();
                     
-                    return searchableText.includes(this.searchQuery);
+                    return searchableText.includes(this.searchQuery.toLowerCase());
                 } catch (error) {
                     console.warn('Error filtering item:', item, error);
                     return false;
@@ -147,9 +269,9 @@ class HistoryManager {
             this.filteredItems = this.filteredItems.filter(item => {
                 switch (this.filterBy) {
                     case 'transcribed':
-                        return item.transcription && typeof item.transcription === 'string' && item.transcription.trim().length > 0;
+                        return this.getTranscriptText(item).trim().length > 0;
                     case 'not-transcribed':
-                        return !item.transcription || typeof item.transcription !== 'string' || item.transcription.trim().length === 0;
+                        return this.getTranscriptText(item).trim().length === 0;
                     case 'analyzed':
                         return item.analysis && typeof item.analysis === 'object' && item.analysis !== null && Object.keys(item.analysis).length > 0;
                     case 'not-analyzed':
@@ -174,11 +296,29 @@ class HistoryManager {
             });
         }
 
+        // Apply folder and tag filters
+        const organizer = window.libraryOrganizer;
+        if (organizer && this.folderFilter !== '__all__') {
+            this.filteredItems = this.filteredItems.filter(item => organizer.isInFolder(item, this.folderFilter));
+        }
+        if (organizer && this.tagFilter) {
+            this.filteredItems = this.filteredItems.filter(item => organizer.hasTag(item, this.tagFilter));
+        }
+
         // Apply sorting
         this.filteredItems.sort((a, b) => {
             let aValue, bValue;
             
             switch (this.sortBy) {
+                case 'relevance':
+                    if (this.searchResults) {
+                        aValue = this.searchResults.get(a.id)?.score || 0;
+                        bValue = this.searchResults.get(b.id)?.score || 0;
+                    } else {
+                        aValue = this.getValidDate(a.timestamp || a.date || a.createdAt);
+                        bValue = this.getValidDate(b.timestamp || b.date || b.createdAt);
+                    }
+                    break;
                 case 'name':
                     aValue = (a.name || a.filename || '').toLowerCase();
                     bValue = (b.name || b.filename || '').toLowerCase();
@@ -219,6 +359,7 @@ class HistoryManager {
             this.displayHistory();
             this.updatePagination();
             this.updateSearchStats();
+            this.updateBulkBar();
         } catch (error) {
             console.error('Error in filterAndDisplayHistory:', error);
             
@@ -249,7 +390,7 @@ class HistoryManager {
 
         try {
             if (this.filteredItems.length === 0) {
-                if (this.searchQuery || this.filterBy !== 'all') {
+                if (this.searchQuery || this.filterBy !== 'all' || this.folderFilter !== '__all__' || this.tagFilter) {
                     historyList.innerHTML = `
                         <div class="empty-state">
                             <i class="fas fa-search"></i>
@@ -316,25 +457,72 @@ class HistoryManager {
         }
     }
 
+    /**
+     * Small waveform from the thumbnail peaks cached in the item, so the list never decodes audio
+     */
+    generateWaveformThumbnailHTML(item) {
+        const columns = window.waveformPeaks ? window.waveformPeaks.parseThumbnail(item.waveformThumbnail) : null;
+        if (!columns) return '';
+
+        const height = 24;
+        const bars = Array.from(columns, (level, index) => {
+            const barHeight = Math.max(1, level / 255 * height);
+            return `<rect x="${index * 2}" y="${((height - barHeight) / 2).toFixed(1)}" width="1.5" height="${barHeight.toFixed(1)}"></rect>`;
+        }).join('');
+
+        return `
+            <svg class="history-item-waveform" viewBox="0 0 ${columns.length * 2} ${height}" preserveAspectRatio="none" aria-hidden="true">
+                ${bars}
+            </svg>
+        `;
+    }
+
     generateHistoryItemHTML(item) {
-        const hasTranscription = item.transcription && typeof item.transcription === 'string' && item.transcription.trim().length > 0;
+        const transcriptText = this.getTranscriptText(item);
+        const hasTranscription = transcriptText.trim().length > 0;
         const hasAnalysis = item.analysis && typeof item.analysis === 'object' && Object.keys(item.analysis).length > 0;
         const itemId = item.id || item.filename;
+        const searchResult = this.searchResults ? this.searchResults.get(item.id) : null;
+        const tags = Array.isArray(item.metadata?.tags) ? item.metadata.tags : [];
+        const folder = item.metadata?.folder || '';
+        
+        const isSelected = this.selectedIds.has(itemId);
         
         return `
-            <div class="history-item" data-id="${itemId}">
+            <div class="history-item ${isSelected ? 'selected' : ''}" data-id="${itemId}">
+                <input type="checkbox" class="history-item-select" data-select-id="${this.escapeAttribute(itemId)}" ${isSelected ? 'checked' : ''}
+                       aria-label="Select ${this.escapeAttribute(item.name || item.filename)} (shift-click to select a range)">
                 <div class="history-item-info">
                     <div class="history-item-header">
                         <div class="history-item-title">${this.escapeHtml(item.name || item.filename)}</div>
                         <div class="history-item-badges">
                             ${hasTranscription ? '<span class="badge badge-success">Transcribed</span>' : '<span class="badge badge-secondary">Not Transcribed</span>'}
                             ${hasAnalysis ? '<span class="badge badge-info">Analyzed</span>' : ''}
+                            ${item.metadata?.preset ? `<span class="badge badge-secondary" title="Recorded with this preset">${this.escapeHtml(item.metadata.preset.name)}</span>` : ''}
+                            ${item.audioRemovedAt ? '<span class="badge badge-secondary" title="Audio removed by retention rules">Audio Removed</span>' : ''}
                         </div>
                     </div>
                     <div class="history-item-date">
                         <i class="fas fa-calendar" aria-hidden="true"></i>
                         ${this.formatDate(item.timestamp || item.date)}
+                        ${folder ? `
+                            <button type="button" class="history-item-folder" data-filter-folder="${this.escapeAttribute(folder)}"
+                                    aria-label="Show recordings in folder ${this.escapeAttribute(folder)}">
+                                <i class="fas fa-folder" aria-hidden="true"></i>
+                                ${this.escapeHtml(folder.split('/').join(' / '))}
+                            </button>
+                        ` : ''}
                     </div>
+                    ${tags.length > 0 ? `
+                        <div class="history-item-tags">
+                            ${tags.map(tag => `
+                                <button type="button" class="tag-chip" data-filter-tag="${this.escapeAttribute(tag)}"
+                                        aria-label="Show recordings tagged ${this.escapeAttribute(tag)}">
+                                    ${this.escapeHtml(tag)}
+                                </button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
                     <div class="history-item-preview">
                         <div class="preview-stats">
                             <span class="stat-item">
@@ -348,13 +536,14 @@ class HistoryManager {
                             ${hasTranscription ? `
                                 <span class="stat-item">
                                     <i class="fas fa-file-alt" aria-hidden="true"></i>
-                                    ${this.getWordCount(item.transcription)} words
+                                    ${this.getWordCount(transcriptText)} words
                                 </span>
                             ` : ''}
                         </div>
-                        ${hasTranscription ? `
+                        ${this.generateWaveformThumbnailHTML(item)}
+                        ${searchResult ? this.generateSearchMatchHTML(itemId, searchResult) : hasTranscription ? `
                             <div class="preview-text">
-                                ${this.truncateText(item.transcription, 150)}
+                                ${this.truncateText(transcriptText, 150)}
                             </div>
                         ` : ''}
                     </div>
@@ -381,6 +570,32 @@ class HistoryManager {
         `;
     }
 
+    generateSearchMatchHTML(itemId, result) {
+        const icons = { title: 'fa-heading', tags: 'fa-tags', transcript: 'fa-file-alt', analysis: 'fa-brain', qa: 'fa-comments' };
+        const timeLabel = result.time !== null && result.time !== undefined ? ` at ${this.formatTime(result.time)}` : '';
+        
+        return `
+            <div class="search-match" role="button" tabindex="0"
+                 onclick="window.historyManager.openSearchResult('${itemId}')"
+                 onkeydown="if (event.key === 'Enter') window.historyManager.openSearchResult('${itemId}')"
+                 aria-label="Open matching ${this.escapeHtml(result.label)}${timeLabel}">
+                <span class="search-match-label">
+                    <i class="fas ${icons[result.field] || 'fa-search'}" aria-hidden="true"></i>
+                    ${this.escapeHtml(result.label)}${timeLabel}
+                </span>
+                <span class="search-match-snippet">${result.snippet}</span>
+                ${result.matchCount > 1 ? `<span class="search-match-count">+${result.matchCount - 1} more</span>` : ''}
+            </div>
+        `;
+    }
+
+    openSearchResult(itemId) {
+        const result = this.searchResults ? this.searchResults.get(itemId) : null;
+        if (window.app) {
+            window.app.openSearchResult(itemId, result);
+        }
+    }
+
     updatePagination() {
         const paginationContainer = document.getElementById('historyPagination');
         if (!paginationContainer) return;
@@ -469,6 +684,7 @@ class HistoryManager {
             searchInput.value = '';
         }
         this.searchQuery = '';
+        this.searchResults = null;
         this.currentPage = 1;
         this.filterAndDisplayHistory();
     }
@@ -483,6 +699,10 @@ class HistoryManager {
         if (filterSelect) filterSelect.value = 'all';
 
         this.searchQuery = '';
+        this.searchResults = null;
+        this.folderFilter = '__all__';
+        this.tagFilter = '';
+        this.updateOrganizationFilters();
         this.sortBy = 'date';
         this.sortOrder = 'desc';
         this.filterBy = 'all';
@@ -491,19 +711,16 @@ class HistoryManager {
         this.filterAndDisplayHistory();
     }
 
-    deleteHistoryItem(itemId) {
+    async deleteHistoryItem(itemId) {
         if (!confirm('Are you sure you want to delete this recording? This action cannot be undone.')) {
             return;
         }
 
         try {
-            const history = JSON.parse(localStorage.getItem('callHistory') || '[]');
-            const updatedHistory = history.filter(item => (item.id || item.filename) !== itemId);
-            
-            localStorage.setItem('callHistory', JSON.stringify(updatedHistory));
+            await window.recordingLibrary.deleteItem(itemId);
             
             // Update local arrays
-            this.allItems = updatedHistory;
+            this.allItems = await window.recordingLibrary.getItems();
             
             // Adjust current page if necessary
             const totalPages = Math.ceil(this.filteredItems.length / this.itemsPerPage);
@@ -524,6 +741,134 @@ class HistoryManager {
         }
     }
 
+    /**
+     * Select or deselect an item; with shift, apply to the whole range from the last clicked item
+     */
+    toggleSelection(itemId, selected, extendRange = false) {
+        let ids = [itemId];
+
+        if (extendRange && this.selectionAnchor) {
+            const visibleIds = this.filteredItems.map(item => item.id || item.filename);
+            const start = visibleIds.indexOf(this.selectionAnchor);
+            const end = visibleIds.indexOf(itemId);
+            if (start !== -1 && end !== -1) {
+                ids = visibleIds.slice(Math.min(start, end), Math.max(start, end) + 1);
+            }
+        }
+
+        ids.forEach(id => selected ? this.selectedIds.add(id) : this.selectedIds.delete(id));
+        this.selectionAnchor = itemId;
+
+        this.displayHistory();
+        this.updateBulkBar();
+    }
+
+    /**
+     * Select every item matching the current search and filters
+     */
+    selectAll(selected) {
+        if (selected) {
+            this.filteredItems.forEach(item => this.selectedIds.add(item.id || item.filename));
+        } else {
+            this.selectedIds.clear();
+        }
+        this.selectionAnchor = null;
+
+        this.displayHistory();
+        this.updateBulkBar();
+    }
+
+    clearSelection() {
+        this.selectAll(false);
+    }
+
+    /**
+     * Replace the selection with the given items (e.g. freshly imported recordings)
+     */
+    selectItems(itemIds) {
+        this.selectedIds = new Set(itemIds);
+        this.selectionAnchor = null;
+
+        this.displayHistory();
+        this.updateBulkBar();
+    }
+
+    /**
+     * Drop selected ids that are no longer in the library
+     */
+    pruneSelection() {
+        const existingIds = new Set(this.allItems.map(item => item.id || item.filename));
+        this.selectedIds.forEach(id => {
+            if (!existingIds.has(id)) this.selectedIds.delete(id);
+        });
+        if (this.selectionAnchor && !existingIds.has(this.selectionAnchor)) {
+            this.selectionAnchor = null;
+        }
+    }
+
+    updateBulkBar() {
+        const bulkBar = document.getElementById('historyBulkBar');
+        const selectAll = document.getElementById('historySelectAll');
+        const count = this.selectedIds.size;
+
+        if (bulkBar) {
+            bulkBar.classList.toggle('active', count > 0);
+            bulkBar.querySelectorAll('[data-bulk-action]').forEach(button => {
+                button.disabled = count === 0 && button.dataset.bulkAction !== 'clear';
+            });
+        }
+
+        const countLabel = document.getElementById('historySelectionCount');
+        if (countLabel) {
+            countLabel.textContent = count > 0 ? `${count} selected` : 'Select all';
+        }
+
+        if (selectAll) {
+            const visibleSelected = this.filteredItems.filter(item => this.selectedIds.has(item.id || item.filename)).length;
+            selectAll.checked = visibleSelected > 0 && visibleSelected === this.filteredItems.length;
+            selectAll.indeterminate = visibleSelected > 0 && visibleSelected < this.filteredItems.length;
+        }
+    }
+
+    /**
+     * Run a bulk action from the selection toolbar on every selected recording
+     */
+    async runBulkAction(action) {
+        const bulkActions = window.bulkActions;
+        const itemIds = [...this.selectedIds];
+        if (action === 'clear') {
+            this.clearSelection();
+            return;
+        }
+        if (!bulkActions || itemIds.length === 0) return;
+
+        const handlers = {
+            delete: () => bulkActions.deleteItems(itemIds),
+            tag: () => bulkActions.tagItems(itemIds),
+            move: () => bulkActions.moveItems(itemIds),
+            export: () => bulkActions.exportItems(itemIds),
+            retranscribe: () => bulkActions.retranscribeItems(itemIds),
+            template: () => bulkActions.runTemplate(itemIds)
+        };
+        if (!handlers[action]) return;
+
+        try {
+            const summary = await handlers[action]();
+            if (!summary || !window.uiManager) return;
+
+            if (summary.cancelled) {
+                window.uiManager.showWarning('Bulk operation cancelled');
+            } else if (summary.failed > 0) {
+                window.uiManager.showError(`${summary.failed} of ${itemIds.length} recordings failed. See the console for details.`);
+            }
+        } catch (error) {
+            console.error(`Bulk ${action} failed:`, error);
+            if (window.uiManager) {
+                window.uiManager.showError(`Bulk action failed: ${error.message}`);
+            }
+        }
+    }
+
     // Utility methods
     debounce(func, wait) {
         let timeout;
@@ -599,6 +944,21 @@ class HistoryManager {
         return 0;
     }
 
+    getTranscriptText(item) {
+        if (!item.transcription) return '';
+        if (typeof item.transcription === 'string') return item.transcription;
+        return typeof item.transcription.text === 'string' ? item.transcription.text : '';
+    }
+
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+        const mmss = `${minutes.toString().padStart(hours > 0 ? 2 : 1, '0')}:${secs.toString().padStart(2, '0')}`;
+        return hours > 0 ? `${hours}:${mmss}` : mmss;
+    }
+
     getWordCount(text) {
         if (!text || typeof text !== 'string') return 0;
         return text.trim().split(/\s+/).filter(word => word.length > 0).length;
@@ -617,9 +977,13 @@ class HistoryManager {
         return div.innerHTML;
     }
 
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
     // Public API methods
     refresh() {
-        this.loadHistory();
+        return this.loadHistory();
     }
 
     goToPage(page) {
@@ -636,8 +1000,38 @@ class HistoryManager {
         this.filterAndDisplayHistory();
     }
 
-    search(query) {
-        this.searchQuery = query.toLowerCase();
+    async search(query) {
+        const wasSearching = !!this.searchQuery;
+        this.searchQuery = query.trim() ? query : '';
+        this.currentPage = 1;
+        
+        // Rank by relevance when a new search starts
+        const sortSelect = document.getElementById('historySort');
+        if (this.searchQuery && !wasSearching) {
+            this.sortBy = 'relevance';
+            this.sortOrder = 'desc';
+            if (sortSelect) sortSelect.value = 'relevance-desc';
+        } else if (!this.searchQuery && this.sortBy === 'relevance') {
+            this.sortBy = 'date';
+            if (sortSelect) sortSelect.value = 'date-desc';
+        }
+        
+        await this.runSearch();
+        this.filterAndDisplayHistory();
+    }
+
+    setFolderFilter(folderPath) {
+        this.folderFilter = folderPath;
+        const folderSelect = document.getElementById('historyFolderFilter');
+        if (folderSelect) folderSelect.value = folderPath;
+        this.currentPage = 1;
+        this.filterAndDisplayHistory();
+    }
+
+    setTagFilter(tag) {
+        this.tagFilter = tag;
+        const tagSelect = document.getElementById('historyTagFilter');
+        if (tagSelect) tagSelect.value = tag;
         this.currentPage = 1;
         this.filterAndDisplayHistory();
     }
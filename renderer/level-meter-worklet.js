@@ -0,0 +1,49 @@
+/**
+ * Level Meter Worklet - RMS and peak per input channel, measured on the audio rendering thread and posted to
+ * AudioManager a few times a second, so level meters and device tests do not poll an analyser from the page
+ */
+class LevelMeterProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const intervalSeconds = (options.processorOptions && options.processorOptions.intervalSeconds) || 0.05;
+        // sampleRate is a global of the worklet scope; blocks are 128 frames
+        this.blocksPerReport = Math.max(1, Math.round(intervalSeconds * sampleRate / 128));
+        this.reset();
+    }
+
+    reset() {
+        this.sums = [];
+        this.peaks = [];
+        this.frames = 0;
+        this.blocks = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        input.forEach((data, channel) => {
+            let sum = this.sums[channel] || 0;
+            let peak = this.peaks[channel] || 0;
+            for (let i = 0; i < data.length; i++) {
+                sum += data[i] * data[i];
+                const magnitude = Math.abs(data[i]);
+                if (magnitude > peak) peak = magnitude;
+            }
+            this.sums[channel] = sum;
+            this.peaks[channel] = peak;
+        });
+        if (input.length > 0) {
+            this.frames += input[0].length;
+        }
+
+        if (++this.blocks >= this.blocksPerReport) {
+            this.port.postMessage({
+                rms: this.sums.map(sum => this.frames > 0 ? Math.sqrt(sum / this.frames) : 0),
+                peak: this.peaks.slice()
+            });
+            this.reset();
+        }
+        return true;
+    }
+}
+
+registerProcessor('level-meter', LevelMeterProcessor);
@@ -0,0 +1,207 @@
+/**
+ * Library Lock - Optional passphrase encryption for the recording library
+ * Shows the unlock screen on launch and handles enabling, changing and disabling encryption
+ */
+class LibraryLock {
+    constructor() {
+        this.ipc = require('electron').ipcRenderer;
+        this.status = { enabled: false, unlocked: true };
+        this.busy = false;
+
+        // The recording library waits on this before reading anything from disk
+        this.unlocked = this.initialize();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Resolves once the library can be read (immediately when encryption is off)
+     */
+    async initialize() {
+        await this.refreshStatus();
+        if (this.status.enabled && !this.status.unlocked) {
+            await this.showUnlockScreen();
+            await this.refreshStatus();
+        }
+    }
+
+    async refreshStatus() {
+        const result = await this.ipc.invoke('encryption-status');
+        if (!result.success) {
+            throw new Error(`Failed to read encryption status: ${result.error}`);
+        }
+
+        this.status = { enabled: result.enabled, unlocked: result.unlocked };
+        this.renderStatus();
+        return this.status;
+    }
+
+    /**
+     * Full-screen passphrase prompt; resolves when the library has been unlocked
+     */
+    showUnlockScreen() {
+        return new Promise(resolve => {
+            const screen = document.createElement('div');
+            screen.className = 'library-unlock-screen';
+            screen.setAttribute('role', 'dialog');
+            screen.setAttribute('aria-modal', 'true');
+            screen.setAttribute('aria-labelledby', 'libraryUnlockTitle');
+            screen.innerHTML = `
+                <form class="library-unlock-card">
+                    <i class="fas fa-lock library-unlock-icon" aria-hidden="true"></i>
+                    <h2 id="libraryUnlockTitle">Library Locked</h2>
+                    <p>Your recordings, transcripts, analyses and Q&amp;A are encrypted. Enter your passphrase to open them.</p>
+                    <input type="password" class="form-control" name="passphrase" autocomplete="current-password" aria-label="Passphrase" required>
+                    <p class="library-unlock-error" role="alert"></p>
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-unlock"></i> Unlock
+                    </button>
+                    <p class="library-unlock-note">A forgotten passphrase cannot be recovered. Without it the encrypted library cannot be opened.</p>
+                </form>
+            `;
+            document.body.appendChild(screen);
+
+            const form = screen.querySelector('form');
+            const input = form.querySelector('input[name="passphrase"]');
+            const error = form.querySelector('.library-unlock-error');
+            const button = form.querySelector('button[type="submit"]');
+
+            input.focus();
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                button.disabled = true;
+                error.textContent = '';
+
+                const result = await this.ipc.invoke('encryption-unlock', input.value);
+                button.disabled = false;
+                if (result.success) {
+                    screen.remove();
+                    resolve();
+                } else {
+                    error.textContent = result.error;
+                    input.value = '';
+                    input.focus();
+                }
+            });
+        });
+    }
+
+    setupEventListeners() {
+        const bindings = {
+            enableEncryption: () => this.enableFromForm(),
+            changeEncryptionPassphrase: () => this.changePassphraseFromForm(),
+            disableEncryption: () => this.disableFromForm()
+        };
+        Object.entries(bindings).forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', handler);
+            }
+        });
+    }
+
+    renderStatus() {
+        const status = document.getElementById('encryptionStatus');
+        const enableForm = document.getElementById('encryptionEnableForm');
+        const manageForm = document.getElementById('encryptionManageForm');
+
+        if (status) {
+            status.textContent = this.status.enabled
+                ? 'Encryption is on. Recordings, transcripts, analyses and Q&A are encrypted on disk.'
+                : 'Encryption is off. Library files are stored unencrypted.';
+        }
+        if (enableForm) enableForm.style.display = this.status.enabled ? 'none' : '';
+        if (manageForm) manageForm.style.display = this.status.enabled ? '' : 'none';
+    }
+
+    readField(id) {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    }
+
+    clearFields() {
+        document.querySelectorAll('#encryptionSettings input').forEach(input => {
+            if (input.type === 'checkbox') {
+                input.checked = false;
+            } else {
+                input.value = '';
+            }
+        });
+    }
+
+    async enableFromForm() {
+        const passphrase = this.readField('encryptionPassphrase');
+        const acknowledge = document.getElementById('encryptionAcknowledge');
+
+        if (passphrase !== this.readField('encryptionPassphraseConfirm')) {
+            window.app.showNotification('Passphrases do not match', 'error');
+            return;
+        }
+        if (!acknowledge || !acknowledge.checked) {
+            window.app.showNotification('Please confirm that you understand a forgotten passphrase cannot be recovered', 'warning');
+            return;
+        }
+
+        await this.runOperation('Encrypting library...', 'Library encrypted',
+            () => this.ipc.invoke('encryption-enable', passphrase));
+    }
+
+    async changePassphraseFromForm() {
+        const currentPassphrase = this.readField('encryptionCurrentPassphrase');
+        const newPassphrase = this.readField('encryptionNewPassphrase');
+
+        if (newPassphrase !== this.readField('encryptionNewPassphraseConfirm')) {
+            window.app.showNotification('New passphrases do not match', 'error');
+            return;
+        }
+
+        await this.runOperation('Re-encrypting library with the new passphrase...', 'Passphrase changed',
+            () => this.ipc.invoke('encryption-change-passphrase', currentPassphrase, newPassphrase));
+    }
+
+    async disableFromForm() {
+        if (!confirm('Turn off encryption? Your recordings and transcripts will be stored unencrypted.')) {
+            return;
+        }
+
+        await this.runOperation('Decrypting library...', 'Encryption turned off',
+            () => this.ipc.invoke('encryption-disable', this.readField('encryptionCurrentPassphrase')));
+    }
+
+    /**
+     * Run an encryption change with the settings controls disabled; every library file is rewritten
+     */
+    async runOperation(progressMessage, successMessage, operation) {
+        if (this.busy) return;
+
+        const buttons = document.querySelectorAll('#encryptionSettings button');
+        this.busy = true;
+        buttons.forEach(button => { button.disabled = true; });
+        window.app.showNotification(progressMessage, 'info');
+
+        try {
+            const result = await operation();
+            if (result.success) {
+                this.clearFields();
+                window.app.showNotification(`${successMessage} (${result.files} files updated)`, 'success');
+            } else {
+                window.app.showNotification(result.error, 'error');
+            }
+        } catch (error) {
+            window.app.showNotification(error.message, 'error');
+        } finally {
+            this.busy = false;
+            buttons.forEach(button => { button.disabled = false; });
+            await this.refreshStatus().catch(error => console.error(error));
+        }
+    }
+}
+
+// Initialize library lock
+if (typeof window !== 'undefined') {
+    window.libraryLock = new LibraryLock();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LibraryLock;
+}
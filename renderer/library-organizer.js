@@ -0,0 +1,520 @@
+/**
+ * Library Organizer - Tags and nested folders for recordings
+ * Tags live in item.metadata.tags, the folder path (e.g. "Clients/Acme") in item.metadata.folder
+ */
+class LibraryOrganizer {
+    constructor(library) {
+        this.ipc = require('electron').ipcRenderer;
+        this.library = library;
+        this.storageName = 'folders';
+        this.folderSeparator = '/';
+        this.folders = [];
+        this.eventListeners = new Map();
+
+        this.ready = this.loadFolders();
+    }
+
+    /**
+     * Load the saved folder tree
+     */
+    async loadFolders() {
+        try {
+            await this.library.ready;
+            const result = await this.ipc.invoke('library-read-data', this.storageName);
+            if (result.success && result.data && Array.isArray(result.data.folders)) {
+                this.folders = result.data.folders.map(folder => this.normalizeFolderPath(folder)).filter(Boolean);
+            }
+        } catch (error) {
+            console.error('Failed to load folders:', error);
+        }
+    }
+
+    /**
+     * Persist the folder tree
+     */
+    async saveFolders() {
+        const result = await this.ipc.invoke('library-write-data', this.storageName, {
+            version: 1,
+            folders: this.folders
+        });
+
+        if (!result.success) {
+            throw new Error(`Failed to save folders: ${result.error}`);
+        }
+        this.notifyListeners('changed');
+    }
+
+    /**
+     * Clean up a folder path: trim segments and drop empty ones
+     */
+    normalizeFolderPath(folderPath) {
+        if (!folderPath || typeof folderPath !== 'string') return '';
+        return folderPath
+            .split(this.folderSeparator)
+            .map(segment => segment.trim().replace(/\s+/g, ' '))
+            .filter(Boolean)
+            .join(this.folderSeparator);
+    }
+
+    /**
+     * Clean up a tag: trim and collapse whitespace
+     */
+    normalizeTag(tag) {
+        if (!tag || typeof tag !== 'string') return '';
+        return tag.trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Deduplicate tags case-insensitively, keeping the first spelling
+     */
+    normalizeTags(tags) {
+        const seen = new Set();
+        return (tags || [])
+            .map(tag => this.normalizeTag(tag))
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    getItemTags(item) {
+        return Array.isArray(item?.metadata?.tags) ? item.metadata.tags : [];
+    }
+
+    getItemFolder(item) {
+        return this.normalizeFolderPath(item?.metadata?.folder);
+    }
+
+    /**
+     * Check whether an item carries a tag (case-insensitive)
+     */
+    hasTag(item, tag) {
+        const key = tag.toLowerCase();
+        return this.getItemTags(item).some(itemTag => itemTag.toLowerCase() === key);
+    }
+
+    /**
+     * Check whether an item is in a folder (or one of its subfolders)
+     */
+    isInFolder(item, folderPath, includeSubfolders = true) {
+        const itemFolder = this.getItemFolder(item);
+        const folder = this.normalizeFolderPath(folderPath);
+
+        if (itemFolder === folder) return true;
+        return includeSubfolders && folder !== '' && itemFolder.startsWith(folder + this.folderSeparator);
+    }
+
+    /**
+     * All folder paths, including ancestors and folders only referenced by recordings, sorted as a tree
+     */
+    getFolders(items = []) {
+        const paths = new Set();
+        const addWithAncestors = (folderPath) => {
+            const segments = this.normalizeFolderPath(folderPath).split(this.folderSeparator).filter(Boolean);
+            for (let i = 1; i <= segments.length; i++) {
+                paths.add(segments.slice(0, i).join(this.folderSeparator));
+            }
+        };
+
+        this.folders.forEach(addWithAncestors);
+        items.forEach(item => addWithAncestors(this.getItemFolder(item)));
+
+        return [...paths].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+    }
+
+    /**
+     * All tags in use with their counts, most used first
+     */
+    getTagCounts(items = []) {
+        const counts = new Map();
+        items.forEach(item => {
+            this.getItemTags(item).forEach(tag => {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key) || { tag, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            });
+        });
+
+        return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    async createFolder(folderPath) {
+        await this.ready;
+
+        const folder = this.normalizeFolderPath(folderPath);
+        if (!folder) {
+            throw new Error('Folder name cannot be empty');
+        }
+        if (/[<>:"\\|?*]/.test(folder)) {
+            throw new Error('Folder name contains invalid characters: < > : " \\ | ? *');
+        }
+
+        if (!this.folders.includes(folder)) {
+            this.folders.push(folder);
+            await this.saveFolders();
+        }
+        return folder;
+    }
+
+    /**
+     * Rename or move a folder, updating every recording inside it
+     */
+    async renameFolder(oldPath, newPath) {
+        await this.ready;
+
+        const from = this.normalizeFolderPath(oldPath);
+        const to = this.normalizeFolderPath(newPath);
+        if (!from || !to) {
+            throw new Error('Folder name cannot be empty');
+        }
+        if (to === from || to.startsWith(from + this.folderSeparator)) {
+            throw new Error('A folder cannot be moved into itself');
+        }
+
+        const remap = (folder) => folder === from
+            ? to
+            : folder.startsWith(from + this.folderSeparator) ? to + folder.slice(from.length) : folder;
+
+        const items = await this.library.getItems();
+        for (const item of items.filter(item => this.isInFolder(item, from))) {
+            await this.library.updateItem({
+                ...item,
+                metadata: { ...item.metadata, folder: remap(this.getItemFolder(item)) }
+            });
+        }
+
+        // Include folders that only existed implicitly through recordings
+        this.folders = [...new Set([...this.getFolders(items), ...this.folders].map(remap))];
+        await this.saveFolders();
+    }
+
+    /**
+     * Delete a folder; recordings inside move to its parent folder
+     */
+    async deleteFolder(folderPath) {
+        await this.ready;
+
+        const folder = this.normalizeFolderPath(folderPath);
+        const parent = folder.split(this.folderSeparator).slice(0, -1).join(this.folderSeparator);
+        const remap = (path) => path === folder
+            ? parent
+            : path.startsWith(folder + this.folderSeparator) ? parent : path;
+
+        const items = await this.library.getItems();
+        for (const item of items.filter(item => this.isInFolder(item, folder))) {
+            await this.library.updateItem({
+                ...item,
+                metadata: { ...item.metadata, folder: parent }
+            });
+        }
+
+        this.folders = [...new Set(this.folders.map(remap).filter(Boolean))];
+        await this.saveFolders();
+    }
+
+    /**
+     * Add and/or remove tags on several recordings at once
+     */
+    async applyTags(itemIds, tagsToAdd = [], tagsToRemove = []) {
+        const removeKeys = new Set(this.normalizeTags(tagsToRemove).map(tag => tag.toLowerCase()));
+        let updated = 0;
+
+        for (const itemId of itemIds) {
+            const item = await this.library.getItem(itemId);
+            if (!item) continue;
+
+            const tags = this.normalizeTags([...this.getItemTags(item), ...tagsToAdd])
+                .filter(tag => !removeKeys.has(tag.toLowerCase()));
+
+            await this.library.updateItem({
+                ...item,
+                metadata: { ...item.metadata, tags, lastModified: new Date().toISOString() }
+            });
+            updated++;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Move several recordings into a folder ('' for no folder)
+     */
+    async moveItems(itemIds, folderPath) {
+        const folder = folderPath ? await this.createFolder(folderPath) : '';
+        let updated = 0;
+
+        for (const itemId of itemIds) {
+            const item = await this.library.getItem(itemId);
+            if (!item) continue;
+
+            await this.library.updateItem({
+                ...item,
+                metadata: { ...item.metadata, folder, lastModified: new Date().toISOString() }
+            });
+            updated++;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Render a chip-style tag editor into a container
+     * Returns { getTags, setTags }
+     */
+    renderTagEditor(container, tags, onChange, suggestions = []) {
+        let currentTags = this.normalizeTags(tags);
+        const listId = `${container.id || 'tagEditor'}Suggestions`;
+
+        container.innerHTML = `
+            <div class="tag-editor">
+                <div class="tag-chips"></div>
+                <input type="text" class="form-control tag-editor-input" list="${listId}"
+                       placeholder="Add tag and press Enter..." aria-label="Add tag">
+                <datalist id="${listId}">
+                    ${suggestions.map(tag => `<option value="${window.uiManager.escapeHtml(tag)}"></option>`).join('')}
+                </datalist>
+            </div>
+        `;
+
+        const chips = container.querySelector('.tag-chips');
+        const input = container.querySelector('.tag-editor-input');
+
+        const render = () => {
+            chips.innerHTML = currentTags.map(tag => `
+                <span class="tag-chip">
+                    ${window.uiManager.escapeHtml(tag)}
+                    <button type="button" class="tag-chip-remove" data-tag="${window.uiManager.escapeHtml(tag)}" aria-label="Remove tag ${window.uiManager.escapeHtml(tag)}">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </span>
+            `).join('');
+        };
+
+        const update = (newTags) => {
+            currentTags = this.normalizeTags(newTags);
+            render();
+            if (onChange) onChange([...currentTags]);
+        };
+
+        const commitInput = () => {
+            const values = input.value.split(',').map(tag => this.normalizeTag(tag)).filter(Boolean);
+            input.value = '';
+            if (values.length > 0) {
+                update([...currentTags, ...values]);
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                commitInput();
+            } else if (e.key === 'Backspace' && !input.value && currentTags.length > 0) {
+                update(currentTags.slice(0, -1));
+            }
+        });
+        input.addEventListener('blur', commitInput);
+
+        chips.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.tag-chip-remove');
+            if (removeButton) {
+                update(currentTags.filter(tag => tag !== removeButton.dataset.tag));
+            }
+        });
+
+        render();
+
+        return {
+            getTags: () => [...currentTags],
+            setTags: (newTags) => {
+                currentTags = this.normalizeTags(newTags);
+                render();
+            }
+        };
+    }
+
+    /**
+     * Build <option> elements for a folder tree
+     */
+    buildFolderOptions(folders, selected = '', options = {}) {
+        const { includeAll = false, allLabel = 'All Folders', noneLabel = 'No Folder' } = options;
+        let html = '';
+
+        if (includeAll) {
+            html += `<option value="__all__" ${selected === '__all__' ? 'selected' : ''}>${allLabel}</option>`;
+        }
+        html += `<option value="" ${selected === '' ? 'selected' : ''}>${noneLabel}</option>`;
+
+        folders.forEach(folder => {
+            const segments = folder.split(this.folderSeparator);
+            const indent = '&nbsp;&nbsp;&nbsp;'.repeat(segments.length - 1);
+            html += `<option value="${window.uiManager.escapeHtml(folder)}" ${folder === selected ? 'selected' : ''}>${indent}${window.uiManager.escapeHtml(segments[segments.length - 1])}</option>`;
+        });
+
+        return html;
+    }
+
+    /**
+     * Render a folder picker with inline "new folder" support
+     */
+    renderFolderPicker(container, selected, onChange, items = []) {
+        const folders = this.getFolders(items);
+        const selectId = `${container.id || 'folderPicker'}Select`;
+
+        container.innerHTML = `
+            <div class="folder-picker">
+                <select id="${selectId}" class="form-control" aria-label="Folder">
+                    ${this.buildFolderOptions(folders, this.normalizeFolderPath(selected))}
+                    <option value="__new__">+ New folder...</option>
+                </select>
+                <div class="folder-picker-new" style="display: none;">
+                    <input type="text" class="form-control" placeholder="Folder path, e.g. Clients/Acme" aria-label="New folder path">
+                    <button type="button" class="btn btn-primary btn-sm folder-picker-create">Create</button>
+                    <button type="button" class="btn btn-outline btn-sm folder-picker-cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        const select = container.querySelector('select');
+        const newFolder = container.querySelector('.folder-picker-new');
+        const newFolderInput = newFolder.querySelector('input');
+        let current = this.normalizeFolderPath(selected);
+
+        select.addEventListener('change', () => {
+            if (select.value === '__new__') {
+                newFolder.style.display = 'flex';
+                newFolderInput.value = current ? current + this.folderSeparator : '';
+                newFolderInput.focus();
+                return;
+            }
+            current = select.value;
+            if (onChange) onChange(current);
+        });
+
+        const cancel = () => {
+            newFolder.style.display = 'none';
+            select.value = current;
+        };
+
+        const create = async () => {
+            try {
+                const folder = await this.createFolder(newFolderInput.value);
+                current = folder;
+                this.renderFolderPicker(container, folder, onChange, items);
+                if (onChange) onChange(folder);
+            } catch (error) {
+                if (window.uiManager) window.uiManager.showError(error.message);
+            }
+        };
+
+        newFolder.querySelector('.folder-picker-create').addEventListener('click', create);
+        newFolder.querySelector('.folder-picker-cancel').addEventListener('click', cancel);
+        newFolderInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                create();
+            } else if (e.key === 'Escape') {
+                cancel();
+            }
+        });
+    }
+
+    /**
+     * Show the folder management dialog (create, rename, delete)
+     */
+    async showFolderManager() {
+        await this.ready;
+        const items = await this.library.getItems();
+        const folders = this.getFolders(items);
+
+        const rows = folders.map(folder => {
+            const count = items.filter(item => this.isInFolder(item, folder)).length;
+            const depth = folder.split(this.folderSeparator).length - 1;
+            return `
+                <div class="folder-manager-row" style="padding-left: ${depth * 16}px;">
+                    <i class="fas fa-folder" aria-hidden="true"></i>
+                    <input type="text" class="form-control" value="${window.uiManager.escapeHtml(folder)}" data-folder="${window.uiManager.escapeHtml(folder)}" aria-label="Folder path">
+                    <span class="folder-manager-count">${count}</span>
+                    <button class="btn btn-outline btn-sm" data-action="rename" aria-label="Rename folder">
+                        <i class="fas fa-check" aria-hidden="true"></i>
+                    </button>
+                    <button class="btn btn-outline btn-sm" data-action="delete" aria-label="Delete folder">
+                        <i class="fas fa-trash" aria-hidden="true"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        const modal = window.uiManager.showModal('Manage Folders', `
+            <div class="folder-manager">
+                <p class="folder-manager-help">Use "/" to nest folders, e.g. <code>Clients/Acme/Interviews</code>. Deleting a folder moves its recordings to the parent folder.</p>
+                <div class="folder-manager-list">
+                    ${rows || '<p class="folder-manager-empty">No folders yet</p>'}
+                </div>
+                <div class="folder-manager-new">
+                    <input type="text" class="form-control" id="folderManagerNew" placeholder="New folder path..." aria-label="New folder path">
+                    <button class="btn btn-primary btn-sm" data-action="create">
+                        <i class="fas fa-folder-plus" aria-hidden="true"></i> Create
+                    </button>
+                </div>
+            </div>
+        `);
+
+        modal.querySelector('.folder-manager').addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            try {
+                if (button.dataset.action === 'create') {
+                    await this.createFolder(modal.querySelector('#folderManagerNew').value);
+                } else {
+                    const input = button.parentElement.querySelector('input[data-folder]');
+                    if (button.dataset.action === 'rename') {
+                        await this.renameFolder(input.dataset.folder, input.value);
+                    } else if (confirm(`Delete folder "${input.dataset.folder}"? Recordings inside will move to the parent folder.`)) {
+                        await this.deleteFolder(input.dataset.folder);
+                    } else {
+                        return;
+                    }
+                }
+
+                window.uiManager.closeModal(modal);
+                this.showFolderManager();
+            } catch (error) {
+                window.uiManager.showError(error.message);
+            }
+        });
+    }
+
+    /**
+     * Register listener for folder tree changes
+     */
+    addEventListener(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    notifyListeners(event) {
+        (this.eventListeners.get(event) || []).forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                console.error('Error in organizer listener:', error);
+            }
+        });
+    }
+}
+
+// Initialize library organizer
+if (typeof window !== 'undefined') {
+    window.libraryOrganizer = new LibraryOrganizer(window.recordingLibrary);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LibraryOrganizer;
+}
@@ -0,0 +1,213 @@
+/**
+ * Noise Reduction - Optional offline noise reduction, previewed A/B in the recording preview player for a new
+ * recording and in the history detail player for a saved one. The original audio is always kept; the reduced
+ * copy is saved beside it and only used for transcription when chosen
+ */
+class NoiseReductionPanel {
+    /**
+     * prefix names the panel's elements (e.g. 'detail' for detailNoiseReductionPanel). A saved recording
+     * stores its reduced copy in the library as soon as it is made; a new one keeps it until it is saved
+     */
+    constructor({ prefix = '', audioId = 'previewAudio', saved = false } = {}) {
+        this.prefix = prefix;
+        this.audioId = audioId;
+        this.saved = saved;
+        this.recording = null;
+        this.blob = null;
+        this.denoisedBlob = null;
+        this.audioBuffer = null;
+        this.profile = null;
+        this.listening = 'original';
+        this.processing = false;
+
+        this.setupEventListeners();
+    }
+
+    get app() {
+        return window.app;
+    }
+
+    element(id) {
+        return document.getElementById(this.prefix ? `${this.prefix}${id.charAt(0).toUpperCase()}${id.slice(1)}` : id);
+    }
+
+    setupEventListeners() {
+        const panel = this.element('noiseReductionPanel');
+        if (!panel) return;
+
+        const strength = this.element('noiseReductionStrength');
+        strength.addEventListener('input', () => {
+            this.element('noiseReductionStrengthValue').textContent = `${strength.value}%`;
+        });
+
+        this.element('applyNoiseReduction').addEventListener('click', () => this.apply());
+        this.element('noiseSampleHere').addEventListener('click', () => this.sampleAtPlayhead());
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-noise-ab]');
+            if (button) {
+                this.listen(button.dataset.noiseAb);
+            }
+        });
+
+        this.element('useDenoisedForTranscription').addEventListener('change', (e) => {
+            if (this.recording && this.recording.noiseReduction) {
+                this.recording.noiseReduction.useForTranscription = e.target.checked;
+                if (this.saved) {
+                    this.app.updateRecordingInHistory(this.recording);
+                }
+            }
+        });
+    }
+
+    /**
+     * Called when the preview opens for a new recording or the detail view for a saved one. blob is the
+     * recording's audio; the panel is hidden when there is none
+     */
+    reset(recording, blob = recording.blob) {
+        this.recording = recording;
+        this.blob = blob;
+        this.denoisedBlob = recording.denoisedBlob || null;
+        this.audioBuffer = null;
+        this.profile = null;
+        this.listening = 'original';
+
+        const hasDenoised = this.saved && !!(recording.noiseReduction && recording.audioVariants && recording.audioVariants.denoised);
+        this.element('noiseReductionPanel').style.display = blob ? '' : 'none';
+        this.element('noiseReductionAB').style.display = hasDenoised ? '' : 'none';
+        this.element('useDenoisedForTranscription').checked = hasDenoised && !!recording.noiseReduction.useForTranscription;
+        this.element('noiseProfileInfo').textContent =
+            'A quiet moment is found automatically for the noise sample, or pause on background noise and sample it.';
+        this.updateABButtons();
+    }
+
+    async decode() {
+        if (!this.audioBuffer) {
+            const sampleRate = (this.recording.metadata && this.recording.metadata.preprocessing && this.recording.metadata.preprocessing.sampleRate) || 48000;
+            this.audioBuffer = await this.app.audioManager.decodeAudioBlob(this.blob, sampleRate);
+        }
+        return this.audioBuffer;
+    }
+
+    async sampleAtPlayhead() {
+        if (!this.recording) return;
+
+        const audio = document.getElementById(this.audioId);
+        const audioBuffer = await this.decode();
+        const start = Math.min(audio.currentTime, Math.max(0, audioBuffer.duration - 1));
+        this.profile = { start, end: Math.min(audioBuffer.duration, start + 1), source: 'manual' };
+        this.describeProfile();
+    }
+
+    describeProfile() {
+        const format = (seconds) => this.app.formatDuration(seconds * 1000);
+        const how = this.profile.source === 'manual' ? 'sampled at the playhead' : 'found automatically';
+        this.element('noiseProfileInfo').textContent =
+            `Noise sample: ${format(this.profile.start)}-${format(this.profile.end)} (${how})`;
+    }
+
+    async apply() {
+        if (!this.recording || this.processing) return;
+
+        const button = this.element('applyNoiseReduction');
+        const originalText = button.innerHTML;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing...';
+        button.disabled = true;
+        this.processing = true;
+
+        try {
+            const audioManager = this.app.audioManager;
+            const audioBuffer = await this.decode();
+            if (!this.profile) {
+                this.profile = { ...audioManager.findNoiseProfile(audioManager.detectVoiceActivity(audioBuffer)), source: 'auto' };
+            }
+            this.describeProfile();
+
+            const strength = parseInt(this.element('noiseReductionStrength').value, 10) / 100;
+            const reduced = await audioManager.reduceNoise(audioBuffer, { strength, profile: this.profile });
+
+            // Store the copy in the same compact format as the recording itself
+            const wavBlob = await audioManager.audioBufferToWav(reduced);
+            const keepChannels = !!(this.recording.metadata && this.recording.metadata.channelLayout);
+            const encoded = await this.app.audioEncoder.encode(wavBlob, this.app.getAudioEncodingConfig().saveProfile, { keepChannels })
+                .catch(error => {
+                    console.warn('Could not encode noise-reduced audio, keeping WAV:', error);
+                    return { blob: wavBlob };
+                });
+
+            const useForTranscription = this.element('useDenoisedForTranscription').checked;
+            const noiseReduction = {
+                strength,
+                profile: { start: this.profile.start, end: this.profile.end, source: this.profile.source },
+                appliedAt: new Date().toISOString(),
+                useForTranscription
+            };
+            if (this.saved) {
+                const item = await window.recordingLibrary.saveAudioVariant(this.recording.id, 'denoised', encoded.blob);
+                this.recording.audioVariants = item.audioVariants;
+                this.recording.noiseReduction = noiseReduction;
+                await this.app.updateRecordingInHistory(this.recording);
+            } else {
+                this.recording.denoisedBlob = encoded.blob;
+                this.recording.noiseReduction = noiseReduction;
+            }
+            this.denoisedBlob = encoded.blob;
+
+            this.element('noiseReductionAB').style.display = '';
+            this.listen('denoised');
+        } catch (error) {
+            console.error('Noise reduction failed:', error);
+            this.app.showNotification('Noise reduction failed: ' + error.message, 'error');
+        } finally {
+            button.innerHTML = originalText;
+            button.disabled = false;
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Switch the player between A (original) and B (noise reduced), keeping the playback position.
+     * A saved recording's reduced copy is loaded from the library the first time it is played
+     */
+    async listen(which) {
+        if (!this.recording) return;
+
+        const recording = this.recording;
+        if (which === 'denoised' && !this.denoisedBlob && this.saved) {
+            try {
+                this.denoisedBlob = await window.recordingLibrary.loadAudio(recording, 'denoised');
+            } catch (error) {
+                console.error('Failed to load noise-reduced audio:', error);
+                this.app.showNotification('Could not load the noise-reduced audio: ' + error.message, 'error');
+                return;
+            }
+            if (this.recording !== recording) return;
+        }
+
+        const blob = which === 'denoised' ? this.denoisedBlob : this.blob;
+        if (!blob) return;
+
+        this.listening = which;
+        this.app.switchPlayerAudio(document.getElementById(this.audioId), blob, this.saved ? 'detail-audio' : 'preview-audio');
+        this.updateABButtons();
+    }
+
+    updateABButtons() {
+        this.element('noiseReductionPanel').querySelectorAll('[data-noise-ab]').forEach(button => {
+            const active = button.dataset.noiseAb === this.listening;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+    }
+}
+
+// Initialize noise reduction panel
+if (typeof window !== 'undefined') {
+    window.noiseReduction = new NoiseReductionPanel();
+    window.detailNoiseReduction = new NoiseReductionPanel({ prefix: 'detail', audioId: 'detailAudio', saved: true });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoiseReductionPanel;
+}
@@ -0,0 +1,100 @@
+/**
+ * Playback Visualization - A spectrogram, frequency bars or channel meters under the preview and history players,
+ * with a clipping history strip for the whole recording. Drawn by AudioManager while the player is playing;
+ * the mode is shared by both players and kept in the app config
+ */
+class PlaybackVisualization {
+    constructor() {
+        this.panels = [];
+
+        this.setupEventListeners();
+    }
+
+    get app() {
+        return window.app;
+    }
+
+    get mode() {
+        return this.app ? this.app.getVisualizationConfig().playbackMode : 'off';
+    }
+
+    setupEventListeners() {
+        document.querySelectorAll('[data-playback-visualization]').forEach(element => {
+            const panel = {
+                element,
+                audio: document.getElementById(element.dataset.playbackVisualization),
+                select: element.querySelector('[data-visualization-mode]'),
+                canvas: element.querySelector('[data-visualization-canvas]'),
+                clipCanvas: element.querySelector('[data-visualization-clips]'),
+                // A new recording starts on a blank canvas; resuming after a pause carries on drawing
+                fresh: true
+            };
+            if (!panel.audio) return;
+
+            panel.select.addEventListener('change', () => this.setMode(panel.select.value));
+            panel.audio.addEventListener('loadstart', () => { panel.fresh = true; });
+            panel.audio.addEventListener('play', () => this.start(panel));
+            panel.audio.addEventListener('pause', () => this.stop(panel));
+            panel.audio.addEventListener('ended', () => this.stop(panel));
+            this.panels.push(panel);
+        });
+    }
+
+    setMode(mode) {
+        this.app.currentConfig.visualization = { ...this.app.getVisualizationConfig(), playbackMode: mode };
+        this.app.saveConfig();
+        this.render(mode);
+
+        this.panels.forEach(panel => {
+            this.stop(panel);
+            panel.fresh = true;
+            if (!panel.audio.paused) this.start(panel);
+        });
+    }
+
+    /**
+     * Show the current mode in every player; the canvases stay hidden while visualization is off
+     */
+    render(mode = this.mode) {
+        this.panels.forEach(panel => {
+            panel.select.value = mode;
+            panel.canvas.hidden = mode === 'off';
+            panel.clipCanvas.parentElement.hidden = mode === 'off';
+        });
+    }
+
+    start(panel) {
+        const mode = this.mode;
+        if (mode === 'off' || !this.app) return;
+
+        const clear = panel.fresh;
+        panel.fresh = false;
+        this.app.audioManager.startPlaybackVisualization(panel.audio, panel.canvas, {
+            type: mode,
+            colorScheme: 'blue',
+            backgroundColor: '#f8fafc',
+            smoothing: 0.8,
+            clipCanvas: panel.clipCanvas,
+            clear
+        }).catch(error => {
+            console.error('Failed to start playback visualization:', error);
+            this.app.showNotification('Playback visualization is not available: ' + error.message, 'warning');
+        });
+    }
+
+    stop(panel) {
+        if (this.app) {
+            this.app.audioManager.stopPlaybackVisualization(panel.audio);
+        }
+    }
+}
+
+// Initialize playback visualization
+if (typeof window !== 'undefined') {
+    window.playbackVisualization = new PlaybackVisualization();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaybackVisualization;
+}
@@ -149,6 +149,13 @@ class ProgressManager {
                 }
                 break;
             
+            case 'audio':
+                // Audio jobs run on their own worker, which is stopped
+                if (window.app && window.app.audioManager) {
+                    return window.app.audioManager.cancelAudioJob(operation.id);
+                }
+                break;
+
             case 'upload':
             case 'download':
                 // For file operations, we can't really cancel fetch requests
@@ -0,0 +1,522 @@
+/**
+ * Recording Editor - Trim, cut and split a new recording on the preview waveform before it is saved.
+ * Edits are kept as a list of ranges over the decoded original, so every step can be undone; the edited
+ * audio is only re-encoded with the save profile when the recording is saved
+ */
+class RecordingEditor {
+    constructor() {
+        this.recording = null;
+        this.original = null;
+        this.sourceBuffer = null;
+        this.editedBuffer = null;
+        this.peaks = null;
+        this.renderId = 0;
+
+        // Ranges of the original audio that are kept, and split points, all in seconds of the original
+        this.segments = [];
+        this.splits = [];
+        this.history = [];
+
+        this.selection = null;
+        this.dragStart = null;
+
+        this.setupEventListeners();
+    }
+
+    get app() {
+        return window.app;
+    }
+
+    get canvas() {
+        return document.getElementById('waveformCanvas');
+    }
+
+    get audio() {
+        return document.getElementById('previewAudio');
+    }
+
+    setupEventListeners() {
+        const toolbar = document.getElementById('recordingEditorToolbar');
+        if (!toolbar) return;
+
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-editor-action]');
+            if (button && !button.disabled) {
+                this.runAction(button.dataset.editorAction);
+            }
+        });
+
+        const canvas = this.canvas;
+        canvas.addEventListener('mousedown', (e) => {
+            if (!this.editedBuffer) return;
+            this.dragStart = this.timeAt(e);
+            this.selection = null;
+            this.draw();
+        });
+        canvas.addEventListener('mousemove', (e) => {
+            if (this.dragStart === null) return;
+            const time = this.timeAt(e);
+            this.selection = { start: Math.min(this.dragStart, time), end: Math.max(this.dragStart, time) };
+            this.draw();
+        });
+        window.addEventListener('mouseup', (e) => {
+            if (this.dragStart === null) return;
+            const time = this.timeAt(e);
+            const pixels = Math.abs(time - this.dragStart) / this.editedBuffer.duration * canvas.getBoundingClientRect().width;
+
+            // A click rather than a drag moves the playhead
+            if (pixels < 3) {
+                this.selection = null;
+                this.audio.currentTime = this.dragStart;
+            }
+            this.dragStart = null;
+            this.updateToolbar();
+            this.draw();
+        });
+
+        this.audio.addEventListener('timeupdate', () => this.draw());
+    }
+
+    /**
+     * Called when the preview opens for a new recording
+     */
+    reset(recording) {
+        this.recording = recording;
+        // The captured audio goes back into the preview once every edit is undone
+        this.original = { blob: recording.blob, size: recording.size, duration: recording.duration };
+        this.sourceBuffer = null;
+        this.editedBuffer = null;
+        this.peaks = null;
+        this.segments = [];
+        this.splits = [];
+        this.history = [];
+        this.selection = null;
+        this.dragStart = null;
+
+        this.updateToolbar();
+        this.draw();
+
+        this.load(recording).catch(error => {
+            console.error('Could not decode recording for editing:', error);
+            document.getElementById('recordingEditorInfo').textContent = 'Editing is not available for this recording.';
+        });
+    }
+
+    async load(recording) {
+        const sampleRate = (recording.metadata && recording.metadata.preprocessing && recording.metadata.preprocessing.sampleRate) || 48000;
+        const audioBuffer = await this.app.audioManager.decodeAudioBlob(recording.blob, sampleRate);
+
+        const peaks = await window.waveformPeaks.compute(audioBuffer);
+
+        // Ignore a decode that finishes after another recording was opened
+        if (this.recording !== recording) return;
+
+        this.sourceBuffer = audioBuffer;
+        this.segments = [{ start: 0, end: audioBuffer.duration }];
+        this.editedBuffer = audioBuffer;
+        this.peaks = peaks;
+        this.updateToolbar();
+        this.draw();
+    }
+
+    isEdited() {
+        return this.history.length > 0;
+    }
+
+    runAction(action) {
+        const audio = this.audio;
+        switch (action) {
+            case 'trim':
+                if (this.selection) this.edit(() => this.keepRange(this.selection.start, this.selection.end));
+                break;
+            case 'cut':
+                if (this.selection) this.edit(() => this.cutRange(this.selection.start, this.selection.end));
+                break;
+            case 'split':
+                this.edit(() => this.addSplit(audio.currentTime));
+                break;
+            case 'undo':
+                this.undo();
+                break;
+            case 'revert':
+                if (this.isEdited() && confirm('Undo all edits to this recording?') && this.confirmDiscardTranscript()) {
+                    this.restore(this.history[0]);
+                    this.history = [];
+                    this.render();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Apply one edit, remembering the previous state for undo
+     */
+    edit(change) {
+        if (!this.editedBuffer) return;
+
+        const previous = this.snapshot();
+        if (!change()) return;
+        if (!this.confirmDiscardTranscript()) {
+            this.restore(previous);
+            return;
+        }
+
+        this.history.push(previous);
+        this.selection = null;
+        this.render();
+    }
+
+    undo() {
+        if (!this.isEdited() || !this.confirmDiscardTranscript()) return;
+        this.restore(this.history.pop());
+        this.selection = null;
+        this.render();
+    }
+
+    snapshot() {
+        return {
+            segments: this.segments.map(segment => ({ ...segment })),
+            splits: [...this.splits]
+        };
+    }
+
+    restore(state) {
+        this.segments = state.segments;
+        this.splits = state.splits;
+    }
+
+    keepRange(start, end) {
+        const segments = this.sliceSegments(start, end);
+        if (segments.length === 0) return false;
+
+        this.segments = segments;
+        this.splits = this.splits.filter(split => this.isInsideSegments(split));
+        return true;
+    }
+
+    cutRange(start, end) {
+        const segments = this.mergeSegments([
+            ...this.sliceSegments(0, start),
+            ...this.sliceSegments(end, this.editedBuffer.duration)
+        ]);
+        if (segments.length === 0) {
+            this.app.showNotification('The whole recording cannot be cut', 'warning');
+            return false;
+        }
+
+        this.segments = segments;
+        this.splits = this.splits.filter(split => this.isInsideSegments(split));
+        return true;
+    }
+
+    addSplit(editedTime) {
+        const minimumPart = 0.5;
+        if (editedTime < minimumPart || editedTime > this.editedBuffer.duration - minimumPart) {
+            this.app.showNotification('Move the playhead into the recording to split it', 'warning');
+            return false;
+        }
+
+        const sourceTime = this.toSourceTime(editedTime);
+        if (this.splits.some(split => Math.abs(this.toEditedTime(split) - editedTime) < minimumPart)) {
+            return false;
+        }
+
+        this.splits = [...this.splits, sourceTime].sort((a, b) => a - b);
+        return true;
+    }
+
+    /**
+     * Map a range of the edited timeline back to ranges of the original
+     */
+    sliceSegments(start, end) {
+        const slices = [];
+        let offset = 0;
+        this.segments.forEach(segment => {
+            const length = segment.end - segment.start;
+            const from = Math.max(start, offset);
+            const to = Math.min(end, offset + length);
+            if (to - from > 0.001) {
+                slices.push({ start: segment.start + from - offset, end: segment.start + to - offset });
+            }
+            offset += length;
+        });
+        return slices;
+    }
+
+    mergeSegments(segments) {
+        return segments.reduce((merged, segment) => {
+            const last = merged[merged.length - 1];
+            if (last && Math.abs(last.end - segment.start) < 0.001) {
+                last.end = segment.end;
+            } else {
+                merged.push({ ...segment });
+            }
+            return merged;
+        }, []);
+    }
+
+    isInsideSegments(sourceTime) {
+        return this.segments.some(segment => sourceTime > segment.start && sourceTime < segment.end);
+    }
+
+    toSourceTime(editedTime) {
+        let offset = 0;
+        for (const segment of this.segments) {
+            const length = segment.end - segment.start;
+            if (editedTime <= offset + length) {
+                return segment.start + editedTime - offset;
+            }
+            offset += length;
+        }
+        return this.segments.length ? this.segments[this.segments.length - 1].end : 0;
+    }
+
+    toEditedTime(sourceTime) {
+        let offset = 0;
+        for (const segment of this.segments) {
+            if (sourceTime >= segment.start && sourceTime <= segment.end) {
+                return offset + sourceTime - segment.start;
+            }
+            offset += segment.end - segment.start;
+        }
+        return offset;
+    }
+
+    /**
+     * The recording's markers moved onto the edited timeline; markers in removed audio are dropped
+     */
+    getEditedMarkers() {
+        const markers = (this.recording && this.recording.metadata && this.recording.metadata.markers) || [];
+        return markers
+            .filter(marker => this.segments.some(segment => marker.time >= segment.start && marker.time <= segment.end))
+            .map(marker => ({ ...marker, time: this.toEditedTime(marker.time) }));
+    }
+
+    /**
+     * Rebuild the edited audio and put it in the preview player. The preview holds WAV until save, and the
+     * captured audio again once no edits are left. Peaks and WAV are made on the audio worker; a render
+     * overtaken by a newer edit is dropped
+     */
+    async render() {
+        const recording = this.recording;
+        const original = this.original;
+        const edited = this.isEdited();
+        const editedBuffer = this.buildBuffer(this.segments);
+        const renderId = ++this.renderId;
+        this.editedBuffer = editedBuffer;
+        this.updateToolbar();
+
+        let peaks;
+        let blob;
+        try {
+            [peaks, blob] = await Promise.all([
+                window.waveformPeaks.compute(editedBuffer),
+                edited ? this.app.audioManager.audioBufferToWav(editedBuffer) : original.blob
+            ]);
+        } catch (error) {
+            console.error('Could not render edited audio:', error);
+            this.app.showNotification('Could not update the preview: ' + error.message, 'error');
+            return;
+        }
+        if (renderId !== this.renderId || this.recording !== recording) return;
+
+        this.peaks = peaks;
+        this.recording.blob = blob;
+        this.recording.size = edited ? blob.size : original.size;
+        this.recording.duration = edited ? this.app.formatDuration(this.editedBuffer.duration * 1000) : original.duration;
+        document.getElementById('previewDuration').textContent = this.recording.duration;
+        document.getElementById('previewFileSize').textContent = this.app.formatFileSize(this.recording.size);
+
+        this.app.switchPreviewAudio(blob);
+
+        // A noise-reduced copy of the previous audio no longer matches either
+        delete this.recording.denoisedBlob;
+        this.recording.noiseReduction = null;
+        if (window.noiseReduction) {
+            window.noiseReduction.reset(this.recording);
+        }
+
+        this.updateToolbar();
+        this.draw();
+    }
+
+    buildBuffer(segments) {
+        const source = this.sourceBuffer;
+        const ranges = segments.map(segment => ({
+            from: Math.round(segment.start * source.sampleRate),
+            to: Math.min(source.length, Math.round(segment.end * source.sampleRate))
+        }));
+        const length = ranges.reduce((sum, range) => sum + range.to - range.from, 0);
+
+        const buffer = new AudioBuffer({
+            length: Math.max(1, length),
+            numberOfChannels: source.numberOfChannels,
+            sampleRate: source.sampleRate
+        });
+        for (let channel = 0; channel < source.numberOfChannels; channel++) {
+            const input = source.getChannelData(channel);
+            const output = buffer.getChannelData(channel);
+            let offset = 0;
+            ranges.forEach(range => {
+                output.set(input.subarray(range.from, range.to), offset);
+                offset += range.to - range.from;
+            });
+        }
+        return buffer;
+    }
+
+    /**
+     * A transcript made before an edit no longer matches the audio, so it is dropped once the user agrees
+     */
+    confirmDiscardTranscript() {
+        const recording = this.recording;
+        if (!recording.transcription) return true;
+
+        if (!confirm('The transcript was made from the audio before this edit and will be discarded. Continue?')) {
+            return false;
+        }
+        recording.transcription = null;
+        recording.transcriptVersions = [];
+        recording.analysis = {};
+        this.app.resetTranscriptionUI();
+        return true;
+    }
+
+    /**
+     * Re-encode the edited audio for saving, one entry per part when split points were added.
+     * Returns null when the recording was not edited, with the captured audio back in place if the edits
+     * were undone before the preview caught up
+     */
+    async exportParts() {
+        if (!this.isEdited() || !this.editedBuffer) {
+            if (this.original && this.recording === this.app.currentRecording) {
+                Object.assign(this.recording, this.original);
+            }
+            return null;
+        }
+
+        const audioManager = this.app.audioManager;
+        const saveProfile = this.app.getAudioEncodingConfig().saveProfile;
+        const keepChannels = !!(this.recording.metadata && this.recording.metadata.channelLayout);
+        const sampleRate = this.editedBuffer.sampleRate;
+        const bounds = [0, ...this.splits.map(split => this.toEditedTime(split)), this.editedBuffer.duration];
+        const markers = this.getEditedMarkers();
+
+        const parts = [];
+        for (let i = 0; i < bounds.length - 1; i++) {
+            const start = bounds[i];
+            const end = bounds[i + 1];
+            const buffer = this.buildBuffer(this.sliceSegments(start, end));
+            const wavBlob = await audioManager.audioBufferToWav(buffer);
+            const encoded = await this.app.audioEncoder.encode(wavBlob, saveProfile, { keepChannels }).catch(error => {
+                console.warn('Could not encode edited audio, keeping WAV:', error);
+                return { blob: wavBlob };
+            });
+
+            parts.push({
+                blob: encoded.blob,
+                duration: buffer.length / sampleRate,
+                peaks: bounds.length === 2 ? this.peaks : await window.waveformPeaks.compute(buffer),
+                start,
+                end,
+                markers: markers
+                    .filter(marker => marker.time >= start && (marker.time < end || i === bounds.length - 2))
+                    .map(marker => ({ ...marker, time: Math.round((marker.time - start) * 100) / 100 }))
+            });
+        }
+        return parts;
+    }
+
+    describeEdits() {
+        if (!this.editedBuffer) return 'Decoding audio for editing...';
+
+        const format = (seconds) => this.app.formatDuration(seconds * 1000);
+        const notes = [];
+        if (this.selection) {
+            notes.push(`Selected ${format(this.selection.start)}-${format(this.selection.end)}`);
+        } else {
+            notes.push('Drag across the waveform to select, click to move the playhead');
+        }
+        if (this.isEdited()) {
+            const removed = this.sourceBuffer.duration - this.editedBuffer.duration;
+            if (removed > 0.05) notes.push(`${format(removed)} removed`);
+        }
+        if (this.splits.length > 0) {
+            notes.push(`Saves as ${this.splits.length + 1} recordings`);
+        }
+        return notes.join(' · ');
+    }
+
+    updateToolbar() {
+        const ready = !!this.editedBuffer;
+        const hasSelection = ready && !!this.selection && this.selection.end - this.selection.start > 0.05;
+        const enabled = {
+            trim: hasSelection,
+            cut: hasSelection,
+            split: ready,
+            undo: this.isEdited(),
+            revert: this.isEdited()
+        };
+        document.querySelectorAll('#recordingEditorToolbar [data-editor-action]').forEach(button => {
+            button.disabled = !enabled[button.dataset.editorAction];
+        });
+        document.getElementById('recordingEditorInfo').textContent = this.describeEdits();
+    }
+
+    timeAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        return ratio * (this.editedBuffer ? this.editedBuffer.duration : 0);
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.fillStyle = '#1e293b';
+        ctx.fillRect(0, 0, width, height);
+        if (!this.peaks || !this.editedBuffer) return;
+
+        const duration = this.editedBuffer.duration;
+        const audio = this.audio;
+        const playhead = audio && audio.duration ? Math.min(audio.currentTime, duration) : 0;
+        const playheadX = duration ? playhead / duration * width : 0;
+        this.app.drawStaticWaveform(ctx, width, height, this.peaks, playhead);
+
+        if (this.selection) {
+            const startX = this.selection.start / duration * width;
+            const endX = this.selection.end / duration * width;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+            ctx.fillRect(startX, 0, endX - startX, height);
+        }
+
+        ctx.strokeStyle = '#f59e0b';
+        ctx.setLineDash([3, 3]);
+        this.splits.forEach(split => {
+            const x = Math.round(this.toEditedTime(split) / duration * width) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        window.recordingMarkers.draw(ctx, this.getEditedMarkers(), { width, height, start: 0, end: duration });
+
+        ctx.fillStyle = '#f8fafc';
+        ctx.fillRect(Math.round(playheadX), 0, 1, height);
+    }
+}
+
+// Initialize recording editor
+if (typeof window !== 'undefined') {
+    window.recordingEditor = new RecordingEditor();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordingEditor;
+}
@@ -0,0 +1,115 @@
+// Recording Encoder for Call Summary AI
+// Re-encodes recordings with an encoding profile to keep stored files and uploads small.
+// The work itself (decoding, resampling, Opus encoding and Ogg muxing) runs on the audio worker
+
+class RecordingEncoder {
+    constructor(audioManager) {
+        this.audioManager = audioManager;
+
+        // Opus is written into an Ogg container, which Whisper and Azure both accept
+        this.profiles = {
+            original: {
+                label: 'Original (no re-encoding)',
+                description: 'Keep audio exactly as recorded; speech preprocessing is skipped'
+            },
+            'speech-opus': {
+                label: 'Speech (Opus, 24 kbps mono)',
+                description: 'About 11 MB per hour; tuned for voice and transcription',
+                format: 'opus',
+                mimeType: 'audio/ogg',
+                extension: 'ogg',
+                sampleRate: 16000,
+                channels: 1,
+                bitrate: 24000
+            },
+            'balanced-opus': {
+                label: 'Balanced (Opus, 48 kbps mono)',
+                description: 'About 22 MB per hour; clearer playback of music and overlapping voices',
+                format: 'opus',
+                mimeType: 'audio/ogg',
+                extension: 'ogg',
+                sampleRate: 24000,
+                channels: 1,
+                bitrate: 48000
+            },
+            'wav-16k': {
+                label: 'Compatible (WAV, 16 kHz mono)',
+                description: 'About 115 MB per hour; uncompressed for tools that only read WAV',
+                format: 'wav',
+                mimeType: 'audio/wav',
+                extension: 'wav',
+                sampleRate: 16000,
+                channels: 1
+            }
+        };
+        this.defaultProfile = 'speech-opus';
+    }
+
+    getProfile(profileId) {
+        return this.profiles[profileId] || this.profiles[this.defaultProfile];
+    }
+
+    /**
+     * Whether the profile saves audio as it arrives, without decoding or re-encoding it
+     */
+    keepsOriginal(profileId) {
+        return !this.getProfile(profileId).format;
+    }
+
+    getExtension(blob) {
+        const type = (blob.type || '').split(';')[0];
+        if (type === 'audio/ogg') return 'ogg';
+        if (type === 'audio/wav' || type === 'audio/wave' || type === 'audio/x-wav') return 'wav';
+        if (type === 'audio/mpeg') return 'mp3';
+        if (type === 'audio/mp4' || type === 'audio/x-m4a') return 'm4a';
+        return 'webm';
+    }
+
+    isOpusSupported() {
+        return typeof window.AudioEncoder === 'function' && typeof window.AudioData === 'function';
+    }
+
+    /**
+     * Encode a blob with a profile on the audio worker.
+     * Returns { blob, profileId, originalSize, encodedSize, skipped } where skipped explains why the
+     * original was kept (profile is "original", already in the target format, or encoding would not save space).
+     * options.keepChannels keeps up to two channels instead of the profile's mono, for dual-source recordings
+     */
+    async encode(blob, profileId, options = {}) {
+        const profile = this.getProfile(profileId);
+        const result = { blob, profileId, originalSize: blob.size, encodedSize: blob.size, skipped: null };
+
+        if (this.keepsOriginal(profileId)) {
+            result.skipped = 'Re-encoding is turned off';
+            return result;
+        }
+        if ((blob.type || '').split(';')[0] === profile.mimeType) {
+            result.skipped = 'Already in this format';
+            return result;
+        }
+        if (profile.format === 'opus' && !this.isOpusSupported()) {
+            throw new Error('Opus encoding is not supported in this version of the app');
+        }
+
+        // Resample and downmix to the profile's rate and channel count
+        const job = {
+            sampleRate: profile.sampleRate,
+            ...(options.keepChannels ? { maxChannels: 2 } : { channels: profile.channels }),
+            outputs: profile.format === 'opus' ? { opus: { bitrate: profile.bitrate } } : { wav: true }
+        };
+        const output = await this.audioManager.runAudioJob(blob, job, { description: `Encoding audio (${profile.label})` });
+        const encoded = new Blob([profile.format === 'opus' ? output.opus : output.wav], { type: profile.mimeType });
+
+        if (encoded.size >= blob.size) {
+            result.skipped = 'Encoded file would not be smaller';
+            return result;
+        }
+
+        result.blob = encoded;
+        result.encodedSize = encoded.size;
+        return result;
+    }
+}
+
+// Export for use in other modules
+window.RecordingEncoder = RecordingEncoder;
@@ -0,0 +1,365 @@
+/**
+ * Recording Library - File-backed storage for recordings
+ * Audio lives on disk in the user data directory; only metadata is kept in memory
+ */
+class RecordingLibrary {
+    constructor() {
+        this.ipc = require('electron').ipcRenderer;
+        this.legacyStorageKey = 'callHistory';
+        this.legacyConversationsKey = 'qaConversations';
+        this.conversationsStorageName = 'qa-conversations';
+        this.items = [];
+        this.conversations = {};
+        this.eventListeners = new Map();
+        this.ready = this.initialize();
+    }
+
+    /**
+     * Wait for an encrypted library to be unlocked, migrate legacy localStorage data and load the index
+     */
+    async initialize() {
+        if (window.libraryLock) {
+            await window.libraryLock.unlocked;
+        }
+        await this.migrateLegacyHistory();
+        await this.migrateLegacyConversations();
+        await this.reload();
+    }
+
+    /**
+     * Move base64 recordings out of localStorage into the on-disk library
+     */
+    async migrateLegacyHistory() {
+        let legacyItems;
+        try {
+            legacyItems = JSON.parse(localStorage.getItem(this.legacyStorageKey) || '[]');
+        } catch (error) {
+            console.error('Legacy call history is corrupted, skipping migration:', error);
+            return;
+        }
+
+        if (!Array.isArray(legacyItems) || legacyItems.length === 0) {
+            return;
+        }
+
+        const result = await this.ipc.invoke('library-migrate', legacyItems);
+        if (!result.success) {
+            // Leave localStorage untouched so the migration is retried on next launch
+            console.error('Failed to migrate call history to library:', result.error);
+            return;
+        }
+
+        if (result.unmigrated.length > 0) {
+            // Entries without an id or filename stay in localStorage rather than being dropped
+            localStorage.setItem(this.legacyStorageKey, JSON.stringify(result.unmigrated));
+            console.warn(`${result.unmigrated.length} legacy recording(s) could not be migrated and were kept in localStorage`);
+        } else {
+            localStorage.removeItem(this.legacyStorageKey);
+        }
+        console.log(`Migrated ${result.migrated} recordings to the library (${result.skipped} already present)`);
+    }
+
+    /**
+     * Move saved Q&A conversations out of localStorage into the library
+     */
+    async migrateLegacyConversations() {
+        const stored = localStorage.getItem(this.legacyConversationsKey);
+        if (stored === null) {
+            return;
+        }
+
+        try {
+            const legacyConversations = JSON.parse(stored || '{}');
+            const existing = await this.readData(this.conversationsStorageName) || {};
+            await this.writeData(this.conversationsStorageName, { ...legacyConversations, ...existing });
+            localStorage.removeItem(this.legacyConversationsKey);
+        } catch (error) {
+            console.error('Failed to migrate Q&A conversations to library:', error);
+        }
+    }
+
+    /**
+     * Re-read the index and saved conversations from disk
+     */
+    async reload() {
+        const result = await this.ipc.invoke('library-list');
+        if (!result.success) {
+            throw new Error(`Failed to load recording library: ${result.error}`);
+        }
+        this.items = result.items;
+        this.conversations = await this.readData(this.conversationsStorageName) || {};
+        return this.items;
+    }
+
+    /**
+     * Read an auxiliary data file stored with the library (null when missing)
+     */
+    async readData(name) {
+        const result = await this.ipc.invoke('library-read-data', name);
+        if (!result.success) {
+            throw new Error(`Failed to read library data "${name}": ${result.error}`);
+        }
+        return result.data;
+    }
+
+    /**
+     * Write an auxiliary data file stored with the library
+     */
+    async writeData(name, data) {
+        const result = await this.ipc.invoke('library-write-data', name, data);
+        if (!result.success) {
+            throw new Error(`Failed to save library data "${name}": ${result.error}`);
+        }
+    }
+
+    /**
+     * Get saved Q&A conversations keyed by recording id
+     */
+    async getConversations() {
+        await this.ready;
+        return this.conversations;
+    }
+
+    /**
+     * Persist Q&A conversations keyed by recording id
+     */
+    async saveConversations(conversations) {
+        await this.ready;
+        this.conversations = conversations;
+        await this.writeData(this.conversationsStorageName, conversations);
+    }
+
+    /**
+     * Get all recordings (metadata only), newest first
+     */
+    async getItems() {
+        await this.ready;
+        return [...this.items];
+    }
+
+    /**
+     * Find a recording by id or filename
+     */
+    async getItem(itemId) {
+        await this.ready;
+        return this.items.find(item => item.id === itemId || item.filename === itemId) || null;
+    }
+
+    /**
+     * Check whether a recording has audio available
+     */
+    hasAudio(item) {
+        return !!(item && (item.blob || item.audioFile));
+    }
+
+    /**
+     * Add a recording, writing its audio blob to disk
+     */
+    async addItem(item) {
+        await this.ready;
+
+        let audioData = null;
+        let mimeType = null;
+        if (item.blob) {
+            audioData = new Uint8Array(await item.blob.arrayBuffer());
+            mimeType = item.blob.type || 'audio/webm';
+        }
+
+        const { blob, blobData, ...entry } = item;
+        const result = await this.ipc.invoke('library-add-item', entry, audioData, mimeType);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.items.unshift(result.item);
+        this.notifyListeners('added', result.item);
+        return result.item;
+    }
+
+    /**
+     * Save updated metadata for a recording (audio is left untouched)
+     */
+    async updateItem(item) {
+        await this.ready;
+
+        const { blob, blobData, ...entry } = item;
+        const result = await this.ipc.invoke('library-update-item', entry);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const index = this.items.findIndex(existing => existing.id === result.item.id);
+        if (index !== -1) {
+            this.items[index] = result.item;
+        }
+        this.notifyListeners('updated', result.item);
+        return result.item;
+    }
+
+    /**
+     * Delete a recording and its audio file
+     */
+    async deleteItem(itemId) {
+        await this.ready;
+
+        const result = await this.ipc.invoke('library-delete-item', itemId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.items = this.items.filter(item => item.id !== result.item.id);
+        this.notifyListeners('deleted', result.item);
+        return result.item;
+    }
+
+    /**
+     * Delete a recording's audio file but keep its metadata, transcript and analyses
+     * Returns the number of bytes freed
+     */
+    async removeAudio(itemId) {
+        await this.ready;
+
+        const result = await this.ipc.invoke('library-remove-audio', itemId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const index = this.items.findIndex(existing => existing.id === result.item.id);
+        if (index !== -1) {
+            this.items[index] = result.item;
+        }
+        this.notifyListeners('updated', result.item);
+        return result.freedBytes;
+    }
+
+    /**
+     * Delete every recording in the library
+     */
+    async clear() {
+        await this.ready;
+
+        const result = await this.ipc.invoke('library-clear');
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.items = [];
+        this.notifyListeners('cleared', null);
+        return result.removed;
+    }
+
+    /**
+     * Load a recording's audio from disk as a Blob
+     * variantName loads a processed copy (e.g. 'denoised') instead of the original
+     */
+    async loadAudio(item, variantName = null) {
+        if (!item) return null;
+        if (variantName) {
+            if (!item.audioVariants || !item.audioVariants[variantName]) return null;
+        } else {
+            if (item.blob) return item.blob;
+            if (!item.audioFile) return null;
+        }
+
+        const result = await this.ipc.invoke('library-read-audio', item.id || item.filename, variantName);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return new Blob([result.data], { type: result.mimeType });
+    }
+
+    /**
+     * Load the audio to send for transcription: the noise-reduced copy when the recording is set to use it
+     */
+    async loadTranscriptionAudio(item) {
+        if (item && item.noiseReduction && item.noiseReduction.useForTranscription) {
+            const denoised = await this.loadAudio(item, 'denoised');
+            if (denoised) return denoised;
+        }
+        return this.loadAudio(item);
+    }
+
+    /**
+     * Keep a processed copy of a recording's audio alongside the original
+     */
+    async saveAudioVariant(itemId, variantName, blob) {
+        await this.ready;
+
+        const audioData = new Uint8Array(await blob.arrayBuffer());
+        const result = await this.ipc.invoke('library-write-audio-variant', itemId, variantName, audioData, blob.type || 'audio/wav');
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.replaceItem(result.item);
+        return result.item;
+    }
+
+    async removeAudioVariant(itemId, variantName) {
+        await this.ready;
+
+        const result = await this.ipc.invoke('library-remove-audio-variant', itemId, variantName);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.replaceItem(result.item);
+        return result.item;
+    }
+
+    replaceItem(item) {
+        const index = this.items.findIndex(existing => existing.id === item.id);
+        if (index !== -1) {
+            this.items[index] = item;
+        }
+        this.notifyListeners('updated', item);
+    }
+
+    /**
+     * Register listener for library changes ('added', 'updated', 'deleted', 'cleared')
+     */
+    addEventListener(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    /**
+     * Remove listener
+     */
+    removeEventListener(event, callback) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Notify listeners of a library change
+     */
+    notifyListeners(event, item) {
+        const listeners = this.eventListeners.get(event) || [];
+        listeners.forEach(callback => {
+            try {
+                callback(item);
+            } catch (error) {
+                console.error('Error in library listener:', error);
+            }
+        });
+    }
+}
+
+// Initialize recording library
+if (typeof window !== 'undefined') {
+    window.recordingLibrary = new RecordingLibrary();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordingLibrary;
+}
@@ -0,0 +1,224 @@
+/**
+ * Recording Markers - Bookmarks dropped while recording ("important", "action item", "follow up"), each with
+ * an optional short note. Marker times are positions in the recorded audio (pauses excluded), so they line up
+ * with the waveform and transcript of the saved recording
+ */
+class RecordingMarkers {
+    constructor() {
+        this.ipc = require('electron').ipcRenderer;
+        this.types = {
+            'important': { label: 'Important', icon: 'fa-star', color: '#f59e0b' },
+            'action-item': { label: 'Action item', icon: 'fa-check-square', color: '#10b981' },
+            'follow-up': { label: 'Follow up', icon: 'fa-reply', color: '#8b5cf6' }
+        };
+        this.markers = [];
+        this.active = false;
+        this.noteMaxLength = 120;
+        this.persistTimer = null;
+        this.persistDelay = 1000;
+
+        this.setupEventListeners();
+    }
+
+    get app() {
+        return window.app;
+    }
+
+    setupEventListeners() {
+        // Registered globally by the main process while recording, so markers can be dropped from the call app
+        this.ipc.on('recording-marker-shortcut', (event, type) => this.add(type));
+
+        const panel = document.getElementById('recordingMarkers');
+        if (!panel) return;
+
+        panel.addEventListener('click', (e) => {
+            const addButton = e.target.closest('[data-marker-type]');
+            if (addButton) {
+                this.add(addButton.dataset.markerType);
+                return;
+            }
+
+            const removeButton = e.target.closest('[data-marker-remove]');
+            if (removeButton) {
+                this.remove(removeButton.dataset.markerRemove);
+            }
+        });
+
+        panel.addEventListener('input', (e) => {
+            const marker = e.target.dataset.markerNote && this.markers.find(m => m.id === e.target.dataset.markerNote);
+            if (marker) {
+                marker.note = e.target.value;
+                this.schedulePersist();
+            }
+        });
+    }
+
+    /**
+     * Called when a recording starts: clears the previous markers and enables the marker hotkeys
+     */
+    start() {
+        this.markers = [];
+        this.active = true;
+        this.render();
+        document.getElementById('recordingMarkers').style.display = '';
+        this.setShortcutsEnabled(true);
+    }
+
+    /**
+     * Called when a recording stops. The markers are kept until saveRecording has read them
+     */
+    stop() {
+        if (!this.active) return;
+
+        this.active = false;
+        if (this.persistTimer) this.persist();
+        document.getElementById('recordingMarkers').style.display = 'none';
+        this.setShortcutsEnabled(false);
+    }
+
+    async setShortcutsEnabled(enabled) {
+        try {
+            const result = await this.ipc.invoke('recording-markers-shortcuts', enabled);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.warn('Could not update marker shortcuts:', error);
+        }
+    }
+
+    add(type) {
+        if (!this.active || !this.types[type] || !this.app) return;
+
+        const marker = {
+            id: `marker_${Date.now()}_${this.markers.length}`,
+            type,
+            time: this.app.getRecordingElapsed() / 1000,
+            note: '',
+            createdAt: new Date().toISOString()
+        };
+        this.markers.push(marker);
+        this.persist();
+        this.render();
+
+        // Only take focus when the app is in front; a global hotkey from another app should not steal it
+        if (document.hasFocus()) {
+            const input = document.querySelector(`#recordingMarkersList [data-marker-note="${marker.id}"]`);
+            if (input) input.focus();
+        }
+
+        this.app.showNotification(`${this.types[type].label} marker at ${this.formatTime(marker.time)}`, 'info');
+    }
+
+    remove(id) {
+        this.markers = this.markers.filter(marker => marker.id !== id);
+        this.persist();
+        this.render();
+    }
+
+    /**
+     * Markers as stored in the recording metadata, in time order and without empty notes
+     */
+    getMarkers() {
+        return this.markers
+            .map(marker => {
+                const note = (marker.note || '').trim();
+                const stored = { id: marker.id, type: marker.type, time: Math.round(marker.time * 100) / 100, createdAt: marker.createdAt };
+                return note ? { ...stored, note } : stored;
+            })
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // Notes are saved once typing pauses rather than on every keystroke
+    schedulePersist() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => this.persist(), this.persistDelay);
+    }
+
+    // Keep the crash-recovery copy of the recording in step so recovered recordings keep their markers
+    persist() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        if (window.recordingRecovery) {
+            window.recordingRecovery.updateSession({ markers: this.getMarkers() });
+        }
+    }
+
+    render() {
+        const list = document.getElementById('recordingMarkersList');
+        if (!list) return;
+
+        list.innerHTML = [...this.markers].sort((a, b) => a.time - b.time).map(marker => {
+            const type = this.getType(marker.type);
+            return `
+                <li class="recording-marker" style="--marker-color: ${type.color}">
+                    <span class="recording-marker-time">${this.formatTime(marker.time)}</span>
+                    <span class="recording-marker-type"><i class="fas ${type.icon}" aria-hidden="true"></i> ${type.label}</span>
+                    <input type="text" class="recording-marker-note" data-marker-note="${marker.id}"
+                           value="${window.uiManager.escapeHtml(marker.note || '')}" maxlength="${this.noteMaxLength}"
+                           placeholder="Add a note (optional)" aria-label="Note for ${type.label} marker at ${this.formatTime(marker.time)}">
+                    <button type="button" class="btn-icon btn-sm" data-marker-remove="${marker.id}" aria-label="Remove marker">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    getType(type) {
+        return this.types[type] || { label: type, icon: 'fa-bookmark', color: '#94a3b8' };
+    }
+
+    formatTime(seconds) {
+        return this.app ? this.app.formatDuration(seconds * 1000) : `${Math.floor(seconds)}s`;
+    }
+
+    /**
+     * One line per marker, e.g. "[12:34] Action item - send the budget", for exports and templates
+     */
+    formatList(markers) {
+        return (markers || []).map(marker => {
+            const line = `[${this.formatTime(marker.time)}] ${this.getType(marker.type).label}`;
+            return marker.note ? `${line} - ${marker.note}` : line;
+        }).join('\n');
+    }
+
+    /**
+     * Value of the {markers} template variable for a recording or history item
+     */
+    getTemplateValue(recording) {
+        const markers = recording && recording.metadata && recording.metadata.markers;
+        return this.formatList(markers) || 'None';
+    }
+
+    /**
+     * Draw markers over a waveform showing the stretch from start to end seconds
+     */
+    draw(ctx, markers, { width, height, start = 0, end }) {
+        if (!markers || !markers.length || !(end > start)) return;
+
+        markers.forEach(marker => {
+            if (marker.time < start || marker.time > end) return;
+
+            const x = Math.round((marker.time - start) / (end - start) * width);
+            ctx.fillStyle = this.getType(marker.type).color;
+            ctx.fillRect(x, 0, 2, height);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x + 8, 0);
+            ctx.lineTo(x + 2, 8);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+}
+
+// Initialize recording markers
+if (typeof window !== 'undefined') {
+    window.recordingMarkers = new RecordingMarkers();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordingMarkers;
+}
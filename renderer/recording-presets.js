@@ -0,0 +1,331 @@
+/**
+ * Recording Presets - Named bundles of recording and processing settings per kind of meeting (a sales call, an
+ * internal standup): devices, stream options, transcription provider and language, templates to run once a
+ * transcript exists, and default tags. Presets live in the app config; recordings keep a copy of the preset
+ * that made them so later transcriptions use the same settings
+ */
+class RecordingPresets {
+    constructor() {
+        this.defaultStreamOptions = {
+            sampleRate: 44100,
+            channels: 1,
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true
+        };
+        this.sampleRates = [16000, 22050, 44100, 48000];
+
+        this.setupEventListeners();
+    }
+
+    get app() {
+        return window.app;
+    }
+
+    get presets() {
+        return (this.app.currentConfig.recordingPresets && this.app.currentConfig.recordingPresets.presets) || [];
+    }
+
+    get selectedId() {
+        return (this.app.currentConfig.recordingPresets && this.app.currentConfig.recordingPresets.selectedId) || '';
+    }
+
+    setupEventListeners() {
+        const picker = document.getElementById('recordingPreset');
+        if (!picker) return;
+
+        picker.addEventListener('change', () => this.select(picker.value));
+        document.getElementById('newRecordingPreset').addEventListener('click', () => this.editPreset(null));
+        document.getElementById('editRecordingPreset').addEventListener('click', () => {
+            const preset = this.getSelected();
+            if (preset) this.editPreset(preset);
+        });
+        document.getElementById('deleteRecordingPreset').addEventListener('click', () => this.deletePreset());
+    }
+
+    saveConfig(presets, selectedId) {
+        this.app.currentConfig.recordingPresets = { presets, selectedId };
+        this.app.saveConfig();
+    }
+
+    get(id) {
+        return this.presets.find(preset => preset.id === id) || null;
+    }
+
+    getSelected() {
+        return this.get(this.selectedId);
+    }
+
+    select(id) {
+        this.saveConfig(this.presets, this.get(id) ? id : '');
+        this.render();
+        this.applyDevices(true);
+    }
+
+    /**
+     * Show the selected preset's devices in Audio Controls. Called on selection and whenever the device lists
+     * are rebuilt, since that resets them
+     */
+    applyDevices(notifyMissing = false) {
+        const preset = this.getSelected();
+        if (!preset) return;
+
+        const missing = [];
+        const input = document.getElementById('inputDevice');
+        if ([...input.options].some(option => option.value === preset.deviceId)) {
+            input.value = preset.deviceId;
+        } else {
+            missing.push(preset.deviceLabel || 'microphone');
+        }
+
+        const secondSource = document.getElementById('secondSource');
+        if ([...secondSource.options].some(option => option.value === (preset.secondSource || ''))) {
+            secondSource.value = preset.secondSource || '';
+        } else {
+            missing.push('second source');
+        }
+
+        if (notifyMissing && missing.length > 0) {
+            this.app.showNotification(`Preset "${preset.name}": ${missing.join(' and ')} not connected, keeping the current selection`, 'warning');
+        }
+    }
+
+    render() {
+        const picker = document.getElementById('recordingPreset');
+        if (!picker) return;
+
+        const selectedId = this.selectedId;
+        picker.innerHTML = '<option value="">No preset</option>' + this.presets.map(preset => `
+            <option value="${window.uiManager.escapeHtml(preset.id)}" ${preset.id === selectedId ? 'selected' : ''}>${window.uiManager.escapeHtml(preset.name)}</option>
+        `).join('');
+
+        document.getElementById('editRecordingPreset').disabled = !selectedId;
+        document.getElementById('deleteRecordingPreset').disabled = !selectedId;
+    }
+
+    /**
+     * createRecordingStream options for a recording made with the preset
+     */
+    getStreamOptions(preset) {
+        return { ...this.defaultStreamOptions, ...(preset && preset.streamOptions) };
+    }
+
+    /**
+     * What a recording keeps of the preset that created it
+     */
+    describeForRecording(preset) {
+        return {
+            id: preset.id,
+            name: preset.name,
+            transcription: { ...preset.transcription },
+            templateIds: [...preset.templateIds]
+        };
+    }
+
+    async editPreset(preset) {
+        const app = this.app;
+        const providers = window.bulkActions.transcriptionProviders;
+        const templates = Object.values(window.bulkActions.getTemplateGroups(app.templates)).flat();
+        const streamOptions = this.getStreamOptions(preset);
+        const transcription = (preset && preset.transcription) || { provider: app.currentConfig.transcription.provider, language: '', enableDiarization: null };
+        const selection = preset || {
+            deviceId: document.getElementById('inputDevice').value,
+            secondSource: document.getElementById('secondSource').value,
+            templateIds: [],
+            tags: []
+        };
+        const checkbox = (name, checked, label) => `
+            <label class="checkbox-label">
+                <input type="checkbox" name="${name}" ${checked ? 'checked' : ''}>
+                <span class="checkbox-custom"></span>
+                ${label}
+            </label>
+        `;
+
+        const modal = await window.bulkActions.showDialog(preset ? `Edit Preset "${window.uiManager.escapeHtml(preset.name)}"` : 'New Recording Preset', `
+            <div class="form-group">
+                <label for="presetName">Name</label>
+                <input type="text" id="presetName" name="name" class="form-control" required maxlength="60"
+                       placeholder="e.g. Sales call" value="${window.uiManager.escapeHtml(preset ? preset.name : '')}">
+            </div>
+            <div class="form-group">
+                <label for="presetDevice">Microphone</label>
+                <select id="presetDevice" name="deviceId" class="form-control">${document.getElementById('inputDevice').innerHTML}</select>
+            </div>
+            <div class="form-group">
+                <label for="presetSecondSource">Second source</label>
+                <select id="presetSecondSource" name="secondSource" class="form-control">${document.getElementById('secondSource').innerHTML}</select>
+            </div>
+            <div class="form-group">
+                <label for="presetSampleRate">Capture</label>
+                <div class="preset-row">
+                    <select id="presetSampleRate" name="sampleRate" class="form-control">
+                        ${this.sampleRates.map(rate => `<option value="${rate}" ${rate === streamOptions.sampleRate ? 'selected' : ''}>${rate / 1000} kHz</option>`).join('')}
+                    </select>
+                    <select name="channels" class="form-control" aria-label="Microphone channels">
+                        <option value="1" ${streamOptions.channels === 1 ? 'selected' : ''}>Mono</option>
+                        <option value="2" ${streamOptions.channels === 2 ? 'selected' : ''}>Stereo</option>
+                    </select>
+                </div>
+                ${checkbox('echoCancellation', streamOptions.echoCancellation, 'Echo cancellation')}
+                ${checkbox('noiseSuppression', streamOptions.noiseSuppression, 'Noise suppression')}
+                ${checkbox('autoGainControl', streamOptions.autoGainControl, 'Automatic gain control')}
+            </div>
+            <div class="form-group">
+                <label for="presetProvider">Transcription</label>
+                <div class="preset-row">
+                    <select id="presetProvider" name="provider" class="form-control">
+                        ${Object.entries(providers).map(([provider, label]) => `<option value="${provider}" ${provider === transcription.provider ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <select name="language" class="form-control" aria-label="Transcription language"></select>
+                </div>
+                <label for="presetDiarization" class="preset-diarization">Speaker identification</label>
+                <select id="presetDiarization" name="enableDiarization" class="form-control preset-diarization">
+                    <option value="">Same as AI Settings</option>
+                    <option value="true" ${transcription.enableDiarization === true ? 'selected' : ''}>On</option>
+                    <option value="false" ${transcription.enableDiarization === false ? 'selected' : ''}>Off</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Templates to run once transcribed</label>
+                <div class="preset-templates">
+                    ${templates.length > 0
+                        ? templates.map(template => checkbox(`template:${window.uiManager.escapeHtml(template.id)}`, selection.templateIds.includes(template.id), window.uiManager.escapeHtml(template.name))).join('')
+                        : '<small class="form-help">No templates yet.</small>'}
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="presetTags">Default tags</label>
+                <input type="text" id="presetTags" name="tags" class="form-control" placeholder="Comma separated, e.g. sales, customer"
+                       value="${window.uiManager.escapeHtml(selection.tags.join(', '))}">
+            </div>
+        `, preset ? 'Save Preset' : 'Create Preset', (dialog) => {
+            const form = dialog.querySelector('.bulk-dialog');
+            form.elements.deviceId.value = selection.deviceId;
+            form.elements.secondSource.value = selection.secondSource || '';
+            const updateLanguages = () => this.renderLanguageOptions(form, transcription.language);
+            form.elements.provider.addEventListener('change', updateLanguages);
+            updateLanguages();
+        });
+        if (!modal) return;
+
+        const form = modal.querySelector('.bulk-dialog');
+        const elements = form.elements;
+        const name = elements.name.value.trim();
+        if (!name) {
+            this.app.showNotification('Please enter a preset name', 'warning');
+            return;
+        }
+
+        const deviceSelect = elements.deviceId;
+        const diarization = elements.enableDiarization.value;
+        const updated = {
+            id: preset ? preset.id : `preset_${Date.now()}`,
+            name,
+            deviceId: deviceSelect.value,
+            deviceLabel: deviceSelect.selectedIndex >= 0 ? deviceSelect.options[deviceSelect.selectedIndex].textContent.trim() : '',
+            secondSource: elements.secondSource.value,
+            streamOptions: {
+                sampleRate: parseInt(elements.sampleRate.value, 10),
+                channels: parseInt(elements.channels.value, 10),
+                echoCancellation: elements.echoCancellation.checked,
+                noiseSuppression: elements.noiseSuppression.checked,
+                autoGainControl: elements.autoGainControl.checked
+            },
+            transcription: {
+                provider: elements.provider.value,
+                language: elements.language.value,
+                enableDiarization: diarization === '' ? null : diarization === 'true'
+            },
+            templateIds: templates
+                .filter(template => form.querySelector(`[name="template:${CSS.escape(template.id)}"]`)?.checked)
+                .map(template => template.id),
+            tags: window.libraryOrganizer.normalizeTags(elements.tags.value.split(','))
+        };
+        window.uiManager.closeModal(modal);
+
+        const presets = preset
+            ? this.presets.map(existing => existing.id === preset.id ? updated : existing)
+            : [...this.presets, updated];
+        this.saveConfig(presets, updated.id);
+        this.render();
+        this.applyDevices(true);
+        this.app.showNotification(`Preset "${name}" saved`, 'success');
+    }
+
+    /**
+     * Language choices come from the provider's own list in AI Settings, since each uses different codes
+     */
+    renderLanguageOptions(form, selected) {
+        const provider = form.elements.provider.value;
+        const source = { 'azure-batch': 'azureSpeechLanguage', 'openai-whisper': 'whisperLanguage' }[provider];
+        const language = form.elements.language;
+        const options = source ? [...document.getElementById(source).options].filter(option => option.value) : [];
+
+        language.innerHTML = '<option value="">Language from AI Settings</option>' + options.map(option => `
+            <option value="${window.uiManager.escapeHtml(option.value)}">${window.uiManager.escapeHtml(option.textContent.trim())}</option>
+        `).join('');
+        language.value = options.some(option => option.value === selected) ? selected : '';
+        language.disabled = !source;
+
+        form.querySelectorAll('.preset-diarization').forEach(element => {
+            element.style.display = provider === 'azure-batch' ? '' : 'none';
+        });
+    }
+
+    deletePreset() {
+        const preset = this.getSelected();
+        if (!preset || !confirm(`Delete the preset "${preset.name}"? Recordings made with it are not affected.`)) return;
+
+        this.saveConfig(this.presets.filter(existing => existing.id !== preset.id), '');
+        this.render();
+        this.app.showNotification(`Preset "${preset.name}" deleted`, 'success');
+    }
+
+    /**
+     * Run the templates of the preset a recording was made with, once it has a transcript.
+     * Results are stored on the recording; returns the number of templates that ran
+     */
+    async runTemplates(recording, transcript) {
+        const templateIds = (recording.metadata && recording.metadata.preset && recording.metadata.preset.templateIds) || [];
+        if (templateIds.length === 0 || !transcript || !transcript.trim()) return 0;
+
+        const app = this.app;
+        const templates = Object.values(window.bulkActions.getTemplateGroups(app.templates)).flat();
+        let ran = 0;
+        for (const templateId of templateIds) {
+            const template = templates.find(candidate => candidate.id === templateId);
+            if (!template) continue;
+
+            try {
+                const result = await app.runTemplateAnalysis(template, {
+                    transcript,
+                    date: recording.date || new Date().toLocaleDateString(),
+                    duration: recording.duration || 'Unknown',
+                    filename: recording.filename || 'Unknown',
+                    markers: window.recordingMarkers.getTemplateValue(recording)
+                });
+                app.storeAnalysisResult(recording, template, result);
+                ran++;
+            } catch (error) {
+                console.error(`Preset template "${template.name}" failed:`, error);
+                this.app.showNotification(`Template "${template.name}" failed: ${error.message}`, 'error');
+            }
+        }
+
+        if (ran > 0) {
+            this.app.showNotification(`Ran ${ran} template${ran === 1 ? '' : 's'} from the "${recording.metadata.preset.name}" preset`, 'success');
+        }
+        return ran;
+    }
+}
+
+// Initialize recording presets
+if (typeof window !== 'undefined') {
+    window.recordingPresets = new RecordingPresets();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordingPresets;
+}
@@ -0,0 +1,220 @@
+/**
+ * Recording Recovery - Streams recorded chunks to a session file through the main process while recording,
+ * and offers to recover sessions left behind by a crash or sleep the next time the app starts
+ */
+class RecordingRecovery {
+    constructor(library) {
+        this.ipc = require('electron').ipcRenderer;
+        this.library = library;
+        this.sessionId = null;
+        this.writeQueue = Promise.resolve();
+        this.writeFailed = false;
+
+        // Recovered sessions are imported like files, which needs the app and an unlocked library
+        document.addEventListener('DOMContentLoaded', () => {
+            this.library.ready
+                .then(() => this.checkForInterrupted())
+                .catch(error => console.error('Interrupted recording check failed:', error));
+        });
+    }
+
+    /**
+     * Open a session for a new recording. Recording carries on without one if the disk write fails
+     */
+    async startSession(info) {
+        this.sessionId = null;
+        this.writeFailed = false;
+
+        try {
+            const result = await this.ipc.invoke('recording-session-start', info);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.sessionId = result.sessionId;
+        } catch (error) {
+            console.error('Could not start recording session:', error);
+            window.app.showNotification('Crash protection is unavailable for this recording: ' + error.message, 'warning');
+        }
+        return this.sessionId;
+    }
+
+    /**
+     * Queue a chunk for writing; writes stay in recording order
+     */
+    appendChunk(blob) {
+        const sessionId = this.sessionId;
+        if (!sessionId) return;
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            const data = new Uint8Array(await blob.arrayBuffer());
+            const result = await this.ipc.invoke('recording-session-append', sessionId, data);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        }).catch(error => {
+            console.error('Failed to write recording chunk:', error);
+            if (!this.writeFailed) {
+                this.writeFailed = true;
+                window.app.showNotification('Recording is no longer being saved to disk as it records: ' + error.message, 'warning');
+            }
+        });
+    }
+
+    updateSession(info) {
+        const sessionId = this.sessionId;
+        if (!sessionId) return;
+
+        this.writeQueue = this.writeQueue
+            .then(() => this.ipc.invoke('recording-session-update', sessionId, info))
+            .catch(error => console.error('Failed to update recording session:', error));
+    }
+
+    /**
+     * Delete the current session once its recording has been saved to history or discarded
+     */
+    async finishSession() {
+        const sessionId = this.sessionId;
+        if (!sessionId) return;
+
+        this.sessionId = null;
+        await this.writeQueue;
+        await this.discardSession(sessionId);
+    }
+
+    async discardSession(sessionId) {
+        const result = await this.ipc.invoke('recording-session-discard', sessionId);
+        if (!result.success) {
+            console.error(`Failed to remove recording session ${sessionId}:`, result.error);
+        }
+    }
+
+    async checkForInterrupted() {
+        const result = await this.ipc.invoke('recording-sessions-list');
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const sessions = [];
+        for (const session of result.sessions) {
+            if (session.id === this.sessionId) continue;
+
+            // Nothing was captured before the app went away
+            if (session.size === 0) {
+                await this.discardSession(session.id);
+            } else {
+                sessions.push(session);
+            }
+        }
+
+        if (sessions.length > 0) {
+            this.showRecoveryDialog(sessions);
+        }
+    }
+
+    showRecoveryDialog(sessions) {
+        const modal = window.uiManager.showModal('Recover Interrupted Recordings', `
+            <div class="recording-recovery">
+                <p>
+                    ${sessions.length === 1 ? 'A recording was' : `${sessions.length} recordings were`}
+                    interrupted before being saved, for example by a crash or the computer going to sleep.
+                    Recovered recordings are added to history.
+                </p>
+                <ul class="recording-recovery-list">
+                    ${sessions.map(session => `
+                        <li data-session-id="${window.uiManager.escapeHtml(session.id)}">
+                            <div class="recording-recovery-info">
+                                <strong>Started ${new Date(session.startedAt).toLocaleString()}</strong>
+                                <small>
+                                    ${window.uiManager.escapeHtml(session.deviceLabel || 'Unknown device')} &middot;
+                                    ${window.app.formatFileSize(session.size)} &middot;
+                                    last saved ${new Date(session.lastWrittenAt).toLocaleTimeString()}
+                                </small>
+                            </div>
+                            <div class="recording-recovery-actions">
+                                <button class="btn btn-primary btn-sm" data-recovery-action="recover">
+                                    <i class="fas fa-undo" aria-hidden="true"></i> Recover
+                                </button>
+                                <button class="btn btn-outline btn-sm" data-recovery-action="discard">Discard</button>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `);
+
+        modal.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-recovery-action]');
+            const row = e.target.closest('[data-session-id]');
+            if (!button || !row) return;
+
+            const session = sessions.find(candidate => candidate.id === row.dataset.sessionId);
+            row.querySelectorAll('button').forEach(element => { element.disabled = true; });
+
+            let done = true;
+            if (button.dataset.recoveryAction === 'recover') {
+                done = await this.recoverSession(session);
+            } else if (confirm('Discard this recording? It cannot be recovered afterwards.')) {
+                await this.discardSession(session.id);
+            } else {
+                done = false;
+            }
+
+            if (!done) {
+                row.querySelectorAll('button').forEach(element => { element.disabled = false; });
+                return;
+            }
+
+            row.remove();
+            if (!modal.querySelector('[data-session-id]')) {
+                window.uiManager.closeModal(modal);
+            }
+        });
+    }
+
+    /**
+     * Import a session's audio as a history item, then remove the session
+     */
+    async recoverSession(session) {
+        try {
+            const result = await this.ipc.invoke('recording-session-read', session.id);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const data = result.data;
+            const startedAt = new Date(session.startedAt);
+            const stamp = `${startedAt.toISOString().split('T')[0]} ${startedAt.toTimeString().slice(0, 5).replace(':', '-')}`;
+            // Name the file after the format MediaRecorder actually produced, as saved recordings are
+            const extension = window.app.audioEncoder.getExtension(new Blob([data], { type: result.info.mimeType || '' }));
+            const item = await window.fileImporter.importFile({
+                name: `Recovered recording ${stamp}.${extension}`,
+                path: null,
+                lastModified: session.startedAt,
+                read: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+            }, {
+                source: 'recovered',
+                recoveredAt: new Date().toISOString(),
+                timeline: result.info.timeline || null,
+                markers: result.info.markers || null
+            });
+
+            await this.discardSession(session.id);
+            window.app.showNotification(`Recovered "${item.name}" to history`, 'success');
+            return true;
+        } catch (error) {
+            console.error(`Failed to recover recording session ${session.id}:`, error);
+            window.app.showNotification('Could not recover recording: ' + error.message, 'error');
+            return false;
+        }
+    }
+}
+
+// Initialize recording recovery
+if (typeof window !== 'undefined') {
+    window.recordingRecovery = new RecordingRecovery(window.recordingLibrary);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordingRecovery;
+}
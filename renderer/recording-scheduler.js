@@ -0,0 +1,456 @@
+/**
+ * Recording Scheduler - Starts recordings without anyone at the record button: at a scheduled time for a set
+ * length, or when armed, as soon as the input level stays above a threshold (stopping again after a stretch of
+ * silence). Recordings it stops itself are saved straight to history; stopping one by hand leaves it in the
+ * preview as usual
+ */
+class RecordingScheduler {
+    constructor() {
+        this.schedules = [];
+        this.voice = { threshold: 0.35, silenceSeconds: 10 };
+        this.armed = null;
+        this.active = null;
+        this.stopRequested = false;
+        this.aboveSince = null;
+        this.silentSince = null;
+        this.tickInterval = null;
+        this.levelInterval = null;
+        this.triggerHoldMs = 500;
+        this.levelPollMs = 100;
+
+        this.setupEventListeners();
+
+        // Scheduled recordings save to the library, so they wait until it is unlocked
+        document.addEventListener('DOMContentLoaded', () => {
+            window.recordingLibrary.ready
+                .then(() => this.start())
+                .catch(error => console.error('Recording scheduler not started:', error));
+        });
+    }
+
+    get app() {
+        return window.app;
+    }
+
+    start() {
+        const config = this.app.currentConfig.recordingAutomation || {};
+        const { levelScale, ...voiceActivation } = config.voiceActivation || {};
+        this.voice = { ...this.voice, ...voiceActivation };
+        this.schedules = config.schedules || [];
+
+        if (voiceActivation.threshold !== undefined && levelScale !== 'dbfs') {
+            this.voice.threshold = this.migrateThreshold(voiceActivation.threshold);
+            this.saveConfig();
+        }
+
+        // Schedules that ended while the app was closed cannot be recorded any more
+        const now = Date.now();
+        const missed = this.schedules.filter(schedule => this.getEndTime(schedule) <= now);
+        if (missed.length > 0) {
+            this.schedules = this.schedules.filter(schedule => !missed.includes(schedule));
+            this.saveConfig();
+            this.app.showNotification(`${missed.length} scheduled recording${missed.length === 1 ? ' was' : 's were'} missed while the app was closed`, 'warning');
+        }
+
+        document.getElementById('voiceThreshold').value = Math.round(this.voice.threshold * 100);
+        document.getElementById('voiceThresholdValue').textContent = `${Math.round(this.voice.threshold * 100)}%`;
+        document.getElementById('voiceSilenceSeconds').value = this.voice.silenceSeconds;
+        document.getElementById('scheduleStart').value = this.toLocalInputValue(this.getNextQuarterHour());
+        this.renderSchedules();
+        this.renderArmState();
+
+        this.tickInterval = setInterval(() => this.tick(), 1000);
+    }
+
+    setupEventListeners() {
+        const addButton = document.getElementById('addSchedule');
+        if (!addButton) return;
+
+        addButton.addEventListener('click', () => this.addSchedule());
+
+        document.getElementById('scheduleList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-schedule-remove]');
+            if (button) {
+                this.removeSchedule(button.dataset.scheduleRemove);
+            }
+        });
+
+        document.getElementById('armVoiceActivation').addEventListener('click', () => {
+            if (this.armed) {
+                this.disarm();
+            } else {
+                this.arm();
+            }
+        });
+
+        const threshold = document.getElementById('voiceThreshold');
+        threshold.addEventListener('input', () => {
+            document.getElementById('voiceThresholdValue').textContent = `${threshold.value}%`;
+            this.voice.threshold = parseInt(threshold.value, 10) / 100;
+        });
+        threshold.addEventListener('change', () => this.saveConfig());
+
+        document.getElementById('voiceSilenceSeconds').addEventListener('change', (e) => {
+            const seconds = parseInt(e.target.value, 10);
+            this.voice.silenceSeconds = Math.min(600, Math.max(2, seconds || 10));
+            e.target.value = this.voice.silenceSeconds;
+            this.saveConfig();
+        });
+    }
+
+    saveConfig() {
+        this.app.currentConfig.recordingAutomation = {
+            schedules: this.schedules,
+            voiceActivation: { threshold: this.voice.threshold, silenceSeconds: this.voice.silenceSeconds, levelScale: 'dbfs' }
+        };
+        this.app.saveConfig();
+    }
+
+    /**
+     * Thresholds saved before levels moved to the -60..0 dBFS meter scale were on the analyser's byte scale,
+     * which spans 70 dB. Both scales are linear in dB, so map across keeping the old default (0.1) at the new one
+     */
+    migrateThreshold(threshold) {
+        const migrated = (threshold * 70 + 14) / 60;
+        return Math.round(Math.min(0.8, Math.max(0.05, migrated)) * 100) / 100;
+    }
+
+    /**
+     * The devices a recording started now would use, as currently selected in Audio Controls
+     */
+    getDeviceSelection() {
+        const input = document.getElementById('inputDevice');
+        const option = input.options[input.selectedIndex];
+        return {
+            deviceId: input.value,
+            deviceLabel: option ? option.textContent.trim() : 'Default microphone',
+            secondSource: document.getElementById('secondSource').value,
+            presetId: window.recordingPresets.selectedId
+        };
+    }
+
+    addSchedule() {
+        const startAt = new Date(document.getElementById('scheduleStart').value);
+        const durationMinutes = parseInt(document.getElementById('scheduleDuration').value, 10);
+
+        if (isNaN(startAt.getTime()) || startAt.getTime() <= Date.now()) {
+            this.app.showNotification('Choose a start time in the future', 'warning');
+            return;
+        }
+        if (!(durationMinutes >= 1 && durationMinutes <= 600)) {
+            this.app.showNotification('Recording length must be between 1 and 600 minutes', 'warning');
+            return;
+        }
+
+        const schedule = {
+            id: `schedule_${Date.now()}`,
+            startAt: startAt.toISOString(),
+            durationMinutes,
+            ...this.getDeviceSelection()
+        };
+        const overlapping = this.schedules.find(other =>
+            startAt.getTime() < this.getEndTime(other) && new Date(other.startAt).getTime() < this.getEndTime(schedule));
+        if (overlapping) {
+            this.app.showNotification(`This overlaps the recording scheduled for ${this.formatStart(overlapping)}`, 'warning');
+            return;
+        }
+
+        this.schedules = [...this.schedules, schedule].sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
+        this.saveConfig();
+        this.renderSchedules();
+        this.app.showNotification(`Recording scheduled for ${this.formatStart(schedule)}`, 'success');
+    }
+
+    removeSchedule(id) {
+        this.schedules = this.schedules.filter(schedule => schedule.id !== id);
+        this.saveConfig();
+        this.renderSchedules();
+    }
+
+    getEndTime(schedule) {
+        return new Date(schedule.startAt).getTime() + schedule.durationMinutes * 60000;
+    }
+
+    tick() {
+        const now = Date.now();
+
+        if (this.active && this.active.stopAt && now >= this.active.stopAt && this.app.isRecording) {
+            this.stop('Scheduled recording finished');
+            return;
+        }
+
+        const due = this.schedules.find(schedule => new Date(schedule.startAt).getTime() <= now);
+        if (due) {
+            this.schedules = this.schedules.filter(schedule => schedule !== due);
+            this.saveConfig();
+            this.renderSchedules();
+            this.startScheduled(due);
+        }
+    }
+
+    async startScheduled(schedule) {
+        if (this.app.isRecording || this.app.isProcessingAudio) {
+            this.app.showNotification(`Scheduled recording for ${this.formatStart(schedule)} skipped: a recording is already in progress`, 'warning');
+            return;
+        }
+
+        const started = await this.startRecording(schedule, {
+            type: 'scheduled',
+            scheduledFor: schedule.startAt,
+            durationMinutes: schedule.durationMinutes
+        }, this.getEndTime(schedule));
+        if (started) {
+            this.app.showNotification(`Scheduled recording started on ${schedule.deviceLabel}, stopping at ${new Date(this.getEndTime(schedule)).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`, 'info');
+        }
+    }
+
+    /**
+     * Start a recording on the given devices. An unsaved recording in the preview is saved to history first
+     * so an unattended start never drops it
+     */
+    async startRecording(devices, trigger, stopAt = null) {
+        const app = this.app;
+        if (app.currentRecording) {
+            await app.saveRecordingToHistory();
+            if (app.currentRecording) {
+                this.app.showNotification('Automatic recording skipped: the recording in the preview could not be saved', 'error');
+                this.disarm();
+                return false;
+            }
+        }
+
+        this.releaseMonitor();
+        this.active = { ...trigger, stopAt };
+        this.stopRequested = false;
+        this.silentSince = null;
+
+        await app.startRecording({ deviceId: devices.deviceId, secondSource: devices.secondSource, presetId: devices.presetId, trigger });
+        if (!app.isRecording) {
+            this.active = null;
+            await this.monitor();
+            return false;
+        }
+
+        this.startLevelPolling();
+        this.renderArmState();
+        return true;
+    }
+
+    stop(reason) {
+        this.stopRequested = true;
+        this.stopLevelPolling();
+        this.app.stopRecording();
+        this.app.showNotification(`${reason}, saving to history`, 'info');
+    }
+
+    /**
+     * Called once a stopped recording has been processed into the preview
+     */
+    async recordingReady() {
+        if (!this.active) return;
+
+        const stoppedHere = this.stopRequested;
+        this.active = null;
+        this.stopRequested = false;
+        this.stopLevelPolling();
+
+        if (!stoppedHere) {
+            // Stopped by hand: leave it in the preview for review rather than recording again over it
+            if (this.armed) {
+                this.disarm();
+                this.app.showNotification('Voice activation turned off because the recording was stopped by hand', 'info');
+            }
+            this.renderArmState();
+            return;
+        }
+
+        if (this.app.currentRecording) {
+            await this.app.saveRecordingToHistory();
+        }
+        await this.monitor();
+    }
+
+    async arm() {
+        if (this.app.isRecording) {
+            this.app.showNotification('Voice activation can be armed once the current recording has stopped', 'warning');
+            return;
+        }
+
+        this.armed = { ...this.getDeviceSelection(), stream: null };
+        await this.monitor();
+        if (this.armed) {
+            this.app.showNotification(`Armed: recording starts when ${this.armed.deviceLabel} picks up sound`, 'info');
+        }
+    }
+
+    disarm() {
+        if (!this.armed) return;
+
+        this.releaseMonitor();
+        this.armed = null;
+        this.renderArmState();
+
+        // Close the audio context the monitor opened; a running recording still needs it
+        if (!this.app.isRecording && !this.active) {
+            this.app.audioManager.cleanup();
+        }
+    }
+
+    /**
+     * Listen to the armed device for sound. Idle while an automatic recording is running
+     */
+    async monitor() {
+        if (!this.armed || this.armed.stream || this.active || this.app.isRecording) {
+            this.renderArmState();
+            return;
+        }
+
+        try {
+            this.armed.stream = await this.app.audioManager.createRecordingStream(this.armed.deviceId, { sampleRate: 44100, channels: 1 });
+            this.aboveSince = null;
+            this.startLevelPolling();
+        } catch (error) {
+            console.error('Could not listen for voice activation:', error);
+            this.app.showNotification('Voice activation failed: ' + error.message, 'error');
+            this.armed = null;
+        }
+        this.renderArmState();
+    }
+
+    releaseMonitor() {
+        this.stopLevelPolling();
+        if (this.armed && this.armed.stream) {
+            this.armed.stream.getTracks().forEach(track => track.stop());
+            this.armed.stream = null;
+        }
+    }
+
+    startLevelPolling() {
+        this.stopLevelPolling();
+        this.levelInterval = setInterval(() => this.pollLevel(), this.levelPollMs);
+    }
+
+    stopLevelPolling() {
+        if (this.levelInterval) {
+            clearInterval(this.levelInterval);
+            this.levelInterval = null;
+        }
+    }
+
+    pollLevel() {
+        const app = this.app;
+        const now = Date.now();
+        const level = app.audioManager.calculateAudioLevel();
+        const loud = level >= this.voice.threshold;
+        this.updateArmMeter(level);
+
+        if (this.active) {
+            // Only voice-activated recordings stop on silence; scheduled ones run for their full length
+            if (this.active.type !== 'voice' || !app.isRecording || app.isPaused || loud) {
+                this.silentSince = null;
+            } else if (!this.silentSince) {
+                this.silentSince = now;
+            } else if (now - this.silentSince >= this.voice.silenceSeconds * 1000) {
+                this.stop(`Stopped after ${this.voice.silenceSeconds} seconds of silence`);
+            }
+            return;
+        }
+
+        if (!this.armed || !this.armed.stream) return;
+        if (!loud) {
+            this.aboveSince = null;
+        } else if (!this.aboveSince) {
+            this.aboveSince = now;
+        } else if (now - this.aboveSince >= this.triggerHoldMs && !app.isRecording && !app.isProcessingAudio) {
+            this.aboveSince = null;
+            this.stopLevelPolling();
+            this.startRecording(this.armed, { type: 'voice', threshold: this.voice.threshold, silenceSeconds: this.voice.silenceSeconds });
+        }
+    }
+
+    renderSchedules() {
+        const list = document.getElementById('scheduleList');
+        if (!list) return;
+
+        if (this.schedules.length === 0) {
+            list.innerHTML = '<li class="schedule-empty">No recordings scheduled</li>';
+            return;
+        }
+
+        list.innerHTML = this.schedules.map(schedule => {
+            const preset = schedule.presetId ? window.recordingPresets.get(schedule.presetId) : null;
+            return `
+            <li class="schedule-item">
+                <i class="fas fa-clock" aria-hidden="true"></i>
+                <span class="schedule-time">${window.uiManager.escapeHtml(this.formatStart(schedule))}</span>
+                <span>${schedule.durationMinutes} min</span>
+                <span class="schedule-device">${window.uiManager.escapeHtml(schedule.deviceLabel)}${schedule.secondSource ? ' + second source' : ''}${preset ? ` · ${window.uiManager.escapeHtml(preset.name)}` : ''}</span>
+                <button type="button" class="btn-icon btn-sm" data-schedule-remove="${schedule.id}" aria-label="Cancel scheduled recording">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </li>
+        `;
+        }).join('');
+    }
+
+    renderArmState() {
+        const button = document.getElementById('armVoiceActivation');
+        const status = document.getElementById('voiceActivationStatus');
+        if (!button || !status) return;
+
+        button.classList.toggle('active', !!this.armed);
+        button.setAttribute('aria-pressed', this.armed ? 'true' : 'false');
+        button.querySelector('span').textContent = this.armed ? 'Disarm' : 'Arm';
+
+        if (this.active && this.active.type === 'voice') {
+            status.textContent = `Recording, stops after ${this.voice.silenceSeconds} seconds of silence`;
+        } else if (this.armed && this.armed.stream) {
+            status.textContent = `Listening on ${this.armed.deviceLabel}`;
+        } else if (this.armed) {
+            status.textContent = 'Armed, waiting for the current recording to finish';
+        } else {
+            status.textContent = 'Not armed';
+        }
+        if (!this.armed) {
+            this.updateArmMeter(0);
+        }
+    }
+
+    updateArmMeter(level) {
+        const bar = document.getElementById('voiceActivationLevel');
+        if (!bar) return;
+
+        const percentage = Math.round(level * 100);
+        bar.style.width = `${percentage}%`;
+        bar.setAttribute('aria-valuenow', percentage);
+        bar.classList.toggle('level-bar-active', level >= this.voice.threshold);
+    }
+
+    formatStart(schedule) {
+        const start = new Date(schedule.startAt);
+        const time = start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return start.toDateString() === new Date().toDateString() ? `today ${time}` : `${start.toLocaleDateString()} ${time}`;
+    }
+
+    getNextQuarterHour() {
+        const date = new Date();
+        date.setMinutes(Math.ceil((date.getMinutes() + 1) / 15) * 15, 0, 0);
+        return date;
+    }
+
+    // datetime-local inputs take local time without a zone
+    toLocalInputValue(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+}
+
+// Initialize recording scheduler
+if (typeof window !== 'undefined') {
+    window.recordingScheduler = new RecordingScheduler();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordingScheduler;
+}
@@ -0,0 +1,492 @@
+/**
+ * Retention Manager - Rule-based pruning of old recordings
+ * Rules can delete a recording's audio, its transcript or the whole item; every purge is audited
+ */
+class RetentionManager {
+    constructor(library, organizer) {
+        this.ipc = require('electron').ipcRenderer;
+        this.library = library;
+        this.organizer = organizer;
+        this.rulesStorageName = 'retention';
+        this.auditStorageName = 'retention-audit';
+        this.maxAuditEntries = 500;
+        this.rules = [];
+        this.running = null;
+
+        this.conditionTypes = {
+            age: 'Older than',
+            tag: 'Tagged',
+            size: 'Audio over budget',
+            count: 'Beyond most recent'
+        };
+        this.actions = {
+            'delete-audio': 'Delete audio',
+            'delete-transcript': 'Delete transcript',
+            'delete-item': 'Delete recording'
+        };
+
+        this.ready = this.loadRules();
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.ready.then(() => {
+            this.renderRules();
+            return this.enforce('startup');
+        }).catch(error => console.error('Startup retention run failed:', error));
+    }
+
+    /**
+     * Keeps the 50 most recent recordings by default, matching the previous fixed history cap
+     */
+    getDefaultRules() {
+        return [{
+            id: 'default-count',
+            enabled: true,
+            condition: { type: 'count', maxItems: 50 },
+            action: 'delete-item'
+        }];
+    }
+
+    async loadRules() {
+        try {
+            await this.library.ready;
+            const result = await this.ipc.invoke('library-read-data', this.rulesStorageName);
+            if (result.success && result.data && Array.isArray(result.data.rules)) {
+                this.rules = result.data.rules;
+            } else {
+                this.rules = this.getDefaultRules();
+            }
+        } catch (error) {
+            console.error('Failed to load retention rules:', error);
+            this.rules = this.getDefaultRules();
+        }
+    }
+
+    async saveRules() {
+        const result = await this.ipc.invoke('library-write-data', this.rulesStorageName, {
+            version: 1,
+            rules: this.rules
+        });
+
+        if (!result.success) {
+            throw new Error(`Failed to save retention rules: ${result.error}`);
+        }
+        this.renderRules();
+    }
+
+    /**
+     * Validate and add a rule
+     */
+    async addRule(condition, action) {
+        await this.ready;
+
+        if (!this.conditionTypes[condition.type]) {
+            throw new Error(`Unknown retention condition: ${condition.type}`);
+        }
+        if (!this.actions[action]) {
+            throw new Error(`Unknown retention action: ${action}`);
+        }
+        if (condition.type === 'age' && !(condition.days > 0)) {
+            throw new Error('Age rules need a number of days greater than zero');
+        }
+        if (condition.type === 'tag' && !condition.tag) {
+            throw new Error('Tag rules need a tag');
+        }
+        if (condition.type === 'size' && !(condition.budgetMb > 0)) {
+            throw new Error('Size rules need a budget greater than zero');
+        }
+        if (condition.type === 'count' && !(condition.maxItems > 0)) {
+            throw new Error('Count rules need to keep at least one recording');
+        }
+
+        const rule = { id: `rule_${Date.now()}`, enabled: true, condition, action };
+        this.rules.push(rule);
+        await this.saveRules();
+        return rule;
+    }
+
+    async updateRule(ruleId, changes) {
+        await this.ready;
+        this.rules = this.rules.map(rule => rule.id === ruleId ? { ...rule, ...changes } : rule);
+        await this.saveRules();
+    }
+
+    async removeRule(ruleId) {
+        await this.ready;
+        this.rules = this.rules.filter(rule => rule.id !== ruleId);
+        await this.saveRules();
+    }
+
+    describeRule(rule) {
+        const { condition } = rule;
+        const action = this.actions[rule.action];
+
+        switch (condition.type) {
+            case 'age':
+                return `${action} for recordings older than ${condition.days} day(s)`;
+            case 'tag':
+                return `${action} for recordings tagged "${condition.tag}"${condition.days > 0 ? ` older than ${condition.days} day(s)` : ''}`;
+            case 'size':
+                return `${action} for the oldest recordings once audio exceeds ${condition.budgetMb} MB`;
+            case 'count':
+                return `${action} beyond the ${condition.maxItems} most recent recordings`;
+            default:
+                return action;
+        }
+    }
+
+    getItemDate(item) {
+        const date = new Date(item.timestamp || item.createdAt || item.date);
+        return isNaN(date.getTime()) ? new Date(0) : date;
+    }
+
+    getAudioSize(item) {
+        return item.audioSize || item.size || 0;
+    }
+
+    hasTranscript(item) {
+        if (!item.transcription) return false;
+        if (typeof item.transcription === 'string') return item.transcription.trim().length > 0;
+        return !!(item.transcription.text && item.transcription.text.trim());
+    }
+
+    /**
+     * Items a rule applies to, before checking whether the action still has anything to remove
+     */
+    matchRule(rule, items) {
+        const { condition } = rule;
+        const now = Date.now();
+        const olderThan = (days) => item => now - this.getItemDate(item).getTime() > days * 24 * 60 * 60 * 1000;
+        const newestFirst = [...items].sort((a, b) => this.getItemDate(b) - this.getItemDate(a));
+
+        switch (condition.type) {
+            case 'age':
+                return items.filter(olderThan(condition.days));
+            case 'tag': {
+                const tagged = items.filter(item => this.organizer && this.organizer.hasTag(item, condition.tag));
+                return condition.days > 0 ? tagged.filter(olderThan(condition.days)) : tagged;
+            }
+            case 'size': {
+                // Walk from newest to oldest; everything past the budget is pruned
+                const budget = condition.budgetMb * 1024 * 1024;
+                let used = 0;
+                return newestFirst.filter(item => {
+                    if (!this.library.hasAudio(item)) return false;
+                    used += this.getAudioSize(item);
+                    return used > budget;
+                });
+            }
+            case 'count':
+                return newestFirst.slice(condition.maxItems);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Work out what the enabled rules would remove, without changing anything
+     * Returns [{ item, actions: [{ action, ruleId, rule }] }]
+     */
+    async preview() {
+        await this.ready;
+        const items = await this.library.getItems();
+        const plan = new Map();
+
+        this.rules.filter(rule => rule.enabled).forEach(rule => {
+            this.matchRule(rule, items).forEach(item => {
+                if (rule.action === 'delete-audio' && !this.library.hasAudio(item)) return;
+                if (rule.action === 'delete-transcript' && !this.hasTranscript(item)) return;
+
+                const entry = plan.get(item.id) || { item, actions: [] };
+                if (!entry.actions.some(existing => existing.action === rule.action)) {
+                    entry.actions.push({ action: rule.action, ruleId: rule.id, rule: this.describeRule(rule) });
+                }
+                plan.set(item.id, entry);
+            });
+        });
+
+        // Deleting the whole item covers everything else
+        return [...plan.values()].map(entry => {
+            const deleteItem = entry.actions.find(action => action.action === 'delete-item');
+            return deleteItem ? { ...entry, actions: [deleteItem] } : entry;
+        });
+    }
+
+    /**
+     * Apply the enabled rules and write an audit record of what was removed
+     */
+    async enforce(trigger = 'manual') {
+        // Never run two purges over the same library at once: each one queues behind the last
+        const run = (this.running || Promise.resolve())
+            .catch(() => {})
+            .then(() => this.runPurge(trigger));
+        this.running = run;
+        try {
+            return await run;
+        } finally {
+            if (this.running === run) {
+                this.running = null;
+            }
+        }
+    }
+
+    async runPurge(trigger) {
+        const plan = await this.preview();
+        if (plan.length === 0) {
+            return { removed: [], errors: [] };
+        }
+
+        const removed = [];
+        const errors = [];
+
+        for (const { item, actions } of plan) {
+            for (const { action, rule } of actions) {
+                try {
+                    const freedBytes = await this.applyAction(item, action);
+                    removed.push({
+                        itemId: item.id,
+                        name: item.name || item.filename,
+                        recordedAt: this.getItemDate(item).toISOString(),
+                        action,
+                        rule,
+                        freedBytes
+                    });
+                } catch (error) {
+                    console.error(`Retention ${action} failed for ${item.id}:`, error);
+                    errors.push({ itemId: item.id, action, error: error.message });
+                }
+            }
+        }
+
+        await this.appendAudit({ timestamp: new Date().toISOString(), trigger, removed, errors });
+
+        if (window.historyManager) {
+            await window.historyManager.refresh();
+        }
+        return { removed, errors };
+    }
+
+    async applyAction(item, action) {
+        switch (action) {
+            case 'delete-item':
+                await this.library.deleteItem(item.id);
+                return this.library.hasAudio(item) ? this.getAudioSize(item) : 0;
+            case 'delete-audio':
+                return await this.library.removeAudio(item.id);
+            case 'delete-transcript': {
+                // Re-read so changes made earlier in this run (such as audio removal) are kept
+                const current = await this.library.getItem(item.id);
+                // Saved versions are copies of the transcript, so they go with it
+                await this.library.updateItem({
+                    ...current,
+                    transcription: null,
+                    transcriptVersions: [],
+                    transcriptRemovedAt: new Date().toISOString()
+                });
+                return 0;
+            }
+            default:
+                throw new Error(`Unknown retention action: ${action}`);
+        }
+    }
+
+    async getAuditLog() {
+        const result = await this.ipc.invoke('library-read-data', this.auditStorageName);
+        if (!result.success) {
+            throw new Error(`Failed to read retention audit log: ${result.error}`);
+        }
+        return result.data && Array.isArray(result.data.entries) ? result.data.entries : [];
+    }
+
+    async appendAudit(entry) {
+        const entries = [entry, ...await this.getAuditLog()].slice(0, this.maxAuditEntries);
+        const result = await this.ipc.invoke('library-write-data', this.auditStorageName, { version: 1, entries });
+        if (!result.success) {
+            console.error('Failed to write retention audit log:', result.error);
+        }
+    }
+
+    setupEventListeners() {
+        const addButton = document.getElementById('addRetentionRule');
+        if (addButton) {
+            addButton.addEventListener('click', () => this.addRuleFromForm());
+        }
+
+        const typeSelect = document.getElementById('retentionConditionType');
+        if (typeSelect) {
+            typeSelect.addEventListener('change', () => this.updateRuleForm());
+            this.updateRuleForm();
+        }
+
+        const previewButton = document.getElementById('previewRetention');
+        if (previewButton) {
+            previewButton.addEventListener('click', () => this.showPreview());
+        }
+
+        const auditButton = document.getElementById('showRetentionAudit');
+        if (auditButton) {
+            auditButton.addEventListener('click', () => this.showAuditLog());
+        }
+
+        const rulesList = document.getElementById('retentionRulesList');
+        if (rulesList) {
+            rulesList.addEventListener('change', (e) => {
+                const toggle = e.target.closest('[data-rule-toggle]');
+                if (toggle) {
+                    this.updateRule(toggle.dataset.ruleToggle, { enabled: toggle.checked }).catch(error => this.showError(error));
+                }
+            });
+            rulesList.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('[data-rule-remove]');
+                if (removeButton) {
+                    this.removeRule(removeButton.dataset.ruleRemove).catch(error => this.showError(error));
+                }
+            });
+        }
+    }
+
+    /**
+     * Show only the inputs the selected condition type needs
+     */
+    updateRuleForm() {
+        const type = document.getElementById('retentionConditionType')?.value;
+        const fields = { age: ['days'], tag: ['tag', 'days'], size: ['budget'], count: ['count'] }[type] || [];
+
+        document.querySelectorAll('[data-retention-field]').forEach(field => {
+            field.style.display = fields.includes(field.dataset.retentionField) ? '' : 'none';
+        });
+    }
+
+    async addRuleFromForm() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const type = value('retentionConditionType');
+
+        try {
+            await this.addRule({
+                type,
+                days: parseInt(value('retentionDays'), 10) || 0,
+                tag: value('retentionTag').trim(),
+                budgetMb: parseFloat(value('retentionBudget')) || 0,
+                maxItems: parseInt(value('retentionCount'), 10) || 0
+            }, value('retentionAction'));
+            window.app.showNotification('Retention rule added', 'success');
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    renderRules() {
+        const rulesList = document.getElementById('retentionRulesList');
+        if (!rulesList) return;
+
+        if (this.rules.length === 0) {
+            rulesList.innerHTML = '<p class="retention-empty">No retention rules. Recordings are kept forever.</p>';
+            return;
+        }
+
+        rulesList.innerHTML = this.rules.map(rule => `
+            <div class="retention-rule ${rule.enabled ? '' : 'disabled'}">
+                <label class="checkbox-label">
+                    <input type="checkbox" data-rule-toggle="${rule.id}" ${rule.enabled ? 'checked' : ''}>
+                    <span class="checkbox-custom"></span>
+                    ${window.uiManager.escapeHtml(this.describeRule(rule))}
+                </label>
+                <button class="btn btn-outline btn-sm" data-rule-remove="${rule.id}" aria-label="Remove rule">
+                    <i class="fas fa-trash" aria-hidden="true"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    async showPreview() {
+        const plan = await this.preview();
+        const freedBytes = plan.reduce((total, { item, actions }) => {
+            const freesAudio = actions.some(({ action }) => action !== 'delete-transcript') && this.library.hasAudio(item);
+            return total + (freesAudio ? this.getAudioSize(item) : 0);
+        }, 0);
+
+        const rows = plan.map(({ item, actions }) => `
+            <tr>
+                <td>${window.uiManager.escapeHtml(item.name || item.filename)}</td>
+                <td>${this.getItemDate(item).toLocaleDateString()}</td>
+                <td>${actions.map(({ action }) => this.actions[action]).join(', ')}</td>
+            </tr>
+        `).join('');
+
+        const modal = window.uiManager.showModal('Retention Preview', plan.length === 0 ? `
+            <p class="retention-empty">Nothing would be removed by the current rules.</p>
+        ` : `
+            <p>${plan.length} recording(s) affected, about ${window.app.formatFileSize(freedBytes)} of audio freed.</p>
+            <div class="retention-table-wrapper">
+                <table class="retention-table">
+                    <thead><tr><th>Recording</th><th>Recorded</th><th>Action</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="retention-modal-actions">
+                <button class="btn btn-danger" data-action="apply">
+                    <i class="fas fa-broom" aria-hidden="true"></i> Apply Now
+                </button>
+            </div>
+        `);
+
+        const applyButton = modal.querySelector('[data-action="apply"]');
+        if (applyButton) {
+            applyButton.addEventListener('click', async () => {
+                if (!confirm('Apply retention rules now? Removed data cannot be recovered.')) return;
+                window.uiManager.closeModal(modal);
+
+                const result = await this.enforce('manual');
+                window.app.showNotification(
+                    `Retention applied: ${result.removed.length} change(s)${result.errors.length > 0 ? `, ${result.errors.length} failed` : ''}`,
+                    result.errors.length > 0 ? 'warning' : 'success'
+                );
+            });
+        }
+    }
+
+    async showAuditLog() {
+        const entries = await this.getAuditLog().catch(error => {
+            this.showError(error);
+            return [];
+        });
+
+        const content = entries.length === 0 ? '<p class="retention-empty">No purges have run yet.</p>' : entries.map(entry => `
+            <div class="retention-audit-entry">
+                <div class="retention-audit-header">
+                    <strong>${new Date(entry.timestamp).toLocaleString()}</strong>
+                    <span>${window.uiManager.escapeHtml(entry.trigger)}</span>
+                </div>
+                <ul>
+                    ${entry.removed.map(change => `
+                        <li>${this.actions[change.action] || change.action}: ${window.uiManager.escapeHtml(change.name)}
+                            <small>(${window.uiManager.escapeHtml(change.rule)}${change.freedBytes ? `, ${window.app.formatFileSize(change.freedBytes)}` : ''})</small>
+                        </li>
+                    `).join('')}
+                    ${(entry.errors || []).map(error => `
+                        <li class="retention-audit-error">Failed ${this.actions[error.action] || error.action} for ${window.uiManager.escapeHtml(error.itemId)}: ${window.uiManager.escapeHtml(error.error)}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+
+        window.uiManager.showModal('Retention Audit Log', `<div class="retention-audit">${content}</div>`);
+    }
+
+    showError(error) {
+        console.error('Retention error:', error);
+        window.app.showNotification(error.message || String(error), 'error');
+    }
+}
+
+// Initialize retention manager
+if (typeof window !== 'undefined') {
+    window.retentionManager = new RetentionManager(window.recordingLibrary, window.libraryOrganizer);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RetentionManager;
+}
@@ -0,0 +1,632 @@
+/**
+ * Search Index - Persistent inverted index over transcripts, analyses and Q&A
+ * Supports phrase queries ("exact words"), prefix matching (term*) and BM25 ranking
+ */
+class SearchIndex {
+    constructor(library) {
+        this.ipc = require('electron').ipcRenderer;
+        this.library = library;
+        this.storageName = 'search-index';
+        this.version = 2;
+        this.documents = this.createStore();
+        this.postings = this.createStore();
+        this.saveTimer = null;
+        this.saveDelay = 1000;
+        this.chunkWordLimit = 50;
+        this.fieldBoosts = { title: 2, tags: 1.5, transcript: 1, analysis: 0.8, qa: 0.8 };
+
+        this.ready = this.load();
+        this.setupLibraryListeners();
+    }
+
+    /**
+     * Keep the index in sync with recording library changes
+     */
+    setupLibraryListeners() {
+        if (!this.library) return;
+
+        this.library.addEventListener('added', (item) => {
+            this.indexRecording(item, { includeConversation: true });
+        });
+        this.library.addEventListener('updated', (item) => {
+            this.indexRecording(item);
+        });
+        this.library.addEventListener('deleted', (item) => {
+            this.removeRecording(item.id);
+        });
+        this.library.addEventListener('cleared', () => {
+            this.clear();
+        });
+    }
+
+    /**
+     * Load the persisted index, rebuilding it when missing or outdated
+     */
+    async load() {
+        try {
+            if (this.library) {
+                await this.library.ready;
+            }
+            const result = await this.ipc.invoke('library-read-data', this.storageName);
+            if (result.success && result.data && result.data.version === this.version) {
+                this.documents = this.createStore(result.data.documents);
+                this.postings = this.createStore();
+                Object.entries(result.data.postings || {}).forEach(([term, postings]) => {
+                    this.postings[term] = this.createStore(postings);
+                });
+                return;
+            }
+        } catch (error) {
+            console.error('Failed to load search index:', error);
+        }
+
+        await this.rebuild();
+    }
+
+    /**
+     * Terms and ids come from user text, so lookups must not reach Object.prototype keys such as "constructor"
+     */
+    createStore(entries = {}) {
+        return Object.assign(Object.create(null), entries);
+    }
+
+    /**
+     * Rebuild the whole index from the recording library and saved conversations
+     */
+    async rebuild() {
+        this.documents = this.createStore();
+        this.postings = this.createStore();
+
+        try {
+            const items = this.library ? await this.library.getItems() : [];
+            const conversations = await this.loadConversations();
+
+            items.forEach(item => {
+                this.addRecordingDocuments(item);
+                this.addConversationDocuments(item.id, conversations[item.id] || []);
+            });
+
+            await this.save();
+            console.log(`Search index rebuilt with ${Object.keys(this.documents).length} documents`);
+        } catch (error) {
+            console.error('Failed to rebuild search index:', error);
+        }
+    }
+
+    /**
+     * Index (or re-index) a recording's title, tags, transcript and analyses
+     */
+    async indexRecording(item, options = {}) {
+        if (!item || !item.id) return;
+        await this.ready;
+
+        this.removeDocuments(item.id, ['title', 'tags', 'transcript', 'analysis']);
+        this.addRecordingDocuments(item);
+
+        if (options.includeConversation) {
+            this.removeDocuments(item.id, ['qa']);
+            this.addConversationDocuments(item.id, (await this.loadConversations())[item.id] || []);
+        }
+
+        this.scheduleSave();
+    }
+
+    /**
+     * Index (or re-index) the Q&A conversation for a recording
+     */
+    async indexConversation(recordingId, conversation) {
+        if (!recordingId) return;
+        await this.ready;
+
+        // Conversations for recordings that are not saved yet are indexed once the recording is added
+        if (this.library && !(await this.library.getItem(recordingId))) return;
+
+        this.removeDocuments(recordingId, ['qa']);
+        this.addConversationDocuments(recordingId, conversation || []);
+        this.scheduleSave();
+    }
+
+    /**
+     * Remove every document belonging to a recording
+     */
+    async removeRecording(recordingId) {
+        await this.ready;
+        this.removeDocuments(recordingId);
+        this.scheduleSave();
+    }
+
+    /**
+     * Drop the whole index
+     */
+    async clear() {
+        await this.ready;
+        this.documents = this.createStore();
+        this.postings = this.createStore();
+        this.scheduleSave();
+    }
+
+    /**
+     * Search the index
+     * Returns one result per recording, best match first
+     */
+    async search(query, options = {}) {
+        await this.ready;
+
+        const clauses = this.parseQuery(query);
+        if (clauses.length === 0) return [];
+
+        const limit = options.limit || 100;
+        const documentIds = Object.keys(this.documents);
+        const totalDocuments = documentIds.length;
+        const averageLength = totalDocuments > 0
+            ? documentIds.reduce((sum, id) => sum + (this.documents[id].length || 0), 0) / totalDocuments
+            : 1;
+
+        // Every clause must match (AND semantics)
+        let candidates = null;
+        const clauseMatches = clauses.map(clause => {
+            const matches = this.matchClause(clause);
+            const ids = new Set(matches.keys());
+            candidates = candidates === null
+                ? ids
+                : new Set([...candidates].filter(id => ids.has(id)));
+            return matches;
+        });
+
+        const scoredDocuments = [];
+        (candidates || new Set()).forEach(docId => {
+            const doc = this.documents[docId];
+            let score = 0;
+            const highlights = [];
+
+            clauseMatches.forEach(matches => {
+                const match = matches.get(docId);
+                const idf = Math.log(1 + (totalDocuments - matches.size + 0.5) / (matches.size + 0.5));
+                const tf = match.positions.length;
+                const lengthRatio = (doc.length || 1) / (averageLength || 1);
+                score += idf * (tf * 2.2) / (tf + 1.2 * (0.25 + 0.75 * lengthRatio));
+
+                match.positions.forEach(position => {
+                    for (let i = 0; i < match.span; i++) {
+                        highlights.push(position + i);
+                    }
+                });
+            });
+
+            score *= this.fieldBoosts[doc.field] || 1;
+            scoredDocuments.push({ docId, doc, score, highlights });
+        });
+
+        // Group by recording, keeping the best matching document as the jump target
+        const byRecording = new Map();
+        scoredDocuments.forEach(entry => {
+            const existing = byRecording.get(entry.doc.recordingId);
+            if (!existing) {
+                byRecording.set(entry.doc.recordingId, { best: entry, total: entry.score, matchCount: 1 });
+                return;
+            }
+
+            existing.total += entry.score;
+            existing.matchCount++;
+            if (entry.score > existing.best.score) {
+                existing.best = entry;
+            }
+        });
+
+        const results = [...byRecording.entries()].map(([recordingId, group]) => {
+            const { doc, highlights } = group.best;
+            const snippet = this.buildSnippet(doc.text, highlights);
+
+            return {
+                recordingId,
+                score: group.best.score + 0.1 * (group.total - group.best.score),
+                matchCount: group.matchCount,
+                field: doc.field,
+                label: doc.label,
+                time: doc.time,
+                analysisKey: doc.analysisKey,
+                messageIndex: doc.messageIndex,
+                textOffset: doc.offset !== null && doc.offset !== undefined ? doc.offset + snippet.matchStart : null,
+                matchLength: snippet.matchLength,
+                snippet: snippet.html
+            };
+        });
+
+        results.sort((a, b) => b.score - a.score);
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Parse a query string into term, prefix and phrase clauses
+     */
+    parseQuery(query) {
+        const clauses = [];
+        if (!query || !query.trim()) return clauses;
+
+        const pattern = /"([^"]*)"?|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(query)) !== null) {
+            if (match[1] !== undefined) {
+                const terms = this.tokenize(match[1]).map(token => token.term);
+                if (terms.length > 0) {
+                    clauses.push({ type: terms.length > 1 ? 'phrase' : 'term', terms, prefix: false, quoted: true });
+                }
+                continue;
+            }
+
+            const raw = match[2];
+            const terms = this.tokenize(raw).map(token => token.term);
+            if (terms.length === 0) continue;
+
+            if (terms.length > 1) {
+                // Hyphenated or punctuated words are matched as phrases
+                clauses.push({ type: 'phrase', terms, prefix: false, quoted: false });
+            } else {
+                clauses.push({ type: 'term', terms, prefix: raw.endsWith('*'), quoted: false });
+            }
+        }
+
+        // Treat the word being typed as a prefix for search-as-you-type
+        const last = clauses[clauses.length - 1];
+        if (last && last.type === 'term' && !last.quoted && !/\s$/.test(query)) {
+            last.prefix = true;
+        }
+
+        return clauses;
+    }
+
+    /**
+     * Find documents matching a clause
+     * Returns Map of docId -> { positions, span }
+     */
+    matchClause(clause) {
+        const matches = new Map();
+
+        if (clause.type === 'term') {
+            const term = clause.terms[0];
+            const terms = clause.prefix
+                ? Object.keys(this.postings).filter(candidate => candidate.startsWith(term))
+                : [term];
+
+            terms.forEach(candidate => {
+                const postings = this.postings[candidate] || {};
+                Object.keys(postings).forEach(docId => {
+                    const existing = matches.get(docId) || { positions: [], span: 1 };
+                    existing.positions.push(...postings[docId]);
+                    matches.set(docId, existing);
+                });
+            });
+
+            return matches;
+        }
+
+        // Phrase: every term must appear at consecutive positions
+        const [first, ...rest] = clause.terms;
+        const firstPostings = this.postings[first] || {};
+        Object.keys(firstPostings).forEach(docId => {
+            const restPositions = rest.map(term => new Set((this.postings[term] || {})[docId] || []));
+            if (restPositions.some(positions => positions.size === 0)) return;
+
+            const positions = firstPostings[docId].filter(start =>
+                restPositions.every((termPositions, offset) => termPositions.has(start + offset + 1))
+            );
+
+            if (positions.length > 0) {
+                matches.set(docId, { positions, span: clause.terms.length });
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Split text into lowercase terms with character offsets
+     */
+    tokenize(text) {
+        const tokens = [];
+        if (!text) return tokens;
+
+        const pattern = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            tokens.push({
+                term: match[0].toLowerCase(),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+        return tokens;
+    }
+
+    /**
+     * Build an HTML snippet around the first highlighted token
+     */
+    buildSnippet(text, highlightPositions, radius = 80) {
+        const tokens = this.tokenize(text);
+        const highlighted = [...new Set(highlightPositions)]
+            .filter(position => tokens[position])
+            .sort((a, b) => a - b);
+
+        if (highlighted.length === 0) {
+            return { html: window.uiManager.escapeHtml(text.slice(0, radius * 2)), matchStart: 0, matchLength: 0 };
+        }
+
+        const firstToken = tokens[highlighted[0]];
+        let start = Math.max(0, firstToken.start - radius);
+        let end = Math.min(text.length, firstToken.end + radius);
+
+        // Avoid cutting words in half
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            if (space !== -1 && space < firstToken.start) start = space + 1;
+        }
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            if (space > firstToken.end) end = space;
+        }
+
+        let html = start > 0 ? '&hellip;' : '';
+        let cursor = start;
+        highlighted.forEach(position => {
+            const token = tokens[position];
+            if (token.start < cursor || token.end > end) return;
+
+            html += window.uiManager.escapeHtml(text.slice(cursor, token.start));
+            html += `<mark>${window.uiManager.escapeHtml(text.slice(token.start, token.end))}</mark>`;
+            cursor = token.end;
+        });
+        html += window.uiManager.escapeHtml(text.slice(cursor, end));
+        if (end < text.length) html += '&hellip;';
+
+        // Length of the first highlighted run, used to select the match in the transcript
+        let lastToken = firstToken;
+        for (let i = 1; i < highlighted.length && highlighted[i] === highlighted[0] + i; i++) {
+            lastToken = tokens[highlighted[i]];
+        }
+
+        return {
+            html,
+            matchStart: firstToken.start,
+            matchLength: lastToken.end - firstToken.start
+        };
+    }
+
+    /**
+     * Add title, tag, transcript and analysis documents for a recording
+     */
+    addRecordingDocuments(item) {
+        const recordingId = item.id;
+
+        this.addDocument(`${recordingId}:title`, {
+            recordingId,
+            field: 'title',
+            label: 'Title',
+            text: item.name || item.filename || '',
+            time: null,
+            offset: null
+        });
+
+        const tags = Array.isArray(item.metadata?.tags) ? item.metadata.tags : [];
+        const folder = item.metadata?.folder || '';
+        this.addDocument(`${recordingId}:tags`, {
+            recordingId,
+            field: 'tags',
+            label: folder ? `Folder ${folder}` : 'Tags',
+            text: [...tags, ...folder.split('/')].filter(Boolean).join(', '),
+            time: null,
+            offset: null
+        });
+
+        this.getTranscriptSegments(item).forEach((segment, index) => {
+            this.addDocument(`${recordingId}:transcript:${index}`, {
+                recordingId,
+                field: 'transcript',
+                label: segment.speaker ? `Transcript - ${segment.speaker}` : 'Transcript',
+                text: segment.text,
+                time: segment.time,
+                offset: segment.offset
+            });
+        });
+
+        Object.entries(item.analysis || {}).forEach(([analysisKey, analysis]) => {
+            const text = typeof analysis === 'string' ? analysis : analysis?.result;
+            if (!text) return;
+
+            this.addDocument(`${recordingId}:analysis:${analysisKey}`, {
+                recordingId,
+                field: 'analysis',
+                label: analysis.templateName || 'Analysis',
+                text,
+                time: null,
+                offset: null,
+                analysisKey
+            });
+        });
+    }
+
+    /**
+     * Add one document per Q&A message
+     */
+    addConversationDocuments(recordingId, conversation) {
+        conversation.forEach((message, index) => {
+            if (!message || !message.content) return;
+
+            this.addDocument(`${recordingId}:qa:${index}`, {
+                recordingId,
+                field: 'qa',
+                label: message.role === 'user' ? 'Question' : 'Answer',
+                text: String(message.content),
+                time: null,
+                offset: null,
+                messageIndex: index
+            });
+        });
+    }
+
+    /**
+     * Split a transcript into timed segments
+     * Uses speaker segments when they still match the text, otherwise estimates times from text position
+     */
+    getTranscriptSegments(item) {
+        const transcription = item.transcription;
+        const text = typeof transcription === 'string' ? transcription : transcription?.text;
+        if (!text) return [];
+
+        const speakerSegments = typeof transcription === 'object' ? transcription.speakerDiarization : null;
+        if (Array.isArray(speakerSegments) && speakerSegments.length > 0) {
+            const segments = [];
+            let cursor = 0;
+
+            for (const segment of speakerSegments) {
+                const offset = segment.text ? text.indexOf(segment.text, cursor) : -1;
+                if (offset === -1) {
+                    segments.length = 0;
+                    break;
+                }
+
+                segments.push({
+                    text: segment.text,
+                    speaker: segment.speaker,
+                    time: this.parseSegmentTime(segment.startTime),
+                    offset
+                });
+                cursor = offset + segment.text.length;
+            }
+
+            if (segments.length > 0) return segments;
+        }
+
+        // Group sentences into chunks and estimate their start time proportionally
+        const durationSeconds = this.parseDuration(item.duration);
+        const chunks = [];
+        const sentencePattern = /[^.!?\n]+[.!?]*\s*/g;
+        let chunk = null;
+        let match;
+
+        while ((match = sentencePattern.exec(text)) !== null) {
+            const wordCount = match[0].trim().split(/\s+/).filter(Boolean).length;
+            if (wordCount === 0) continue;
+
+            if (!chunk || chunk.wordCount + wordCount > this.chunkWordLimit) {
+                chunk = { offset: match.index, end: match.index, wordCount: 0 };
+                chunks.push(chunk);
+            }
+            chunk.end = match.index + match[0].length;
+            chunk.wordCount += wordCount;
+        }
+
+        return chunks.map(({ offset, end }) => ({
+            text: text.slice(offset, end),
+            speaker: null,
+            time: durationSeconds ? (offset / text.length) * durationSeconds : null,
+            offset
+        }));
+    }
+
+    /**
+     * Convert segment start times (seconds or ISO 8601 durations like PT1.5S) to seconds
+     */
+    parseSegmentTime(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return null;
+
+        const match = value.match(/^PT(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+        if (!match) return null;
+        return (parseFloat(match[1] || 0) * 3600) + (parseFloat(match[2] || 0) * 60) + parseFloat(match[3] || 0);
+    }
+
+    /**
+     * Parse "m:ss", "h:mm:ss" or numeric durations to seconds
+     */
+    parseDuration(duration) {
+        if (typeof duration === 'number') return duration;
+        if (typeof duration !== 'string' || !duration.includes(':')) return null;
+        return duration.split(':').reduce((total, part) => total * 60 + (parseInt(part) || 0), 0);
+    }
+
+    /**
+     * Add a document and its postings
+     */
+    addDocument(docId, doc) {
+        const tokens = this.tokenize(doc.text);
+        if (tokens.length === 0) return;
+
+        this.documents[docId] = { ...doc, length: tokens.length };
+        tokens.forEach((token, position) => {
+            if (!this.postings[token.term]) {
+                this.postings[token.term] = this.createStore();
+            }
+            if (!this.postings[token.term][docId]) {
+                this.postings[token.term][docId] = [];
+            }
+            this.postings[token.term][docId].push(position);
+        });
+    }
+
+    /**
+     * Remove documents for a recording, optionally limited to some fields
+     */
+    removeDocuments(recordingId, fields = null) {
+        Object.keys(this.documents).forEach(docId => {
+            const doc = this.documents[docId];
+            if (doc.recordingId !== recordingId) return;
+            if (fields && !fields.includes(doc.field)) return;
+
+            new Set(this.tokenize(doc.text).map(token => token.term)).forEach(term => {
+                if (!this.postings[term]) return;
+                delete this.postings[term][docId];
+                if (Object.keys(this.postings[term]).length === 0) {
+                    delete this.postings[term];
+                }
+            });
+            delete this.documents[docId];
+        });
+    }
+
+    /**
+     * Read saved Q&A conversations
+     */
+    async loadConversations() {
+        try {
+            return this.library ? await this.library.getConversations() : {};
+        } catch (error) {
+            console.error('Failed to read Q&A conversations for indexing:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Debounced persist to disk
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    }
+
+    /**
+     * Persist the index to disk
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+        const result = await this.ipc.invoke('library-write-data', this.storageName, {
+            version: this.version,
+            updatedAt: new Date().toISOString(),
+            documents: this.documents,
+            postings: this.postings
+        });
+
+        if (!result.success) {
+            console.error('Failed to save search index:', result.error);
+        }
+    }
+}
+
+// Initialize search index
+if (typeof window !== 'undefined') {
+    window.searchIndex = new SearchIndex(window.recordingLibrary);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
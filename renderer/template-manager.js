@@ -497,7 +497,8 @@ class TemplateManager {
                 transcript: variables.transcript || '',
                 date: variables.date || new Date().toLocaleDateString(),
                 duration: variables.duration || 'Unknown',
-                filename: variables.filename || 'Unknown'
+                filename: variables.filename || 'Unknown',
+                markers: variables.markers || 'None'
             };
 
             // Merge with provided variables
@@ -870,7 +871,8 @@ class TemplateManager {
             transcript: 'This is a sample meeting transcript where John Smith from ABC Corp discussed the Q4 budget planning with Sarah Johnson from our finance team. They covered three main topics: budget allocation for marketing campaigns, cost reduction strategies, and timeline for budget approval. John mentioned they need to finalize the budget by December 15th and are looking at a 10% increase in marketing spend. Sarah explained our new cost tracking system and suggested a phased approach to implementation.',
             date: new Date().toLocaleDateString(),
             duration: '15:30',
-            filename: 'sample-meeting.wav'
+            filename: 'sample-meeting.wav',
+            markers: '[03:10] Action item - finalize budget by December 15th\n[09:45] Follow up - cost tracking rollout'
         };
 
         const result = this.processTemplate({ prompt }, sampleVariables);
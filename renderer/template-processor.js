@@ -251,6 +251,7 @@ class TemplateProcessor {
             date: variables.date || new Date().toLocaleDateString(),
             duration: variables.duration || 'Unknown',
             filename: variables.filename || 'Unknown',
+            markers: variables.markers || 'None',
             timestamp: new Date().toISOString()
         };
 
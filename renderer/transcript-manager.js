@@ -321,7 +321,8 @@ class TranscriptManager {
             includeSpeakers = true,
             includeTimestamps = false,
             includeMetadata = true,
-            filename = null
+            filename = null,
+            recordingInfo = null
         } = options;
 
         let content;
@@ -330,7 +331,7 @@ class TranscriptManager {
 
         switch (format.toLowerCase()) {
             case 'txt':
-                content = this.exportToText(includeSpeakers, includeTimestamps, includeMetadata);
+                content = this.exportToText(includeSpeakers, includeTimestamps, includeMetadata, recordingInfo);
                 mimeType = 'text/plain';
                 extension = 'txt';
                 break;
@@ -348,7 +349,7 @@ class TranscriptManager {
                 break;
 
             case 'json':
-                content = this.exportToJson(includeMetadata);
+                content = this.exportToJson(includeMetadata, recordingInfo);
                 mimeType = 'application/json';
                 extension = 'json';
                 break;
@@ -377,7 +378,7 @@ class TranscriptManager {
     /**
      * Export to plain text
      */
-    exportToText(includeSpeakers, includeTimestamps, includeMetadata) {
+    exportToText(includeSpeakers, includeTimestamps, includeMetadata, recordingInfo = null) {
         let content = '';
 
         // Add metadata header
@@ -398,7 +399,23 @@ class TranscriptManager {
             if (this.currentTranscript.processingTime) {
                 content += `Processing Time: ${(this.currentTranscript.processingTime / 1000).toFixed(1)}s\n`;
             }
+            if (recordingInfo?.folder) {
+                content += `Folder: ${recordingInfo.folder}\n`;
+            }
+            if (recordingInfo?.tags?.length > 0) {
+                content += `Tags: ${recordingInfo.tags.join(', ')}\n`;
+            }
+            if (recordingInfo?.version) {
+                content += `Transcript: ${this.describeVersion(recordingInfo.version)}\n`;
+            }
             content += '='.repeat(50) + '\n\n';
+        } else if (recordingInfo?.version) {
+            content += `Transcript: ${this.describeVersion(recordingInfo.version)}\n\n`;
+        }
+
+        // Markers dropped while recording are part of the content, so they are kept without metadata too
+        if (recordingInfo?.markers?.length > 0) {
+            content += `Markers:\n${window.recordingMarkers.formatList(recordingInfo.markers)}\n\n`;
         }
 
         // Add transcript content
@@ -418,7 +435,7 @@ class TranscriptManager {
     /**
      * Export to JSON format
      */
-    exportToJson(includeMetadata) {
+    exportToJson(includeMetadata, recordingInfo = null) {
         const exportData = {
             text: this.currentTranscript.text,
             exportedAt: new Date().toISOString()
@@ -434,6 +451,20 @@ class TranscriptManager {
                 lastModified: this.currentTranscript.lastModified,
                 editCount: this.currentTranscript.editCount
             });
+
+            if (recordingInfo) {
+                exportData.folder = recordingInfo.folder;
+                exportData.tags = recordingInfo.tags;
+            }
+        }
+
+        if (recordingInfo?.markers?.length > 0) {
+            exportData.markers = recordingInfo.markers;
+        }
+
+        if (recordingInfo?.version) {
+            const { text, ...version } = recordingInfo.version;
+            exportData.transcriptVersion = version;
         }
 
         return JSON.stringify(exportData, null, 2);
@@ -574,6 +605,261 @@ class TranscriptManager {
             errors
         };
     }
+
+    /**
+     * Saved versions of a history item's transcript, oldest first
+     */
+    getVersions(item) {
+        return (item && Array.isArray(item.transcriptVersions)) ? item.transcriptVersions : [];
+    }
+
+    getVersion(item, versionId) {
+        return this.getVersions(item).find(version => version.id === versionId) || null;
+    }
+
+    getLatestVersion(item) {
+        const versions = this.getVersions(item);
+        return versions.length > 0 ? versions[versions.length - 1] : null;
+    }
+
+    /**
+     * The version the item's stored transcript corresponds to. A transcript that has not been
+     * captured yet is described as the version addVersion would record for it (no id).
+     */
+    getCurrentVersion(item) {
+        if (!item || !item.transcription || !item.transcription.text) return null;
+
+        const latest = this.getLatestVersion(item);
+        if (latest && latest.text === item.transcription.text) {
+            return latest;
+        }
+
+        const { id, ...version } = this.createVersion(this.getVersions(item).length + 1, item.transcription.text, {
+            author: item.transcription.provider || 'Transcription',
+            source: 'original',
+            createdAt: item.transcription.timestamp
+        });
+        return version;
+    }
+
+    /**
+     * Record text as a new version on the item. Call before item.transcription is overwritten:
+     * if the stored transcript is not yet a version (the provider's original, or a re-transcription)
+     * it is captured first. Returns the new version, or null when the text matches the latest version.
+     */
+    addVersion(item, text, options = {}) {
+        if (!item) {
+            throw new Error('No recording to add a transcript version to');
+        }
+
+        this.captureCurrentVersion(item);
+        const versions = item.transcriptVersions;
+
+        const latest = versions[versions.length - 1];
+        if (latest && latest.text === text) {
+            return null;
+        }
+
+        const version = this.createVersion(versions.length + 1, text, {
+            author: options.author || this.getAuthor(),
+            source: options.source || 'edit',
+            restoredFrom: options.restoredFrom
+        });
+        versions.push(version);
+        return version;
+    }
+
+    /**
+     * Record the stored transcript as a version if it is not one yet. Call before item.transcription is
+     * replaced by a new transcription, so the previous text stays in the version history
+     */
+    captureCurrentVersion(item) {
+        const versions = this.getVersions(item);
+        const current = this.getCurrentVersion(item);
+        item.transcriptVersions = current && !current.id
+            ? [...versions, this.createVersion(current.number, current.text, current)]
+            : versions;
+    }
+
+    createVersion(number, text, { author, source, createdAt, restoredFrom }) {
+        const version = {
+            id: `v${number}_${Date.now()}`,
+            number,
+            text,
+            author,
+            source,
+            createdAt: createdAt || new Date().toISOString()
+        };
+        if (restoredFrom) {
+            version.restoredFrom = restoredFrom;
+        }
+        return version;
+    }
+
+    /**
+     * Restore an earlier version by saving its text as a new version, so the history is never rewritten
+     */
+    restoreVersion(item, versionId, author = null) {
+        const version = this.getVersion(item, versionId);
+        if (!version) {
+            throw new Error('Transcript version not found');
+        }
+
+        const restored = this.addVersion(item, version.text, {
+            author,
+            source: 'restore',
+            restoredFrom: version.number
+        });
+
+        item.transcription = {
+            ...(item.transcription || {}),
+            text: version.text,
+            edited: true,
+            editTimestamp: new Date().toISOString()
+        };
+        return restored;
+    }
+
+    /**
+     * Name recorded on edits made on this machine (the OS account name)
+     */
+    getAuthor() {
+        if (!this.author) {
+            try {
+                this.author = require('os').userInfo().username;
+            } catch (error) {
+                this.author = null;
+            }
+            this.author = this.author || 'Local user';
+        }
+        return this.author;
+    }
+
+    /**
+     * Short description of a version for export headers, e.g. "Version 3 (edited by sam, 1/2/2025, 10:00 AM)"
+     */
+    describeVersion(version) {
+        const actions = { original: 'transcription', edit: 'edited', restore: `restored from version ${version.restoredFrom}` };
+        const action = actions[version.source] || 'edited';
+        return `Version ${version.number} (${action} by ${version.author}, ${new Date(version.createdAt).toLocaleString()})`;
+    }
+
+    /**
+     * Side-by-side diff of two transcript texts.
+     * Texts are compared sentence by sentence; changed rows carry word-level segments
+     * ({ text, changed }) for highlighting. Row types: same, changed, removed, added.
+     */
+    diffTexts(leftText, rightText) {
+        const left = this.splitForDiff(leftText);
+        const right = this.splitForDiff(rightText);
+        const rows = [];
+        let removed = [];
+        let added = [];
+
+        // Pair each block of removed sentences with the block added in its place so edits line up
+        const flush = () => {
+            for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                if (i < removed.length && i < added.length) {
+                    rows.push({ type: 'changed', left: removed[i], right: added[i], ...this.diffWords(removed[i], added[i]) });
+                } else if (i < removed.length) {
+                    rows.push({ type: 'removed', left: removed[i], right: null });
+                } else {
+                    rows.push({ type: 'added', left: null, right: added[i] });
+                }
+            }
+            removed = [];
+            added = [];
+        };
+
+        this.diffSequences(left, right).forEach(op => {
+            if (op.type === 'removed') {
+                removed.push(op.left);
+            } else if (op.type === 'added') {
+                added.push(op.right);
+            } else {
+                flush();
+                rows.push({ type: 'same', left: op.left, right: op.right });
+            }
+        });
+        flush();
+
+        return rows;
+    }
+
+    splitForDiff(text) {
+        return (text || '')
+            .split('\n')
+            .flatMap(line => line.split(/(?<=[.!?])\s+/))
+            .map(segment => segment.trim())
+            .filter(segment => segment.length > 0);
+    }
+
+    /**
+     * Word-level segments for one changed row
+     */
+    diffWords(leftText, rightText) {
+        const leftSegments = [];
+        const rightSegments = [];
+
+        this.diffSequences(leftText.split(/\s+/), rightText.split(/\s+/)).forEach(op => {
+            if (op.left !== null) leftSegments.push({ text: op.left, changed: op.type !== 'same' });
+            if (op.right !== null) rightSegments.push({ text: op.right, changed: op.type !== 'same' });
+        });
+
+        return { leftSegments, rightSegments };
+    }
+
+    /**
+     * Longest-common-subsequence diff of two arrays of strings.
+     * Unchanged leading and trailing entries are skipped first to keep the table small;
+     * very large differences fall back to remove-all/add-all rather than freezing the UI.
+     */
+    diffSequences(left, right) {
+        let start = 0;
+        while (start < left.length && start < right.length && left[start] === right[start]) {
+            start++;
+        }
+        let leftEnd = left.length;
+        let rightEnd = right.length;
+        while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+            leftEnd--;
+            rightEnd--;
+        }
+
+        const ops = left.slice(0, start).map((value, i) => ({ type: 'same', left: value, right: right[i] }));
+        const leftMiddle = left.slice(start, leftEnd);
+        const rightMiddle = right.slice(start, rightEnd);
+
+        if (leftMiddle.length * rightMiddle.length > 4000000) {
+            leftMiddle.forEach(value => ops.push({ type: 'removed', left: value, right: null }));
+            rightMiddle.forEach(value => ops.push({ type: 'added', left: null, right: value }));
+        } else {
+            // lengths[i][j] = LCS length of leftMiddle[i..] and rightMiddle[j..]
+            const lengths = Array.from({ length: leftMiddle.length + 1 }, () => new Uint32Array(rightMiddle.length + 1));
+            for (let i = leftMiddle.length - 1; i >= 0; i--) {
+                for (let j = rightMiddle.length - 1; j >= 0; j--) {
+                    lengths[i][j] = leftMiddle[i] === rightMiddle[j]
+                        ? lengths[i + 1][j + 1] + 1
+                        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < leftMiddle.length || j < rightMiddle.length) {
+                if (i < leftMiddle.length && j < rightMiddle.length && leftMiddle[i] === rightMiddle[j]) {
+                    ops.push({ type: 'same', left: leftMiddle[i++], right: rightMiddle[j++] });
+                } else if (i < leftMiddle.length && (j === rightMiddle.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                    ops.push({ type: 'removed', left: leftMiddle[i++], right: null });
+                } else {
+                    ops.push({ type: 'added', left: null, right: rightMiddle[j++] });
+                }
+            }
+        }
+
+        left.slice(leftEnd).forEach((value, i) => ops.push({ type: 'same', left: value, right: right[rightEnd + i] }));
+        return ops;
+    }
 }
 
 // Export for use in other modules
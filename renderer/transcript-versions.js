@@ -0,0 +1,213 @@
+/**
+ * Transcript Versions - Lists the saved versions of a recording's transcript, compares any two side by side
+ * and restores earlier ones. Versions are stored on the history item by TranscriptManager.addVersion
+ */
+class TranscriptVersionsView {
+    constructor() {
+        this.modal = null;
+        this.context = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // The transcript on the recording tab belongs to the unsaved preview; it is saved with the recording
+        const previewButton = document.getElementById('transcriptVersionsButton');
+        if (previewButton) {
+            previewButton.addEventListener('click', () => this.show({
+                recording: window.app.currentRecording,
+                textareaId: 'transcriptText',
+                persist: false
+            }));
+        }
+
+        const detailButton = document.getElementById('detailTranscriptVersions');
+        if (detailButton) {
+            detailButton.addEventListener('click', () => this.show({
+                recording: window.app.currentDetailRecording,
+                textareaId: 'detailTranscriptText',
+                persist: true
+            }));
+        }
+    }
+
+    get manager() {
+        return window.app.transcriptManager;
+    }
+
+    /**
+     * context: { recording, textareaId, persist } - persist saves restores to the library
+     */
+    show(context) {
+        if (!context.recording || !context.recording.transcription || !context.recording.transcription.text) {
+            window.app.showNotification('No transcript to show versions for', 'warning');
+            return;
+        }
+
+        this.context = context;
+        const versions = this.manager.getVersions(context.recording);
+        const includeVersion = !!(window.app.currentConfig.transcriptExport && window.app.currentConfig.transcriptExport.includeVersion);
+
+        this.modal = window.uiManager.showModal('Transcript Versions', `
+            <div class="transcript-versions">
+                ${versions.length === 0 ? `
+                    <p class="transcript-versions-empty">
+                        No edits saved yet. A version is recorded each time transcript edits are saved.
+                    </p>
+                ` : `
+                    <ul class="transcript-version-list"></ul>
+                    <div class="transcript-diff-controls">
+                        <label for="transcriptDiffLeft">Compare</label>
+                        <select id="transcriptDiffLeft" class="form-control"></select>
+                        <label for="transcriptDiffRight">with</label>
+                        <select id="transcriptDiffRight" class="form-control"></select>
+                    </div>
+                    <div class="transcript-diff" role="table" aria-label="Differences between the selected versions"></div>
+                `}
+                <label class="checkbox-label">
+                    <input type="checkbox" data-version-field="includeVersion" ${includeVersion ? 'checked' : ''}>
+                    <span class="checkbox-custom"></span>
+                    Record the transcript version in exported files
+                </label>
+            </div>
+        `);
+        this.modal.classList.add('transcript-versions-modal');
+
+        this.modal.addEventListener('change', (e) => {
+            if (e.target.dataset.versionField === 'includeVersion') {
+                window.app.setTranscriptExportVersion(e.target.checked);
+            } else if (e.target.id === 'transcriptDiffLeft' || e.target.id === 'transcriptDiffRight') {
+                this.renderDiff();
+            }
+        });
+        this.modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-version-action="restore"]');
+            if (button) {
+                this.restore(button.dataset.versionId);
+            }
+        });
+
+        if (versions.length > 0) {
+            this.renderVersions();
+        }
+    }
+
+    renderVersions() {
+        const recording = this.context.recording;
+        const versions = this.manager.getVersions(recording);
+        const currentText = recording.transcription.text;
+
+        this.modal.querySelector('.transcript-version-list').innerHTML = versions.slice().reverse().map(version => {
+            const isCurrent = version.text === currentText;
+            return `
+                <li class="transcript-version ${isCurrent ? 'current' : ''}">
+                    <div class="transcript-version-info">
+                        <strong>Version ${version.number}</strong>
+                        <span class="transcript-version-source">${this.describeSource(version)}</span>
+                        <small>${window.uiManager.escapeHtml(version.author)} &middot; ${new Date(version.createdAt).toLocaleString()}</small>
+                    </div>
+                    ${isCurrent
+                        ? '<span class="transcript-version-badge">Current</span>'
+                        : `<button class="btn btn-outline btn-sm" data-version-action="restore" data-version-id="${window.uiManager.escapeHtml(version.id)}">
+                               <i class="fas fa-undo" aria-hidden="true"></i> Restore
+                           </button>`}
+                </li>
+            `;
+        }).join('');
+
+        const options = versions.map(version => `<option value="${window.uiManager.escapeHtml(version.id)}">Version ${version.number}</option>`).join('');
+        const left = this.modal.querySelector('#transcriptDiffLeft');
+        const right = this.modal.querySelector('#transcriptDiffRight');
+        left.innerHTML = options;
+        right.innerHTML = options;
+
+        // Default to the latest change: the previous version against the newest
+        right.value = versions[versions.length - 1].id;
+        left.value = versions[Math.max(0, versions.length - 2)].id;
+        this.renderDiff();
+    }
+
+    describeSource(version) {
+        switch (version.source) {
+            case 'original':
+                return 'Transcription';
+            case 'restore':
+                return `Restored from version ${version.restoredFrom}`;
+            default:
+                return 'Edited';
+        }
+    }
+
+    renderDiff() {
+        const recording = this.context.recording;
+        const left = this.manager.getVersion(recording, this.modal.querySelector('#transcriptDiffLeft').value);
+        const right = this.manager.getVersion(recording, this.modal.querySelector('#transcriptDiffRight').value);
+        const container = this.modal.querySelector('.transcript-diff');
+        if (!left || !right) return;
+
+        const rows = this.manager.diffTexts(left.text, right.text);
+        if (rows.every(row => row.type === 'same')) {
+            container.innerHTML = '<p class="transcript-versions-empty">These versions are identical.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="transcript-diff-row transcript-diff-header" role="row">
+                <div role="columnheader">Version ${left.number}</div>
+                <div role="columnheader">Version ${right.number}</div>
+            </div>
+            ${rows.map(row => `
+                <div class="transcript-diff-row ${row.type}" role="row">
+                    <div class="transcript-diff-cell" role="cell">${this.renderSide(row, 'left')}</div>
+                    <div class="transcript-diff-cell" role="cell">${this.renderSide(row, 'right')}</div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    renderSide(row, side) {
+        const segments = row[`${side}Segments`];
+        if (segments) {
+            return segments.map(segment => segment.changed
+                ? `<mark>${window.uiManager.escapeHtml(segment.text)}</mark>`
+                : window.uiManager.escapeHtml(segment.text)).join(' ');
+        }
+        return row[side] === null ? '' : window.uiManager.escapeHtml(row[side]);
+    }
+
+    async restore(versionId) {
+        const { recording, textareaId, persist } = this.context;
+        const version = this.manager.getVersion(recording, versionId);
+        if (!version) return;
+
+        const textarea = document.getElementById(textareaId);
+        if (textarea && !textarea.readOnly) {
+            window.app.showNotification('Save or cancel your transcript edits before restoring a version', 'warning');
+            return;
+        }
+        if (!confirm(`Restore version ${version.number}? The current transcript stays in the version history.`)) {
+            return;
+        }
+
+        this.manager.restoreVersion(recording, versionId);
+        if (textarea) {
+            textarea.value = recording.transcription.text;
+        }
+        if (persist) {
+            await window.app.updateRecordingInHistory(recording);
+        }
+
+        this.renderVersions();
+        window.app.showNotification(`Version ${version.number} restored`, 'success');
+    }
+}
+
+// Initialize transcript versions view
+if (typeof window !== 'undefined') {
+    window.transcriptVersions = new TranscriptVersionsView();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranscriptVersionsView;
+}
@@ -56,6 +56,7 @@ class TranscriptionService {
                 confidence: result.confidence || null,
                 speakerDiarization: result.speakerDiarization || null,
                 processingTime: result.processingTime || null,
+                silenceTrim: result.silenceTrim || null,
                 provider: provider,
                 jobId: jobId
             };
@@ -88,6 +89,9 @@ class TranscriptionService {
         const baseUrl = `https://${config.region}.api.cognitive.microsoft.com/speechtotext/v3.1`;
         
         try {
+            const upload = await this.prepareAudioForUpload(audioBlob, jobId, config);
+            audioBlob = upload.blob;
+
             // Step 1: Upload audio to Azure Blob Storage
             this.updateProgress(jobId, 'uploading', 10, 'Uploading audio to Azure Blob Storage...');
             const blobUrl = await this.uploadToAzureBlob(audioBlob, config, jobId);
@@ -109,7 +113,7 @@ class TranscriptionService {
             this.updateProgress(jobId, 'processing', 30, 'Processing transcription...');
             const result = await this.pollAzureTranscriptionJob(jobId);
             
-            return result;
+            return this.restoreOriginalTimes(result, upload.silenceTrim);
             
         } catch (error) {
             console.error('Azure Batch Transcription error:', error);
@@ -117,6 +121,85 @@ class TranscriptionService {
         }
     }
 
+    /**
+     * Shorten long silences and re-encode audio with the upload profile from settings so less is sent to the provider
+     * Returns { blob, silenceTrim }; either step falls back to the untouched audio if it is unavailable or fails.
+     * config.channelLayout marks a dual-source recording, whose channels are kept apart through the re-encode
+     */
+    async prepareAudioForUpload(audioBlob, jobId, config = {}) {
+        const app = typeof window !== 'undefined' ? window.app : null;
+        const upload = { blob: audioBlob, silenceTrim: null };
+        if (!app || !app.audioEncoder) {
+            return upload;
+        }
+
+        const preprocessing = app.getPreprocessingConfig();
+        if (preprocessing.silenceMode !== 'off') {
+            try {
+                this.updateProgress(jobId, 'trimming', 3, 'Removing long silences...');
+                const trimmed = await app.audioManager.trimSilenceFromBlob(upload.blob, {
+                    mode: preprocessing.silenceMode,
+                    maxSilence: preprocessing.maxSilence,
+                    sampleRate: preprocessing.resample ? preprocessing.sampleRate : 48000
+                });
+                if (trimmed) {
+                    console.log(`Removed ${trimmed.silenceTrim.removedSeconds}s of silence before upload`);
+                    upload.blob = trimmed.blob;
+                    upload.silenceTrim = trimmed.silenceTrim;
+                }
+            } catch (error) {
+                console.warn('Could not trim silence before upload, sending full audio:', error);
+            }
+        }
+
+        try {
+            this.updateProgress(jobId, 'encoding', 5, 'Compressing audio for upload...');
+            const result = await app.audioEncoder.encode(upload.blob, app.getAudioEncodingConfig().uploadProfile, {
+                keepChannels: !!config.channelLayout
+            });
+            if (!result.skipped) {
+                console.log(`Audio compressed for upload: ${result.originalSize} -> ${result.encodedSize} bytes`);
+            }
+            upload.blob = result.blob;
+        } catch (error) {
+            console.warn('Could not compress audio for upload, sending original:', error);
+        }
+        return upload;
+    }
+
+    /**
+     * Map segment times from trimmed audio back onto the original recording, and keep the offset map
+     * with the result so later timestamps can be translated the same way
+     */
+    restoreOriginalTimes(result, silenceTrim) {
+        if (!silenceTrim) {
+            return result;
+        }
+
+        const audioManager = window.app.audioManager;
+        const toOriginal = (value) => {
+            const seconds = window.searchIndex.parseSegmentTime(value);
+            return seconds === null ? value : audioManager.toOriginalTime(silenceTrim.offsetMap, seconds);
+        };
+
+        return {
+            ...result,
+            speakerDiarization: result.speakerDiarization
+                ? result.speakerDiarization.map(segment => ({
+                    ...segment,
+                    startTime: toOriginal(segment.startTime),
+                    endTime: toOriginal(segment.endTime)
+                }))
+                : result.speakerDiarization,
+            silenceTrim
+        };
+    }
+
+    getUploadExtension(audioBlob) {
+        const app = typeof window !== 'undefined' ? window.app : null;
+        return app && app.audioEncoder ? app.audioEncoder.getExtension(audioBlob) : 'wav';
+    }
+
     /**
      * Upload audio blob to Azure Blob Storage
      */
@@ -125,7 +208,8 @@ class TranscriptionService {
         
         // Generate unique blob name
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const blobName = `transcription-${jobId}-${timestamp}.wav`;
+        const blobName = `transcription-${jobId}-${timestamp}.${this.getUploadExtension(audioBlob)}`;
+        const contentType = (audioBlob.type || 'audio/wav').split(';')[0];
         
         // Create blob URL
         const blobUrl = `https://${storageAccount}.blob.core.windows.net/${containerName}/${blobName}`;
@@ -142,7 +226,7 @@ class TranscriptionService {
                 containerName,
                 blobName,
                 arrayBuffer.byteLength,
-                'audio/wav'
+                contentType
             );
             
             // Upload to blob storage
@@ -150,7 +234,7 @@ class TranscriptionService {
                 method: 'PUT',
                 headers: {
                     'Authorization': authHeader,
-                    'Content-Type': 'audio/wav',
+                    'Content-Type': contentType,
                     'Content-Length': arrayBuffer.byteLength.toString(),
                     'x-ms-blob-type': 'BlockBlob',
                     'x-ms-version': '2020-04-08'
@@ -420,10 +504,12 @@ class TranscriptionService {
         const startTime = Date.now();
         
         try {
+            const upload = await this.prepareAudioForUpload(audioBlob, jobId, config);
+            audioBlob = upload.blob;
             this.updateProgress(jobId, 'uploading', 20, 'Uploading audio to OpenAI...');
             
             const formData = new FormData();
-            formData.append('file', audioBlob, 'audio.wav');
+            formData.append('file', audioBlob, `audio.${this.getUploadExtension(audioBlob)}`);
             formData.append('model', 'whisper-1');
             
             if (config.language && config.language !== 'auto') {
@@ -452,12 +538,12 @@ class TranscriptionService {
             const data = await response.json();
             const processingTime = Date.now() - startTime;
 
-            return {
+            return this.restoreOriginalTimes({
                 text: data.text,
                 confidence: null, // OpenAI doesn't provide confidence scores
                 speakerDiarization: null, // OpenAI Whisper doesn't support speaker diarization
                 processingTime: processingTime
-            };
+            }, upload.silenceTrim);
             
         } catch (error) {
             console.error('OpenAI Whisper transcription error:', error);
@@ -476,6 +562,8 @@ class TranscriptionService {
         const startTime = Date.now();
         
         try {
+            const upload = await this.prepareAudioForUpload(audioBlob, jobId, config);
+            audioBlob = upload.blob;
             this.updateProgress(jobId, 'uploading', 20, 'Uploading audio to Azure OpenAI...');
             
             // Normalize endpoint URL
@@ -483,7 +571,7 @@ class TranscriptionService {
             const url = `${normalizedEndpoint}/openai/deployments/${config.deployment}/audio/transcriptions?api-version=2024-02-15-preview`;
             
             const formData = new FormData();
-            formData.append('file', audioBlob, 'audio.wav');
+            formData.append('file', audioBlob, `audio.${this.getUploadExtension(audioBlob)}`);
             formData.append('model', 'whisper-1');
             
             if (config.language && config.language !== 'auto') {
@@ -511,12 +599,12 @@ class TranscriptionService {
             const data = await response.json();
             const processingTime = Date.now() - startTime;
 
-            return {
+            return this.restoreOriginalTimes({
                 text: data.text,
                 confidence: null, // Azure Whisper doesn't provide confidence scores
                 speakerDiarization: null, // Azure Whisper doesn't support speaker diarization
                 processingTime: processingTime
-            };
+            }, upload.silenceTrim);
             
         } catch (error) {
             console.error('Azure Whisper transcription error:', error);
@@ -525,14 +525,14 @@ class UIManager {
      * Modal Management
      */
     showModal(title, content, actions = []) {
-        // Remove existing modal
-        const existingModal = document.querySelector('.modal-overlay');
+        // Remove existing modal (only ones created here, not the static modals in index.html)
+        const existingModal = document.querySelector('.modal-overlay.ui-modal');
         if (existingModal) {
             existingModal.remove();
         }
 
         const modal = document.createElement('div');
-        modal.className = 'modal-overlay';
+        modal.className = 'modal-overlay ui-modal';
         modal.setAttribute('role', 'dialog');
         modal.setAttribute('aria-modal', 'true');
         modal.setAttribute('aria-labelledby', 'modal-title');
@@ -604,6 +604,12 @@ class UIManager {
     /**
      * Utility Methods
      */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -0,0 +1,322 @@
+/**
+ * Watch Folders - Automatically imports recordings dropped into watched folders (e.g. by a softphone)
+ * The main process polls the folders and keeps the processed-file ledger; files are imported here one at a time
+ */
+class WatchFolderManager {
+    constructor(library) {
+        this.ipc = require('electron').ipcRenderer;
+        this.library = library;
+        this.config = { folders: [], pollSeconds: 15 };
+        this.status = new Map();
+        this.queue = [];
+        this.processing = false;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+
+        this.ipc.on('watch-folder-file', (event, fileInfo) => {
+            this.queue.push(fileInfo);
+            this.processQueue();
+        });
+        this.ipc.on('watch-folder-status', (event, status) => {
+            this.status.set(status.folderId, status);
+            this.renderStatus(status.folderId);
+        });
+
+        // Imports need the app (for decoding and transcription) and an unlocked library
+        document.addEventListener('DOMContentLoaded', () => {
+            this.library.ready
+                .then(() => this.start())
+                .catch(error => console.error('Watched folders not started:', error));
+        });
+    }
+
+    async start() {
+        const result = await this.ipc.invoke('watch-folders-get');
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.config = result.config;
+        (result.status || []).forEach(status => this.status.set(status.folderId, status));
+        this.renderFolders();
+
+        await this.ipc.invoke('watch-folders-start');
+    }
+
+    setupEventListeners() {
+        const addButton = document.getElementById('addWatchFolder');
+        if (addButton) {
+            addButton.addEventListener('click', () => this.addFolder());
+        }
+
+        const list = document.getElementById('watchFoldersList');
+        if (!list) return;
+
+        list.addEventListener('change', (e) => {
+            const row = e.target.closest('[data-folder-id]');
+            const field = e.target.dataset.watchField;
+            if (!row || !field) return;
+
+            const value = e.target.type === 'checkbox' ? e.target.checked : (e.target.value || null);
+            this.updateFolder(row.dataset.folderId, { [field]: value });
+        });
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-watch-action]');
+            const row = e.target.closest('[data-folder-id]');
+            if (!button || !row) return;
+
+            if (button.dataset.watchAction === 'remove') {
+                this.removeFolder(row.dataset.folderId);
+            } else if (button.dataset.watchAction === 'retry') {
+                this.retryFailed(row.dataset.folderId);
+            }
+        });
+    }
+
+    async addFolder() {
+        const result = await this.ipc.invoke('open-folder-dialog', { title: 'Choose a Folder to Watch' });
+        if (result.canceled || result.filePaths.length === 0) return;
+
+        const folderPath = result.filePaths[0];
+        if (this.config.folders.some(folder => folder.path === folderPath)) {
+            window.app.showNotification('That folder is already being watched', 'warning');
+            return;
+        }
+
+        await this.saveConfig({
+            ...this.config,
+            folders: [...this.config.folders, { path: folderPath, enabled: true, transcribe: false, templateId: null }]
+        });
+    }
+
+    async updateFolder(folderId, changes) {
+        await this.saveConfig({
+            ...this.config,
+            folders: this.config.folders.map(folder => folder.id === folderId ? { ...folder, ...changes } : folder)
+        });
+    }
+
+    async removeFolder(folderId) {
+        const folder = this.config.folders.find(candidate => candidate.id === folderId);
+        if (!folder || !confirm(`Stop watching ${folder.path}? Recordings already imported are kept.`)) return;
+
+        this.status.delete(folderId);
+        await this.saveConfig({
+            ...this.config,
+            folders: this.config.folders.filter(candidate => candidate.id !== folderId)
+        });
+    }
+
+    async retryFailed(folderId) {
+        const result = await this.ipc.invoke('watch-folders-retry-failed', folderId);
+        if (result.success) {
+            window.app.showNotification(`${result.removed} failed file(s) will be retried on the next scan`, 'info');
+        } else {
+            window.app.showNotification(`Could not reset failed files: ${result.error}`, 'error');
+        }
+    }
+
+    async saveConfig(config) {
+        const result = await this.ipc.invoke('watch-folders-save', config);
+        if (!result.success) {
+            window.app.showNotification(`Failed to save watched folders: ${result.error}`, 'error');
+            this.renderFolders();
+            return;
+        }
+
+        this.config = result.config;
+        this.renderFolders();
+    }
+
+    /**
+     * Import queued files sequentially so large batches do not decode in parallel
+     */
+    async processQueue() {
+        if (this.processing) return;
+
+        this.processing = true;
+        try {
+            while (this.queue.length > 0) {
+                const fileInfo = this.queue.shift();
+                const result = await this.processFile(fileInfo);
+                await this.ipc.invoke('watch-folder-complete', fileInfo, result);
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Import one file, then optionally transcribe it with the default provider and run the folder's template
+     * Returns { success, recordingId, error } for the processed-file ledger
+     */
+    async processFile(fileInfo) {
+        const folder = this.config.folders.find(candidate => candidate.id === fileInfo.folderId);
+        const source = {
+            name: fileInfo.name,
+            path: fileInfo.filePath,
+            lastModified: fileInfo.modifiedAt,
+            read: async () => (await window.fileImporter.readFileFromDisk(fileInfo.filePath)).data
+        };
+
+        let item;
+        try {
+            item = await window.fileImporter.importFile(source, {
+                source: 'watch-folder',
+                watchFolder: folder ? folder.path : null
+            });
+        } catch (error) {
+            console.error(`Watched folder import failed for ${fileInfo.name}:`, error);
+            window.app.showNotification(`Could not import ${fileInfo.name}: ${error.message}`, 'error');
+            return { success: false, error: error.message };
+        }
+
+        // The recording is in the library from here on; later failures are noted but not retried
+        const problems = [];
+        if (fileInfo.transcribe) {
+            try {
+                item = await this.transcribe(item);
+            } catch (error) {
+                problems.push(`Transcription failed: ${error.message}`);
+            }
+        }
+
+        if (fileInfo.templateId && item.transcription) {
+            try {
+                await this.runTemplate(item, fileInfo.templateId);
+            } catch (error) {
+                problems.push(`Template failed: ${error.message}`);
+            }
+        }
+
+        if (problems.length > 0) {
+            console.warn(`Watched folder processing for ${fileInfo.name}:`, problems);
+            window.app.showNotification(`Imported ${fileInfo.name}, but: ${problems.join('; ')}`, 'warning');
+        } else {
+            window.app.showNotification(`Imported ${fileInfo.name} from a watched folder`, 'success');
+        }
+
+        return { success: true, recordingId: item.id, error: problems.join('; ') || null };
+    }
+
+    async transcribe(item) {
+        const app = window.app;
+        const config = app.currentConfig.transcription || {};
+        const provider = config.provider;
+
+        if (!provider || !app.validateTranscriptionConfig(provider, config[provider] || {})) {
+            throw new Error('No transcription provider is configured');
+        }
+
+        return await window.bulkActions.transcribeItem(item, provider) || item;
+    }
+
+    async runTemplate(item, templateId) {
+        const template = this.getTemplates().find(candidate => candidate.id === templateId);
+        if (!template) {
+            throw new Error('Template no longer exists');
+        }
+
+        await window.bulkActions.runTemplateOnItem(item, template);
+    }
+
+    getTemplates() {
+        if (!window.app || !window.bulkActions) return [];
+        return Object.values(window.bulkActions.getTemplateGroups(window.app.templates)).flat();
+    }
+
+    renderFolders() {
+        const list = document.getElementById('watchFoldersList');
+        if (!list) return;
+
+        if (this.config.folders.length === 0) {
+            list.innerHTML = '<p class="watch-folder-empty">No watched folders.</p>';
+            return;
+        }
+
+        const templates = this.getTemplates();
+        list.innerHTML = this.config.folders.map(folder => {
+            const templateOptions = templates.map(template => `
+                <option value="${window.uiManager.escapeHtml(template.id)}" ${template.id === folder.templateId ? 'selected' : ''}>
+                    ${window.uiManager.escapeHtml(template.name)}
+                </option>
+            `).join('');
+
+            return `
+                <div class="watch-folder ${folder.enabled ? '' : 'disabled'}" data-folder-id="${window.uiManager.escapeHtml(folder.id)}">
+                    <div class="watch-folder-header">
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-watch-field="enabled" ${folder.enabled ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            <span class="watch-folder-path" title="${window.uiManager.escapeHtml(folder.path)}">${window.uiManager.escapeHtml(folder.path)}</span>
+                        </label>
+                        <button class="btn btn-outline btn-sm" data-watch-action="remove" aria-label="Stop watching folder">
+                            <i class="fas fa-trash" aria-hidden="true"></i>
+                        </button>
+                    </div>
+                    <div class="watch-folder-options">
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-watch-field="transcribe" ${folder.transcribe ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Transcribe with the default provider
+                        </label>
+                        <select class="form-control" data-watch-field="templateId" aria-label="Template to run after transcription">
+                            <option value="">No template</option>
+                            ${templateOptions}
+                        </select>
+                    </div>
+                    <small class="watch-folder-status">${this.describeStatus(folder)}</small>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Refresh just the status line so periodic scans do not disturb controls the user is editing
+     */
+    renderStatus(folderId) {
+        const folder = this.config.folders.find(candidate => candidate.id === folderId);
+        const row = Array.from(document.querySelectorAll('#watchFoldersList [data-folder-id]'))
+            .find(element => element.dataset.folderId === folderId);
+        const statusElement = row ? row.querySelector('.watch-folder-status') : null;
+
+        if (folder && statusElement) {
+            statusElement.innerHTML = this.describeStatus(folder);
+        }
+    }
+
+    describeStatus(folder) {
+        if (!folder.enabled) return 'Paused';
+
+        const status = this.status.get(folder.id);
+        if (status ? status.state === 'unavailable' : folder.available === false) {
+            return '<span class="watch-folder-error">Folder not available - reconnect the drive or share to resume watching</span>';
+        }
+        if (!status) return 'Waiting for first scan...';
+        if (status.state === 'error') {
+            return `<span class="watch-folder-error">Cannot read folder: ${window.uiManager.escapeHtml(status.message)}</span>`;
+        }
+
+        const parts = [`${status.imported} imported`];
+        if (status.inProgress > 0) parts.push(`${status.inProgress} in progress`);
+        if (status.failed > 0) {
+            parts.push(`${status.failed} failed <button class="btn btn-ghost btn-sm" data-watch-action="retry">Retry</button>`);
+        }
+        return `${parts.join(', ')} &middot; last checked ${new Date(status.lastScanAt).toLocaleTimeString()}`;
+    }
+}
+
+// Initialize watched folders
+if (typeof window !== 'undefined') {
+    window.watchFolderManager = new WatchFolderManager(window.recordingLibrary);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WatchFolderManager;
+}
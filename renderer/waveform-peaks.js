@@ -0,0 +1,363 @@
+/**
+ * Waveform Peaks - Min/max peaks computed once from the decoded audio at several zoom levels. The full set is
+ * cached with the history item as a "peaks" file beside its audio, and a small thumbnail is kept in the item
+ * itself for the history list, so waveforms can be drawn, zoomed and scrolled without decoding the audio again
+ */
+class WaveformPeaks {
+    constructor() {
+        // The finest level holds one min/max pair per 10 ms; each further level halves the resolution
+        this.peaksPerSecond = 100;
+        this.minimumLevelPeaks = 256;
+        this.thumbnailColumns = 64;
+        this.decodeSampleRate = 8000;
+
+        this.cache = new Map();
+        this.maxCacheEntries = 10;
+        this.detailItemId = null;
+        this.detailView = null;
+
+        this.setupDetailView();
+    }
+
+    get app() {
+        return window.app;
+    }
+
+    setupDetailView() {
+        const canvas = document.getElementById('detailWaveformCanvas');
+        if (!canvas) return;
+
+        this.detailView = new WaveformView(canvas, document.getElementById('detailAudio'));
+        document.getElementById('detailWaveformControls').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-waveform-zoom]');
+            if (button) {
+                this.detailView.zoomBy(button.dataset.waveformZoom);
+            }
+        });
+    }
+
+    /**
+     * Returns { duration, levels: [{ peaksPerSecond, data }] } where data interleaves min and max as Int8 values,
+     * finest level first. Computed on the audio worker
+     */
+    async compute(audioBuffer) {
+        const result = await this.app.audioManager.runAudioJob(audioBuffer, { outputs: { peaks: this.getPeaksOptions() } });
+        return result.peaks;
+    }
+
+    // Peaks come straight from the decoded audio without resampling; decodeSampleRate only applies to formats the
+    // worker cannot decode, which are decoded in the page first
+    async fromBlob(blob) {
+        const result = await this.app.audioManager.runAudioJob(blob, { outputs: { peaks: this.getPeaksOptions() } }, {
+            description: 'Drawing waveform',
+            decodeSampleRate: this.decodeSampleRate
+        });
+        return result.peaks;
+    }
+
+    getPeaksOptions() {
+        return { peaksPerSecond: this.peaksPerSecond, minimumLevelPeaks: this.minimumLevelPeaks };
+    }
+
+    /**
+     * Loudness per column for the history list, base64 encoded so it fits in the library index
+     */
+    createThumbnail(peaks) {
+        const level = peaks.levels[peaks.levels.length - 1];
+        const count = level.data.length / 2;
+        const columns = new Uint8Array(this.thumbnailColumns);
+
+        for (let column = 0; column < columns.length; column++) {
+            const from = Math.floor(column * count / columns.length);
+            const to = Math.max(from + 1, Math.floor((column + 1) * count / columns.length));
+            let amplitude = 0;
+            for (let peak = from; peak < to && peak < count; peak++) {
+                amplitude = Math.max(amplitude, -level.data[peak * 2], level.data[peak * 2 + 1]);
+            }
+            columns[column] = Math.round(amplitude / 127 * 255);
+        }
+        return btoa(String.fromCharCode(...columns));
+    }
+
+    parseThumbnail(thumbnail) {
+        if (!thumbnail) return null;
+        try {
+            return Uint8Array.from(atob(thumbnail), char => char.charCodeAt(0));
+        } catch (error) {
+            console.warn('Ignoring invalid waveform thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Binary layout: version (uint8), level count (uint8), duration (float64), then per level
+     * peaks per second (float32), peak count (uint32) and the interleaved Int8 min/max values
+     */
+    serialize(peaks) {
+        const size = 10 + peaks.levels.reduce((sum, level) => sum + 8 + level.data.length, 0);
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+        view.setUint8(0, 1);
+        view.setUint8(1, peaks.levels.length);
+        view.setFloat64(2, peaks.duration, true);
+
+        let offset = 10;
+        peaks.levels.forEach(level => {
+            view.setFloat32(offset, level.peaksPerSecond, true);
+            view.setUint32(offset + 4, level.data.length / 2, true);
+            bytes.set(new Uint8Array(level.data.buffer, level.data.byteOffset, level.data.length), offset + 8);
+            offset += 8 + level.data.length;
+        });
+        return new Blob([bytes], { type: 'application/octet-stream' });
+    }
+
+    deserialize(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        if (view.getUint8(0) !== 1) {
+            throw new Error('Unsupported waveform peaks version');
+        }
+
+        const levels = [];
+        let offset = 10;
+        for (let i = 0; i < view.getUint8(1); i++) {
+            const peaksPerSecond = view.getFloat32(offset, true);
+            const count = view.getUint32(offset + 4, true);
+            levels.push({ peaksPerSecond, data: new Int8Array(arrayBuffer.slice(offset + 8, offset + 8 + count * 2)) });
+            offset += 8 + count * 2;
+        }
+        return { duration: view.getFloat64(2, true), levels };
+    }
+
+    remember(itemId, peaks) {
+        this.cache.delete(itemId);
+        this.cache.set(itemId, peaks);
+        if (this.cache.size > this.maxCacheEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Peaks for a history item: from memory, then the cached peaks file, and only then by decoding its audio
+     * (the result is cached with the item so this happens once per recording)
+     */
+    async getPeaks(item, audioBlob = null) {
+        const itemId = item.id || item.filename;
+        if (this.cache.has(itemId)) {
+            return this.cache.get(itemId);
+        }
+
+        const library = window.recordingLibrary;
+        const stored = await library.loadAudio(item, 'peaks').catch(error => {
+            console.warn('Could not read cached waveform peaks:', error);
+            return null;
+        });
+        if (stored) {
+            const peaks = this.deserialize(await stored.arrayBuffer());
+            this.remember(itemId, peaks);
+            return peaks;
+        }
+
+        const blob = audioBlob || await library.loadAudio(item);
+        if (!blob) return null;
+
+        const peaks = await this.fromBlob(blob);
+        this.remember(itemId, peaks);
+        await this.save(item, peaks);
+        return peaks;
+    }
+
+    /**
+     * Cache peaks with a saved history item. A failure only costs a decode next time, so it is not reported
+     */
+    async save(item, peaks) {
+        const itemId = item.id || item.filename;
+        this.remember(itemId, peaks);
+        try {
+            const saved = await window.recordingLibrary.saveAudioVariant(itemId, 'peaks', this.serialize(peaks));
+            if (!saved.waveformThumbnail) {
+                await window.recordingLibrary.updateItem({ ...saved, waveformThumbnail: this.createThumbnail(peaks) });
+            }
+        } catch (error) {
+            console.warn('Could not cache waveform peaks:', error);
+        }
+    }
+
+    /**
+     * Show a history item's waveform in the detail player
+     */
+    async showDetail(item, audioBlob) {
+        if (!this.detailView) return;
+
+        const itemId = item.id || item.filename;
+        this.detailItemId = itemId;
+        this.detailView.setMarkers((item.metadata && item.metadata.markers) || []);
+        this.detailView.setPeaks(null);
+
+        try {
+            const peaks = await this.getPeaks(item, audioBlob);
+            if (this.detailItemId === itemId) {
+                this.detailView.setPeaks(peaks);
+            }
+        } catch (error) {
+            console.error('Could not load waveform:', error);
+        }
+    }
+
+    clearDetail() {
+        this.detailItemId = null;
+        if (this.detailView) {
+            this.detailView.setMarkers([]);
+            this.detailView.setPeaks(null);
+        }
+    }
+
+    /**
+     * Draw peaks for the time range start-end across the whole canvas, using the coarsest level that still has
+     * a peak for every pixel column. Playback progress is drawn in progressColor
+     */
+    draw(ctx, peaks, options = {}) {
+        const width = options.width || ctx.canvas.width;
+        const height = options.height || ctx.canvas.height;
+        const start = options.start || 0;
+        const end = options.end || peaks.duration;
+        const progress = options.progress || 0;
+        const columnsPerSecond = width / Math.max(0.001, end - start);
+
+        let level = peaks.levels[0];
+        peaks.levels.forEach(candidate => {
+            if (candidate.peaksPerSecond >= columnsPerSecond) level = candidate;
+        });
+
+        const count = level.data.length / 2;
+        const middle = height / 2;
+        for (let x = 0; x < width; x++) {
+            const time = start + x / columnsPerSecond;
+            const from = Math.floor(time * level.peaksPerSecond);
+            if (from >= count) break;
+            const to = Math.min(count, Math.max(from + 1, Math.floor((time + 1 / columnsPerSecond) * level.peaksPerSecond)));
+
+            let min = 0;
+            let max = 0;
+            for (let peak = from; peak < to; peak++) {
+                if (level.data[peak * 2] < min) min = level.data[peak * 2];
+                if (level.data[peak * 2 + 1] > max) max = level.data[peak * 2 + 1];
+            }
+
+            ctx.fillStyle = time < progress ? (options.progressColor || '#2563eb') : (options.color || '#475569');
+            ctx.fillRect(x, middle - max / 127 * middle, 1, Math.max(1, (max - min) / 127 * middle));
+        }
+    }
+}
+
+/**
+ * A zoomable, scrollable waveform bound to an audio element: the wheel zooms around the pointer,
+ * shift+wheel or a horizontal scroll pans, and a click seeks
+ */
+class WaveformView {
+    constructor(canvas, audio) {
+        this.canvas = canvas;
+        this.audio = audio;
+        this.peaks = null;
+        this.markers = [];
+        this.start = 0;
+        this.end = 0;
+        this.minimumSpan = 2;
+
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.peaks) return;
+            e.preventDefault();
+
+            const span = this.end - this.start;
+            if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+                this.scrollTo(this.start + (e.deltaX || e.deltaY) / this.canvas.clientWidth * span);
+            } else {
+                this.zoom(e.deltaY > 0 ? 1.25 : 0.8, this.timeAt(e));
+            }
+        }, { passive: false });
+
+        canvas.addEventListener('click', (e) => {
+            if (this.peaks && this.audio.duration) {
+                this.audio.currentTime = Math.min(this.timeAt(e), this.audio.duration);
+            }
+        });
+
+        audio.addEventListener('timeupdate', () => {
+            if (!this.peaks) return;
+
+            // Keep the playhead in view while playing
+            const time = this.audio.currentTime;
+            if (!this.audio.paused && (time < this.start || time > this.end)) {
+                this.scrollTo(time - (this.end - this.start) * 0.1);
+            } else {
+                this.draw();
+            }
+        });
+    }
+
+    setPeaks(peaks) {
+        this.peaks = peaks;
+        this.start = 0;
+        this.end = peaks ? peaks.duration : 0;
+        this.draw();
+    }
+
+    setMarkers(markers) {
+        this.markers = markers;
+        this.draw();
+    }
+
+    zoomBy(direction) {
+        if (!this.peaks) return;
+        if (direction === 'fit') {
+            this.setPeaks(this.peaks);
+            return;
+        }
+        this.zoom(direction === 'in' ? 0.5 : 2, (this.start + this.end) / 2);
+    }
+
+    zoom(factor, anchor) {
+        const duration = this.peaks.duration;
+        const span = Math.min(duration, Math.max(this.minimumSpan, (this.end - this.start) * factor));
+        const ratio = (anchor - this.start) / (this.end - this.start || 1);
+        this.end = this.start + span;
+        this.scrollTo(anchor - ratio * span);
+    }
+
+    scrollTo(start) {
+        const span = this.end - this.start;
+        this.start = Math.min(Math.max(0, start), Math.max(0, this.peaks.duration - span));
+        this.end = this.start + span;
+        this.draw();
+    }
+
+    timeAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.start + (event.clientX - rect.left) / rect.width * (this.end - this.start);
+    }
+
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        ctx.fillStyle = '#1e293b';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!this.peaks) return;
+
+        const progress = this.audio.currentTime || 0;
+        window.waveformPeaks.draw(ctx, this.peaks, { start: this.start, end: this.end, progress });
+        window.recordingMarkers.draw(ctx, this.markers, { width: this.canvas.width, height: this.canvas.height, start: this.start, end: this.end });
+
+        if (progress >= this.start && progress <= this.end) {
+            ctx.fillStyle = '#f8fafc';
+            ctx.fillRect(Math.round((progress - this.start) / (this.end - this.start) * this.canvas.width), 0, 1, this.canvas.height);
+        }
+    }
+}
+
+// Initialize waveform peaks
+if (typeof window !== 'undefined') {
+    window.waveformPeaks = new WaveformPeaks();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WaveformPeaks, WaveformView };
+}